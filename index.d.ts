@@ -0,0 +1,2114 @@
+// Type definitions for confluence-restapi
+// Project: https://github.com/lisanlai/confluence-restapi
+//
+// Every resource method takes a node style callback as its last argument and returns a Promise
+// when it is omitted, both forms are declared as overloads.
+// Keep in sync with lib/, test/test-types.js checks that every resource method is declared here
+// and `npm run test:types` compiles the usages in test/types.
+
+/// <reference types="node" />
+
+import { EventEmitter } from "events";
+import { ClientRequest, IncomingMessage } from "http";
+import { Readable } from "stream";
+
+/**
+ * Confluence API client, `new ConfluenceAPI(options)` or `ConfluenceAPI.create(options)`.
+ */
+declare class ConfluenceAPI extends EventEmitter {
+    constructor(options: ConfluenceAPI.Options);
+
+    /** Create a Confluence API client. */
+    static create(options: ConfluenceAPI.Options): ConfluenceAPI;
+
+    baseUrl: string;
+    retryPolicy: ConfluenceAPI.RetryPolicy;
+    limiter: ConfluenceAPI.RateLimiter;
+    auth: ConfluenceAPI.auth.AuthProvider;
+    transport: ConfluenceAPI.Transport;
+    middlewares: ConfluenceAPI.Middleware[];
+    callOptions: ConfluenceAPI.CallOptions;
+    recorder?: ConfluenceAPI.Recorder;
+
+    audit: ConfluenceAPI.AuditResource;
+    content: ConfluenceAPI.ContentResource;
+    contentbody: ConfluenceAPI.ContentbodyResource;
+    group: ConfluenceAPI.GroupResource;
+    longtask: ConfluenceAPI.LongTaskResource;
+    relation: ConfluenceAPI.RelationResource;
+    search: ConfluenceAPI.SearchResource;
+    settings: ConfluenceAPI.SettingsResource;
+    space: ConfluenceAPI.SpaceResource;
+    template: ConfluenceAPI.TemplateResource;
+    user: ConfluenceAPI.UserResource;
+
+    /** Add resources, instantiated with this client. */
+    addResources(resources: { [name: string]: new (client: ConfluenceAPI) => ConfluenceAPI.RESTFulResource }): void;
+
+    /** A view of this client whose calls use different per-call options. */
+    withOptions(options: ConfluenceAPI.CallOptions): this;
+
+    /** Send a request to Confluence. */
+    request<T = any>(descriptor: ConfluenceAPI.RequestDescriptor, cb: ConfluenceAPI.Callback<T>): void;
+    request<T = any>(descriptor: ConfluenceAPI.RequestDescriptor): Promise<T>;
+
+    /** Add a middleware around the transport. */
+    use(middleware: ConfluenceAPI.Middleware): this;
+
+    /** Run a built request through the middlewares, then the transport. */
+    handle(req: ConfluenceAPI.BuiltRequest, done: ConfluenceAPI.TransportCallback): void;
+
+    /** Queue depth and requests in flight of the client side limiter. */
+    queueStats(): ConfluenceAPI.QueueStats;
+
+    /** Build the request sent over the wire from a resource descriptor. */
+    buildRequest(descriptor: ConfluenceAPI.RequestDescriptor): ConfluenceAPI.BuiltRequest;
+
+    /** Send a multipart request through the transport. */
+    upload(req: ConfluenceAPI.BuiltRequest, done: ConfluenceAPI.TransportCallback): void;
+
+    /** Send a built request. */
+    dispatch(req: ConfluenceAPI.BuiltRequest, done: ConfluenceAPI.TransportCallback): void;
+
+    /** Turn a response into the callback outcome, non 2xx responses become ConfluenceError. */
+    processCallback(cb: ConfluenceAPI.Callback<any>, err?: Error | null, data?: any, res?: ConfluenceAPI.ResponseInfo, req?: ConfluenceAPI.BuiltRequest): void;
+
+    on(event: "retry", listener: (info: ConfluenceAPI.RetryEvent) => void): this;
+    on(event: "uploadProgress", listener: (progress: ConfluenceAPI.UploadProgress) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+declare namespace ConfluenceAPI {
+
+    // ------------------------------------------------------------------
+    // Client
+    // ------------------------------------------------------------------
+
+    type Id = string | number;
+
+    type Callback<T> = (err: Error | null | undefined, data: T) => void;
+
+    type TransportCallback = (err: Error | null | undefined, data?: any, res?: ResponseInfo) => void;
+
+    interface Options {
+        /** Base wiki REST API url, e.g. https://example.atlassian.net/wiki/rest/api */
+        baseUrl: string;
+        /** Basic auth username, with password, when auth is not set. */
+        user?: string;
+        password?: string;
+        /** Authentication provider, or the config of a built-in one. */
+        auth?: auth.AuthProvider | auth.AuthConfig;
+        proxy?: {
+            host: string;
+            port: number;
+            user?: string;
+            password?: string;
+            tunnel?: boolean;
+        };
+        /** Options passed to http.request and https.request. */
+        connection?: { [name: string]: any };
+        mimetypes?: {
+            json?: string[];
+            xml?: string[];
+        };
+        requestConfig?: {
+            timeout?: number;
+            noDelay?: boolean;
+            keepAlive?: boolean;
+            keepAliveDelay?: number;
+            followRedirects?: boolean;
+            maxRedirects?: number;
+        };
+        responseConfig?: {
+            timeout?: number;
+        };
+        /** Retry policy for 429 and transient failures, false disables it. */
+        retry?: RetryOptions | false;
+        /** Client side limits. */
+        rateLimit?: RateLimitOptions;
+        /** Record or replay the HTTP interactions. */
+        recorder?: RecorderOptions | Recorder;
+    }
+
+    interface CallOptions {
+        retry?: RetryOptions | boolean;
+        /** Called as multipart bodies are sent. */
+        onUploadProgress?: (progress: UploadProgress) => void;
+    }
+
+    interface UploadProgress {
+        method: HttpMethod;
+        url: string;
+        /** Bytes of the body sent so far. */
+        loaded: number;
+        /** Size of the body, null when a stream of unknown size is uploaded. */
+        total: number | null;
+    }
+
+    interface RequestDescriptor {
+        method?: HttpMethod;
+        /** Path relative to baseUrl, placeholders like ${id} are replaced from pathParams. Required unless url is set. */
+        path?: string;
+        /** Absolute url sent as is instead of baseUrl and path, e.g. the download link of an attachment. */
+        url?: string;
+        pathParams?: { [name: string]: Id };
+        params?: { [name: string]: any };
+        data?: any;
+        form?: MultipartForm;
+        headers?: { [name: string]: string };
+        retry?: RetryOptions | boolean;
+        /** Hand the body over as is instead of parsed, the result carries BinaryMetadata. */
+        responseType?: ResponseType;
+    }
+
+    interface BuiltRequest {
+        method: HttpMethod;
+        url: string;
+        params: { [name: string]: any };
+        data?: any;
+        form?: MultipartForm;
+        headers: { [name: string]: string };
+        responseType?: ResponseType;
+    }
+
+    interface ResponseInfo {
+        statusCode: number;
+        statusMessage?: string;
+        headers: { [name: string]: string | string[] | undefined };
+    }
+
+    type ResponseType = "stream" | "buffer";
+
+    /** Metadata of a binary response, copied on the stream or Buffer handed over. */
+    interface BinaryMetadata {
+        /** Media type without its parameters, e.g. application/zip. */
+        contentType: string;
+        /** From Content-Disposition, null when the server sent none. */
+        filename: string | null;
+        /** Content-Length, null when unknown. */
+        size: number | null;
+        statusCode: number;
+        headers: { [name: string]: string | string[] | undefined };
+    }
+
+    type BinaryStream = Readable & BinaryMetadata;
+
+    type BinaryBuffer = Buffer & BinaryMetadata;
+
+    interface BinaryOptions {
+        /** Default: stream */
+        responseType?: ResponseType;
+    }
+
+    /** Plain http(s) transport of the binary responses, following redirects and honoring proxy, connection, requestConfig and responseConfig. */
+    class Transport {
+        constructor(options?: Options);
+        send(req: BuiltRequest, body: Buffer | string | Readable | undefined, done: (err: Error | null, res?: IncomingMessage) => void): ClientRequest;
+        /** Read a whole stream. */
+        static read(stream: Readable, cb: (err: Error | null, buffer?: Buffer) => void): void;
+    }
+
+    type HttpMethod = "GET" | "POST" | "PUT" | "DELETE" | "PATCH" | "HEAD" | "OPTIONS";
+
+    type Middleware = (
+        req: BuiltRequest,
+        next: (cb?: TransportCallback) => void,
+        done: TransportCallback
+    ) => void;
+
+    interface RetryEvent {
+        method: HttpMethod;
+        url: string;
+        attempt: number;
+        delay: number;
+        statusCode?: number;
+        error?: Error;
+    }
+
+    interface QueueStats {
+        read: BucketStats;
+        write: BucketStats;
+    }
+
+    interface BucketStats {
+        queued: number;
+        active: number;
+        pausedUntil: Date | null;
+    }
+
+    interface FormPartOptions {
+        filename?: string;
+        contentType?: string;
+        knownLength?: number;
+    }
+
+    /** A multipart field: a string, a Buffer, a stream, a file path, or a value with its part options. */
+    type FormValue = string | number | boolean | Buffer | Readable | {
+        value: string | number | boolean | Buffer | Readable;
+        options?: FormPartOptions;
+    } | {
+        /** File read when the request is sent, so it can be sent again on retry. */
+        path: string;
+        options?: FormPartOptions;
+    };
+
+    interface MultipartForm {
+        [name: string]: FormValue | FormValue[] | undefined;
+    }
+
+    // ------------------------------------------------------------------
+    // Retry, rate limit, pagination
+    // ------------------------------------------------------------------
+
+    interface RetryOptions {
+        maxAttempts?: number;
+        baseDelay?: number;
+        maxDelay?: number;
+        factor?: number;
+        jitter?: boolean;
+        methods?: string[] | null;
+        statusCodes?: number[];
+    }
+
+    class RetryPolicy {
+        constructor(options?: RetryOptions | false);
+        maxAttempts: number;
+        baseDelay: number;
+        maxDelay: number;
+        factor: number;
+        jitter: boolean;
+        methods: string[] | null;
+        statusCodes: number[];
+        forCall(override?: RetryOptions | boolean | null): RetryPolicy;
+        shouldRetry(req: BuiltRequest, attempt: number, err?: Error | null, res?: ResponseInfo): boolean;
+        delay(attempt: number, res?: ResponseInfo): number;
+    }
+
+    interface BucketOptions {
+        concurrency?: number;
+        requestsPerSecond?: number;
+        burst?: number;
+    }
+
+    interface RateLimitOptions extends BucketOptions {
+        read?: BucketOptions;
+        write?: BucketOptions;
+        adaptive?: boolean;
+    }
+
+    class RateLimiter {
+        constructor(options?: RateLimitOptions);
+        schedule(req: BuiltRequest, task: (release: (res?: ResponseInfo) => void) => void): void;
+        adapt(res?: ResponseInfo): void;
+        stats(): QueueStats;
+    }
+
+    interface PaginateOptions {
+        /** Stop after this many results. */
+        maxItems?: number;
+    }
+
+    /** Async iterator over every result of a paginated list method. */
+    class Paginator<T> implements AsyncIterableIterator<T> {
+        constructor(fetchPage: (params: any, cb: Callback<PageResult<T>>) => void, params?: any, options?: PaginateOptions);
+        [Symbol.asyncIterator](): this;
+        next(): Promise<IteratorResult<T>>;
+        return(): Promise<IteratorResult<T>>;
+        all(cb: Callback<T[]>): void;
+        all(): Promise<T[]>;
+    }
+
+    /** Base of the resource classes. */
+    class RESTFulResource {
+        constructor(client: ConfluenceAPI);
+        client: ConfluenceAPI;
+        path(apiPath: string): string;
+        paginate<T>(fetchPage: (params: any, cb: Callback<PageResult<T>>) => void, params?: any, options?: PaginateOptions): Paginator<T>;
+    }
+
+    // ------------------------------------------------------------------
+    // Errors
+    // ------------------------------------------------------------------
+
+    /** Error classes, e.g. `err instanceof ConfluenceAPI.errors.NotFoundError`. */
+    namespace errors {
+        interface ErrorDetails {
+            status?: number;
+            statusMessage?: string;
+            body?: any;
+            messages?: string[];
+            method?: string;
+            url?: string;
+            headers?: { [name: string]: string | string[] | undefined };
+        }
+
+        class ConfluenceError extends Error {
+            constructor(message: string, details?: ErrorDetails);
+            status: number;
+            statusCode: number;
+            statusMessage: string;
+            body: any;
+            messages: string[];
+            method: string;
+            url: string;
+            headers: { [name: string]: string | string[] | undefined };
+            static fromResponse(res: ResponseInfo, data: any, req?: BuiltRequest): ConfluenceError;
+        }
+        /** 400 */
+        class ValidationError extends ConfluenceError {}
+        /** 401 */
+        class UnauthorizedError extends ConfluenceError {}
+        /** 403 */
+        class ForbiddenError extends ConfluenceError {}
+        /** 404 */
+        class NotFoundError extends ConfluenceError {}
+        /** 409 */
+        class ConflictError extends ConfluenceError {}
+        /** 409 on an update whose version is not the current one incremented by one */
+        class VersionConflictError extends ConflictError {}
+        /** 429 */
+        class RateLimitedError extends ConfluenceError {
+            retryAfter?: number;
+        }
+        /** 5xx */
+        class ServerError extends ConfluenceError {}
+
+        function fromResponse(res: ResponseInfo, data: any, req?: BuiltRequest): ConfluenceError;
+        function redactUrl(url: string): string;
+        function parseRetryAfter(value: string | undefined): number | undefined;
+        function isSecretParam(name: string): boolean;
+    }
+
+    type ConfluenceError = errors.ConfluenceError;
+
+    // ------------------------------------------------------------------
+    // Authentication
+    // ------------------------------------------------------------------
+
+    /** Authentication providers. */
+    namespace auth {
+        interface AuthProvider {
+            authorize(req: BuiltRequest, cb: (err?: Error | null) => void): void;
+            /**
+             * Called once when Confluence answers 401, before the request is sent again.
+             * false when the credentials can not be renewed, the request is then not sent again.
+             */
+            invalidate?(): boolean | void;
+        }
+
+        interface BasicAuthOptions {
+            username?: string;
+            email?: string;
+            password?: string;
+            apiToken?: string;
+        }
+
+        interface BearerAuthOptions {
+            token: string | ((cb: (err: Error | null | undefined, token?: string) => void) => void);
+        }
+
+        interface OAuth2Tokens {
+            accessToken: string;
+            refreshToken?: string;
+            expiresAt?: number;
+        }
+
+        interface OAuth2AuthOptions {
+            clientId?: string;
+            clientSecret?: string;
+            accessToken?: string;
+            refreshToken?: string;
+            expiresAt?: number | Date;
+            tokenUrl?: string;
+            onRefresh?: (tokens: OAuth2Tokens) => void;
+        }
+
+        interface ConnectJwtAuthOptions {
+            issuer: string;
+            sharedSecret: string;
+            baseUrl?: string;
+            expiresIn?: number;
+            subject?: string;
+        }
+
+        type AuthConfig =
+            | ({ type: "basic" } & BasicAuthOptions)
+            | ({ type: "bearer" } & BearerAuthOptions)
+            | ({ type: "oauth2" } & OAuth2AuthOptions)
+            | ({ type: "jwt" } & ConnectJwtAuthOptions);
+
+        class BasicAuth implements AuthProvider {
+            constructor(options: BasicAuthOptions);
+            authorize(req: BuiltRequest, cb: (err?: Error | null) => void): void;
+        }
+
+        class BearerAuth implements AuthProvider {
+            constructor(options: BearerAuthOptions);
+            authorize(req: BuiltRequest, cb: (err?: Error | null) => void): void;
+        }
+
+        class OAuth2Auth implements AuthProvider {
+            /** transport: the one the token requests go through, the client passes its own. */
+            constructor(options: OAuth2AuthOptions, transport?: Transport);
+            accessToken: string | null;
+            refreshToken?: string;
+            expiresAt: number;
+            authorize(req: BuiltRequest, cb: (err?: Error | null) => void): void;
+            /** false without a refresh token. */
+            invalidate(): boolean;
+            refresh(cb: (err?: Error | null) => void): void;
+        }
+
+        class ConnectJwtAuth implements AuthProvider {
+            constructor(options: ConnectJwtAuthOptions);
+            authorize(req: BuiltRequest, cb: (err?: Error | null) => void): void;
+            /** The qsh claim of a request. */
+            static queryStringHash(req: { method: string; url: string; params?: any }, baseUrl?: string): string;
+        }
+
+        /** The provider for the client options, undefined when they hold no credentials. */
+        function create(options: Options): AuthProvider | undefined;
+    }
+
+    // ------------------------------------------------------------------
+    // Storage format
+    // ------------------------------------------------------------------
+
+    /** Parser and serializer of the storage format of page bodies. */
+    namespace storage {
+        interface Root {
+            type: "root";
+            children: Node[];
+        }
+
+        interface Element {
+            type: "element";
+            /** e.g. "p", "table", "ac:structured-macro", "ri:page" */
+            name: string;
+            attributes: { [name: string]: string };
+            children: Node[];
+        }
+
+        interface Text {
+            type: "text";
+            /** Entities decoded. */
+            value: string;
+        }
+
+        interface CData {
+            type: "cdata";
+            value: string;
+        }
+
+        interface Comment {
+            type: "comment";
+            value: string;
+        }
+
+        interface Directive {
+            type: "directive";
+            value: string;
+        }
+
+        type Node = Element | Text | CData | Comment | Directive;
+        type AnyNode = Root | Node;
+
+        interface Reference {
+            /** Element name without ri:, e.g. page, attachment, space, user, url. */
+            type: string;
+            /** Attributes without ri:, e.g. {"content-title": "Runbook", "space-key": "OPS"}. */
+            attributes: { [name: string]: string };
+            node: Element;
+            parent: AnyNode | null;
+        }
+
+        /** Error thrown on a body that is not well formed, code ESTORAGEPARSE. */
+        interface ParseError extends Error {
+            code: "ESTORAGEPARSE";
+            position: number;
+            line: number;
+            column: number;
+        }
+
+        const ENTITIES: { [name: string]: string };
+
+        function parse(xml: string): Root;
+        /** Unchanged nodes are written as they were parsed. */
+        function serialize(node: AnyNode | Node[]): string;
+        /** Depth-first, returning false from the visitor skips the children of a node. */
+        function walk(node: AnyNode, visitor: (node: AnyNode, parent: AnyNode | null, index: number) => boolean | void): void;
+        function find(node: AnyNode, test: string): Element | null;
+        function find(node: AnyNode, test: (node: AnyNode, parent: AnyNode | null) => boolean): AnyNode | null;
+        function findAll(node: AnyNode, test: string): Element[];
+        function findAll(node: AnyNode, test: (node: AnyNode, parent: AnyNode | null) => boolean): AnyNode[];
+        function textContent(node: AnyNode): string;
+        function createElement(name: string, attributes?: { [name: string]: string }, children?: Array<Node | string>): Element;
+        function createText(value: string): Text;
+        function createCData(value: string): CData;
+        /** The ac:structured-macro elements, of one macro name when given. */
+        function macros(node: AnyNode, name?: string): Element[];
+        function macroParameters(macro: Element): { [name: string]: string };
+        /** null or undefined removes the parameter. */
+        function setMacroParameter(macro: Element, name: string, value: string | null | undefined): void;
+        /** The ac:rich-text-body or ac:plain-text-body of a macro. */
+        function macroBody(macro: Element): Element | null;
+        /** The ri: elements, targets of links, images and macros. */
+        function references(node: AnyNode): Reference[];
+
+        interface MarkdownOptions {
+            /**
+             * Title of the page a relative link to a Markdown file points to, nothing keeps the link as it is.
+             * Default: the file name without extension
+             */
+            pageTitle?: (path: string) => string | { title: string; spaceKey?: string } | null | undefined;
+            /** File name of the attachment a relative link or image points to. Default: the file name of the path */
+            attachmentName?: (path: string) => string;
+        }
+
+        /** Convert Markdown with the GitHub extensions to storage format. */
+        function fromMarkdown(markdown: string, options?: MarkdownOptions): string;
+
+        interface PageTarget {
+            title: string;
+            /** Only when the link names the space. */
+            spaceKey?: string;
+        }
+
+        interface ToMarkdownOptions {
+            /** Path of the file of a page a link points to, nothing keeps the text only. Default: the title with .md */
+            pagePath?: (page: PageTarget) => string | null | undefined;
+            /** Path of an attachment of the page. Default: the file name */
+            attachmentPath?: (filename: string) => string;
+        }
+
+        interface MarkdownExport {
+            markdown: string;
+            /** File names of the attachments of the page the body refers to. */
+            attachments: string[];
+            /** Pages the body links to. */
+            pages: PageTarget[];
+        }
+
+        /** Convert storage format to Markdown with the GitHub extensions. */
+        function toMarkdown(body: string | Root, options?: ToMarkdownOptions): MarkdownExport;
+    }
+
+    // ------------------------------------------------------------------
+    // Recorder
+    // ------------------------------------------------------------------
+
+    interface RecordedRequest {
+        method: string;
+        path: string;
+        query: { [name: string]: string | string[] };
+        headers: { [name: string]: string };
+        body?: any;
+        form?: { [name: string]: RecordedFormValue | RecordedFormValue[] };
+    }
+
+    type RecordedFormValue = string | {
+        filename?: string;
+        contentType?: string;
+        data: string | null;
+    };
+
+    interface RecordedResponse {
+        status: number;
+        statusMessage?: string;
+        headers: { [name: string]: string | string[] };
+        encoding: "json" | "utf8" | "base64";
+        body: any;
+    }
+
+    interface Interaction {
+        request: RecordedRequest;
+        response: RecordedResponse;
+    }
+
+    interface RecorderOptions {
+        cassette: string;
+        mode?: "record" | "replay" | "auto";
+        match?: (request: RecordedRequest, recorded: RecordedRequest) => boolean;
+        scrub?: (interaction: Interaction) => Interaction;
+    }
+
+    /** A multipart/form-data body. */
+    class Multipart {
+        constructor(form: MultipartForm);
+        static isReplayable(form: MultipartForm): boolean;
+        static reopen(form: MultipartForm): MultipartForm;
+        static isPath(field: any): boolean;
+        boundary: string;
+        contentType(): string;
+        /** Size of the body, null when a stream without knownLength is part of the form. */
+        length(cb: (err: Error | null, length?: number | null) => void): void;
+        stream(): Readable;
+    }
+
+    /** Record and replay of the HTTP interactions of a client. */
+    class Recorder {
+        constructor(options: RecorderOptions);
+        static MODES: string[];
+        cassette: string;
+        /** auto is resolved to record or replay. */
+        mode: "record" | "replay";
+        interactions: Interaction[];
+        load(): void;
+        save(): void;
+        dispatch(client: ConfluenceAPI, req: BuiltRequest, done: TransportCallback): void;
+        replay(request: RecordedRequest, done: TransportCallback): void;
+        /** Recorded interactions that were not replayed yet. */
+        pending(): Interaction[];
+    }
+
+    // ------------------------------------------------------------------
+    // Payloads
+    // ------------------------------------------------------------------
+
+    interface Links {
+        base?: string;
+        context?: string;
+        self?: string;
+        next?: string;
+        prev?: string;
+        webui?: string;
+        tinyui?: string;
+        edit?: string;
+        download?: string;
+        [name: string]: string | undefined;
+    }
+
+    interface Expandable {
+        _expandable?: { [name: string]: string };
+        _links?: Links;
+    }
+
+    /** One page of a list endpoint. */
+    interface PageResult<T> {
+        results: T[];
+        start: number;
+        limit: number;
+        size: number;
+        totalSize?: number;
+        _links: Links;
+    }
+
+    /** What a call answered with an empty body resolves to, e.g. a 204. */
+    interface EmptyResponse {
+        code: number;
+        message: string;
+    }
+
+    /** Query parameters shared by the list endpoints. */
+    interface ListParams {
+        start?: number;
+        limit?: number;
+    }
+
+    /** A multi-value parameter, sent comma separated. */
+    type Expand = string | string[];
+
+    interface ExpandParams {
+        expand?: Expand;
+    }
+
+    type ContentType = "page" | "blogpost" | "comment" | "attachment" | string;
+
+    type ContentStatus = "current" | "trashed" | "historical" | "draft" | "any" | string;
+
+    type Representation =
+        | "storage"
+        | "view"
+        | "export_view"
+        | "styled_view"
+        | "editor"
+        | "editor2"
+        | "anonymous_export_view"
+        | "wiki"
+        | "atlas_doc_format"
+        | "plain";
+
+    interface Icon {
+        path: string;
+        width: number;
+        height: number;
+        isDefault: boolean;
+    }
+
+    interface User extends Expandable {
+        type: "known" | "unknown" | "anonymous" | "user";
+        username?: string;
+        userKey?: string;
+        accountId?: string;
+        accountType?: string;
+        email?: string;
+        publicName?: string;
+        displayName?: string;
+        profilePicture?: Icon;
+        operations?: OperationCheckResult[];
+        details?: {
+            business?: { position?: string; department?: string; location?: string };
+            personal?: { phone?: string; im?: string; website?: string; email?: string };
+        };
+    }
+
+    interface OperationCheckResult {
+        operation: string;
+        targetType: string;
+    }
+
+    interface Group extends Expandable {
+        type: "group";
+        name: string;
+        id?: string;
+    }
+
+    interface Label {
+        prefix: "global" | "my" | "team" | string;
+        name: string;
+        id?: string;
+        label?: string;
+    }
+
+    interface Version extends Expandable {
+        by?: User;
+        when?: string;
+        friendlyWhen?: string;
+        message?: string;
+        number: number;
+        minorEdit?: boolean;
+        content?: Content;
+        collaborators?: { users?: User[]; userKeys?: string[] };
+    }
+
+    interface ContentHistory extends Expandable {
+        latest: boolean;
+        createdBy?: User;
+        createdDate?: string;
+        lastUpdated?: Version;
+        previousVersion?: Version;
+        nextVersion?: Version;
+        contributors?: { publishers?: { users?: User[]; userKeys?: string[] } };
+    }
+
+    interface ContentBody extends Expandable {
+        value: string;
+        representation: Representation;
+        embeddedContent?: any[];
+        webresource?: any;
+    }
+
+    type ContentBodies = { [R in Representation]?: ContentBody };
+
+    /** A body in one representation, as sent to Confluence. */
+    interface ContentBodyCreate {
+        value: string;
+        representation: Representation;
+    }
+
+    type ContentBodiesCreate = { [R in Representation]?: ContentBodyCreate };
+
+    interface ContentChildren extends Expandable {
+        page?: PageResult<Content>;
+        comment?: PageResult<Content>;
+        attachment?: PageResult<Content>;
+    }
+
+    interface ContentMetadata {
+        labels?: PageResult<Label> | Label[];
+        mediaType?: string;
+        comment?: string;
+        properties?: { [key: string]: ContentProperty };
+        currentuser?: any;
+        frontend?: any;
+        [name: string]: any;
+    }
+
+    /** A page, blog post, comment or attachment. */
+    interface Content extends Expandable {
+        id: string;
+        type: ContentType;
+        status: ContentStatus;
+        title: string;
+        space?: Space;
+        history?: ContentHistory;
+        version?: Version;
+        ancestors?: Content[];
+        operations?: OperationCheckResult[];
+        children?: ContentChildren;
+        childTypes?: { [type: string]: { value: boolean } };
+        descendants?: ContentChildren;
+        container?: Content | Space;
+        body?: ContentBodies;
+        restrictions?: ContentRestrictions;
+        metadata?: ContentMetadata;
+        extensions?: { [name: string]: any };
+    }
+
+    interface ContentProperty extends Expandable {
+        id: string;
+        key: string;
+        value: any;
+        version?: PropertyVersion;
+        content?: Content;
+    }
+
+    interface PropertyVersion {
+        when?: string;
+        message?: string;
+        number: number;
+        minorEdit?: boolean;
+    }
+
+    interface RestrictionSubjects {
+        user?: PageResult<User> | User[];
+        group?: PageResult<Group> | Group[];
+    }
+
+    interface ContentRestriction extends Expandable {
+        operation: "read" | "update" | "administer" | string;
+        restrictions: RestrictionSubjects;
+        content?: Content;
+    }
+
+    interface ContentRestrictions {
+        read?: ContentRestriction;
+        update?: ContentRestriction;
+        _links?: Links;
+    }
+
+    /** A restriction as sent to Confluence. */
+    interface RestrictionRequest {
+        operation: "read" | "update";
+        restrictions: {
+            user?: Array<{ type: "known"; username?: string; userKey?: string; accountId?: string }>;
+            group?: Array<{ type: "group"; name: string }>;
+        };
+    }
+
+    interface Watch {
+        type: string;
+        watcher: User;
+        contentId?: number;
+        spaceKey?: string;
+    }
+
+    interface WatchStatus {
+        watching: boolean;
+    }
+
+    interface MacroInstance {
+        name: string;
+        body: string;
+        parameters: { [name: string]: string };
+        _links?: Links;
+    }
+
+    /** Long tasks started by an endpoint, e.g. deleteSpace or copyPageHierarchy. */
+    interface LongTaskSubmission {
+        id: string;
+        links?: { status: string };
+        _links?: Links;
+    }
+
+    interface SpaceDescription {
+        plain?: { value: string; representation: "plain" };
+        view?: { value: string; representation: "view" };
+    }
+
+    interface Space extends Expandable {
+        id: number;
+        key: string;
+        name: string;
+        icon?: Icon;
+        description?: SpaceDescription;
+        homepage?: Content;
+        type: "global" | "personal" | string;
+        status?: "current" | "archived" | string;
+        metadata?: { labels?: PageResult<Label> };
+        permissions?: SpacePermission[];
+        settings?: SpaceSettings;
+        theme?: Theme;
+        lookAndFeel?: LookAndFeel;
+        history?: { createdDate: string; createdBy?: User };
+        operations?: OperationCheckResult[];
+    }
+
+    interface SpacePermission {
+        id?: number;
+        subjects?: { user?: PageResult<User>; group?: PageResult<Group> };
+        operation: { operation: string; targetType: string };
+        anonymousAccess: boolean;
+        unlicensedAccess: boolean;
+    }
+
+    interface SpaceSettings {
+        routeOverrideEnabled: boolean;
+        _links?: Links;
+    }
+
+    interface SpaceProperty extends Expandable {
+        id?: string;
+        key: string;
+        value: any;
+        version?: PropertyVersion;
+        space?: Space;
+    }
+
+    interface SpaceContent {
+        page?: PageResult<Content>;
+        blogpost?: PageResult<Content>;
+        _links?: Links;
+    }
+
+    interface AffectedObject {
+        name: string;
+        objectType: string;
+    }
+
+    interface ChangedValue {
+        name: string;
+        oldValue: string;
+        newValue: string;
+    }
+
+    interface AuditRecord {
+        author: {
+            type: "user" | string;
+            displayName: string;
+            operations?: any;
+            username?: string;
+            userKey?: string;
+            accountId?: string;
+        };
+        remoteAddress: string;
+        creationDate: number;
+        summary: string;
+        description: string;
+        category: string;
+        sysAdmin: boolean;
+        superAdmin?: boolean;
+        affectedObject: AffectedObject;
+        changedValues: ChangedValue[];
+        associatedObjects: AffectedObject[];
+    }
+
+    interface RetentionPeriod {
+        number: number;
+        units: "NANOS" | "MICROS" | "MILLIS" | "SECONDS" | "MINUTES" | "HOURS" | "HALF_DAYS" | "DAYS" | "WEEKS" | "MONTHS" | "YEARS" | "DECADES" | "CENTURIES" | "MILLENNIA" | "ERAS" | "FOREVER";
+    }
+
+    interface LongTask {
+        id: string;
+        name: { key: string; args: any[] };
+        elapsedTime: number;
+        percentageComplete: number;
+        successful: boolean;
+        finished: boolean;
+        messages: Array<{ translation?: string; args: any[] }>;
+        _links?: Links;
+    }
+
+    interface ContentTemplate extends Expandable {
+        templateId: string;
+        name: string;
+        description?: string;
+        labels?: Label[];
+        templateType: "page" | string;
+        editorVersion?: string;
+        body?: ContentBodies;
+        space?: Space;
+        originalTemplate?: { pluginKey: string; moduleKey: string };
+        referencingBlueprint?: string;
+    }
+
+    interface LookAndFeelColor {
+        color: string;
+    }
+
+    interface LookAndFeel {
+        headings: LookAndFeelColor;
+        links: LookAndFeelColor;
+        menus: { hoverOrFocus: { backgroundColor: string }; color: string };
+        header: {
+            backgroundColor: string;
+            button: { backgroundColor: string; color: string };
+            primaryNavigation: { color: string; hoverOrFocus: { backgroundColor: string; color: string } };
+            secondaryNavigation: { color: string; hoverOrFocus: { backgroundColor: string; color: string } };
+            search: { backgroundColor: string; color: string };
+        };
+        content?: any;
+        bordersAndDividers: LookAndFeelColor;
+        spaceReference?: any;
+    }
+
+    interface LookAndFeelSettings {
+        selected: "global" | "custom";
+        global: LookAndFeel;
+        custom: LookAndFeel;
+    }
+
+    interface Theme extends Expandable {
+        themeKey: string;
+        name?: string;
+        description?: string;
+        icon?: Icon;
+    }
+
+    interface SystemInfo {
+        cloudId?: string;
+        commitHash?: string;
+        baseUrl?: string;
+        edition?: string;
+        siteTitle?: string;
+        defaultLocale?: string;
+        defaultTimeZone?: string;
+        [name: string]: any;
+    }
+
+    type RelationEntityType = "user" | "content" | "space";
+
+    interface Relation extends Expandable {
+        name: string;
+        relationData?: {
+            createdBy?: User;
+            createdDate?: string;
+            friendlyCreatedDate?: string;
+        };
+        source?: Content | User | Space;
+        target?: Content | User | Space;
+    }
+
+    interface SearchResult {
+        content?: Content;
+        user?: User;
+        space?: Space;
+        title: string;
+        excerpt: string;
+        url: string;
+        resultGlobalContainer?: { title: string; displayUrl: string };
+        entityType?: string;
+        iconCssClass?: string;
+        lastModified: string;
+        friendlyLastModified?: string;
+        score?: number;
+    }
+
+    interface SearchPageResult extends PageResult<SearchResult> {
+        totalSize: number;
+        cqlQuery: string;
+        searchDuration: number;
+    }
+
+    // ------------------------------------------------------------------
+    // Parameters and request bodies
+    // ------------------------------------------------------------------
+
+    interface GetContentParams extends ListParams, ExpandParams {
+        type?: "page" | "blogpost";
+        spaceKey?: string;
+        title?: string;
+        status?: ContentStatus;
+        postingDay?: string;
+        orderby?: string;
+        trigger?: "viewed";
+    }
+
+    interface GetContentByIdParams extends ExpandParams {
+        status?: ContentStatus;
+        version?: number;
+        embeddedContentRender?: "current" | "version-at-save";
+        trigger?: "viewed";
+    }
+
+    interface ContentCreate {
+        id?: string;
+        type: ContentType;
+        title?: string;
+        space?: { key: string };
+        status?: ContentStatus;
+        ancestors?: Array<{ id: Id }>;
+        container?: { id: Id; type: string };
+        body?: ContentBodiesCreate;
+    }
+
+    interface ContentUpdate {
+        version: { number: number; message?: string; minorEdit?: boolean };
+        title?: string;
+        type: ContentType;
+        status?: ContentStatus;
+        ancestors?: Array<{ id: Id }>;
+        body?: ContentBodiesCreate;
+    }
+
+    interface StatusParams {
+        status?: ContentStatus;
+    }
+
+    interface UpsertPage {
+        spaceKey: string;
+        title: string;
+        /** Titles of the parents separated by /, e.g. "Engineering/Runbooks". */
+        parentPath?: string;
+        /** Parent page, or first parent of parentPath. */
+        parentId?: Id;
+        body?: string;
+        /** Default: storage. markdown is converted locally with storage.fromMarkdown. */
+        representation?: Representation | "markdown";
+        /** Options of storage.fromMarkdown for a markdown body. */
+        markdown?: storage.MarkdownOptions;
+        versionMessage?: string;
+    }
+
+    interface UpsertResult {
+        action: "created" | "updated" | "unchanged";
+        page: Content;
+        /** Parents of parentPath that were missing. */
+        createdParents: Content[];
+    }
+
+    interface ExportMarkdownOptions extends storage.ToMarkdownOptions {
+        status?: ContentStatus;
+    }
+
+    interface PageMarkdown extends storage.MarkdownExport {
+        page: Content;
+    }
+
+    interface DirectorySyncOptions {
+        /** Page the files go under, the index of the directory is its body. Default: the homepage of the space */
+        parentId?: Id;
+        /** Key of the content property keeping the source of the synced pages. Default: docs-sync */
+        propertyKey?: string;
+        /** What happens to the synced pages whose file is gone. Default: archive */
+        orphans?: "archive" | "trash" | "keep";
+        /** Leave out files and folders by their path in the directory. Default: the hidden ones */
+        ignore?: (path: string) => boolean;
+        versionMessage?: string;
+    }
+
+    interface SyncDirectoryOptions extends DirectorySyncOptions {
+        /** Only plan the changes. */
+        dryRun?: boolean;
+    }
+
+    interface SyncAction {
+        type: "create" | "update" | "unchanged" | "archive" | "trash";
+        /** Path of the file in the directory, folders end with /, ./ for the page the files go under. */
+        path: string;
+        title: string;
+        /** null for the pages to create on a dry run. */
+        pageId: string | null;
+        /** Path of the folder of the parent page, null under the parentId. */
+        parentPath: string | null;
+        changes: Array<"title" | "body" | "parent">;
+        /** File names of the files the page links to, attached to it. */
+        attachments: string[];
+    }
+
+    interface SyncResult {
+        actions: SyncAction[];
+        /** The actions one per line. */
+        plan: string;
+        dryRun: boolean;
+    }
+
+    interface BackupOptions {
+        /** Keep the earlier versions of the pages and blog posts too. Default: false */
+        versions?: boolean;
+    }
+
+    /** manifest.json of a backup directory, refer to lib/SpaceBackup for the format. */
+    interface BackupManifest {
+        format: "confluence-restapi-backup";
+        version: number;
+        spaceKey: string;
+        versions: boolean;
+        startedAt: string;
+        /** null until the backup is complete. */
+        finishedAt: string | null;
+        counts: {
+            pages: number;
+            blogposts: number;
+            attachments: number;
+        };
+    }
+
+    interface BackupResult extends BackupManifest {
+        /** Number of contents an earlier, interrupted run had backed up. */
+        resumed: number;
+    }
+
+    interface RestoreOptions {
+        /** Key of the space to restore to, created when missing. Default: the key of the backed up space */
+        spaceKey?: string;
+        /** Name of the space when it is created. Default: the name of the backed up space */
+        name?: string;
+    }
+
+    interface RestoreProblem {
+        part: "space-property" | "settings" | "theme" | "content" | "attachment" | "label" | "property" | "comment" | "links" | "restriction";
+        /** ID in the backup, or the key of a space property or theme. */
+        id: string | null;
+        title: string | null;
+        message: string;
+    }
+
+    interface RestoreReport {
+        spaceKey: string;
+        createdSpace: boolean;
+        counts: {
+            pages: number;
+            blogposts: number;
+            attachments: number;
+            comments: number;
+        };
+        /** IDs of the backup to the ones of the restored content. */
+        ids: { [id: string]: string };
+        problems: RestoreProblem[];
+    }
+
+    /** A user of the target of a migration. */
+    interface MigrationUser {
+        accountId?: string;
+        userKey?: string;
+        username?: string;
+    }
+
+    interface MigratePageHierarchyOptions {
+        /** Page of the target the page goes under. Default: the homepage of spaceKey */
+        parentId?: Id;
+        /** Space of the target. Default: the key of the space of the page, mapped by spaceKeys */
+        spaceKey?: string;
+        /** Target space keys by source space key. */
+        spaceKeys?: { [sourceKey: string]: string };
+        /**
+         * Target users by source accountId, userKey or username. Needed for a Cloud target when the source
+         * users have no accountId there, e.g. from Data Center: Cloud finds users by accountId only.
+         */
+        users?: { [sourceId: string]: MigrationUser };
+        /** Path of the file keeping the progress, to resume an interrupted migration. */
+        checkpoint?: string;
+        /** Default: true */
+        attachments?: boolean;
+    }
+
+    interface MigrationProblem {
+        part: "page" | "attachment" | "label" | "property" | "user" | "links";
+        /** ID in the source. */
+        id: string | null;
+        title: string | null;
+        message: string;
+    }
+
+    interface MigrationReport {
+        parentId: string;
+        spaceKey: string;
+        /** Number of pages an earlier, interrupted run had migrated. */
+        resumed: number;
+        counts: {
+            pages: number;
+            attachments: number;
+        };
+        /** Source IDs of the pages and attachments to the target ones. */
+        ids: { [id: string]: string };
+        /** Target users by source user, null for the ones not found. */
+        users: { [sourceId: string]: MigrationUser | null };
+        problems: MigrationProblem[];
+    }
+
+    interface PageMove {
+        /** Page the position is relative to. */
+        targetId: Id;
+        /** append: last child of the target, before/after: sibling of the target. Default: append */
+        position?: "append" | "before" | "after";
+    }
+
+    interface ReorderResult {
+        /** Child pages in their new order. */
+        children: Content[];
+        /** IDs of the pages that were moved. */
+        moved: string[];
+    }
+
+    interface PageTreeOptions {
+        /** depth-first (pre-order) or breadth-first. Default: depth */
+        order?: "depth" | "breadth";
+        /** Pages deeper than this are left out, the root page is at depth 0. */
+        maxDepth?: number;
+        /** Child listings fetched at once. Default: 4 */
+        concurrency?: number;
+        /** Properties to expand on every page. */
+        expand?: string | string[];
+    }
+
+    interface PageTreeNode {
+        page: Content;
+        /** 0 for the root page. */
+        depth: number;
+        /** null for the root page. */
+        parentId: Id | null;
+        /** Pages above this one, from the top of the space down. */
+        ancestors: Array<{ id: Id; type: ContentType; title: string }>;
+        /** Index among the children of its parent, null for the root page. */
+        position: number | null;
+        /** Number of child pages, null at maxDepth where children are not listed. */
+        childCount: number | null;
+    }
+
+    interface PageTreeBranch extends PageTreeNode {
+        children: PageTreeBranch[];
+    }
+
+    /** Async iterator over a page and the pages below it. */
+    class PageTree implements AsyncIterableIterator<PageTreeNode> {
+        constructor(content: ContentResource, id: Id, options?: PageTreeOptions);
+        [Symbol.asyncIterator](): this;
+        next(): Promise<IteratorResult<PageTreeNode>>;
+        return(): Promise<IteratorResult<PageTreeNode>>;
+        all(cb: Callback<PageTreeNode[]>): void;
+        all(): Promise<PageTreeNode[]>;
+        tree(cb: Callback<PageTreeBranch>): void;
+        tree(): Promise<PageTreeBranch>;
+    }
+
+    interface UpdateContentParams extends StatusParams {
+        conflictPolicy?: "abort";
+    }
+
+    /** Changes made by the mutation of editContent, unset properties keep their current value. */
+    interface ContentEdit {
+        title?: string;
+        /** Storage format value, or bodies in any representation. */
+        body?: string | ContentBodiesCreate;
+        status?: ContentStatus;
+        ancestors?: Array<{ id: Id }>;
+        version?: { message?: string; minorEdit?: boolean };
+    }
+
+    /** Nothing is saved when the mutation returns nothing. */
+    type ContentMutation = (content: Content) => ContentEdit | null | undefined | void | Promise<ContentEdit | null | undefined | void>;
+
+    interface EditContentOptions extends StatusParams {
+        /** What to do when another editor saved a version first. Default: retry */
+        conflictPolicy?: "retry" | "abort" | "overwrite";
+        /** Default: 3 */
+        maxRetries?: number;
+        /** More properties to expand on the content handed to the mutation. */
+        expand?: string | string[];
+    }
+
+    interface ContentChildrenParams extends ExpandParams {
+        parentVersion?: number;
+    }
+
+    interface ContentChildrenByTypeParams extends ListParams, ContentChildrenParams {}
+
+    interface AttachmentsParams extends ListParams, ExpandParams {
+        filename?: string;
+        mediaType?: string;
+    }
+
+    interface AttachmentForm {
+        file: FormValue | FormValue[];
+        comment?: string;
+        minorEdit?: string;
+        [name: string]: FormValue | FormValue[] | undefined;
+    }
+
+    interface DownloadOptions {
+        /** Attachment version, the latest by default. */
+        version?: number;
+        /** Continue a partial file at path with a Range request. */
+        resume?: boolean;
+        /** First byte of the stream, without path. */
+        start?: number;
+        /** Check the size against the attachment fileSize, Default: true. */
+        verify?: boolean;
+        retry?: RetryOptions | boolean;
+    }
+
+    interface DownloadMetadata {
+        contentType: string;
+        filename: string;
+        /** Bytes handed over, null when unknown. */
+        size: number | null;
+        version: number;
+        attachment: Content;
+    }
+
+    type DownloadStream = Readable & DownloadMetadata;
+
+    interface DownloadedFile extends DownloadMetadata {
+        path: string;
+        size: number;
+        /** Size of the partial file the download continued. */
+        resumedFrom: number;
+    }
+
+    interface AttachmentUpdate {
+        id?: string;
+        type?: "attachment";
+        title?: string;
+        version: { number: number };
+        container?: { id: Id; type: string };
+        metadata?: { mediaType?: string; comment?: string };
+    }
+
+    interface CommentsParams extends ListParams, ExpandParams {
+        parentVersion?: number;
+        location?: string | string[];
+        depth?: string;
+    }
+
+    interface ContentLabelsParams extends ListParams {
+        prefix?: "global" | "my" | "team";
+    }
+
+    interface LabelCreate {
+        prefix?: "global" | "my" | "team";
+        name: string;
+    }
+
+    interface CopyPageHierarchyRequest {
+        copyAttachments?: boolean;
+        copyPermissions?: boolean;
+        copyProperties?: boolean;
+        copyLabels?: boolean;
+        originalPageId?: Id;
+        destinationPageId: Id;
+        titleOptions?: { prefix?: string; replace?: string; search?: string };
+    }
+
+    interface PropertyCreate {
+        key: string;
+        value: any;
+        description?: string;
+    }
+
+    interface PropertyValue {
+        value: any;
+        description?: string;
+    }
+
+    interface PropertyUpdate {
+        value: any;
+        description?: string;
+        version: { number: number; minorEdit?: boolean };
+    }
+
+    interface UserParams {
+        accountId?: string;
+        key?: string;
+        username?: string;
+        userName?: string;
+    }
+
+    interface RestoreVersionRequest {
+        operationKey: "restore" | "RESTORE";
+        params: { versionNumber: number; message: string; restoreTitle?: boolean };
+    }
+
+    interface DraftPublish {
+        version: { number: number };
+        title: string;
+        type: "page";
+        status?: "current";
+        space: { key: string };
+        ancestors?: Array<{ id: Id }>;
+    }
+
+    interface CqlParams extends ListParams, ExpandParams {
+        cql: string;
+        cqlcontext?: string;
+        includeArchivedSpaces?: boolean;
+        cursor?: string;
+    }
+
+    interface AuditParams extends ListParams {
+        startDate?: string;
+        endDate?: string;
+        searchString?: string;
+    }
+
+    interface AuditPeriodParams extends ListParams {
+        number?: number;
+        units?: RetentionPeriod["units"];
+        searchString?: string;
+    }
+
+    interface AuditExportParams {
+        startDate?: string;
+        endDate?: string;
+        searchString?: string;
+        format?: "csv" | "zip";
+    }
+
+    interface AuditRecordCreate {
+        author?: AuditRecord["author"];
+        remoteAddress: string;
+        creationDate?: number;
+        summary?: string;
+        description?: string;
+        category?: string;
+        sysAdmin?: boolean;
+        affectedObject?: AffectedObject;
+        changedValues?: ChangedValue[];
+        associatedObjects?: AffectedObject[];
+    }
+
+    interface RelationParams extends ListParams, ExpandParams {
+        sourceStatus?: string;
+        sourceVersion?: number;
+        targetStatus?: string;
+        targetVersion?: number;
+    }
+
+    interface SpacesParams extends ListParams, ExpandParams {
+        spaceKey?: string | string[];
+        type?: "global" | "personal";
+        status?: "current" | "archived";
+        label?: string;
+        favourite?: boolean;
+        favouriteUserKey?: string;
+    }
+
+    interface SpaceCreate {
+        key: string;
+        name: string;
+        description?: { plain: { value: string; representation: "plain" } };
+        permissions?: SpacePermission[];
+    }
+
+    interface SpaceUpdate {
+        name?: string;
+        description?: { plain: { value: string; representation: "plain" } };
+        homepage?: { id: Id };
+    }
+
+    interface SpaceContentParams extends ListParams, ExpandParams {
+        depth?: "all" | "root";
+    }
+
+    interface TemplateCreate {
+        name: string;
+        templateType: "page";
+        body: ContentBodiesCreate;
+        description?: string;
+        labels?: LabelCreate[];
+        space?: { key: string };
+    }
+
+    interface TemplateUpdate extends TemplateCreate {
+        templateId: string;
+    }
+
+    interface TemplatesParams extends ListParams, ExpandParams {
+        spaceKey?: string;
+    }
+
+    interface LookAndFeelSelection {
+        spaceKey?: string;
+        lookAndFeelType: "global" | "custom" | "theme";
+    }
+
+    // ------------------------------------------------------------------
+    // Resources
+    // ------------------------------------------------------------------
+
+    class AuditResource extends RESTFulResource {
+        /** Get audit records. */
+        getAuditRecords(params: AuditParams | undefined, cb: Callback<PageResult<AuditRecord>>): void;
+        getAuditRecords(params?: AuditParams): Promise<PageResult<AuditRecord>>;
+        iterateAuditRecords(params?: AuditParams, options?: PaginateOptions): Paginator<AuditRecord>;
+        allAuditRecords(params: AuditParams | undefined, cb: Callback<AuditRecord[]>): void;
+        allAuditRecords(params: AuditParams | undefined, options: PaginateOptions | undefined, cb: Callback<AuditRecord[]>): void;
+        allAuditRecords(params?: AuditParams, options?: PaginateOptions): Promise<AuditRecord[]>;
+        /** Create an audit record. */
+        createAuditRecord(request: AuditRecordCreate, cb: Callback<AuditRecord>): void;
+        createAuditRecord(request: AuditRecordCreate): Promise<AuditRecord>;
+        /** Export audit records, as csv or zip. */
+        exportAuditRecords(params: AuditExportParams | undefined, cb: Callback<BinaryStream>): void;
+        exportAuditRecords(params: AuditExportParams | undefined, options: BinaryOptions & { responseType: "buffer" }, cb: Callback<BinaryBuffer>): void;
+        exportAuditRecords(params: AuditExportParams | undefined, options: BinaryOptions | undefined, cb: Callback<BinaryStream>): void;
+        exportAuditRecords(params: AuditExportParams | undefined, options: BinaryOptions & { responseType: "buffer" }): Promise<BinaryBuffer>;
+        exportAuditRecords(params?: AuditExportParams, options?: BinaryOptions): Promise<BinaryStream>;
+        /** Get the retention period of the audit records. */
+        getRetentionPeriod(cb: Callback<RetentionPeriod>): void;
+        getRetentionPeriod(): Promise<RetentionPeriod>;
+        /** Set the retention period of the audit records. */
+        setRetentionPeriod(request: RetentionPeriod, cb: Callback<RetentionPeriod>): void;
+        setRetentionPeriod(request: RetentionPeriod): Promise<RetentionPeriod>;
+        /** Get the audit records of a time period before now. */
+        getAuditRecordsForPeriod(params: AuditPeriodParams | undefined, cb: Callback<PageResult<AuditRecord>>): void;
+        getAuditRecordsForPeriod(params?: AuditPeriodParams): Promise<PageResult<AuditRecord>>;
+    }
+
+    class ContentResource extends RESTFulResource {
+        /** Get content, returns all content in a Confluence instance. */
+        getContent(params: GetContentParams | undefined, cb: Callback<PageResult<Content>>): void;
+        getContent(params?: GetContentParams): Promise<PageResult<Content>>;
+        iterateContent(params?: GetContentParams, options?: PaginateOptions): Paginator<Content>;
+        allContent(params: GetContentParams | undefined, cb: Callback<Content[]>): void;
+        allContent(params: GetContentParams | undefined, options: PaginateOptions | undefined, cb: Callback<Content[]>): void;
+        allContent(params?: GetContentParams, options?: PaginateOptions): Promise<Content[]>;
+        /** Create content, or publish an existing draft. */
+        createContent(params: StatusParams | undefined, request: ContentCreate, cb: Callback<Content>): void;
+        createContent(params: StatusParams | undefined, request: ContentCreate): Promise<Content>;
+        /** Get content by ID. */
+        getContentById(id: Id, params: GetContentByIdParams | undefined, cb: Callback<Content>): void;
+        getContentById(id: Id, params?: GetContentByIdParams): Promise<Content>;
+        /** Update content, the version must be the current one incremented by one. */
+        updateContent(id: Id, params: UpdateContentParams | undefined, request: ContentUpdate, cb: Callback<Content>): void;
+        updateContent(id: Id, params: UpdateContentParams | undefined, request: ContentUpdate): Promise<Content>;
+        /** Update the latest version of content with a mutation, refer to editContent. */
+        updateContent(id: Id, options: EditContentOptions | undefined, mutate: ContentMutation, cb: Callback<Content>): void;
+        updateContent(id: Id, options: EditContentOptions | undefined, mutate: ContentMutation): Promise<Content>;
+        /** Apply a mutation to the latest version of content and save it as the next version, recovering from version conflicts. */
+        editContent(id: Id, mutate: ContentMutation, options: EditContentOptions | undefined, cb: Callback<Content>): void;
+        editContent(id: Id, mutate: ContentMutation, cb: Callback<Content>): void;
+        editContent(id: Id, mutate: ContentMutation, options?: EditContentOptions): Promise<Content>;
+        /** Create a page, or update it when its body changed, found by title under its parent. */
+        upsertPage(page: UpsertPage, cb: Callback<UpsertResult>): void;
+        upsertPage(page: UpsertPage): Promise<UpsertResult>;
+        /** Move pages out of the page tree into the archive of their space, in a long task. */
+        archivePages(pages: Array<{ id: Id }>, cb: Callback<LongTaskSubmission>): void;
+        archivePages(pages: Array<{ id: Id }>): Promise<LongTaskSubmission>;
+        /** Get a page with its storage body converted to Markdown. */
+        exportMarkdown(id: Id, options: ExportMarkdownOptions | undefined, cb: Callback<PageMarkdown>): void;
+        exportMarkdown(id: Id, cb: Callback<PageMarkdown>): void;
+        exportMarkdown(id: Id, options?: ExportMarkdownOptions): Promise<PageMarkdown>;
+        /** Move a page, with the pages below it, under a new parent or next to a sibling, in any space. */
+        movePage(id: Id, move: PageMove, cb: Callback<{ pageId: string }>): void;
+        movePage(id: Id, move: PageMove): Promise<{ pageId: string }>;
+        /** Reorder the child pages of a page, moving only the pages out of place. Default: by title */
+        reorderChildren(parentId: Id, comparator: ((a: Content, b: Content) => number) | undefined, options: ExpandParams | undefined, cb: Callback<ReorderResult>): void;
+        reorderChildren(parentId: Id, comparator: ((a: Content, b: Content) => number) | undefined, cb: Callback<ReorderResult>): void;
+        reorderChildren(parentId: Id, comparator?: (a: Content, b: Content) => number, options?: ExpandParams): Promise<ReorderResult>;
+        /** Move content to the trash, or purge it from the trash. */
+        deleteContent(id: Id, params: StatusParams | undefined, cb: Callback<EmptyResponse>): void;
+        deleteContent(id: Id, params?: StatusParams): Promise<EmptyResponse>;
+
+        /** Get the children of content, by type. */
+        getContentChildren(id: Id, params: ContentChildrenParams | undefined, cb: Callback<ContentChildren>): void;
+        getContentChildren(id: Id, params?: ContentChildrenParams): Promise<ContentChildren>;
+        getContentChildrenByType(id: Id, type: ContentType, params: ContentChildrenByTypeParams | undefined, cb: Callback<PageResult<Content>>): void;
+        getContentChildrenByType(id: Id, type: ContentType, params?: ContentChildrenByTypeParams): Promise<PageResult<Content>>;
+        iterateContentChildren(id: Id, type: ContentType, params?: ContentChildrenByTypeParams, options?: PaginateOptions): Paginator<Content>;
+        allContentChildren(id: Id, type: ContentType, params: ContentChildrenByTypeParams | undefined, cb: Callback<Content[]>): void;
+        allContentChildren(id: Id, type: ContentType, params: ContentChildrenByTypeParams | undefined, options: PaginateOptions | undefined, cb: Callback<Content[]>): void;
+        allContentChildren(id: Id, type: ContentType, params?: ContentChildrenByTypeParams, options?: PaginateOptions): Promise<Content[]>;
+        /** Iterate over a page and the pages below it, depth-first or breadth-first. */
+        iteratePageTree(id: Id, options?: PageTreeOptions): PageTree;
+        /** Get a page and the pages below it as a nested tree. */
+        getPageTree(id: Id, options: PageTreeOptions | undefined, cb: Callback<PageTreeBranch>): void;
+        getPageTree(id: Id, cb: Callback<PageTreeBranch>): void;
+        getPageTree(id: Id, options?: PageTreeOptions): Promise<PageTreeBranch>;
+
+        /** Get the attachments of content. */
+        getAttachments(id: Id, params: AttachmentsParams | undefined, cb: Callback<PageResult<Content>>): void;
+        getAttachments(id: Id, params?: AttachmentsParams): Promise<PageResult<Content>>;
+        iterateAttachments(id: Id, params?: AttachmentsParams, options?: PaginateOptions): Paginator<Content>;
+        allAttachments(id: Id, params: AttachmentsParams | undefined, cb: Callback<Content[]>): void;
+        allAttachments(id: Id, params: AttachmentsParams | undefined, options: PaginateOptions | undefined, cb: Callback<Content[]>): void;
+        allAttachments(id: Id, params?: AttachmentsParams, options?: PaginateOptions): Promise<Content[]>;
+        /** Add an attachment to content. */
+        createAttachment(id: Id, params: StatusParams | undefined, form: AttachmentForm, cb: Callback<PageResult<Content>>): void;
+        createAttachment(id: Id, params: StatusParams | undefined, form: AttachmentForm): Promise<PageResult<Content>>;
+        /** Add an attachment to content, or a new version of it when it exists. */
+        createOrUpdateAttachment(id: Id, params: StatusParams | undefined, form: AttachmentForm, cb: Callback<PageResult<Content>>): void;
+        createOrUpdateAttachment(id: Id, params: StatusParams | undefined, form: AttachmentForm): Promise<PageResult<Content>>;
+        /** Update the non-binary data of an attachment. */
+        updateAttachProperties(id: Id, attachmentId: Id, request: AttachmentUpdate, cb: Callback<Content>): void;
+        updateAttachProperties(id: Id, attachmentId: Id, request: AttachmentUpdate): Promise<Content>;
+        /** Update the binary data of an attachment. */
+        updateAttachmentData(id: Id, attachmentId: Id, form: AttachmentForm, cb: Callback<Content>): void;
+        updateAttachmentData(id: Id, attachmentId: Id, form: AttachmentForm): Promise<Content>;
+        /** Download the file of an attachment, as a stream or written to options.path. */
+        downloadAttachment(id: Id, attachmentId: Id, cb: Callback<DownloadStream>): void;
+        downloadAttachment(id: Id, attachmentId: Id, options: DownloadOptions & { path: string }, cb: Callback<DownloadedFile>): void;
+        downloadAttachment(id: Id, attachmentId: Id, options: DownloadOptions | undefined, cb: Callback<DownloadStream>): void;
+        downloadAttachment(id: Id, attachmentId: Id, options: DownloadOptions & { path: string }): Promise<DownloadedFile>;
+        downloadAttachment(id: Id, attachmentId: Id, options?: DownloadOptions): Promise<DownloadStream>;
+
+        /** Get the comments of content. */
+        getContentComments(id: Id, params: CommentsParams | undefined, cb: Callback<PageResult<Content>>): void;
+        getContentComments(id: Id, params?: CommentsParams): Promise<PageResult<Content>>;
+        iterateContentComments(id: Id, params?: CommentsParams, options?: PaginateOptions): Paginator<Content>;
+        allContentComments(id: Id, params: CommentsParams | undefined, cb: Callback<Content[]>): void;
+        allContentComments(id: Id, params: CommentsParams | undefined, options: PaginateOptions | undefined, cb: Callback<Content[]>): void;
+        allContentComments(id: Id, params?: CommentsParams, options?: PaginateOptions): Promise<Content[]>;
+
+        /** Get the descendants of content, by type. */
+        getContentDescendants(id: Id, params: ExpandParams | undefined, cb: Callback<ContentChildren>): void;
+        getContentDescendants(id: Id, params?: ExpandParams): Promise<ContentChildren>;
+        getContentDescendantsByType(id: Id, type: ContentType, params: ListParams & ExpandParams | undefined, cb: Callback<PageResult<Content>>): void;
+        getContentDescendantsByType(id: Id, type: ContentType, params?: ListParams & ExpandParams): Promise<PageResult<Content>>;
+        iterateContentDescendants(id: Id, type: ContentType, params?: ListParams & ExpandParams, options?: PaginateOptions): Paginator<Content>;
+        allContentDescendants(id: Id, type: ContentType, params: ListParams & ExpandParams | undefined, cb: Callback<Content[]>): void;
+        allContentDescendants(id: Id, type: ContentType, params: ListParams & ExpandParams | undefined, options: PaginateOptions | undefined, cb: Callback<Content[]>): void;
+        allContentDescendants(id: Id, type: ContentType, params?: ListParams & ExpandParams, options?: PaginateOptions): Promise<Content[]>;
+
+        /** Get the most recent update of content. */
+        getContentHistory(id: Id, params: ExpandParams | undefined, cb: Callback<ContentHistory>): void;
+        getContentHistory(id: Id, params?: ExpandParams): Promise<ContentHistory>;
+        /** Get the body of a macro in storage format. */
+        getMacroBodyById(id: Id, version: number, macroId: string, cb: Callback<MacroInstance>): void;
+        getMacroBodyById(id: Id, version: number, macroId: string): Promise<MacroInstance>;
+
+        /** Get the labels of content. */
+        getContentLabels(id: Id, params: ContentLabelsParams | undefined, cb: Callback<PageResult<Label>>): void;
+        getContentLabels(id: Id, params?: ContentLabelsParams): Promise<PageResult<Label>>;
+        iterateContentLabels(id: Id, params?: ContentLabelsParams, options?: PaginateOptions): Paginator<Label>;
+        allContentLabels(id: Id, params: ContentLabelsParams | undefined, cb: Callback<Label[]>): void;
+        allContentLabels(id: Id, params: ContentLabelsParams | undefined, options: PaginateOptions | undefined, cb: Callback<Label[]>): void;
+        allContentLabels(id: Id, params?: ContentLabelsParams, options?: PaginateOptions): Promise<Label[]>;
+        /** Add labels to content. */
+        addLabelToContent(id: Id, request: LabelCreate | LabelCreate[], cb: Callback<PageResult<Label>>): void;
+        addLabelToContent(id: Id, request: LabelCreate | LabelCreate[]): Promise<PageResult<Label>>;
+        /** Remove a label from content, the label is a query parameter. */
+        removeLabelFromContentWithParam(id: Id, params: { name: string }, cb: Callback<EmptyResponse>): void;
+        removeLabelFromContentWithParam(id: Id, params: { name: string }): Promise<EmptyResponse>;
+        /** Remove a label from content. */
+        removeLabelFromContent(id: Id, label: string, cb: Callback<EmptyResponse>): void;
+        removeLabelFromContent(id: Id, label: string): Promise<EmptyResponse>;
+
+        /** Get the watches of a page. */
+        getWatchesForPage(id: Id, params: ListParams | undefined, cb: Callback<PageResult<Watch>>): void;
+        getWatchesForPage(id: Id, params?: ListParams): Promise<PageResult<Watch>>;
+        /** Get the watches of the space of content. */
+        getWatchesForSpace(id: Id, params: ListParams | undefined, cb: Callback<PageResult<Watch>>): void;
+        getWatchesForSpace(id: Id, params?: ListParams): Promise<PageResult<Watch>>;
+        /** Copy a page with its descendants. */
+        copyPageHierarchy(id: Id, request: CopyPageHierarchyRequest, cb: Callback<LongTaskSubmission>): void;
+        copyPageHierarchy(id: Id, request: CopyPageHierarchyRequest): Promise<LongTaskSubmission>;
+        migratePageHierarchy(id: Id, target: ConfluenceAPI, options: MigratePageHierarchyOptions | undefined, cb: Callback<MigrationReport>): void;
+        migratePageHierarchy(id: Id, target: ConfluenceAPI, cb: Callback<MigrationReport>): void;
+        migratePageHierarchy(id: Id, target: ConfluenceAPI, options?: MigratePageHierarchyOptions): Promise<MigrationReport>;
+
+        /** Get the properties of content. */
+        getContentProperties(id: Id, params: ListParams & ExpandParams | undefined, cb: Callback<PageResult<ContentProperty>>): void;
+        getContentProperties(id: Id, params?: ListParams & ExpandParams): Promise<PageResult<ContentProperty>>;
+        iterateContentProperties(id: Id, params?: ListParams & ExpandParams, options?: PaginateOptions): Paginator<ContentProperty>;
+        allContentProperties(id: Id, params: ListParams & ExpandParams | undefined, cb: Callback<ContentProperty[]>): void;
+        allContentProperties(id: Id, params: ListParams & ExpandParams | undefined, options: PaginateOptions | undefined, cb: Callback<ContentProperty[]>): void;
+        allContentProperties(id: Id, params?: ListParams & ExpandParams, options?: PaginateOptions): Promise<ContentProperty[]>;
+        /** Create a content property. */
+        createContentProperty(id: Id, request: PropertyCreate, cb: Callback<ContentProperty>): void;
+        createContentProperty(id: Id, request: PropertyCreate): Promise<ContentProperty>;
+        /** Get a content property. */
+        getContentProperty(id: Id, key: string, params: ExpandParams | undefined, cb: Callback<ContentProperty>): void;
+        getContentProperty(id: Id, key: string, params?: ExpandParams): Promise<ContentProperty>;
+        /** Create a content property for a key. */
+        createContentPropertyForKey(id: Id, key: string, request: PropertyValue, cb: Callback<ContentProperty>): void;
+        createContentPropertyForKey(id: Id, key: string, request: PropertyValue): Promise<ContentProperty>;
+        /** Update a content property, created when the key does not exist. */
+        updateContentProperty(id: Id, key: string, request: PropertyUpdate, cb: Callback<ContentProperty>): void;
+        updateContentProperty(id: Id, key: string, request: PropertyUpdate): Promise<ContentProperty>;
+        /** Delete a content property. */
+        deleteContentProperty(id: Id, key: string, cb: Callback<EmptyResponse>): void;
+        deleteContentProperty(id: Id, key: string): Promise<EmptyResponse>;
+
+        /** Get the restrictions of content. */
+        getRestrictions(id: Id, params: ListParams & ExpandParams | undefined, cb: Callback<ContentRestriction[]>): void;
+        getRestrictions(id: Id, params?: ListParams & ExpandParams): Promise<ContentRestriction[]>;
+        /** Add restrictions to content. */
+        addRestriction(id: Id, request: RestrictionRequest[], cb: Callback<PageResult<ContentRestriction>>): void;
+        addRestriction(id: Id, request: RestrictionRequest[]): Promise<PageResult<ContentRestriction>>;
+        /** Replace the restrictions of content. */
+        updateRestriction(id: Id, params: ExpandParams | undefined, request: RestrictionRequest[], cb: Callback<PageResult<ContentRestriction>>): void;
+        updateRestriction(id: Id, params: ExpandParams | undefined, request: RestrictionRequest[]): Promise<PageResult<ContentRestriction>>;
+        /** Remove every restriction of content. */
+        deleteRestriction(id: Id, params: ExpandParams | undefined, cb: Callback<PageResult<ContentRestriction>>): void;
+        deleteRestriction(id: Id, params?: ExpandParams): Promise<PageResult<ContentRestriction>>;
+        /** Get the restrictions of content by operation. */
+        getRestrictionsByOperation(id: Id, params: ExpandParams | undefined, cb: Callback<ContentRestrictions>): void;
+        getRestrictionsByOperation(id: Id, params?: ExpandParams): Promise<ContentRestrictions>;
+        /** Get the restrictions of content for an operation. */
+        getRestrictionsForOperation(id: Id, operationKey: "read" | "update", params: ListParams & ExpandParams | undefined, cb: Callback<ContentRestriction>): void;
+        getRestrictionsForOperation(id: Id, operationKey: "read" | "update", params?: ListParams & ExpandParams): Promise<ContentRestriction>;
+        /** Whether a restriction applies to a group, resolves when it does. */
+        getRestrictionsStatusForGroup(id: Id, operationKey: "read" | "update", groupName: string, cb: Callback<EmptyResponse>): void;
+        getRestrictionsStatusForGroup(id: Id, operationKey: "read" | "update", groupName: string): Promise<EmptyResponse>;
+        addGroupToRestriction(id: Id, operationKey: "read" | "update", groupName: string, cb: Callback<EmptyResponse>): void;
+        addGroupToRestriction(id: Id, operationKey: "read" | "update", groupName: string): Promise<EmptyResponse>;
+        removeGroupFromRestriction(id: Id, operationKey: "read" | "update", groupName: string, cb: Callback<EmptyResponse>): void;
+        removeGroupFromRestriction(id: Id, operationKey: "read" | "update", groupName: string): Promise<EmptyResponse>;
+        /** Whether a restriction applies to a user, resolves when it does. */
+        getRestrictionsStatusForUser(id: Id, operationKey: "read" | "update", params: UserParams, cb: Callback<EmptyResponse>): void;
+        getRestrictionsStatusForUser(id: Id, operationKey: "read" | "update", params: UserParams): Promise<EmptyResponse>;
+        addUserToRestriction(id: Id, operationKey: "read" | "update", params: UserParams, cb: Callback<EmptyResponse>): void;
+        addUserToRestriction(id: Id, operationKey: "read" | "update", params: UserParams): Promise<EmptyResponse>;
+        removeUserFromRestriction(id: Id, operationKey: "read" | "update", params: UserParams, cb: Callback<EmptyResponse>): void;
+        removeUserFromRestriction(id: Id, operationKey: "read" | "update", params: UserParams): Promise<EmptyResponse>;
+
+        /** Get the versions of content. */
+        getContentVersions(id: Id, params: ListParams & ExpandParams | undefined, cb: Callback<PageResult<Version>>): void;
+        getContentVersions(id: Id, params?: ListParams & ExpandParams): Promise<PageResult<Version>>;
+        iterateContentVersions(id: Id, params?: ListParams & ExpandParams, options?: PaginateOptions): Paginator<Version>;
+        allContentVersions(id: Id, params: ListParams & ExpandParams | undefined, cb: Callback<Version[]>): void;
+        allContentVersions(id: Id, params: ListParams & ExpandParams | undefined, options: PaginateOptions | undefined, cb: Callback<Version[]>): void;
+        allContentVersions(id: Id, params?: ListParams & ExpandParams, options?: PaginateOptions): Promise<Version[]>;
+        /** Restore a historical version as the latest one. */
+        restoreContentVersion(id: Id, params: ExpandParams | undefined, request: RestoreVersionRequest, cb: Callback<Version>): void;
+        restoreContentVersion(id: Id, params: ExpandParams | undefined, request: RestoreVersionRequest): Promise<Version>;
+        /** Get a version of content. */
+        getContentVersion(id: Id, versionNumber: number, params: ExpandParams | undefined, cb: Callback<Version>): void;
+        getContentVersion(id: Id, versionNumber: number, params?: ExpandParams): Promise<Version>;
+        /** Delete a historical version of content. */
+        deleteContentVersion(id: Id, versionNumber: number, cb: Callback<EmptyResponse>): void;
+        deleteContentVersion(id: Id, versionNumber: number): Promise<EmptyResponse>;
+
+        /** Publish a legacy draft of a blueprint page. */
+        publishLegacyDraft(draftId: Id, params: StatusParams & ExpandParams | undefined, request: DraftPublish, cb: Callback<Content>): void;
+        publishLegacyDraft(draftId: Id, params: StatusParams & ExpandParams | undefined, request: DraftPublish): Promise<Content>;
+        /** Publish a shared draft of a blueprint page. */
+        publishSharedDraft(draftId: Id, params: StatusParams & ExpandParams | undefined, request: DraftPublish, cb: Callback<Content>): void;
+        publishSharedDraft(draftId: Id, params: StatusParams & ExpandParams | undefined, request: DraftPublish): Promise<Content>;
+
+        /** Search content with CQL. */
+        searchContentByCQL(params: CqlParams, cb: Callback<PageResult<Content>>): void;
+        searchContentByCQL(params: CqlParams): Promise<PageResult<Content>>;
+        iterateContentByCQL(params: CqlParams, options?: PaginateOptions): Paginator<Content>;
+        allContentByCQL(params: CqlParams, cb: Callback<Content[]>): void;
+        allContentByCQL(params: CqlParams, options: PaginateOptions | undefined, cb: Callback<Content[]>): void;
+        allContentByCQL(params: CqlParams, options?: PaginateOptions): Promise<Content[]>;
+    }
+
+    class ContentbodyResource extends RESTFulResource {
+        /** Convert a body to another representation. */
+        convertTo(to: Representation, body: ContentBodyCreate, cb: Callback<ContentBody>): void;
+        convertTo(to: Representation, body: ContentBodyCreate): Promise<ContentBody>;
+    }
+
+    class GroupResource extends RESTFulResource {
+        /** Get the groups. */
+        getGroups(params: ListParams & ExpandParams | undefined, cb: Callback<PageResult<Group>>): void;
+        getGroups(params?: ListParams & ExpandParams): Promise<PageResult<Group>>;
+        iterateGroups(params?: ListParams & ExpandParams, options?: PaginateOptions): Paginator<Group>;
+        allGroups(params: ListParams & ExpandParams | undefined, cb: Callback<Group[]>): void;
+        allGroups(params: ListParams & ExpandParams | undefined, options: PaginateOptions | undefined, cb: Callback<Group[]>): void;
+        allGroups(params?: ListParams & ExpandParams, options?: PaginateOptions): Promise<Group[]>;
+        /** Get a group. */
+        getGroup(groupName: string, cb: Callback<Group>): void;
+        getGroup(groupName: string): Promise<Group>;
+        /** Get the members of a group. */
+        getGroupMembers(groupName: string, params: ListParams & ExpandParams | undefined, cb: Callback<PageResult<User>>): void;
+        getGroupMembers(groupName: string, params?: ListParams & ExpandParams): Promise<PageResult<User>>;
+        iterateGroupMembers(groupName: string, params?: ListParams & ExpandParams, options?: PaginateOptions): Paginator<User>;
+        allGroupMembers(groupName: string, params: ListParams & ExpandParams | undefined, cb: Callback<User[]>): void;
+        allGroupMembers(groupName: string, params: ListParams & ExpandParams | undefined, options: PaginateOptions | undefined, cb: Callback<User[]>): void;
+        allGroupMembers(groupName: string, params?: ListParams & ExpandParams, options?: PaginateOptions): Promise<User[]>;
+    }
+
+    class LongTaskResource extends RESTFulResource {
+        /** Get the long running tasks. */
+        getLongRuningTasks(params: ListParams | undefined, cb: Callback<PageResult<LongTask>>): void;
+        getLongRuningTasks(params?: ListParams): Promise<PageResult<LongTask>>;
+        /** Get a long running task. */
+        getLongRuningTask(taskId: Id, cb: Callback<LongTask>): void;
+        getLongRuningTask(taskId: Id): Promise<LongTask>;
+    }
+
+    class RelationResource extends RESTFulResource {
+        /** Find the targets related to a source. */
+        findRelatedEntitiesS2T(relationName: string, sourceKey: string, sourceType: RelationEntityType, targetType: RelationEntityType, params: RelationParams | undefined, cb: Callback<PageResult<Relation>>): void;
+        findRelatedEntitiesS2T(relationName: string, sourceKey: string, sourceType: RelationEntityType, targetType: RelationEntityType, params?: RelationParams): Promise<PageResult<Relation>>;
+        /** Find the sources related to a target. */
+        findRelatedEntitiesT2S(relationName: string, targetType: RelationEntityType, targetKey: string, sourceType: RelationEntityType, params: RelationParams | undefined, cb: Callback<PageResult<Relation>>): void;
+        findRelatedEntitiesT2S(relationName: string, targetType: RelationEntityType, targetKey: string, sourceType: RelationEntityType, params?: RelationParams): Promise<PageResult<Relation>>;
+        /** Find whether a relationship exists between two entities. */
+        findRelationship(relationName: string, sourceKey: string, sourceType: RelationEntityType, targetType: RelationEntityType, targetKey: string, params: RelationParams | undefined, cb: Callback<Relation>): void;
+        findRelationship(relationName: string, sourceKey: string, sourceType: RelationEntityType, targetType: RelationEntityType, targetKey: string, params?: RelationParams): Promise<Relation>;
+        /** Create a relationship between two entities. */
+        createRelationship(relationName: string, sourceKey: string, sourceType: RelationEntityType, targetType: RelationEntityType, targetKey: string, params: RelationParams | undefined, cb: Callback<Relation>): void;
+        createRelationship(relationName: string, sourceKey: string, sourceType: RelationEntityType, targetType: RelationEntityType, targetKey: string, params?: RelationParams): Promise<Relation>;
+        /** Delete a relationship between two entities. */
+        deleteRelationship(relationName: string, sourceKey: string, sourceType: RelationEntityType, targetType: RelationEntityType, targetKey: string, params: RelationParams | undefined, cb: Callback<EmptyResponse>): void;
+        deleteRelationship(relationName: string, sourceKey: string, sourceType: RelationEntityType, targetType: RelationEntityType, targetKey: string, params?: RelationParams): Promise<EmptyResponse>;
+    }
+
+    class SearchResource extends RESTFulResource {
+        /** Search content, users and spaces with CQL. */
+        search(params: CqlParams, cb: Callback<SearchPageResult>): void;
+        search(params: CqlParams): Promise<SearchPageResult>;
+        iterateSearch(params: CqlParams, options?: PaginateOptions): Paginator<SearchResult>;
+        allSearch(params: CqlParams, cb: Callback<SearchResult[]>): void;
+        allSearch(params: CqlParams, options: PaginateOptions | undefined, cb: Callback<SearchResult[]>): void;
+        allSearch(params: CqlParams, options?: PaginateOptions): Promise<SearchResult[]>;
+        /** Search content whose title starts with a keyword. */
+        quickSearch(keyword: string, cb: Callback<SearchPageResult>): void;
+        quickSearch(keyword: string): Promise<SearchPageResult>;
+    }
+
+    class SettingsResource extends RESTFulResource {
+        /** Get the look and feel settings, of a space or global. */
+        getLookAndFeelSettings(spaceKey: string | undefined, cb: Callback<LookAndFeelSettings>): void;
+        getLookAndFeelSettings(spaceKey?: string): Promise<LookAndFeelSettings>;
+        /** Update the custom look and feel. */
+        updateLookAndFeelSettings(spaceKey: string | undefined, request: LookAndFeel, cb: Callback<LookAndFeel>): void;
+        updateLookAndFeelSettings(spaceKey: string | undefined, request: LookAndFeel): Promise<LookAndFeel>;
+        /** Reset the custom look and feel to the default. */
+        resetLookAndFeelSettings(spaceKey: string | undefined, cb: Callback<EmptyResponse>): void;
+        resetLookAndFeelSettings(spaceKey?: string): Promise<EmptyResponse>;
+        /** Select the look and feel. */
+        setLookAndFeelSettings(spaceKey: string | undefined, request: LookAndFeelSelection, cb: Callback<LookAndFeelSelection>): void;
+        setLookAndFeelSettings(spaceKey: string | undefined, request: LookAndFeelSelection): Promise<LookAndFeelSelection>;
+        /** Get the system information. */
+        getSystemInfo(cb: Callback<SystemInfo>): void;
+        getSystemInfo(): Promise<SystemInfo>;
+        /** Get the themes. */
+        getThemes(params: ListParams | undefined, cb: Callback<PageResult<Theme>>): void;
+        getThemes(params?: ListParams): Promise<PageResult<Theme>>;
+        /** Get a theme. */
+        getTheme(themeKey: string, cb: Callback<Theme>): void;
+        getTheme(themeKey: string): Promise<Theme>;
+        /** Get the global theme. */
+        getGlobalTheme(cb: Callback<Theme>): void;
+        getGlobalTheme(): Promise<Theme>;
+    }
+
+    class SpaceResource extends RESTFulResource {
+        /** Get the spaces. */
+        getSpaces(params: SpacesParams | undefined, cb: Callback<PageResult<Space>>): void;
+        getSpaces(params?: SpacesParams): Promise<PageResult<Space>>;
+        iterateSpaces(params?: SpacesParams, options?: PaginateOptions): Paginator<Space>;
+        allSpaces(params: SpacesParams | undefined, cb: Callback<Space[]>): void;
+        allSpaces(params: SpacesParams | undefined, options: PaginateOptions | undefined, cb: Callback<Space[]>): void;
+        allSpaces(params?: SpacesParams, options?: PaginateOptions): Promise<Space[]>;
+        /** Create a space. */
+        createSpace(request: SpaceCreate, cb: Callback<Space>): void;
+        createSpace(request: SpaceCreate): Promise<Space>;
+        /** Create a space only the current user can see. */
+        createPrivateSpace(request: SpaceCreate, cb: Callback<Space>): void;
+        createPrivateSpace(request: SpaceCreate): Promise<Space>;
+        /** Get a space. */
+        getSpace(spaceKey: string, params: ExpandParams | undefined, cb: Callback<Space>): void;
+        getSpace(spaceKey: string, params?: ExpandParams): Promise<Space>;
+        /** Update a space. */
+        updateSpace(spaceKey: string, request: SpaceUpdate, cb: Callback<Space>): void;
+        updateSpace(spaceKey: string, request: SpaceUpdate): Promise<Space>;
+        /** Delete a space, done in a long task. */
+        deleteSpace(spaceKey: string, cb: Callback<LongTaskSubmission>): void;
+        deleteSpace(spaceKey: string): Promise<LongTaskSubmission>;
+        /** Get the content of a space. */
+        getContentForSpace(spaceKey: string, params: SpaceContentParams | undefined, cb: Callback<SpaceContent>): void;
+        getContentForSpace(spaceKey: string, params?: SpaceContentParams): Promise<SpaceContent>;
+        getContentForSpaceByType(spaceKey: string, type: "page" | "blogpost", params: SpaceContentParams | undefined, cb: Callback<PageResult<Content>>): void;
+        getContentForSpaceByType(spaceKey: string, type: "page" | "blogpost", params?: SpaceContentParams): Promise<PageResult<Content>>;
+        iterateContentForSpaceByType(spaceKey: string, type: "page" | "blogpost", params?: SpaceContentParams, options?: PaginateOptions): Paginator<Content>;
+        allContentForSpaceByType(spaceKey: string, type: "page" | "blogpost", params: SpaceContentParams | undefined, cb: Callback<Content[]>): void;
+        allContentForSpaceByType(spaceKey: string, type: "page" | "blogpost", params: SpaceContentParams | undefined, options: PaginateOptions | undefined, cb: Callback<Content[]>): void;
+        allContentForSpaceByType(spaceKey: string, type: "page" | "blogpost", params?: SpaceContentParams, options?: PaginateOptions): Promise<Content[]>;
+        /** Get the properties of a space. */
+        getSpaceProperties(spaceKey: string, params: ListParams & ExpandParams | undefined, cb: Callback<PageResult<SpaceProperty>>): void;
+        getSpaceProperties(spaceKey: string, params?: ListParams & ExpandParams): Promise<PageResult<SpaceProperty>>;
+        iterateSpaceProperties(spaceKey: string, params?: ListParams & ExpandParams, options?: PaginateOptions): Paginator<SpaceProperty>;
+        allSpaceProperties(spaceKey: string, params: ListParams & ExpandParams | undefined, cb: Callback<SpaceProperty[]>): void;
+        allSpaceProperties(spaceKey: string, params: ListParams & ExpandParams | undefined, options: PaginateOptions | undefined, cb: Callback<SpaceProperty[]>): void;
+        allSpaceProperties(spaceKey: string, params?: ListParams & ExpandParams, options?: PaginateOptions): Promise<SpaceProperty[]>;
+        /** Create a space property. */
+        createSpaceProperty(spaceKey: string, request: PropertyCreate, cb: Callback<SpaceProperty>): void;
+        createSpaceProperty(spaceKey: string, request: PropertyCreate): Promise<SpaceProperty>;
+        /** Get a space property. */
+        getSpaceProperty(spaceKey: string, key: string, params: ExpandParams | undefined, cb: Callback<SpaceProperty>): void;
+        getSpaceProperty(spaceKey: string, key: string, params?: ExpandParams): Promise<SpaceProperty>;
+        /** Create a space property for a key. */
+        createSpacePropertyForKey(spaceKey: string, key: string, request: PropertyValue, cb: Callback<SpaceProperty>): void;
+        createSpacePropertyForKey(spaceKey: string, key: string, request: PropertyValue): Promise<SpaceProperty>;
+        /** Update a space property. */
+        updateSpaceProperty(spaceKey: string, key: string, request: PropertyUpdate, cb: Callback<SpaceProperty>): void;
+        updateSpaceProperty(spaceKey: string, key: string, request: PropertyUpdate): Promise<SpaceProperty>;
+        /** Delete a space property. */
+        deleteSpaceProperty(spaceKey: string, key: string, cb: Callback<EmptyResponse>): void;
+        deleteSpaceProperty(spaceKey: string, key: string): Promise<EmptyResponse>;
+        /** Get the settings of a space. */
+        getSpaceSettings(spaceKey: string, cb: Callback<SpaceSettings>): void;
+        getSpaceSettings(spaceKey: string): Promise<SpaceSettings>;
+        /** Update the settings of a space. */
+        updateSpaceSettings(spaceKey: string, request: { routeOverrideEnabled?: boolean }, cb: Callback<SpaceSettings>): void;
+        updateSpaceSettings(spaceKey: string, request: { routeOverrideEnabled?: boolean }): Promise<SpaceSettings>;
+        /** Get the theme of a space. */
+        getSpaceTheme(spaceKey: string, cb: Callback<Theme>): void;
+        getSpaceTheme(spaceKey: string): Promise<Theme>;
+        /** Set the theme of a space. */
+        setSpaceTheme(spaceKey: string, request: { themeKey: string }, cb: Callback<Theme>): void;
+        setSpaceTheme(spaceKey: string, request: { themeKey: string }): Promise<Theme>;
+        /** Reset the theme of a space to the global one. */
+        resetSpaceTheme(spaceKey: string, cb: Callback<EmptyResponse>): void;
+        resetSpaceTheme(spaceKey: string): Promise<EmptyResponse>;
+        /** Publish a folder tree of Markdown files as the pages under a page, only changing what changed. */
+        syncDirectory(spaceKey: string, dir: string, options: SyncDirectoryOptions | undefined, cb: Callback<SyncResult>): void;
+        syncDirectory(spaceKey: string, dir: string, cb: Callback<SyncResult>): void;
+        syncDirectory(spaceKey: string, dir: string, options?: SyncDirectoryOptions): Promise<SyncResult>;
+        backup(spaceKey: string, dir: string, options: BackupOptions | undefined, cb: Callback<BackupResult>): void;
+        backup(spaceKey: string, dir: string, cb: Callback<BackupResult>): void;
+        backup(spaceKey: string, dir: string, options?: BackupOptions): Promise<BackupResult>;
+        restore(dir: string, options: RestoreOptions | undefined, cb: Callback<RestoreReport>): void;
+        restore(dir: string, cb: Callback<RestoreReport>): void;
+        restore(dir: string, options?: RestoreOptions): Promise<RestoreReport>;
+    }
+
+    class TemplateResource extends RESTFulResource {
+        /** Create a content template. */
+        createContentTemplate(request: TemplateCreate, cb: Callback<ContentTemplate>): void;
+        createContentTemplate(request: TemplateCreate): Promise<ContentTemplate>;
+        /** Update a content template. */
+        updateContentTemplate(request: TemplateUpdate, cb: Callback<ContentTemplate>): void;
+        updateContentTemplate(request: TemplateUpdate): Promise<ContentTemplate>;
+        /** Get a content template. */
+        getContentTemplate(contentTemplateId: string, cb: Callback<ContentTemplate>): void;
+        getContentTemplate(contentTemplateId: string): Promise<ContentTemplate>;
+        /** @deprecated use getContentTemplates(params) */
+        getContentTemplate(params: TemplatesParams | undefined, cb: Callback<PageResult<ContentTemplate>>): void;
+        /** @deprecated use getContentTemplates(params) */
+        getContentTemplate(params?: TemplatesParams): Promise<PageResult<ContentTemplate>>;
+        /** Delete a content template. */
+        deleteContentTemplate(contentTemplateId: string, cb: Callback<EmptyResponse>): void;
+        deleteContentTemplate(contentTemplateId: string): Promise<EmptyResponse>;
+        /** Get the blueprint templates, of a space or global. */
+        getBlueprintTemplate(params: TemplatesParams | undefined, cb: Callback<PageResult<ContentTemplate>>): void;
+        getBlueprintTemplate(params?: TemplatesParams): Promise<PageResult<ContentTemplate>>;
+        /** Get the content templates, of a space or global. */
+        getContentTemplates(params: TemplatesParams | undefined, cb: Callback<PageResult<ContentTemplate>>): void;
+        getContentTemplates(params?: TemplatesParams): Promise<PageResult<ContentTemplate>>;
+    }
+
+    class UserResource extends RESTFulResource {
+        /** Get a user. */
+        getUser(params: UserParams & ExpandParams, cb: Callback<User>): void;
+        getUser(params: UserParams & ExpandParams): Promise<User>;
+        /** Get the user representing anonymous users. */
+        getAnonymousUser(params: ExpandParams | undefined, cb: Callback<User>): void;
+        getAnonymousUser(params?: ExpandParams): Promise<User>;
+        /** Get the current user. */
+        getCurrentUser(params: ExpandParams | undefined, cb: Callback<User>): void;
+        getCurrentUser(params?: ExpandParams): Promise<User>;
+        /** Get the groups of a user. */
+        getMemberships(params: UserParams & ListParams, cb: Callback<PageResult<Group>>): void;
+        getMemberships(params: UserParams & ListParams): Promise<PageResult<Group>>;
+        /** Whether a user watches content, the current user by default. */
+        getContentWatchStatus(contentId: Id, params: UserParams | undefined, cb: Callback<WatchStatus>): void;
+        getContentWatchStatus(contentId: Id, params?: UserParams): Promise<WatchStatus>;
+        addContentWatcher(contentId: Id, params: UserParams | undefined, cb: Callback<EmptyResponse>): void;
+        addContentWatcher(contentId: Id, params?: UserParams): Promise<EmptyResponse>;
+        removeContentWatcher(contentId: Id, params: UserParams | undefined, cb: Callback<EmptyResponse>): void;
+        removeContentWatcher(contentId: Id, params?: UserParams): Promise<EmptyResponse>;
+        /** Whether a user watches a label, the current user by default. */
+        getLabelWatchStatus(labelName: string, params: UserParams | undefined, cb: Callback<WatchStatus>): void;
+        getLabelWatchStatus(labelName: string, params?: UserParams): Promise<WatchStatus>;
+        addLabelWatcher(labelName: string, params: UserParams | undefined, cb: Callback<EmptyResponse>): void;
+        addLabelWatcher(labelName: string, params?: UserParams): Promise<EmptyResponse>;
+        removeLabelWatcher(labelName: string, params: UserParams | undefined, cb: Callback<EmptyResponse>): void;
+        removeLabelWatcher(labelName: string, params?: UserParams): Promise<EmptyResponse>;
+        /** Whether a user watches a space, the current user by default. */
+        getSpaceWatchStatus(spaceKey: string, params: UserParams | undefined, cb: Callback<WatchStatus>): void;
+        getSpaceWatchStatus(spaceKey: string, params?: UserParams): Promise<WatchStatus>;
+        addSpaceWatcher(spaceKey: string, params: UserParams | undefined, cb: Callback<EmptyResponse>): void;
+        addSpaceWatcher(spaceKey: string, params?: UserParams): Promise<EmptyResponse>;
+        removeSpaceWatcher(spaceKey: string, params: UserParams | undefined, cb: Callback<EmptyResponse>): void;
+        removeSpaceWatcher(spaceKey: string, params?: UserParams): Promise<EmptyResponse>;
+    }
+}
+
+export = ConfluenceAPI;
@@ -0,0 +1,218 @@
+/**!
+ * ConfluenceAPI - lib/AttachmentDownload.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var fs = require('fs');
+var stream = require('stream');
+var urlParser = require('url');
+var HttpMethod = require('./Httpmethod');
+
+/**
+ * Download of the file of an attachment version. The file comes from its download link, outside of
+ * the REST API, through the client request pipeline: auth, middlewares, limiter, retries and recorder apply.
+ * @param {Object} client ConfluenceAPI
+ * @param {Object} attachment attachment content, as returned by GET /content/{id}
+ * @param {Object} options refer to Content#downloadAttachment
+ */
+function AttachmentDownload(client, attachment, options){
+    options = options || {};
+    var fileSize = attachment.extensions && attachment.extensions.fileSize;
+    this.client = client;
+    this.attachment = attachment;
+    this.url = downloadUrl(client, attachment);
+    this.expectedSize = options.verify === false || typeof fileSize !== 'number' ? null : fileSize;
+    this.retry = options.retry;
+}
+
+/**
+ * Hand the file over as a readable stream, from the start byte on.
+ * The stream fails with the code ESIZEMISMATCH when it does not carry the size of the attachment.
+ * @param {integer} start first byte, sent as a Range request
+ * @param {function} cb function(err, stream)
+ */
+AttachmentDownload.prototype.stream = function(start, cb){
+    var download = this;
+    start = start || 0;
+    download.fetch(start, function(err, data){
+        if (err) {
+            return cb(err);
+        }
+        // a server ignoring the Range sends the whole file
+        var skip = data.statusCode === 206 ? 0 : start;
+        var expected = download.expectedSize === null ? null : download.expectedSize - start;
+        var output = checkSize(data, skip, expected, download.attachment.title);
+        cb(null, download.describe(output, data));
+    });
+};
+
+/**
+ * Write the file to a path. A partial file left by an earlier download is continued with a Range
+ * request when resume is set, and a transfer cut in the middle is continued the same way, as long
+ * as the retry policy of the client allows another attempt.
+ * @param {string} path
+ * @param {boolean} resume
+ * @param {function} cb function(err, result), result {path, size, resumedFrom, contentType, filename, version}
+ */
+AttachmentDownload.prototype.writeTo = function(path, resume, cb){
+    var download = this;
+    var policy = download.client.retryPolicy.forCall(download.retry);
+    var attempt = 0;
+    var resumedFrom = null;
+
+    (function transfer(){
+        attempt++;
+        var existing = resume ? fileSize(path) : 0;
+        if (download.expectedSize !== null && existing > download.expectedSize) {
+            // not a prefix of this file
+            existing = 0;
+        }
+        if (resumedFrom === null) {
+            resumedFrom = existing;
+        }
+
+        download.fetch(existing, function(err, data){
+            if (err && err.status === 416 && existing > 0 && existing === download.expectedSize) {
+                // nothing left to get
+                return download.finish(path, resumedFrom, null, cb);
+            }
+            if (err) {
+                return cb(err);
+            }
+            var append = existing > 0 && data.statusCode === 206;
+            stream.pipeline(data, fs.createWriteStream(path, { flags: append ? "a" : "w" }), function(err){
+                if (err) {
+                    if (policy.shouldRetry({ method: HttpMethod.GET }, attempt, err)) {
+                        resume = true;
+                        return setTimeout(transfer, policy.delay(attempt));
+                    }
+                    return cb(err);
+                }
+                download.finish(path, resumedFrom, data, cb);
+            });
+        });
+    })();
+};
+
+/**
+ * Request the file, from the start byte on.
+ * @param {integer} start
+ * @param {function} cb function(err, stream), refer to ConfluenceAPI#request with responseType stream
+ */
+AttachmentDownload.prototype.fetch = function(start, cb){
+    var headers = { "Accept": "*/*" };
+    if (start > 0) {
+        headers["Range"] = "bytes=" + start + "-";
+    }
+    this.client.request({
+        method: HttpMethod.GET,
+        url: this.url,
+        headers: headers,
+        retry: this.retry,
+        responseType: "stream"
+    }, cb);
+};
+
+/**
+ * Check the size of a written file and describe it.
+ */
+AttachmentDownload.prototype.finish = function(path, resumedFrom, data, cb){
+    var size = fileSize(path);
+    if (this.expectedSize !== null && size !== this.expectedSize) {
+        return cb(sizeError(this.attachment.title, this.expectedSize, size));
+    }
+    cb(null, this.describe({ path: path, size: size, resumedFrom: resumedFrom }, data));
+};
+
+/**
+ * Copy the metadata of the attachment and of the response on a result.
+ * @param {Object} target
+ * @param {Object} data response stream, decorated by BinaryResponse, null when no response was read
+ */
+AttachmentDownload.prototype.describe = function(target, data){
+    var attachment = this.attachment;
+    var extensions = attachment.extensions || {};
+    target.contentType = data ? data.contentType : extensions.mediaType;
+    target.filename = (data && data.filename) || attachment.title;
+    target.version = attachment.version && attachment.version.number;
+    target.attachment = attachment;
+    if (target.size === undefined) {
+        target.size = data ? data.size : null;
+    }
+    return target;
+};
+
+/**
+ * Absolute url of the download link, relative to the wiki root.
+ */
+function downloadUrl(client, attachment){
+    var links = attachment._links || {};
+    if (!links.download) {
+        throw new Error("Attachment " + attachment.id + " has no download link.");
+    }
+    var base = links.base || client.baseUrl.replace(/\/rest\/api\/?$/, "");
+    return urlParser.resolve(base + "/", links.download.replace(/^\//, ""));
+}
+
+/**
+ * Pass a stream through, dropping its first bytes and failing when it does not end at the expected size.
+ * The source only flows once the output is read, so the size error can not fire before the caller listens.
+ */
+function checkSize(source, skip, expected, title){
+    var seen = 0;
+    var output = new stream.Readable({
+        read: function(){
+            source.resume();
+        }
+    });
+    source.on('data', function(chunk){
+        if (skip > 0) {
+            var dropped = Math.min(skip, chunk.length);
+            chunk = chunk.slice(dropped);
+            skip -= dropped;
+        }
+        seen += chunk.length;
+        if (chunk.length > 0 && !output.push(chunk)) {
+            source.pause();
+        }
+    });
+    source.on('end', function(){
+        if (expected !== null && seen !== expected) {
+            return output.destroy(sizeError(title, expected, seen));
+        }
+        output.push(null);
+    });
+    source.on('error', function(err){
+        output.destroy(err);
+    });
+    source.pause();
+    return output;
+}
+
+function fileSize(path){
+    try {
+        return fs.statSync(path).size;
+    } catch (e) {
+        return 0;
+    }
+}
+
+function sizeError(title, expected, actual){
+    var err = new Error("Download of " + title + " got " + actual + " bytes, expected " + expected + ".");
+    err.code = "ESIZEMISMATCH";
+    err.expected = expected;
+    err.actual = actual;
+    return err;
+}
+
+module.exports = AttachmentDownload;
@@ -0,0 +1,126 @@
+/**!
+ * ConfluenceAPI - lib/BinaryResponse.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var stream = require('stream');
+var Transport = require('./Transport');
+
+/**
+ * Response types a request descriptor can ask for instead of parsed JSON.
+ *  - stream: a readable stream of the body
+ *  - buffer: the whole body in a Buffer
+ */
+var RESPONSE_TYPES = ["stream", "buffer"];
+
+/**
+ * Metadata of a binary response, copied on the stream or Buffer handed to the caller:
+ *  - {string} contentType, media type without its parameters, e.g. application/zip
+ *  - {string} filename, from Content-Disposition, null when the server sent none
+ *  - {integer} size, Content-Length, null when unknown, e.g. for chunked responses
+ *  - {integer} statusCode
+ *  - {Object} headers
+ * @param {Object} res response
+ * @return {Object}
+ */
+function metadata(res){
+    var headers = (res && res.headers) || {};
+    var length = parseInt(headers["content-length"], 10);
+    return {
+        contentType: (headers["content-type"] || "application/octet-stream").split(";")[0].trim(),
+        filename: parseFilename(headers["content-disposition"]),
+        size: isNaN(length) ? null : length,
+        statusCode: res && res.statusCode,
+        headers: headers
+    };
+}
+
+/**
+ * Copy the metadata of a response on a stream or a Buffer.
+ * @param {Object} target
+ * @param {Object} res
+ * @return {Object} target
+ */
+function decorate(target, res){
+    var meta = metadata(res);
+    Object.keys(meta).forEach(function(key){
+        target[key] = meta[key];
+    });
+    return target;
+}
+
+/**
+ * Filename of a Content-Disposition header, filename* (RFC 5987) wins over filename.
+ * @param {string} disposition
+ * @return {string} null when there is none
+ */
+function parseFilename(disposition){
+    if (!disposition) {
+        return null;
+    }
+    var extended = /filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i.exec(disposition);
+    if (extended) {
+        try {
+            return decodeURIComponent(extended[2].trim());
+        } catch (e) {
+            // fall back to the plain filename
+        }
+    }
+    var plain = /filename\s*=\s*("((?:[^"\\]|\\.)*)"|[^;]+)/i.exec(disposition);
+    if (!plain) {
+        return null;
+    }
+    return plain[2] !== undefined ? plain[2].replace(/\\(.)/g, "$1") : plain[1].trim();
+}
+
+/**
+ * Hand a body over in the form asked for.
+ * @param {string} responseType stream or buffer
+ * @param {*} data response stream, or a Buffer, e.g. replayed by the recorder
+ * @param {Object} res response
+ * @param {function} cb function(err, result)
+ */
+function convert(responseType, data, res, cb){
+    var readable = data && typeof data.pipe === 'function';
+    if (responseType === "buffer") {
+        if (!readable) {
+            return cb(null, decorate(toBuffer(data), res));
+        }
+        return Transport.read(data, function(err, buffer){
+            cb(err, err ? undefined : decorate(buffer, res));
+        });
+    }
+
+    if (!readable) {
+        var passThrough = new stream.PassThrough();
+        passThrough.end(toBuffer(data));
+        data = passThrough;
+    }
+    cb(null, decorate(data, res));
+}
+
+function toBuffer(data){
+    if (Buffer.isBuffer(data)) {
+        return data;
+    }
+    if (data === undefined || data === null) {
+        return Buffer.alloc(0);
+    }
+    return Buffer.from(typeof data === 'string' ? data : JSON.stringify(data));
+}
+
+exports.RESPONSE_TYPES = RESPONSE_TYPES;
+exports.metadata = metadata;
+exports.decorate = decorate;
+exports.parseFilename = parseFilename;
+exports.convert = convert;
@@ -15,7 +15,18 @@
  */
 const RESTFulClient = require('node-rest-client').Client;
 const util = require('util'); 
+const stream = require('stream');
 const resources = require('./resources');
+const HttpMethod = require('./Httpmethod');
+const ConfluenceError = require('./ConfluenceError');
+const RetryPolicy = require('./RetryPolicy');
+const RateLimiter = require('./RateLimiter');
+const auth = require('./auth');
+const Recorder = require('./Recorder');
+const Transport = require('./Transport');
+const BinaryResponse = require('./BinaryResponse');
+const Multipart = require('./Multipart');
+const storage = require('./storage');
 
 /**
  * Create a Confluence API client.
@@ -27,6 +38,12 @@ const resources = require('./resources');
  *    user: "admin", // basic http auth username if required 
  *    //optional
  *    password: "123", // basic http auth password if required 
+ *    //optional: authentication provider used instead of user/password, either an object with
+ *    //an authorize(req, cb) method or the config of a built-in provider, refer to lib/auth
+ *    auth: { type: "basic", email: "admin@example.com", apiToken: "..." },
+ *    //    { type: "bearer", token: "personal access token" },
+ *    //    { type: "oauth2", clientId: "...", clientSecret: "...", refreshToken: "...", onRefresh: function(tokens){} },
+ *    //    { type: "jwt", issuer: "app key", sharedSecret: "..." },
  * 
  *    //optional: proxy configuration 
  *    proxy: {
@@ -54,11 +71,35 @@ const resources = require('./resources');
  *        timeout: 1000, //request timeout in milliseconds 
  *        noDelay: true, //Enable/disable the Nagle algorithm 
  *        keepAlive: true, //Enable/disable keep-alive functionalityidle socket. 
- *        keepAliveDelay: 1000 //and optionally set the initial delay before the first keepalive probe is sent 
+ *        keepAliveDelay: 1000, //and optionally set the initial delay before the first keepalive probe is sent 
+ *        followRedirects: true, //follow 3xx answers, e.g. the downloads of Confluence Cloud
+ *        maxRedirects: 5 //redirects followed before giving up
  *    },
  *    //optional
  *    responseConfig: {
  *        timeout: 1000 //response timeout 
+ *    },
+ *    //optional: retry policy for 429 and transient 5xx/network failures, false disables it
+ *    retry: {
+ *        maxAttempts: 3, // attempts including the first one
+ *        baseDelay: 500, // delay before the first retry in milliseconds, doubled each time
+ *        maxDelay: 30000, // upper bound of the backoff, a Retry-After header always wins
+ *        factor: 2,
+ *        jitter: true,
+ *        methods: ["GET", "PUT", "DELETE", "HEAD", "OPTIONS"], // idempotent methods only by default
+ *        statusCodes: [429, 502, 503, 504]
+ *    },
+ *    //optional: client side limits, reads (GET) and writes are queued in separate buckets
+ *    rateLimit: {
+ *        concurrency: 10, // max requests in flight per bucket
+ *        requestsPerSecond: 20, // max requests started per second per bucket
+ *        write: { concurrency: 2, requestsPerSecond: 5 }, // overrides for the write bucket, same for read
+ *        adaptive: true // hold the queues on Retry-After or when X-RateLimit-Remaining reaches 0
+ *    },
+ *    //optional: record the HTTP interactions to a fixture file, or answer from it, refer to lib/Recorder
+ *    recorder: {
+ *        mode: "replay", // record, replay or auto
+ *        cassette: "test/fixtures/content.json"
  *    }
 * }
  */
@@ -74,8 +115,8 @@ function ConfluenceAPI(options){
 
     if (!options) {
         throw new Error("ConfluenceAPI module expects a config object.");
-    }else if (!options.user || ! options.password) {
-        throw new Error("ConfluenceAPI module expects a config object with both a user and password.");
+    }else if (!options.auth && (!options.user || ! options.password)) {
+        throw new Error("ConfluenceAPI module expects a config object with both a user and password. Set options.auth to use another authentication.");
     }else if (!options.baseUrl) {
         throw new Error("ConfluenceAPI module expects a config object with a baseUrl.");
     }
@@ -90,6 +131,15 @@ function ConfluenceAPI(options){
     RESTFulClient.call(this, options);
     this.addResources(resources);
     this.baseUrl = options.baseUrl;
+    this.retryPolicy = new RetryPolicy(options.retry);
+    this.limiter = new RateLimiter(options.rateLimit);
+    this.transport = new Transport(options);
+    this.auth = auth.create(options, this.transport);
+    this.middlewares = [];
+    this.callOptions = {};
+    if (options.recorder) {
+        this.recorder = options.recorder instanceof Recorder ? options.recorder : new Recorder(options.recorder);
+    }
 }
 
 util.inherits(ConfluenceAPI, RESTFulClient);
@@ -111,13 +161,340 @@ ConfluenceAPI.prototype.addResources = function (resources) {
 };
 
 /**
- * Process callback.
+ * Return a view of this client whose calls use different per-call options, e.g.
+ * `confluenceAPI.withOptions({retry: true}).content.createContent(...)`.
+ * The view shares connection settings and state with this client.
+ * @param {Object} options
+ *  - {Object|boolean} retry, refer to RetryPolicy#forCall
+ *  - {function} onUploadProgress, function({method, url, loaded, total}) called as multipart bodies are sent,
+ *    total is null when a stream of unknown size is uploaded
+ */
+ConfluenceAPI.prototype.withOptions = function(options){
+    var scoped = Object.create(this);
+    scoped.callOptions = {};
+    [this.callOptions, options || {}].forEach(function(source){
+        Object.keys(source).forEach(function(key){
+            scoped.callOptions[key] = source[key];
+        });
+    });
+    scoped.addResources(resources);
+    return scoped;
+};
+
+/**
+ * Send a request to Confluence. Every call is built and sent on its own, nothing is registered
+ * on the shared client, so concurrent calls never interfere with each other.
+ * @param {Object} descriptor
+ *  - {string} method, HTTP method, one of HttpMethod
+ *  - {string} path, api path relative to baseUrl, placeholders like ${id} are replaced from pathParams
+ *  - {string} url, absolute url sent as is instead of baseUrl and path, e.g. the download link of an attachment
+ *  - {object} pathParams, values of the path placeholders, they are URI encoded
+ *  - {object} params, query parameters, undefined values are dropped and arrays are comma joined
+ *  - {object} data, JSON request body
+ *  - {object} form, multipart form body, used by the attachment methods
+ *  - {object} headers, extra request headers, merged over the JSON defaults
+ *  - {Object|boolean} retry, per-call retry override, refer to RetryPolicy#forCall
+ *  - {string} responseType, stream or buffer to get the body as is instead of parsed, e.g. for exports.
+ *    The result carries the contentType, filename and size of the response, refer to lib/BinaryResponse
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+ConfluenceAPI.prototype.request = function(descriptor, cb){
+    var client = this;
+    if (typeof cb !== 'function') {
+        return new Promise(function(resolve, reject){
+            client.request(descriptor, function(err, data){
+                if (err) {
+                    return reject(err);
+                }
+                resolve(data);
+            });
+        });
+    }
+
+    var req;
+    try {
+        req = client.buildRequest(descriptor);
+    } catch (err) {
+        return client.processCallback(cb, err);
+    }
+
+    var retry = descriptor.retry !== undefined ? descriptor.retry : client.callOptions.retry;
+    var policy = client.retryPolicy.forCall(retry);
+    var attempt = 0;
+    var sent = false;
+    var reauthorized = false;
+
+    (function send(){
+        attempt++;
+        if (sent && req.form) {
+            req.form = Multipart.reopen(req.form);
+        }
+        sent = true;
+        client.limiter.schedule(req, function(release){
+            client.auth.authorize(req, function(err){
+                if (err) {
+                    release();
+                    return client.processCallback(cb, err);
+                }
+                client.handle(req, function(err, data, res){
+                    // a streamed body holds its connection until it is read, so it holds its slot as well
+                    if (req.responseType && data && typeof data.pipe === 'function') {
+                        stream.finished(data, function(){
+                            release(res);
+                        });
+                    } else {
+                        release(res);
+                    }
+                    var replayable = !req.form || Multipart.isReplayable(req.form);
+                    // let the provider renew its credentials once, e.g. an expired OAuth access token
+                    if (res && res.statusCode === 401 && !reauthorized && replayable && typeof client.auth.invalidate === 'function') {
+                        reauthorized = true;
+                        if (client.auth.invalidate() !== false) {
+                            attempt--;
+                            return send();
+                        }
+                    }
+                    if (replayable && policy.shouldRetry(req, attempt, err, res)) {
+                        var delay = policy.delay(attempt, res);
+                        client.emit('retry', {
+                            method: req.method,
+                            url: req.url,
+                            attempt: attempt,
+                            delay: delay,
+                            statusCode: res && res.statusCode,
+                            error: err
+                        });
+                        return setTimeout(send, delay);
+                    }
+                    client.processCallback(cb, err, data, res, req);
+                });
+            });
+        });
+    })();
+};
+
+/**
+ * Add a middleware around the transport. Middlewares run in the order they are added, for every
+ * attempt of every call, multipart uploads included, after authentication.
+ * @param {function} middleware function(req, next, done)
+ *  - {Object} req, request built by buildRequest: {method, url, params, data, form, headers}, it can be changed
+ *  - {function} next, next(function(err, data, res){...}) sends the request down the chain, the callback
+ *    gets the outcome and must hand it back with done. next() without callback passes the outcome through
+ *  - {function} done, done(err, data, res) answers the call, it may be called without next to short-circuit
+ * @return {ConfluenceAPI} this client
+ */
+ConfluenceAPI.prototype.use = function(middleware){
+    if (typeof middleware !== 'function') {
+        throw new Error("ConfluenceAPI#use expects a middleware function.");
+    }
+    this.middlewares.push(middleware);
+    return this;
+};
+
+/**
+ * Run a built request through the middlewares, then the transport, or the recorder when one is set.
+ * @param {Object} req built by buildRequest
+ * @param {function} done function(err, data, res)
+ */
+ConfluenceAPI.prototype.handle = function(req, done){
+    var client = this;
+    var middlewares = client.middlewares.slice();
+
+    (function step(index, callback){
+        var middleware = middlewares[index];
+        if (!middleware) {
+            return client.recorder ? client.recorder.dispatch(client, req, callback) : client.dispatch(req, callback);
+        }
+
+        var finished = false;
+        var finish = function(err, data, res){
+            if (!finished) {
+                finished = true;
+                callback(err, data, res);
+            }
+        };
+        try {
+            middleware(req, function(cb){
+                step(index + 1, typeof cb === 'function' ? cb : finish);
+            }, finish);
+        } catch (err) {
+            finish(err);
+        }
+    })(0, done);
+};
+
+/**
+ * Queue depth and requests in flight of the client side limiter.
+ * @return {Object} {read: {queued, active, pausedUntil}, write: {queued, active, pausedUntil}}
+ */
+ConfluenceAPI.prototype.queueStats = function(){
+    return this.limiter.stats();
+};
+
+/**
+ * Build the request sent over the wire from a resource descriptor.
+ * @param {Object} descriptor refer to request
+ * @return {Object} request {method, url, params, data, form, headers, responseType}
+ */
+ConfluenceAPI.prototype.buildRequest = function(descriptor){
+    if (descriptor.responseType && BinaryResponse.RESPONSE_TYPES.indexOf(descriptor.responseType) < 0) {
+        throw new Error("ConfluenceAPI does not support the responseType " + descriptor.responseType + ".");
+    }
+    var pathParams = descriptor.pathParams || {};
+    var path = descriptor.url ? "" : descriptor.path.replace(/\$\{(\w+)\}/g, function(placeholder, name){
+        if (pathParams[name] === undefined || pathParams[name] === null) {
+            throw new Error("ConfluenceAPI request to " + descriptor.path + " expects a value for " + name + ".");
+        }
+        return encodeURIComponent(pathParams[name]);
+    });
+
+    var params = {};
+    var source = descriptor.params || {};
+    Object.keys(source).forEach(function(key){
+        if (source[key] === undefined) {
+            return;
+        }
+        // multi-value parameters like expand are comma separated
+        params[key] = Array.isArray(source[key]) ? source[key].join(",") : source[key];
+    });
+
+    var headers = { "Accept": "application/json" };
+    if (descriptor.data !== undefined) {
+        headers["Content-Type"] = "application/json";
+    }
+    var extra = descriptor.headers || {};
+    Object.keys(extra).forEach(function(name){
+        headers[name] = extra[name];
+    });
+
+    return {
+        method: descriptor.method || HttpMethod.GET,
+        url: descriptor.url || this.baseUrl + path,
+        params: params,
+        data: descriptor.data,
+        form: descriptor.form,
+        headers: headers,
+        responseType: descriptor.responseType
+    };
+};
+
+/**
+ * Send a built request, multipart forms and binary responses go through the transport,
+ * everything else through node-rest-client. Both follow the redirects as requestConfig says.
+ * @param {Object} req built by buildRequest
+ * @param {function} done function(err, data, res), data is the response stream for a successful binary response
+ */
+ConfluenceAPI.prototype.dispatch = function(req, done){
+    if (req.responseType) {
+        var body = req.data === undefined ? undefined : JSON.stringify(req.data);
+        return this.transport.send(req, body, function(err, res){
+            if (err) {
+                return done(err);
+            }
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+                return done(null, res, res);
+            }
+            // failures come with a JSON body, read it for the error
+            Transport.read(res, function(err, buffer){
+                if (err) {
+                    return done(err);
+                }
+                done(null, parseBody(buffer, res), res);
+            });
+        });
+    }
+    if (req.form) {
+        return this.upload(req, done);
+    }
+
+    var args = {
+        parameters: req.params,
+        headers: req.headers
+    };
+    if (req.data !== undefined) {
+        args.data = req.data;
+    }
+
+    this[req.method.toLowerCase()](req.url, args, function(data, res){
+        done(null, data, res);
+    }).on('error', function(err){
+        done(err);
+    });
+};
+
+/**
+ * Send a multipart request through the transport, reporting the progress of the upload with
+ * uploadProgress events and the onUploadProgress call option.
+ * @param {Object} req built by buildRequest, with a form
+ * @param {function} done function(err, data, res)
+ */
+ConfluenceAPI.prototype.upload = function(req, done){
+    var client = this;
+    var multipart = new Multipart(req.form);
+    multipart.length(function(err, total){
+        if (err) {
+            return done(err);
+        }
+        var headers = {};
+        Object.keys(req.headers).forEach(function(name){
+            // the JSON defaults do not apply to the form
+            if (name.toLowerCase() !== "content-type") {
+                headers[name] = req.headers[name];
+            }
+        });
+        headers["Content-Type"] = multipart.contentType();
+        // sent chunked when the size is unknown
+        if (total !== null) {
+            headers["Content-Length"] = total;
+        }
+
+        var loaded = 0;
+        var onUploadProgress = client.callOptions.onUploadProgress;
+        var body = new stream.Transform({
+            transform: function(chunk, encoding, next){
+                loaded += chunk.length;
+                var progress = { method: req.method, url: req.url, loaded: loaded, total: total };
+                client.emit('uploadProgress', progress);
+                if (typeof onUploadProgress === 'function') {
+                    onUploadProgress(progress);
+                }
+                next(null, chunk);
+            }
+        });
+        multipart.stream().on('error', function(err){
+            body.destroy(err);
+        }).pipe(body);
+
+        client.transport.send({
+            method: req.method,
+            url: req.url,
+            params: req.params,
+            headers: headers
+        }, body, function(err, res){
+            if (err) {
+                return done(err);
+            }
+            Transport.read(res, function(err, buffer){
+                if (err) {
+                    return done(err);
+                }
+                done(null, parseBody(buffer, res), res);
+            });
+        });
+    });
+};
+
+/**
+ * Process callback. Any response outside 2xx is turned into a ConfluenceError subclass
+ * carrying the status, the parsed body and the messages reported by Confluence. A 3xx only
+ * gets here when it was not followed, e.g. with followRedirects false.
  * @param {function} cb 
  * @param {Error} err
  * @param {Object} data 
  * @param {Object} res 
+ * @param {Object} req request built by buildRequest, used to describe the failure
  */
-ConfluenceAPI.prototype.processCallback = function(cb, err, data, res){
+ConfluenceAPI.prototype.processCallback = function(cb, err, data, res, req){
     var statusCode = res && res.statusCode;
     var statusMessage = (res && res.statusMessage) || "Unknow Error";
 
@@ -128,13 +505,21 @@ ConfluenceAPI.prototype.processCallback = function(cb, err, data, res){
         return cb(err);
     }
 
-    if(statusCode>300){
-        err = new Error(statusMessage);
-        err.statusCode = statusCode;
-        return cb(err);
+    if(statusCode < 200 || statusCode >= 300){
+        return cb(ConfluenceError.fromResponse(res, data, req));
+    }
+
+    if(req && req.responseType){
+        return BinaryResponse.convert(req.responseType, data, res, cb);
+    }
+
+    // bodies node-rest-client does not parse, e.g. files, keep the metadata of the response
+    if(Buffer.isBuffer(data) && data.length > 0){
+        return cb(err, BinaryResponse.decorate(data, res));
     }
     
-    if(!data){
+    // an empty body, e.g. of a 204, comes back as an empty buffer
+    if(!data || data.length === 0){
         data = {};
         data.code = statusCode;
         data.message = statusMessage;
@@ -143,6 +528,44 @@ ConfluenceAPI.prototype.processCallback = function(cb, err, data, res){
     cb(err, data);
 };
 
+/**
+ * Parse a body read by the transport when it holds JSON.
+ * @param {Buffer} buffer
+ * @param {Object} res
+ */
+function parseBody(buffer, res){
+    if (!/json/i.test(res.headers['content-type'] || '')) {
+        return buffer;
+    }
+    try {
+        return JSON.parse(buffer.toString("utf8"));
+    } catch (e) {
+        return buffer;
+    }
+}
+
+/**
+ * Authentication providers, refer to lib/auth.
+ */
+ConfluenceAPI.auth = auth;
+
+/**
+ * Error classes, e.g. `err instanceof ConfluenceAPI.errors.NotFoundError`.
+ */
+ConfluenceAPI.errors = ConfluenceError;
+
+/**
+ * Record and replay of HTTP interactions, refer to lib/Recorder.
+ */
+ConfluenceAPI.Recorder = Recorder;
+ConfluenceAPI.Transport = Transport;
+ConfluenceAPI.Multipart = Multipart;
+
+/**
+ * Parser and serializer of the storage format of page bodies, refer to lib/storage.
+ */
+ConfluenceAPI.storage = storage;
+
 /**
  * Create ConfluenceAPI instance.
  * @param {Object} options 
@@ -0,0 +1,260 @@
+/**!
+ * ConfluenceAPI - lib/ConfluenceError.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var util = require('util');
+var urlParser = require('url');
+var querystring = require('querystring');
+
+/**
+ * Query parameters whose values never show up in an error.
+ */
+var SECRET_PARAMS = /^(jwt|token|access_token|refresh_token|password|os_password|os_username|api_key|apikey|signature)$/i;
+
+/**
+ * Base error for any non 2xx response from Confluence.
+ * @param {string} message
+ * @param {Object} details
+ *  - {integer} status, HTTP status code
+ *  - {string} statusMessage, HTTP status message
+ *  - {*} body, parsed response body
+ *  - {Array[string]} messages, error messages reported by Confluence
+ *  - {string} method, request method
+ *  - {string} url, request url, credentials redacted
+ *  - {object} headers, response headers
+ */
+function ConfluenceError(message, details){
+    Error.call(this);
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    }
+    details = details || {};
+    this.message = message;
+    this.status = details.status;
+    // kept for callers relying on the error shape produced before the error classes
+    this.statusCode = details.status;
+    this.statusMessage = details.statusMessage;
+    this.body = details.body;
+    this.messages = details.messages || [];
+    this.method = details.method;
+    this.url = details.url;
+    this.headers = details.headers || {};
+}
+
+util.inherits(ConfluenceError, Error);
+ConfluenceError.prototype.name = 'ConfluenceError';
+
+/**
+ * Declare an error class for a family of responses.
+ * @param {string} name
+ * @param {function} parent
+ */
+function define(name, parent){
+    var clazz = function(message, details){
+        parent.call(this, message, details);
+    };
+    util.inherits(clazz, parent);
+    clazz.prototype.name = name;
+    return clazz;
+}
+
+/** 400, the request was rejected by Confluence validation. */
+var ValidationError = define('ValidationError', ConfluenceError);
+/** 401, missing or wrong credentials. */
+var UnauthorizedError = define('UnauthorizedError', ConfluenceError);
+/** 403, the user is not allowed to perform the operation. */
+var ForbiddenError = define('ForbiddenError', ConfluenceError);
+/** 404, the entity does not exist or is not visible to the user. */
+var NotFoundError = define('NotFoundError', ConfluenceError);
+/** 409, the request conflicts with the current state of the entity. */
+var ConflictError = define('ConflictError', ConfluenceError);
+/** 409 caused by a stale or missing version number on update. */
+var VersionConflictError = define('VersionConflictError', ConflictError);
+/** 429, too many requests. */
+var RateLimitedError = define('RateLimitedError', ConfluenceError);
+/** 5xx, Confluence failed to process the request. */
+var ServerError = define('ServerError', ConfluenceError);
+
+/**
+ * Remove credentials from an url before it is exposed in an error.
+ * @param {string} url
+ * @return {string}
+ */
+ConfluenceError.redactUrl = function(url){
+    if (!url) {
+        return url;
+    }
+    var parsed = urlParser.parse(url, true);
+    if (parsed.auth) {
+        parsed.auth = "***";
+    }
+    Object.keys(parsed.query || {}).forEach(function(key){
+        if (SECRET_PARAMS.test(key)) {
+            parsed.query[key] = "***";
+        }
+    });
+    delete parsed.search;
+    delete parsed.host;
+    return urlParser.format(parsed);
+};
+
+/**
+ * Parse a response body into an object when it holds JSON.
+ * @param {*} data
+ */
+function parseBody(data){
+    if (Buffer.isBuffer(data)) {
+        data = data.toString('utf8');
+    }
+    if (typeof data === 'string') {
+        try {
+            return JSON.parse(data);
+        } catch (e) {
+            return data;
+        }
+    }
+    return data;
+}
+
+/**
+ * Collect the messages Confluence puts in an error body. Both the server shape
+ * {message, data: {errors: [{message: {key, translation}}]}} and the cloud shape
+ * {errors: [{title, detail}]} are understood.
+ * @param {*} body
+ * @return {Array[string]}
+ */
+function extractMessages(body){
+    var messages = [];
+    if (!body || typeof body !== 'object') {
+        return messages;
+    }
+
+    if (typeof body.message === 'string' && body.message) {
+        messages.push(body.message);
+    }
+
+    var errors = (body.data && body.data.errors) || body.errors || [];
+    if (Array.isArray(errors)) {
+        errors.forEach(function(error){
+            var message = error && error.message;
+            if (message && typeof message === 'object') {
+                message = message.translation || message.key;
+            }
+            message = message || (error && (error.detail || error.title));
+            if (typeof message === 'string' && messages.indexOf(message) < 0) {
+                messages.push(message);
+            }
+        });
+    }
+    return messages;
+}
+
+/**
+ * Pick the error class for a status code.
+ * @param {integer} status
+ * @param {Array[string]} messages
+ */
+function classFor(status, messages){
+    switch (status) {
+        case 400: return ValidationError;
+        case 401: return UnauthorizedError;
+        case 403: return ForbiddenError;
+        case 404: return NotFoundError;
+        case 409:
+            var isVersion = messages.some(function(message){
+                return /version/i.test(message);
+            });
+            return isVersion ? VersionConflictError : ConflictError;
+        case 429: return RateLimitedError;
+    }
+    return status >= 500 ? ServerError : ConfluenceError;
+}
+
+/**
+ * Build the error matching a failed response.
+ * @param {Object} res http.IncomingMessage
+ * @param {*} data response body, parsed or raw
+ * @param {Object} req request built by ConfluenceAPI#buildRequest, optional
+ * @return {ConfluenceError}
+ */
+ConfluenceError.fromResponse = function(res, data, req){
+    var status = res.statusCode;
+    var statusMessage = res.statusMessage || "Unknow Error";
+    var body = parseBody(data);
+    var messages = extractMessages(body);
+    var clazz = classFor(status, messages);
+
+    var error = new clazz(messages[0] || statusMessage, {
+        status: status,
+        statusMessage: statusMessage,
+        body: body,
+        messages: messages,
+        method: req && req.method,
+        url: req && ConfluenceError.redactUrl(requestUrl(req)),
+        headers: res.headers
+    });
+
+    if (error instanceof RateLimitedError) {
+        error.retryAfter = parseRetryAfter(res.headers && res.headers['retry-after']);
+    }
+    return error;
+};
+
+/**
+ * Full url of a built request, query included.
+ * @param {Object} req
+ */
+function requestUrl(req){
+    var query = querystring.stringify(req.params || {});
+    return query ? req.url + (req.url.indexOf("?") < 0 ? "?" : "&") + query : req.url;
+}
+
+/**
+ * Convert a Retry-After header, in seconds or as an http date, to milliseconds.
+ * @param {string} value
+ * @return {integer|undefined}
+ */
+function parseRetryAfter(value){
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    var seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    var date = Date.parse(value);
+    return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+ConfluenceError.parseRetryAfter = parseRetryAfter;
+
+/**
+ * Whether the value of a query parameter is a secret, e.g. jwt or token.
+ * @param {string} name
+ */
+ConfluenceError.isSecretParam = function(name){
+    return SECRET_PARAMS.test(name);
+};
+
+ConfluenceError.ConfluenceError = ConfluenceError;
+ConfluenceError.ValidationError = ValidationError;
+ConfluenceError.UnauthorizedError = UnauthorizedError;
+ConfluenceError.ForbiddenError = ForbiddenError;
+ConfluenceError.NotFoundError = NotFoundError;
+ConfluenceError.ConflictError = ConflictError;
+ConfluenceError.VersionConflictError = VersionConflictError;
+ConfluenceError.RateLimitedError = RateLimitedError;
+ConfluenceError.ServerError = ServerError;
+
+module.exports = ConfluenceError;
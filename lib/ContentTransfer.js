@@ -0,0 +1,131 @@
+/**!
+ * ConfluenceAPI - lib/ContentTransfer.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var storage = require('./storage');
+
+// macro parameters holding a space key
+var SPACE_PARAMETERS = ["spaceKey", "spaces", "space"];
+
+/**
+ * Base of the jobs writing copies of content, SpaceRestore and PageMigration. It keeps the report of the
+ * problems met on the way and points the references of the copied bodies to the copies:
+ *  - ri:space-key and the space parameters of macros go through spaceKeys
+ *  - ri:content-id goes through ids, a reference to content not copied yet makes the body pending
+ */
+function ContentTransfer(){
+    // IDs of the originals to the ones of the copies, and the keys of the spaces the same way
+    this.ids = {};
+    this.spaceKeys = {};
+    this.report = null;
+}
+
+/**
+ * Parse a body, a failure being a problem of the report.
+ * @param {string} value storage format
+ * @param {Object} content {id, title} of the body
+ * @return {Array} the nodes, null when the body can not be parsed
+ */
+ContentTransfer.prototype.parse = function(value, content){
+    try {
+        return storage.parse(value);
+    } catch (err) {
+        this.problem("links", content.id, content.title, err.message);
+        return null;
+    }
+};
+
+/**
+ * Point the references of a parsed body to the copied spaces and content.
+ * @param {Array} tree nodes of parse
+ * @param {function} visit function(element), optional, remaps more of an element, returns true when it refers
+ *   to content not copied yet
+ * @return {Object} {value, pending}, pending when the body refers to content not copied yet
+ */
+ContentTransfer.prototype.remapReferences = function(tree, visit){
+    var transfer = this;
+    var pending = false;
+    storage.walk(tree, function(node){
+        if (node.type !== "element") {
+            return;
+        }
+        var attributes = node.attributes;
+        var spaceKey = transfer.mapSpaceKey(attributes["ri:space-key"]);
+        if (spaceKey) {
+            attributes["ri:space-key"] = spaceKey;
+        }
+        var id = attributes["ri:content-id"];
+        if (id && transfer.ids[id]) {
+            attributes["ri:content-id"] = String(transfer.ids[id]);
+        } else if (id && transfer.waiting(id)) {
+            pending = true;
+        }
+        if (node.name === "ac:structured-macro") {
+            var parameters = storage.macroParameters(node);
+            SPACE_PARAMETERS.forEach(function(name){
+                var key = transfer.mapSpaceKey(parameters[name]);
+                if (key) {
+                    storage.setMacroParameter(node, name, key);
+                }
+            });
+        }
+        if (visit && visit(node)) {
+            pending = true;
+        }
+    });
+    return { value: storage.serialize(tree), pending: pending };
+};
+
+/**
+ * Key of the copy of a space, null when it is not mapped.
+ */
+ContentTransfer.prototype.mapSpaceKey = function(key){
+    return key && Object.prototype.hasOwnProperty.call(this.spaceKeys, key) ? this.spaceKeys[key] : null;
+};
+
+/**
+ * Whether a content not copied yet is going to be, so the bodies referring to it are saved again.
+ */
+ContentTransfer.prototype.waiting = function(id){
+    return true;
+};
+
+/**
+ * Result of a request, null when it failed, the failure then being a problem of the report.
+ */
+ContentTransfer.prototype.attempt = function(part, id, title, promise){
+    var transfer = this;
+    return promise.catch(function(err){
+        transfer.problem(part, id, title, err.message);
+        return null;
+    });
+};
+
+ContentTransfer.prototype.problem = function(part, id, title, message){
+    this.report.problems.push({ part: part, id: id === null ? null : String(id), title: title, message: message });
+};
+
+/**
+ * Run an asynchronous iterator over the items one after the other.
+ * @return {Promise} settled after the last item
+ */
+ContentTransfer.prototype.sequence = function(items, iterator){
+    return items.reduce(function(previous, item){
+        return previous.then(function(){
+            return iterator(item);
+        });
+    }, Promise.resolve());
+};
+
+module.exports = ContentTransfer;
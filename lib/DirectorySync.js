@@ -0,0 +1,461 @@
+/**!
+ * ConfluenceAPI - lib/DirectorySync.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var storage = require('./storage');
+
+var MARKDOWN = /\.(md|markdown)$/i;
+var INDEX = /^(index|readme)\.(md|markdown)$/i;
+var TITLE = /^\s*#[ \t]+(.+?)(?:[ \t]+#+)?[ \t]*(?:\n|$)/;
+var ROOT = "./";
+
+/**
+ * Sync of a directory of Markdown files to the pages under a page, docs-as-code:
+ *  - a folder is a page, with the body of its index.md or README.md, and its files are the child pages
+ *  - the index.md or README.md of the directory itself is the root page, the files go under it. Without one
+ *    the root page is left alone
+ *  - the title of a page is the heading on the first line of its file, left out of the body, or the file name.
+ *    The root page keeps its title when its file has no heading
+ *  - relative links to Markdown files link to their pages, the files other relative links and images point to
+ *    are attached to the page
+ * Synced pages keep {path, hash} in a content property, hash covering the body and the attachments, so the
+ * pages whose source did not change are skipped and the ones whose file is gone are found again. A page outside
+ * of the root with the title of a file is taken over only when it is a synced one, other pages fail the plan
+ * with ETITLECONFLICT.
+ * The plan lists an action for every page:
+ *  - create, a file without page
+ *  - update, a page whose changes are among title, body and parent
+ *  - unchanged, a page matching its file
+ *  - archive or trash, a synced page whose file is gone, left alone when orphans is keep
+ * @param {Object} client ConfluenceAPI
+ * @param {string} spaceKey
+ * @param {string} dir directory of the Markdown files
+ * @param {object} options
+ *  - {string} parentId, page the files go under. Default: the homepage of the space
+ *  - {string} propertyKey, key of the content property of the synced pages. Default: docs-sync
+ *  - {string} orphans, archive, trash or keep the synced pages whose file is gone. Default: archive
+ *  - {function} ignore, function(path) leaving out files and folders by their path in dir. Default: hidden ones
+ *  - {string} versionMessage, message of the versions the sync saves
+ */
+function DirectorySync(client, spaceKey, dir, options){
+    options = options || {};
+    if (options.orphans && ["archive", "trash", "keep"].indexOf(options.orphans) < 0) {
+        throw new Error("DirectorySync does not support the orphans policy " + options.orphans + ".");
+    }
+    this.client = client;
+    this.spaceKey = spaceKey;
+    this.dir = path.resolve(dir);
+    this.parentId = options.parentId || null;
+    this.propertyKey = options.propertyKey || "docs-sync";
+    this.orphans = options.orphans || "archive";
+    this.ignore = options.ignore || function(file){
+        return path.posix.basename(file).charAt(0) === ".";
+    };
+    this.versionMessage = options.versionMessage;
+    // sources of the planned pages by path and by Markdown file, and the pages they have in the space by ID
+    this.entries = {};
+    this.byFile = {};
+    this.pages = {};
+}
+
+/**
+ * Compare the directory with the pages and list what has to change.
+ * @return {Promise} the actions, parents before their children and orphans last
+ */
+DirectorySync.prototype.plan = function(){
+    var sync = this;
+    return Promise.resolve().then(function(){
+        var entries = sync.scan();
+        return sync.rootId().then(function(rootId){
+            return sync.client.content.iteratePageTree(rootId, {
+                expand: "version,metadata.properties." + sync.propertyKey
+            }).all();
+        }).then(function(nodes){
+            var root = entries[0] && entries[0].path === ROOT ? entries[0] : null;
+            if (root && !root.title) {
+                root.title = nodes[0].page.title;
+            }
+            entries.forEach(function(entry){
+                sync.convert(entry);
+            });
+            return sync.match(entries, nodes);
+        });
+    });
+};
+
+/**
+ * Carry out the actions of a plan, one after the other.
+ * @param {Array} actions actions of plan()
+ * @return {Promise} the actions, with the pageId of the created pages
+ */
+DirectorySync.prototype.apply = function(actions){
+    var sync = this;
+    var archived = [];
+    return actions.reduce(function(previous, action){
+        return previous.then(function(){
+            if (action.type === "archive") {
+                archived.push({ id: action.pageId });
+                return null;
+            }
+            return sync.applyAction(action);
+        });
+    }, Promise.resolve()).then(function(){
+        if (archived.length) {
+            return sync.client.content.archivePages(archived);
+        }
+    }).then(function(){
+        return actions;
+    });
+};
+
+/**
+ * The files and folders of the directory with their title, the root page first when the directory has an index.
+ */
+DirectorySync.prototype.scan = function(){
+    var sync = this;
+    var entries = [];
+    var byFile = sync.byFile = {};
+    var index = fs.readdirSync(sync.dir).filter(function(name){
+        return INDEX.test(name) && !sync.ignore(name);
+    }).sort()[0];
+    if (index) {
+        byFile[index] = sync.entry(ROOT, index, null, null);
+        entries.push(byFile[index]);
+    }
+
+    (function scan(folder, parent){
+        var names = fs.readdirSync(path.join(sync.dir, folder)).sort();
+        names.forEach(function(name){
+            var file = folder + name;
+            var absolute = path.join(sync.dir, file);
+            if (sync.ignore(file)) {
+                return;
+            }
+            if (fs.statSync(absolute).isDirectory()) {
+                var index = fs.readdirSync(absolute).filter(function(child){
+                    return INDEX.test(child);
+                }).sort()[0];
+                var entry = sync.entry(file + "/", index ? file + "/" + index : null, name, parent);
+                var count = entries.push(entry);
+                if (index) {
+                    byFile[entry.file] = entry;
+                }
+                scan(file + "/", entry);
+                // folders without Markdown files are no pages
+                if (!index && entries.length === count) {
+                    entries.pop();
+                }
+            } else if (MARKDOWN.test(name) && !INDEX.test(name)) {
+                byFile[file] = entries[entries.push(sync.entry(file, file, name.replace(MARKDOWN, ""), parent)) - 1];
+            }
+        });
+    })("", null);
+
+    var titles = {};
+    entries.forEach(function(entry){
+        if (!entry.title) {
+            return;
+        }
+        if (titles[entry.title]) {
+            var err = new Error("Pages have to have different titles, " + titles[entry.title] + " and " + entry.path + " are both \"" + entry.title + "\".");
+            err.code = "EDUPLICATETITLE";
+            throw err;
+        }
+        titles[entry.title] = entry.path;
+    });
+    entries.forEach(function(entry){
+        sync.entries[entry.path] = entry;
+    });
+    return entries;
+};
+
+/**
+ * A page to be, a folder (path ending with /) or a file, with the title of its file.
+ */
+DirectorySync.prototype.entry = function(entryPath, file, name, parent){
+    var markdown = file ? fs.readFileSync(path.join(this.dir, file), "utf8").replace(/^\uFEFF/, "") : "";
+    var heading = TITLE.exec(markdown);
+    return {
+        path: entryPath,
+        file: file,
+        parent: parent,
+        title: heading ? heading[1] : name,
+        markdown: heading ? markdown.slice(heading[0].length) : markdown
+    };
+};
+
+/**
+ * Storage format of an entry, the attachments it refers to and the hash of both.
+ */
+DirectorySync.prototype.convert = function(entry){
+    var sync = this;
+    var byFile = sync.byFile;
+    var folder = entry.file ? path.posix.dirname(entry.file) : "";
+    var resolve = function(link){
+        return path.posix.normalize(path.posix.join(folder, link));
+    };
+    entry.attachments = [];
+    entry.storage = storage.fromMarkdown(entry.markdown, {
+        pageTitle: function(link){
+            var target = byFile[resolve(link)];
+            return target ? target.title : null;
+        },
+        attachmentName: function(link){
+            var file = resolve(link);
+            var absolute = path.join(sync.dir, file);
+            var name = path.posix.basename(file);
+            var inside = file.indexOf("../") !== 0 && fs.existsSync(absolute) && fs.statSync(absolute).isFile();
+            var known = entry.attachments.some(function(attachment){
+                return attachment.name === name;
+            });
+            if (inside && !known) {
+                entry.attachments.push({ name: name, file: absolute });
+            }
+            return name;
+        }
+    });
+    var hash = crypto.createHash("sha256").update(entry.storage);
+    entry.attachments.forEach(function(attachment){
+        hash.update("\0" + attachment.name + "\0").update(fs.readFileSync(attachment.file));
+    });
+    entry.hash = hash.digest("hex");
+};
+
+/**
+ * ID of the page the directory goes under.
+ */
+DirectorySync.prototype.rootId = function(){
+    var sync = this;
+    if (sync.parentId) {
+        return Promise.resolve(sync.parentId);
+    }
+    return sync.client.space.getSpace(sync.spaceKey, { expand: "homepage" }).then(function(space){
+        if (!space.homepage) {
+            throw new Error("Space " + sync.spaceKey + " has no homepage to sync the directory under, give a parentId.");
+        }
+        sync.parentId = space.homepage.id;
+        return sync.parentId;
+    });
+};
+
+/**
+ * Actions turning the root page and the pages under it into the entries.
+ * @param {Array} entries
+ * @param {Array} nodes page tree nodes of the root page and the pages under it
+ */
+DirectorySync.prototype.match = function(entries, nodes){
+    var sync = this;
+    var root = nodes[0];
+    nodes = nodes.slice(1);
+    var byPath = {};
+    var byTitle = {};
+    var claimed = {};
+    nodes.forEach(function(node){
+        var property = sync.property(node.page);
+        if (property && property.value && property.value.path && !byPath[property.value.path]) {
+            byPath[property.value.path] = node;
+        }
+        byTitle[node.page.title] = node;
+    });
+    entries.forEach(function(entry){
+        var node = byPath[entry.path];
+        if (node) {
+            claimed[node.page.id] = true;
+        }
+    });
+
+    return entries.reduce(function(previous, entry){
+        return previous.then(function(actions){
+            if (entry.path === ROOT) {
+                actions.push(sync.action(entry, { page: root.page, parentId: root.parentId }));
+                return actions;
+            }
+            var node = byPath[entry.path];
+            var byName = byTitle[entry.title];
+            if (!node && byName && !claimed[byName.page.id]) {
+                node = byName;
+            }
+            var found = node ? Promise.resolve({ page: node.page, parentId: node.parentId }) : sync.findPage(entry.title, entry.path);
+            return found.then(function(existing){
+                if (existing) {
+                    claimed[existing.page.id] = true;
+                }
+                actions.push(sync.action(entry, existing));
+                return actions;
+            });
+        });
+    }, Promise.resolve([])).then(function(actions){
+        nodes.forEach(function(node){
+            var property = sync.property(node.page);
+            if (!property || claimed[node.page.id] || sync.orphans === "keep") {
+                return;
+            }
+            actions.push({
+                type: sync.orphans,
+                path: property.value.path,
+                title: node.page.title,
+                pageId: node.page.id,
+                parentPath: null,
+                changes: [],
+                attachments: []
+            });
+        });
+        return actions;
+    });
+};
+
+/**
+ * Action of an entry, given the page it has in the space.
+ */
+DirectorySync.prototype.action = function(entry, existing){
+    var action = {
+        type: "create",
+        path: entry.path,
+        title: entry.title,
+        pageId: null,
+        parentPath: entry.parent ? entry.parent.path : null,
+        changes: [],
+        attachments: entry.attachments.map(function(attachment){
+            return attachment.name;
+        })
+    };
+    if (!existing) {
+        return action;
+    }
+    this.pages[existing.page.id] = existing;
+    var property = this.property(existing.page);
+    var parent = entry.parent ? entry.parent.pageId : this.parentId;
+    action.pageId = entry.pageId = existing.page.id;
+    if (existing.page.title !== entry.title) {
+        action.changes.push("title");
+    }
+    if (!property || !property.value || property.value.hash !== entry.hash) {
+        action.changes.push("body");
+    }
+    entry.property = property;
+    if (entry.path !== ROOT && (!parent || String(existing.parentId) !== String(parent))) {
+        action.changes.push("parent");
+    }
+    action.type = action.changes.length ? "update" : "unchanged";
+    return action;
+};
+
+/**
+ * A synced page of the space outside of the root, by title, e.g. moved away by hand. A page the sync does not own
+ * holding the title is a conflict.
+ */
+DirectorySync.prototype.findPage = function(title, entryPath){
+    var sync = this;
+    return sync.client.content.getContent({
+        spaceKey: sync.spaceKey,
+        title: title,
+        type: "page",
+        expand: "version,ancestors,metadata.properties." + sync.propertyKey
+    }).then(function(result){
+        var page = result.results[0];
+        if (!page || String(page.id) === String(sync.parentId)) {
+            return null;
+        }
+        if (!sync.property(page)) {
+            var err = new Error("Page \"" + title + "\" of space " + sync.spaceKey + " is outside of the synced pages and not synced, " +
+                entryPath + " can not take its title.");
+            err.code = "ETITLECONFLICT";
+            throw err;
+        }
+        var ancestors = page.ancestors || [];
+        return { page: page, parentId: ancestors.length ? ancestors[ancestors.length - 1].id : null };
+    });
+};
+
+DirectorySync.prototype.property = function(page){
+    var properties = page.metadata && page.metadata.properties;
+    return properties && properties[this.propertyKey] || null;
+};
+
+/**
+ * Create, update, archive or trash the page of an action.
+ */
+DirectorySync.prototype.applyAction = function(action){
+    var sync = this;
+    var content = sync.client.content;
+    var entry = sync.entries[action.path];
+    var existing = action.pageId ? sync.pages[action.pageId] : null;
+
+    if (action.type === "trash") {
+        return content.deleteContent(action.pageId, {});
+    }
+    if (action.type === "unchanged") {
+        return Promise.resolve();
+    }
+    var parentId = entry.parent ? entry.parent.pageId : sync.parentId;
+    var body = { storage: { value: entry.storage, representation: "storage" } };
+    var saved;
+    if (action.type === "create") {
+        saved = content.createContent({}, {
+            type: "page",
+            title: entry.title,
+            space: { key: sync.spaceKey },
+            ancestors: [{ id: parentId }],
+            body: body
+        });
+    } else if (action.changes.length === 1 && action.changes[0] === "parent") {
+        saved = content.movePage(action.pageId, { targetId: parentId, position: "append" }).then(function(){
+            return existing.page;
+        });
+    } else {
+        saved = content.updateContent(action.pageId, {}, {
+            type: "page",
+            title: entry.title,
+            // the root page stays where it is
+            ancestors: entry.path === ROOT ? undefined : [{ id: parentId }],
+            body: body,
+            version: { number: existing.page.version.number + 1, message: sync.versionMessage }
+        });
+    }
+    return saved.then(function(page){
+        entry.pageId = action.pageId = page.id;
+        var uploads = action.type === "create" || action.changes.indexOf("body") >= 0 ? entry.attachments : [];
+        return uploads.reduce(function(previous, attachment){
+            return previous.then(function(){
+                return content.createOrUpdateAttachment(page.id, {}, { file: { path: attachment.file }, minorEdit: "true" });
+            });
+        }, Promise.resolve());
+    }).then(function(){
+        var property = entry.property;
+        if (property && property.value && property.value.hash === entry.hash && property.value.path === entry.path) {
+            return null;
+        }
+        return content.updateContentProperty(entry.pageId, sync.propertyKey, {
+            value: { path: entry.path, hash: entry.hash },
+            version: { number: property ? property.version.number + 1 : 1 }
+        });
+    });
+};
+
+/**
+ * One line per action, e.g. `update guide/install.md "Install" (body, parent)`.
+ * @param {Array} actions
+ * @return {string}
+ */
+DirectorySync.formatPlan = function(actions){
+    return actions.map(function(action){
+        return (action.type + "         ").slice(0, 10) + action.path + " \"" + action.title + "\"" +
+            (action.changes.length ? " (" + action.changes.join(", ") + ")" : "");
+    }).join("\n");
+};
+
+module.exports = DirectorySync;
@@ -0,0 +1,228 @@
+/**!
+ * ConfluenceAPI - lib/Multipart.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var stream = require('stream');
+
+var CRLF = "\r\n";
+
+/**
+ * Media types of the files whose contentType is not given, others are sent as application/octet-stream.
+ */
+var MEDIA_TYPES = {
+    ".txt": "text/plain",
+    ".csv": "text/csv",
+    ".htm": "text/html",
+    ".html": "text/html",
+    ".md": "text/markdown",
+    ".xml": "application/xml",
+    ".json": "application/json",
+    ".pdf": "application/pdf",
+    ".zip": "application/zip",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".svg": "image/svg+xml",
+    ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation"
+};
+
+/**
+ * A multipart/form-data body. Each field of the form is one of:
+ *  - {string|number|boolean} a text field
+ *  - {Buffer} file content
+ *  - {Stream} file content, files opened with fs.createReadStream keep their name
+ *  - {Object} {path, options}, a file read from disk when the body is sent, so it can be sent again on retry
+ *  - {Object} {value, options}, any of the above with options {filename, contentType, knownLength}
+ *  - {Array} several values for the same field
+ * @param {Object} form
+ */
+function Multipart(form){
+    var multipart = this;
+    multipart.boundary = "----ConfluenceAPIFormBoundary" + crypto.randomBytes(12).toString("hex");
+    multipart.parts = [];
+    Object.keys(form || {}).forEach(function(name){
+        [].concat(form[name]).forEach(function(field){
+            if (field !== undefined && field !== null) {
+                multipart.parts.push(toPart(multipart.boundary, name, field));
+            }
+        });
+    });
+    multipart.closing = Buffer.from("--" + multipart.boundary + "--" + CRLF);
+}
+
+/**
+ * Value of the Content-Type header.
+ */
+Multipart.prototype.contentType = function(){
+    return "multipart/form-data; boundary=" + this.boundary;
+};
+
+/**
+ * Size of the body, when every part has a known size.
+ * @param {function} cb function(err, length), length is null when a stream without knownLength is part of the form
+ */
+Multipart.prototype.length = function(cb){
+    var multipart = this;
+    var total = multipart.closing.length;
+    var pending = multipart.parts.slice();
+
+    (function next(){
+        var part = pending.shift();
+        if (!part) {
+            return cb(null, total);
+        }
+        total += part.header.length + CRLF.length;
+        if (part.size !== null) {
+            total += part.size;
+            return next();
+        }
+        // a stream may still be growing, e.g. a file being written, only files given by path are measured
+        if (!part.path) {
+            return cb(null, null);
+        }
+        fs.stat(part.path, function(err, stats){
+            if (err) {
+                return cb(err);
+            }
+            total += stats.size;
+            next();
+        });
+    })();
+};
+
+/**
+ * Readable stream of the body. Files given by path are opened as their turn comes.
+ * @return {Stream}
+ */
+Multipart.prototype.stream = function(){
+    var multipart = this;
+    var output = new stream.PassThrough();
+    var parts = multipart.parts.slice();
+
+    (function next(){
+        var part = parts.shift();
+        if (!part) {
+            return output.end(multipart.closing);
+        }
+        output.write(part.header);
+        if (typeof part.body === 'string' || Buffer.isBuffer(part.body)) {
+            output.write(part.body);
+            output.write(CRLF);
+            return next();
+        }
+        var source = part.path ? fs.createReadStream(part.path) : part.body;
+        source.on('error', function(err){
+            output.destroy(err);
+        });
+        source.on('end', function(){
+            output.write(CRLF);
+            next();
+        });
+        source.pipe(output, { end: false });
+    })();
+    return output;
+};
+
+/**
+ * Whether a form can be sent again, i.e. it holds no stream other than files that can be reopened.
+ * @param {Object} form
+ */
+Multipart.isReplayable = function(form){
+    return Object.keys(form).every(function(name){
+        return [].concat(form[name]).every(function(field){
+            var value = field && field.value !== undefined ? field.value : field;
+            return !(value && typeof value.pipe === 'function') || value instanceof fs.ReadStream;
+        });
+    });
+};
+
+/**
+ * Copy a form, opening fresh streams for the files already read by a previous attempt.
+ * @param {Object} form
+ */
+Multipart.reopen = function(form){
+    var copy = {};
+    Object.keys(form).forEach(function(name){
+        var fields = [].concat(form[name]).map(function(field){
+            if (field instanceof fs.ReadStream) {
+                return fs.createReadStream(field.path);
+            }
+            if (field && field.value instanceof fs.ReadStream) {
+                return { value: fs.createReadStream(field.value.path), options: field.options };
+            }
+            return field;
+        });
+        copy[name] = Array.isArray(form[name]) ? fields : fields[0];
+    });
+    return copy;
+};
+
+/**
+ * Whether a form field is a file given by its path.
+ */
+Multipart.isPath = function(field){
+    return !!field && typeof field === 'object' && typeof field.path === 'string' && typeof field.pipe !== 'function' && !Buffer.isBuffer(field);
+};
+
+/**
+ * Build one part: its header, its body and the size of its body when known.
+ */
+function toPart(boundary, name, field){
+    var options = {};
+    var value = field;
+    var filePath = null;
+    if (Multipart.isPath(field)) {
+        options = field.options || {};
+        filePath = field.path;
+        value = undefined;
+    } else if (field && typeof field === 'object' && field.value !== undefined && !Buffer.isBuffer(field) && typeof field.pipe !== 'function') {
+        options = field.options || {};
+        value = field.value;
+    }
+
+    var isFile = filePath !== null || Buffer.isBuffer(value) || (value && typeof value.pipe === 'function');
+    var disposition = "form-data; name=\"" + quote(name) + "\"";
+    var header = "--" + boundary + CRLF;
+    if (!isFile) {
+        value = String(value);
+        header += "Content-Disposition: " + disposition + CRLF + CRLF;
+        return { header: Buffer.from(header), body: value, size: Buffer.byteLength(value), path: null };
+    }
+
+    var filename = options.filename || filePath || (value instanceof fs.ReadStream ? String(value.path) : name);
+    filename = path.basename(String(filename));
+    var contentType = options.contentType || MEDIA_TYPES[path.extname(filename).toLowerCase()] || "application/octet-stream";
+    header += "Content-Disposition: " + disposition + "; filename=\"" + quote(filename) + "\"" + CRLF +
+        "Content-Type: " + contentType + CRLF + CRLF;
+
+    var size = null;
+    if (Buffer.isBuffer(value)) {
+        size = value.length;
+    } else if (options.knownLength !== undefined) {
+        size = options.knownLength;
+    }
+    return { header: Buffer.from(header), body: value, size: size, path: filePath };
+}
+
+function quote(text){
+    return String(text).replace(/"/g, "%22").replace(/\r|\n/g, " ");
+}
+
+module.exports = Multipart;
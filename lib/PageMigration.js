@@ -0,0 +1,514 @@
+/**!
+ * ConfluenceAPI - lib/PageMigration.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var storage = require('./storage');
+var SpaceBackup = require('./SpaceBackup');
+var ContentTransfer = require('./ContentTransfer');
+var ConfluenceError = require('./ConfluenceError');
+
+var readJSON = SpaceBackup.readJSON;
+var writeJSON = SpaceBackup.writeJSON;
+// ri:user attributes and the user fields they hold
+var USER_ATTRIBUTES = [["ri:account-id", "accountId"], ["ri:userkey", "userKey"], ["ri:username", "username"]];
+
+/**
+ * Migration of a page and the pages below it from one site to another, copyPageHierarchy working on one site
+ * only. The pages are read from the source as the page tree is walked, parents first, and each one is written
+ * to the target with its attachments, labels and content properties before the next is read:
+ *  - ri:space-key references and space macro parameters go through the spaceKeys mapping, the space of the
+ *    migrated pages mapping to the target space by default
+ *  - ri:content-id references and links to pages of the source site by URL point to the migrated pages and
+ *    attachments. Pages linking to pages migrated after them are saved again at the end
+ *  - ri:user mentions point to the users of the target, given in the users mapping or found by the accountId,
+ *    the username, then the email of the source user as username. A Cloud target has no usernames, there only
+ *    the accountId finds the user, e.g. between the sites of one organization. Mentions from a Server or Data
+ *    Center site need the users mapping
+ * The checkpoint file keeps the IDs of the migrated content after every page, a migration given the file of
+ * an interrupted one skips the pages it finished and takes over the page it created but did not get to save,
+ * found by its title under its parent. Failures are listed in the problems of the report, the pages below a
+ * page that could not be created go under its closest migrated ancestor.
+ * @param {Object} source ConfluenceAPI of the site to read
+ * @param {Object} target ConfluenceAPI of the site to write
+ * @param {string} rootId ID of the page to migrate, in the source
+ * @param {object} options
+ *  - {string} parentId, page of the target the root page goes under. Default: the homepage of spaceKey
+ *  - {string} spaceKey, space of the target. Default: the key of the source space, mapped by spaceKeys
+ *  - {Object} spaceKeys, target space keys by source space key
+ *  - {Object} users, target users {accountId, userKey, username} by source accountId, userKey or username
+ *  - {string} checkpoint, path of the checkpoint file
+ *  - {boolean} attachments, Migrate the attachments. Default: true
+ */
+function PageMigration(source, target, rootId, options){
+    ContentTransfer.call(this);
+    options = options || {};
+    this.source = source;
+    this.target = target;
+    this.rootId = String(rootId);
+    this.parentId = options.parentId || null;
+    this.spaceKey = options.spaceKey || null;
+    this.spaceKeys = Object.assign({}, options.spaceKeys);
+    this.userMapping = options.users || {};
+    this.checkpoint = options.checkpoint ? path.resolve(options.checkpoint) : null;
+    this.attachments = options.attachments !== false;
+    this.state = null;
+    this.resuming = false;
+}
+
+util.inherits(PageMigration, ContentTransfer);
+
+/**
+ * Migrate the pages.
+ * @return {Promise} the report, {parentId, spaceKey, resumed, counts: {pages, attachments}, ids, users,
+ *   problems: [{part, id, title, message}]}
+ */
+PageMigration.prototype.run = function(){
+    var migration = this;
+    var tree;
+    return Promise.resolve().then(function(){
+        migration.state = migration.load();
+        migration.ids = migration.state.ids;
+        return migration.source.content.getContentById(migration.rootId, { expand: "space" });
+    }).then(function(root){
+        var sourceKey = root.space.key;
+        migration.spaceKey = migration.spaceKey || migration.spaceKeys[sourceKey] || sourceKey;
+        if (!migration.spaceKeys[sourceKey]) {
+            migration.spaceKeys[sourceKey] = migration.spaceKey;
+        }
+        migration.report = {
+            parentId: null,
+            spaceKey: migration.spaceKey,
+            resumed: 0,
+            counts: { pages: 0, attachments: 0 },
+            ids: migration.state.ids,
+            users: migration.state.users,
+            problems: []
+        };
+        return migration.targetParentId();
+    }).then(function(parentId){
+        migration.report.parentId = parentId;
+        tree = migration.source.content.iteratePageTree(migration.rootId, { expand: "body.storage" });
+        return (function step(){
+            return tree.next().then(function(result){
+                return result.done ? null : migration.migratePage(result.value).then(step);
+            });
+        })();
+    }).then(function(){
+        var pending = migration.state.pending.slice();
+        return migration.sequence(pending, function(id){
+            return migration.relink(id);
+        });
+    }).then(function(){
+        migration.state.finishedAt = new Date().toISOString();
+        migration.save();
+        return migration.report;
+    });
+};
+
+/**
+ * State of the checkpoint file, or a new one.
+ */
+PageMigration.prototype.load = function(){
+    var state = this.checkpoint && fs.existsSync(this.checkpoint) ? readJSON(this.checkpoint) : null;
+    if (state && state.rootId !== this.rootId) {
+        var err = new Error("Checkpoint " + this.checkpoint + " belongs to the migration of page " + state.rootId + ".");
+        err.code = "ECHECKPOINTMISMATCH";
+        throw err;
+    }
+    this.resuming = !!state;
+    return state || { rootId: this.rootId, finishedAt: null, ids: {}, done: [], pending: [], users: {} };
+};
+
+PageMigration.prototype.save = function(){
+    if (this.checkpoint) {
+        writeJSON(this.checkpoint, this.state);
+    }
+};
+
+/**
+ * ID of the target page the root page goes under.
+ */
+PageMigration.prototype.targetParentId = function(){
+    var migration = this;
+    if (migration.parentId) {
+        return Promise.resolve(migration.parentId);
+    }
+    return migration.target.space.getSpace(migration.spaceKey, { expand: "homepage" }).then(function(space){
+        if (!space.homepage) {
+            throw new Error("Space " + migration.spaceKey + " has no homepage to migrate the pages under, give a parentId.");
+        }
+        migration.parentId = space.homepage.id;
+        return migration.parentId;
+    });
+};
+
+/**
+ * Create a page in the target, or find the one an interrupted run created, then copy its parts.
+ * @param {Object} node node of the source page tree
+ */
+PageMigration.prototype.migratePage = function(node){
+    var migration = this;
+    var state = migration.state;
+    var page = node.page;
+    if (state.done.indexOf(page.id) >= 0) {
+        migration.report.resumed++;
+        return Promise.resolve();
+    }
+    var created;
+    if (state.ids[page.id]) {
+        created = Promise.resolve(state.ids[page.id]);
+    } else {
+        var pending = false;
+        created = migration.attempt("page", page.id, page.title, migration.findCreated(node).then(function(found){
+            if (found) {
+                // its body is saved again at the end, in case its links were not all remapped
+                pending = true;
+                return found;
+            }
+            return migration.remap(page.body.storage.value, page).then(function(remapped){
+                pending = remapped.pending;
+                return migration.target.content.createContent({}, {
+                    type: "page",
+                    title: page.title,
+                    space: { key: migration.spaceKey },
+                    ancestors: [{ id: migration.parentOf(node) }],
+                    body: { storage: { value: remapped.value, representation: "storage" } }
+                });
+            });
+        })).then(function(result){
+            if (!result) {
+                return null;
+            }
+            state.ids[page.id] = result.id;
+            if (pending) {
+                state.pending.push(page.id);
+            }
+            migration.save();
+            return result.id;
+        });
+    }
+    return created.then(function(id){
+        if (!id) {
+            return null;
+        }
+        migration.report.counts.pages++;
+        return migration.copyAttachments(page, id).then(function(){
+            return migration.copyLabels(page, id);
+        }).then(function(){
+            return migration.copyProperties(page, id);
+        }).then(function(){
+            state.done.push(page.id);
+            migration.save();
+        });
+    });
+};
+
+/**
+ * Target page an interrupted run created for a page before it could save the checkpoint: the one with its
+ * title under its parent. Null when there is none, or the run does not resume another one.
+ * @param {Object} node node of the source page tree
+ */
+PageMigration.prototype.findCreated = function(node){
+    var migration = this;
+    if (!migration.resuming) {
+        return Promise.resolve(null);
+    }
+    var parentId = migration.parentOf(node);
+    return migration.target.content.getContent({
+        spaceKey: migration.spaceKey,
+        title: node.page.title,
+        type: "page",
+        expand: "ancestors"
+    }).then(function(result){
+        var page = result.results[0];
+        var ancestors = page && page.ancestors || [];
+        var parent = ancestors[ancestors.length - 1];
+        return parent && String(parent.id) === String(parentId) ? page : null;
+    });
+};
+
+/**
+ * ID of the target page a page goes under: the one of its closest migrated ancestor in the tree.
+ */
+PageMigration.prototype.parentOf = function(node){
+    var ids = this.state.ids;
+    var ancestors = node.depth > 0 ? node.ancestors.slice(node.ancestors.length - node.depth) : [];
+    for (var i = ancestors.length - 1; i >= 0; i--) {
+        if (ids[ancestors[i].id]) {
+            return ids[ancestors[i].id];
+        }
+    }
+    return this.parentId;
+};
+
+/**
+ * Stream the attachments from the source to the target, adding a version to the ones an interrupted run
+ * uploaded already.
+ */
+PageMigration.prototype.copyAttachments = function(page, id){
+    var migration = this;
+    if (!migration.attachments) {
+        return Promise.resolve();
+    }
+    // a streamed file can not be sent again
+    var target = migration.target.withOptions({ retry: false });
+    return migration.source.content.allAttachments(page.id, { expand: "version,metadata" }).then(function(attachments){
+        return migration.sequence(attachments, function(attachment){
+            var metadata = attachment.metadata || {};
+            var uploaded = migration.source.content.downloadAttachment(page.id, attachment.id).then(function(download){
+                var form = {
+                    file: { value: download, options: { filename: attachment.title, contentType: metadata.mediaType } },
+                    minorEdit: "true"
+                };
+                if (metadata.comment) {
+                    form.comment = metadata.comment;
+                }
+                return target.content.createOrUpdateAttachment(id, {}, form);
+            });
+            return migration.attempt("attachment", attachment.id, attachment.title, uploaded).then(function(result){
+                if (result) {
+                    migration.state.ids[attachment.id] = result.results[0].id;
+                    migration.report.counts.attachments++;
+                }
+            });
+        });
+    });
+};
+
+PageMigration.prototype.copyLabels = function(page, id){
+    var migration = this;
+    return migration.source.content.allContentLabels(page.id, {}).then(function(labels){
+        return labels.length && migration.attempt("label", page.id, page.title, migration.target.content.addLabelToContent(id, labels.map(function(label){
+            return { prefix: label.prefix, name: label.name };
+        })));
+    });
+};
+
+/**
+ * Copy the content properties, updating the ones an interrupted run created already.
+ */
+PageMigration.prototype.copyProperties = function(page, id){
+    var migration = this;
+    var content = migration.target.content;
+    return migration.source.content.allContentProperties(page.id, {}).then(function(properties){
+        return migration.sequence(properties, function(property){
+            var copied = content.createContentProperty(id, { key: property.key, value: property.value }).catch(function(err){
+                if (!(err instanceof ConfluenceError.ConflictError)) {
+                    throw err;
+                }
+                return content.getContentProperty(id, property.key, {}).then(function(existing){
+                    return content.updateContentProperty(id, property.key, {
+                        value: property.value,
+                        version: { number: existing.version.number + 1 }
+                    });
+                });
+            });
+            return migration.attempt("property", page.id, page.title + " " + property.key, copied);
+        });
+    });
+};
+
+/**
+ * Save a page again once the pages it links to are migrated.
+ */
+PageMigration.prototype.relink = function(sourceId){
+    var migration = this;
+    var state = migration.state;
+    var id = state.ids[sourceId];
+    var updated = migration.source.content.getContentById(sourceId, { expand: "body.storage" }).then(function(page){
+        return migration.remap(page.body.storage.value, page);
+    }).then(function(remapped){
+        return migration.target.content.getContentById(id, { expand: "body.storage,version" }).then(function(current){
+            // links to content left out of the migration stay as they are
+            if (current.body.storage.value === remapped.value) {
+                return null;
+            }
+            return migration.target.content.updateContent(id, {}, {
+                type: "page",
+                title: current.title,
+                body: { storage: { value: remapped.value, representation: "storage" } },
+                version: { number: current.version.number + 1, minorEdit: true }
+            });
+        });
+    });
+    return migration.attempt("links", sourceId, null, updated).then(function(){
+        state.pending.splice(state.pending.indexOf(sourceId), 1);
+        migration.save();
+    });
+};
+
+/**
+ * Body of a source page with its references pointing to the target.
+ * @return {Promise} {value, pending}, pending when it links to content not migrated yet
+ */
+PageMigration.prototype.remap = function(value, page){
+    var migration = this;
+    var tree = migration.parse(value, page);
+    if (!tree) {
+        return Promise.resolve({ value: value, pending: false });
+    }
+    var mentions = storage.findAll(tree, "ri:user");
+    return migration.sequence(mentions, function(mention){
+        return migration.resolveUser(mention.attributes, page).then(function(user){
+            var attributes = user && userAttributes(mention.attributes, user);
+            if (attributes) {
+                mention.attributes = attributes;
+            }
+        });
+    }).then(function(){
+        var sourceSite = siteUrl(migration.source);
+        var targetSite = siteUrl(migration.target);
+        return migration.remapReferences(tree, function(node){
+            var href = node.attributes.href;
+            if (node.name !== "a" || !href || href.indexOf(sourceSite + "/") !== 0) {
+                return false;
+            }
+            var remapped = migration.remapUrl(href.slice(sourceSite.length));
+            if (remapped === null) {
+                return true;
+            }
+            node.attributes.href = targetSite + remapped;
+            return false;
+        });
+    });
+};
+
+/**
+ * Path of a page URL of the target, e.g. /pages/viewpage.action?pageId=123 or /spaces/OPS/pages/123/Title,
+ * null when the page is not migrated yet.
+ */
+PageMigration.prototype.remapUrl = function(href){
+    var migration = this;
+    var unresolved = false;
+    var remapped = href.replace(/([?&]pageId=|\/pages\/)(\d+)/, function(match, prefix, id){
+        if (!migration.state.ids[id]) {
+            unresolved = true;
+            return match;
+        }
+        return prefix + migration.state.ids[id];
+    }).replace(/\/spaces\/([^/?#]+)/, function(match, key){
+        var mapped = migration.mapSpaceKey(key);
+        return mapped ? "/spaces/" + mapped : match;
+    });
+    return unresolved ? null : remapped;
+};
+
+/**
+ * User of the target for a ri:user of the source, null when it can not be found.
+ */
+PageMigration.prototype.resolveUser = function(attributes, page){
+    var migration = this;
+    var users = migration.state.users;
+    var sourceId = attributes["ri:account-id"] || attributes["ri:userkey"] || attributes["ri:username"];
+    if (!sourceId) {
+        return Promise.resolve(null);
+    }
+    if (users[sourceId] !== undefined) {
+        return Promise.resolve(users[sourceId]);
+    }
+    if (migration.userMapping[sourceId]) {
+        return migration.checkUser(sourceId, migration.userMapping[sourceId], page);
+    }
+    var find = function(params){
+        return migration.target.user.getUser(params).catch(function(err){
+            if (err instanceof ConfluenceError.NotFoundError) {
+                return null;
+            }
+            throw err;
+        });
+    };
+    var params = attributes["ri:account-id"] ? { accountId: sourceId } :
+        attributes["ri:userkey"] ? { key: sourceId } : { username: sourceId };
+    var resolved = migration.source.user.getUser(Object.assign({ expand: "details.personal" }, params)).then(function(user){
+        var email = user.email || user.details && user.details.personal && user.details.personal.email;
+        var lookups = [];
+        if (user.accountId) {
+            lookups.push({ accountId: user.accountId });
+        }
+        if (user.username) {
+            lookups.push({ username: user.username });
+        }
+        if (email) {
+            lookups.push({ username: email });
+        }
+        return lookups.reduce(function(previous, lookup){
+            return previous.then(function(found){
+                return found || find(lookup);
+            });
+        }, Promise.resolve(null));
+    }).then(function(found){
+        if (!found) {
+            throw new Error("No user of the target matches " + sourceId + ".");
+        }
+        return { accountId: found.accountId, userKey: found.userKey, username: found.username };
+    });
+    return migration.checkUser(sourceId, resolved, page);
+};
+
+/**
+ * Keep the target user of a source user, null with a problem when it can not be found or has nothing a ri:user
+ * can point to.
+ * @param {string} sourceId
+ * @param {Object|Promise} user the target user
+ * @param {Object} page source page mentioning the user
+ */
+PageMigration.prototype.checkUser = function(sourceId, user, page){
+    var migration = this;
+    var checked = Promise.resolve(user).then(function(user){
+        if (!userAttributes({}, user)) {
+            throw new Error("The target user of " + sourceId + " has no accountId, userKey or username.");
+        }
+        return user;
+    });
+    return migration.attempt("user", page.id, page.title, checked).then(function(user){
+        migration.state.users[sourceId] = user;
+        return user;
+    });
+};
+
+/**
+ * ri:user attributes of a target user, of the kind the source used when the target has it. Null when the user
+ * has none of them.
+ */
+function userAttributes(attributes, user){
+    var kinds = USER_ATTRIBUTES.filter(function(kind){
+        return user[kind[1]];
+    });
+    if (!kinds.length) {
+        return null;
+    }
+    var kind = kinds.filter(function(kind){
+        return attributes[kind[0]];
+    })[0] || kinds[0];
+    var result = {};
+    Object.keys(attributes).forEach(function(name){
+        if (!USER_ATTRIBUTES.some(function(kind){ return kind[0] === name; })) {
+            result[name] = attributes[name];
+        }
+    });
+    result[kind[0]] = user[kind[1]];
+    return result;
+}
+
+/**
+ * URL of the site of a client, its baseUrl without /rest/api.
+ */
+function siteUrl(client){
+    return client.baseUrl.replace(/\/rest\/api\/?$/, "");
+}
+
+module.exports = PageMigration;
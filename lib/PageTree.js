@@ -0,0 +1,235 @@
+/**!
+ * ConfluenceAPI - lib/PageTree.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var callback = require('./callback');
+
+/**
+ * Async iterator over the pages of a subtree, the root page first, e.g.
+ * `for await (const node of confluenceAPI.content.iteratePageTree(rootId))`.
+ * Each node is {page, depth, parentId, ancestors, position, childCount}:
+ *  - depth, 0 for the root page
+ *  - ancestors, {id, type, title} of the pages above it, from the top of the space down
+ *  - position, index among the children of its parent, null for the root page
+ *  - childCount, number of child pages, null for the pages at maxDepth whose children are not fetched
+ * A node is served once its children are listed. The children of the nodes coming next are listed
+ * ahead of time, at most `concurrency` listings at once.
+ * @param {Object} content Content resource
+ * @param {string} id ID of the root page
+ * @param {object} options
+ *  - {string} order, depth (depth-first, pre-order) or breadth (breadth-first). Default: depth
+ *  - {integer} maxDepth, pages deeper than this are left out. Default: no limit
+ *  - {integer} concurrency, child listings fetched at once. Default: 4
+ *  - {string|Array} expand, properties to expand on every page
+ */
+function PageTree(content, id, options){
+    options = options || {};
+    if (options.order && options.order !== "depth" && options.order !== "breadth") {
+        throw new Error("PageTree does not support the order " + options.order + ".");
+    }
+    this.content = content;
+    this.id = id;
+    this.order = options.order || "depth";
+    this.maxDepth = options.maxDepth === undefined ? Infinity : options.maxDepth;
+    this.concurrency = Math.max(1, options.concurrency || 4);
+    this.expand = [].concat(options.expand || []).join(",");
+    // nodes in the order they are served
+    this.queue = null;
+    this.active = 0;
+    // resumes take() when a listing slot frees up
+    this.waiting = null;
+    this.finished = false;
+    this.pending = Promise.resolve();
+}
+
+PageTree.prototype[Symbol.asyncIterator] = function(){
+    return this;
+};
+
+/**
+ * Next node, following the async iterator protocol.
+ * @return {Promise} {value, done}
+ */
+PageTree.prototype.next = function(){
+    var tree = this;
+    var result = tree.pending.then(function(){
+        return tree.take();
+    });
+    tree.pending = result.catch(function(){});
+    return result;
+};
+
+/**
+ * Stop walking, called by `break` in a for await loop.
+ * @return {Promise} {done: true}
+ */
+PageTree.prototype.return = function(){
+    this.finished = true;
+    this.queue = [];
+    return Promise.resolve({ value: undefined, done: true });
+};
+
+/**
+ * Collect every node into an array, in the walk order.
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+PageTree.prototype.all = function(cb){
+    var tree = this;
+    var nodes = [];
+    var promise = new Promise(function(resolve, reject){
+        (function loop(){
+            tree.next().then(function(item){
+                if (item.done) {
+                    return resolve(nodes);
+                }
+                nodes.push(item.value);
+                loop();
+            }, reject);
+        })();
+    });
+    return callback(promise, cb);
+};
+
+/**
+ * Materialize the subtree: the root node, each node with the nodes of its child pages in `children`.
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+PageTree.prototype.tree = function(cb){
+    var promise = this.all().then(function(nodes){
+        var byId = {};
+        nodes.forEach(function(node){
+            node.children = [];
+            byId[node.page.id] = node;
+            if (node.depth > 0) {
+                byId[node.parentId].children.push(node);
+            }
+        });
+        return nodes[0];
+    });
+    return callback(promise, cb);
+};
+
+/**
+ * Serve the node at the front of the queue, once its children are listed.
+ */
+PageTree.prototype.take = function(){
+    var tree = this;
+    if (tree.finished) {
+        return { value: undefined, done: true };
+    }
+    if (!tree.queue) {
+        return tree.content.getContentById(tree.id, { expand: expansions("ancestors", tree.expand) }).then(function(page){
+            var ancestors = (page.ancestors || []).map(reference);
+            tree.queue = [node(page, 0, ancestors, null)];
+            return tree.take();
+        }, function(err){
+            tree.finished = true;
+            throw err;
+        });
+    }
+    var current = tree.queue[0];
+    if (!current) {
+        tree.finished = true;
+        return { value: undefined, done: true };
+    }
+    tree.prefetch();
+    if (!current.loading) {
+        // every listing in flight is for a node further down, wait for one of them
+        return new Promise(function(resolve){
+            tree.waiting = resolve;
+        }).then(function(){
+            return tree.take();
+        });
+    }
+    return current.loading.then(function(children){
+        tree.queue.shift();
+        var ancestors = current.value.ancestors.concat(reference(current.value.page));
+        var nodes = (children || []).map(function(page, position){
+            return node(page, current.value.depth + 1, ancestors, position);
+        });
+        current.value.childCount = children ? children.length : null;
+        if (tree.order === "depth") {
+            tree.queue = nodes.concat(tree.queue);
+        } else {
+            tree.queue = tree.queue.concat(nodes);
+        }
+        return { value: current.value, done: false };
+    }, function(err){
+        tree.finished = true;
+        tree.queue = [];
+        throw err;
+    });
+};
+
+/**
+ * List the children of the nodes served next, as long as fewer than `concurrency` listings are running.
+ */
+PageTree.prototype.prefetch = function(){
+    var tree = this;
+    for (var i = 0; i < tree.queue.length; i++) {
+        var next = tree.queue[i];
+        if (next.loading) {
+            continue;
+        }
+        if (next.value.depth >= tree.maxDepth) {
+            next.loading = Promise.resolve(null);
+            continue;
+        }
+        if (tree.active >= tree.concurrency) {
+            break;
+        }
+        tree.list(next);
+    }
+};
+
+/**
+ * List the child pages of a node, every page of the list.
+ */
+PageTree.prototype.list = function(next){
+    var tree = this;
+    tree.active++;
+    next.loading = tree.content.allContentChildren(next.value.page.id, "page", tree.expand ? { expand: tree.expand } : {});
+    next.loading.catch(function(){}).then(function(){
+        tree.active--;
+        var waiting = tree.waiting;
+        tree.waiting = null;
+        if (waiting) {
+            waiting();
+        }
+    });
+};
+
+function node(page, depth, ancestors, position){
+    return {
+        value: {
+            page: page,
+            depth: depth,
+            parentId: ancestors.length && depth > 0 ? ancestors[ancestors.length - 1].id : null,
+            ancestors: ancestors,
+            position: position,
+            childCount: null
+        },
+        loading: null
+    };
+}
+
+function reference(page){
+    return { id: page.id, type: page.type, title: page.title };
+}
+
+function expansions(required, expand){
+    return expand ? required + "," + expand : required;
+}
+
+module.exports = PageTree;
@@ -0,0 +1,154 @@
+/**!
+ * ConfluenceAPI - lib/Paginator.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var urlParser = require('url');
+var callback = require('./callback');
+
+/**
+ * Async iterator over every result of a paginated list endpoint, e.g.
+ * `for await (const page of confluenceAPI.content.iterateContent({spaceKey: "TES"}))`.
+ * Pages are fetched lazily by following `_links.next`, which also carries the cursor of /search,
+ * or by moving `start` forward when the response has no links.
+ * @param {function} fetchPage function(params, cb) returning one page: {results, start, limit, size, _links}
+ * @param {object} params query parameters of the first page
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results. Default: no limit
+ */
+function Paginator(fetchPage, params, options){
+    options = options || {};
+    this.fetchPage = fetchPage;
+    this.params = copy(params);
+    this.maxItems = options.maxItems || Infinity;
+    this.buffer = [];
+    this.count = 0;
+    // no page left to fetch
+    this.exhausted = false;
+    // stopped by the caller, maxItems or an error
+    this.finished = false;
+    this.pending = Promise.resolve();
+}
+
+Paginator.prototype[Symbol.asyncIterator] = function(){
+    return this;
+};
+
+/**
+ * Next result, following the async iterator protocol.
+ * @return {Promise} {value, done}
+ */
+Paginator.prototype.next = function(){
+    var paginator = this;
+    // calls are served one after the other so that a page is never fetched twice
+    var result = paginator.pending.then(function(){
+        return paginator.take();
+    });
+    paginator.pending = result.catch(function(){});
+    return result;
+};
+
+/**
+ * Stop iterating, called by `break` in a for await loop.
+ * @return {Promise} {done: true}
+ */
+Paginator.prototype.return = function(){
+    this.finished = true;
+    this.buffer = [];
+    return Promise.resolve({ value: undefined, done: true });
+};
+
+/**
+ * Collect every result into an array, up to maxItems.
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+Paginator.prototype.all = function(cb){
+    var paginator = this;
+    var results = [];
+    var promise = new Promise(function(resolve, reject){
+        (function loop(){
+            paginator.next().then(function(item){
+                if (item.done) {
+                    return resolve(results);
+                }
+                results.push(item.value);
+                loop();
+            }, reject);
+        })();
+    });
+    return callback(promise, cb);
+};
+
+/**
+ * Serve a buffered result, fetching the next page when the buffer is empty.
+ */
+Paginator.prototype.take = function(){
+    var paginator = this;
+    if (paginator.count >= paginator.maxItems) {
+        paginator.finished = true;
+    }
+    if (paginator.finished) {
+        return { value: undefined, done: true };
+    }
+    if (paginator.buffer.length > 0) {
+        paginator.count++;
+        return { value: paginator.buffer.shift(), done: false };
+    }
+    if (paginator.exhausted) {
+        return { value: undefined, done: true };
+    }
+
+    return new Promise(function(resolve, reject){
+        paginator.fetchPage(copy(paginator.params), function(err, page){
+            if (err) {
+                paginator.finished = true;
+                return reject(err);
+            }
+            paginator.advance(page || {});
+            resolve(paginator.take());
+        });
+    });
+};
+
+/**
+ * Buffer the results of a page and work out the parameters of the next one.
+ * @param {Object} page
+ */
+Paginator.prototype.advance = function(page){
+    var results = page.results || [];
+    var next = page._links && page._links.next;
+    this.buffer = results.slice();
+
+    if (results.length === 0) {
+        this.exhausted = true;
+    } else if (next) {
+        var query = urlParser.parse(next, true).query;
+        for (var key in query) {
+            this.params[key] = query[key];
+        }
+    } else if (!page._links && page.limit && results.length >= page.limit) {
+        this.params.start = (Number(page.start) || 0) + results.length;
+    } else {
+        this.exhausted = true;
+    }
+};
+
+function copy(params){
+    var result = {};
+    for (var key in params || {}) {
+        result[key] = params[key];
+    }
+    return result;
+}
+
+module.exports = Paginator;
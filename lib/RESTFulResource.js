@@ -10,6 +10,11 @@
 
 'use strict';
 
+/**
+ * Module dependencies.
+ */
+var Paginator = require("./Paginator");
+
 /**
  * 
  * @param {Object} client 
@@ -26,4 +31,15 @@ RESTFulResource.prototype.path = function(apiPath){
     return this.client.baseUrl + apiPath;
 }
 
+/**
+ * Return an async iterator over every result of a paginated list method.
+ * @param {function} fetchPage function(params, cb) fetching one page
+ * @param {object} params Query parameters of the first page
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ */
+RESTFulResource.prototype.paginate = function(fetchPage, params, options){
+    return new Paginator(fetchPage.bind(this), params, options);
+}
+
 module.exports = RESTFulResource;
\ No newline at end of file
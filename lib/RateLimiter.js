@@ -0,0 +1,242 @@
+/**!
+ * ConfluenceAPI - lib/RateLimiter.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var ConfluenceError = require('./ConfluenceError');
+
+/**
+ * Methods that only read, they go to the read bucket, everything else to the write bucket.
+ */
+var READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * A queue limiting how many requests run at once and how many start per second.
+ * @param {Object} options
+ *  - {integer} concurrency, max requests in flight. Default: unlimited
+ *  - {number} requestsPerSecond, max requests started per second. Default: unlimited
+ *  - {integer} burst, requests that may start back to back before the rate applies. Default: requestsPerSecond
+ */
+function Bucket(options){
+    options = options || {};
+    this.concurrency = options.concurrency || Infinity;
+    this.requestsPerSecond = options.requestsPerSecond || Infinity;
+    this.burst = options.burst || Math.max(1, Math.ceil(this.requestsPerSecond));
+    this.tokens = this.burst;
+    this.refilledAt = Date.now();
+    this.pausedUntil = 0;
+    this.active = 0;
+    this.queue = [];
+    this.timer = null;
+}
+
+/**
+ * Queue a task, it is called with a release function once the bucket lets it start.
+ * @param {function} task function(release)
+ */
+Bucket.prototype.schedule = function(task){
+    this.queue.push(task);
+    this.pump();
+};
+
+/**
+ * Stop starting requests until the given time.
+ * @param {integer} until timestamp in milliseconds
+ */
+Bucket.prototype.pauseUntil = function(until){
+    if (until > this.pausedUntil) {
+        this.pausedUntil = until;
+    }
+};
+
+/**
+ * Start as many queued tasks as the limits allow, and wake up later if some are left waiting.
+ */
+Bucket.prototype.pump = function(){
+    var bucket = this;
+    while (bucket.queue.length > 0 && bucket.active < bucket.concurrency) {
+        var wait = bucket.waitTime();
+        if (wait > 0) {
+            if (!bucket.timer) {
+                bucket.timer = setTimeout(function(){
+                    bucket.timer = null;
+                    bucket.pump();
+                }, wait);
+            }
+            return;
+        }
+
+        if (bucket.requestsPerSecond !== Infinity) {
+            bucket.tokens -= 1;
+        }
+        bucket.active++;
+        bucket.queue.shift()(once(function(){
+            bucket.active--;
+            bucket.pump();
+        }));
+    }
+};
+
+/**
+ * Milliseconds to wait before the next task may start.
+ */
+Bucket.prototype.waitTime = function(){
+    var now = Date.now();
+    if (now < this.pausedUntil) {
+        return this.pausedUntil - now;
+    }
+    if (this.requestsPerSecond === Infinity) {
+        return 0;
+    }
+
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.refilledAt) * this.requestsPerSecond / 1000);
+    this.refilledAt = now;
+    if (this.tokens >= 1) {
+        return 0;
+    }
+    return Math.ceil((1 - this.tokens) * 1000 / this.requestsPerSecond);
+};
+
+/**
+ * Queue depth and requests in flight.
+ */
+Bucket.prototype.stats = function(){
+    return {
+        queued: this.queue.length,
+        active: this.active,
+        pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil) : null
+    };
+};
+
+/**
+ * Client side limiter every request of a ConfluenceAPI instance goes through.
+ * @param {Object} options
+ *  - {integer} concurrency, max requests in flight per bucket
+ *  - {number} requestsPerSecond, max requests started per second per bucket
+ *  - {Object} read, {concurrency, requestsPerSecond, burst} for GET/HEAD/OPTIONS, overrides the above
+ *  - {Object} write, {concurrency, requestsPerSecond, burst} for every other method, overrides the above
+ *  - {boolean} adaptive, hold the queue when the server sends Retry-After or runs out of X-RateLimit-Remaining. Default: false
+ */
+function RateLimiter(options){
+    options = options || {};
+    this.adaptive = !!options.adaptive;
+    this.buckets = {
+        read: new Bucket(bucketOptions(options, options.read)),
+        write: new Bucket(bucketOptions(options, options.write))
+    };
+}
+
+/**
+ * Merge the shared limits with the ones of a bucket.
+ */
+function bucketOptions(shared, own){
+    own = own || {};
+    return {
+        concurrency: own.concurrency || shared.concurrency,
+        requestsPerSecond: own.requestsPerSecond || shared.requestsPerSecond,
+        burst: own.burst || shared.burst
+    };
+}
+
+/**
+ * Return the bucket name of a request.
+ * @param {Object} req request built by ConfluenceAPI#buildRequest
+ */
+RateLimiter.prototype.bucketFor = function(req){
+    return READ_METHODS.indexOf(req.method) >= 0 ? "read" : "write";
+};
+
+/**
+ * Run a task once its bucket allows it. The task must call release with the response, if any,
+ * when the request is over.
+ * @param {Object} req request built by ConfluenceAPI#buildRequest
+ * @param {function} task function(release)
+ */
+RateLimiter.prototype.schedule = function(req, task){
+    var limiter = this;
+    var bucket = limiter.buckets[limiter.bucketFor(req)];
+    bucket.schedule(function(done){
+        task(function(res){
+            if (limiter.adaptive && res) {
+                limiter.adapt(res);
+            }
+            done();
+        });
+    });
+};
+
+/**
+ * Hold every bucket when the server asks us to slow down.
+ * @param {Object} res response
+ */
+RateLimiter.prototype.adapt = function(res){
+    var headers = res.headers || {};
+    var until = 0;
+
+    var retryAfter = ConfluenceError.parseRetryAfter(headers['retry-after']);
+    if (retryAfter !== undefined && (res.statusCode === 429 || res.statusCode === 503)) {
+        until = Date.now() + retryAfter;
+    }
+
+    if (headers['x-ratelimit-remaining'] !== undefined && Number(headers['x-ratelimit-remaining']) <= 0) {
+        until = Math.max(until, parseReset(headers['x-ratelimit-reset']));
+    }
+
+    if (until > Date.now()) {
+        this.buckets.read.pauseUntil(until);
+        this.buckets.write.pauseUntil(until);
+    }
+};
+
+/**
+ * Queue depth and requests in flight per bucket, e.g. {read: {queued, active, pausedUntil}, write: {...}}.
+ */
+RateLimiter.prototype.stats = function(){
+    return {
+        read: this.buckets.read.stats(),
+        write: this.buckets.write.stats()
+    };
+};
+
+/**
+ * X-RateLimit-Reset is either an ISO date or an epoch in seconds.
+ * @param {string} value
+ * @return {integer} timestamp in milliseconds, 0 when unknown
+ */
+function parseReset(value){
+    if (!value) {
+        return 0;
+    }
+    if (/^\d+$/.test(value)) {
+        return Number(value) * 1000;
+    }
+    var date = Date.parse(value);
+    return isNaN(date) ? 0 : date;
+}
+
+/**
+ * Make sure a release function only counts once.
+ */
+function once(fn){
+    var called = false;
+    return function(){
+        if (!called) {
+            called = true;
+            fn.apply(this, arguments);
+        }
+    };
+}
+
+RateLimiter.Bucket = Bucket;
+
+module.exports = RateLimiter;
@@ -0,0 +1,345 @@
+/**!
+ * ConfluenceAPI - lib/Recorder.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var fs = require('fs');
+var path = require('path');
+var urlParser = require('url');
+var querystring = require('querystring');
+var ConfluenceError = require('./ConfluenceError');
+var Transport = require('./Transport');
+var Multipart = require('./Multipart');
+
+var MODES = ["record", "replay", "auto"];
+
+/**
+ * Headers never written to a cassette.
+ */
+var SECRET_HEADERS = /^(authorization|proxy-authorization|cookie|set-cookie|x-atlassian-token-secret)$/i;
+
+var SCRUBBED = "***";
+
+/**
+ * Record and replay of the HTTP interactions of a client, set with the `recorder` option of ConfluenceAPI.
+ * It sits at the end of the middleware chain, where the transport would be, so cassettes hold what
+ * goes on the wire.
+ *
+ * A cassette is a JSON file: {version: 1, interactions: [{request, response}]}
+ *  - request: {method, path, query, headers, body, form}. path is relative to the client baseUrl,
+ *    form fields are strings or {filename, contentType, data} with data in base64
+ *  - response: {status, statusMessage, headers, encoding, body}. encoding is json, utf8 or base64
+ * Credentials are scrubbed: Authorization and cookie headers and secret query parameters are written as ***.
+ *
+ * @param {Object} options
+ *  - {string} cassette, REQUIRED. Path of the fixture file
+ *  - {string} mode, record: call the server and write every interaction, the cassette is started over.
+ *    replay: answer from the cassette, a request that was not recorded fails.
+ *    auto: replay when the cassette exists, record otherwise. Default: replay
+ *  - {function} match, function(request, recorded) telling whether a recorded request answers an
+ *    incoming one, both in the cassette format. Default: same method, path, query, body and form fields
+ *  - {function} scrub, function(interaction) returning the interaction to write, for extra scrubbing
+ */
+function Recorder(options){
+    options = options || {};
+    if (!options.cassette) {
+        throw new Error("Recorder expects a cassette path.");
+    }
+    var mode = options.mode || "replay";
+    if (MODES.indexOf(mode) < 0) {
+        throw new Error("Recorder does not support the mode " + mode + ".");
+    }
+    if (mode === "auto") {
+        mode = fs.existsSync(options.cassette) ? "replay" : "record";
+    }
+    this.cassette = options.cassette;
+    this.mode = mode;
+    this.match = options.match || matches;
+    this.scrub = options.scrub;
+    this.interactions = [];
+    this.used = [];
+
+    if (mode === "replay") {
+        this.load();
+    }
+}
+
+/**
+ * Read the interactions of the cassette.
+ */
+Recorder.prototype.load = function(){
+    var content;
+    try {
+        content = JSON.parse(fs.readFileSync(this.cassette, "utf8"));
+    } catch (e) {
+        throw new Error("Recorder could not read the cassette " + this.cassette + ": " + e.message);
+    }
+    this.interactions = content.interactions || [];
+    this.used = this.interactions.map(function(){
+        return false;
+    });
+};
+
+/**
+ * Write the interactions recorded so far.
+ */
+Recorder.prototype.save = function(){
+    var dir = path.dirname(this.cassette);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(this.cassette, JSON.stringify({ version: 1, interactions: this.interactions }, null, 2) + "\n");
+};
+
+/**
+ * Send a request, or answer it from the cassette.
+ * @param {ConfluenceAPI} client
+ * @param {Object} req built by ConfluenceAPI#buildRequest, authorized
+ * @param {function} done function(err, data, res)
+ */
+Recorder.prototype.dispatch = function(client, req, done){
+    var recorder = this;
+    var request = serializeRequest(client, req);
+
+    if (recorder.mode === "replay") {
+        return recorder.replay(request, done);
+    }
+
+    client.dispatch(req, function(err, data, res){
+        // network failures are not part of the recorded behaviour
+        if (err || !res) {
+            return done(err, data, res);
+        }
+        var record = function(data){
+            var interaction = { request: request, response: serializeResponse(data, res) };
+            recorder.interactions.push(recorder.scrub ? recorder.scrub(interaction) : interaction);
+            recorder.save();
+            done(null, data, res);
+        };
+        // a streamed body is read to be written, the caller gets it back as a Buffer
+        if (data && typeof data.pipe === 'function') {
+            return Transport.read(data, function(err, buffer){
+                return err ? done(err) : record(buffer);
+            });
+        }
+        record(data);
+    });
+};
+
+/**
+ * Answer with the first unused recorded interaction matching the request.
+ * @param {Object} request in the cassette format
+ * @param {function} done function(err, data, res)
+ */
+Recorder.prototype.replay = function(request, done){
+    for (var i = 0; i < this.interactions.length; i++) {
+        if (!this.used[i] && this.match(request, this.interactions[i].request)) {
+            this.used[i] = true;
+            var response = this.interactions[i].response;
+            return done(null, deserializeBody(response), {
+                statusCode: response.status,
+                statusMessage: response.statusMessage,
+                headers: response.headers || {}
+            });
+        }
+    }
+
+    var err = new Error("Recorder has no interaction for " + request.method + " " + request.path +
+        describeQuery(request.query) + " in " + this.cassette + ", record it again.");
+    err.code = "ERECORDERMISS";
+    done(err);
+};
+
+/**
+ * Recorded interactions that were not replayed yet.
+ * @return {Array[Object]}
+ */
+Recorder.prototype.pending = function(){
+    var used = this.used;
+    return this.interactions.filter(function(interaction, index){
+        return !used[index];
+    });
+};
+
+/**
+ * Default matching: method, path, query, JSON body and form fields. File contents are left out
+ * so that fixtures survive uploads of generated files.
+ */
+function matches(request, recorded){
+    return request.method === recorded.method &&
+        request.path === recorded.path &&
+        same(request.query, recorded.query) &&
+        same(request.body, recorded.body) &&
+        same(formShape(request.form), formShape(recorded.form));
+}
+
+function formShape(form){
+    if (!form) {
+        return form;
+    }
+    var shape = {};
+    Object.keys(form).forEach(function(name){
+        shape[name] = [].concat(form[name]).map(function(value){
+            return typeof value === 'string' ? value : "<file>";
+        });
+    });
+    return shape;
+}
+
+function same(a, b){
+    return JSON.stringify(sortKeys(a)) === JSON.stringify(sortKeys(b));
+}
+
+function sortKeys(value){
+    if (Array.isArray(value)) {
+        return value.map(sortKeys);
+    }
+    if (value && typeof value === 'object') {
+        var sorted = {};
+        Object.keys(value).sort().forEach(function(key){
+            sorted[key] = sortKeys(value[key]);
+        });
+        return sorted;
+    }
+    return value === undefined ? null : value;
+}
+
+function describeQuery(query){
+    var text = querystring.stringify(query || {});
+    return text ? "?" + text : "";
+}
+
+/**
+ * Convert a built request to the cassette format, scrubbed.
+ */
+function serializeRequest(client, req){
+    var url = urlParser.parse(req.url, true);
+    var base = urlParser.parse(client.baseUrl);
+    var pathname = url.pathname || "/";
+    if (url.host === base.host && pathname.indexOf(base.pathname) === 0) {
+        pathname = pathname.substring(base.pathname.length) || "/";
+    }
+
+    var query = {};
+    [url.query, req.params || {}].forEach(function(source){
+        Object.keys(source).forEach(function(key){
+            var value = source[key];
+            query[key] = ConfluenceError.isSecretParam(key) ? SCRUBBED : Array.isArray(value) ? value.map(String) : String(value);
+        });
+    });
+
+    var request = {
+        method: req.method,
+        path: pathname,
+        query: query,
+        headers: scrubHeaders(req.headers)
+    };
+    if (req.data !== undefined) {
+        request.body = req.data;
+    }
+    if (req.form) {
+        request.form = serializeForm(req.form);
+    }
+    return request;
+}
+
+function scrubHeaders(headers){
+    var result = {};
+    Object.keys(headers || {}).forEach(function(name){
+        result[name] = SECRET_HEADERS.test(name) ? SCRUBBED : headers[name];
+    });
+    return result;
+}
+
+/**
+ * Multipart fields: strings stay as they are, files are kept in base64.
+ * Streams other than files can not be read without consuming them, their data is left out.
+ */
+function serializeForm(form){
+    var result = {};
+    Object.keys(form).forEach(function(name){
+        var values = [].concat(form[name]).map(serializeFormValue);
+        result[name] = Array.isArray(form[name]) ? values : values[0];
+    });
+    return result;
+}
+
+function serializeFormValue(field){
+    var options = {};
+    var value = field;
+    if (Multipart.isPath(field)) {
+        options = field.options || {};
+        return {
+            filename: path.basename(options.filename || field.path),
+            contentType: options.contentType,
+            data: fs.readFileSync(field.path).toString("base64")
+        };
+    }
+    if (field && field.value !== undefined && field.options) {
+        options = field.options;
+        value = field.value;
+    }
+
+    var data = null;
+    var filename = options.filename;
+    if (Buffer.isBuffer(value)) {
+        data = value;
+    } else if (value instanceof fs.ReadStream) {
+        data = fs.readFileSync(value.path);
+        filename = filename || path.basename(String(value.path));
+    } else if (!(value && typeof value.pipe === 'function')) {
+        return String(value);
+    }
+    return {
+        filename: filename ? path.basename(filename) : undefined,
+        contentType: options.contentType,
+        data: data ? data.toString("base64") : null
+    };
+}
+
+/**
+ * Convert a response to the cassette format, scrubbed. Buffers are what node-rest-client
+ * hands back for bodies it does not parse, e.g. binary downloads.
+ */
+function serializeResponse(data, res){
+    var response = {
+        status: res.statusCode,
+        statusMessage: res.statusMessage,
+        headers: scrubHeaders(res.headers)
+    };
+    if (Buffer.isBuffer(data)) {
+        response.encoding = "base64";
+        response.body = data.toString("base64");
+    } else if (typeof data === 'string') {
+        response.encoding = "utf8";
+        response.body = data;
+    } else {
+        response.encoding = "json";
+        response.body = data === undefined ? null : data;
+    }
+    return response;
+}
+
+function deserializeBody(response){
+    switch (response.encoding) {
+        case "base64":
+            return Buffer.from(response.body || "", "base64");
+        case "utf8":
+            return response.body;
+    }
+    return response.body;
+}
+
+Recorder.MODES = MODES;
+
+module.exports = Recorder;
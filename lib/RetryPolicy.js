@@ -0,0 +1,122 @@
+/**!
+ * ConfluenceAPI - lib/RetryPolicy.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var HttpMethod = require('./Httpmethod');
+var ConfluenceError = require('./ConfluenceError');
+
+/**
+ * Network failures worth another attempt.
+ */
+var TRANSIENT_ERROR_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ESOCKETTIMEDOUT", "ERESPONSETIMEOUT", "EPIPE", "EAI_AGAIN", "ENOTFOUND"];
+
+var DEFAULTS = {
+    maxAttempts: 3,
+    baseDelay: 500,
+    maxDelay: 30000,
+    factor: 2,
+    jitter: true,
+    methods: [HttpMethod.GET, HttpMethod.PUT, HttpMethod.DELETE, "HEAD", "OPTIONS"],
+    statusCodes: [429, 502, 503, 504]
+};
+
+/**
+ * Retry policy applied to every request sent by ConfluenceAPI.
+ * @param {Object|boolean} options, false disables retries
+ *  - {integer} maxAttempts, total number of attempts including the first one. Default: 3
+ *  - {integer} baseDelay, delay before the first retry in milliseconds. Default: 500
+ *  - {integer} maxDelay, upper bound of the computed backoff in milliseconds. Default: 30000
+ *  - {number} factor, exponential growth of the delay between attempts. Default: 2
+ *  - {boolean} jitter, randomize the upper half of each delay. Default: true
+ *  - {Array[string]} methods, methods retried by default, the idempotent ones. Default: GET PUT DELETE HEAD OPTIONS
+ *  - {Array[integer]} statusCodes, response statuses worth another attempt. Default: 429 502 503 504
+ */
+function RetryPolicy(options){
+    if (options === false) {
+        options = { maxAttempts: 1 };
+    }
+    options = options || {};
+    for (var key in DEFAULTS) {
+        this[key] = options[key] !== undefined ? options[key] : DEFAULTS[key];
+    }
+}
+
+/**
+ * Return the policy to use for one call. The override comes from the request descriptor:
+ * false disables retries, true retries whatever the method, an object replaces some of the settings.
+ * @param {Object|boolean} override
+ * @return {RetryPolicy}
+ */
+RetryPolicy.prototype.forCall = function(override){
+    if (override === undefined || override === null) {
+        return this;
+    }
+    if (override === false) {
+        return new RetryPolicy(false);
+    }
+
+    var options = {};
+    for (var key in DEFAULTS) {
+        options[key] = this[key];
+    }
+    if (override === true) {
+        options.methods = null;
+    } else {
+        for (var name in override) {
+            options[name] = override[name];
+        }
+    }
+    return new RetryPolicy(options);
+};
+
+/**
+ * Whether the outcome of an attempt calls for another one.
+ * @param {Object} req request built by ConfluenceAPI#buildRequest
+ * @param {integer} attempt number of attempts made so far
+ * @param {Error} err network error, if any
+ * @param {Object} res response, if any
+ */
+RetryPolicy.prototype.shouldRetry = function(req, attempt, err, res){
+    if (attempt >= this.maxAttempts) {
+        return false;
+    }
+    if (this.methods && this.methods.indexOf(req.method) < 0) {
+        return false;
+    }
+    if (err) {
+        return TRANSIENT_ERROR_CODES.indexOf(err.code) >= 0;
+    }
+    return !!res && this.statusCodes.indexOf(res.statusCode) >= 0;
+};
+
+/**
+ * Delay before the next attempt, in milliseconds. A Retry-After header sent by the
+ * server wins over the computed backoff.
+ * @param {integer} attempt number of attempts made so far
+ * @param {Object} res response of the last attempt, if any
+ */
+RetryPolicy.prototype.delay = function(attempt, res){
+    var retryAfter = res && res.headers && ConfluenceError.parseRetryAfter(res.headers['retry-after']);
+    if (retryAfter !== undefined) {
+        return retryAfter;
+    }
+
+    var delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(this.factor, attempt - 1));
+    if (this.jitter) {
+        delay = delay / 2 + Math.random() * delay / 2;
+    }
+    return Math.round(delay);
+};
+
+module.exports = RetryPolicy;
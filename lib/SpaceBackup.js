@@ -0,0 +1,282 @@
+/**!
+ * ConfluenceAPI - lib/SpaceBackup.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var fs = require('fs');
+var path = require('path');
+var ConfluenceError = require('./ConfluenceError');
+
+var FORMAT = "confluence-restapi-backup";
+var VERSION = 1;
+var CONTENT_EXPAND = "body.storage,version,ancestors,space,history";
+var COMMENT_EXPAND = "body.storage,version,history,extensions.inlineProperties,extensions.resolution";
+
+/**
+ * Backup of a space to a directory, one JSON file per part:
+ *
+ *     manifest.json                  {format: "confluence-restapi-backup", version: 1, spaceKey, versions,
+ *                                     startedAt, finishedAt, counts: {pages, blogposts, attachments}}
+ *     space.json                     the space, with its description and homepage
+ *     space-properties.json          the space properties
+ *     space-settings.json            the space settings
+ *     space-theme.json               the theme of the space, null when it has none
+ *     content/<id>/content.json      a page or blog post, with its storage body, version, ancestors and history
+ *     content/<id>/labels.json
+ *     content/<id>/properties.json
+ *     content/<id>/restrictions.json the restrictions by operation
+ *     content/<id>/comments.json     the comments, with their storage body and their replies in `replies`
+ *     content/<id>/attachments.json  the attachments, with their version and metadata
+ *     content/<id>/attachments/<attachmentId>  the file of the latest version of an attachment
+ *     content/<id>/versions/<n>.json the earlier versions with their storage body, with the versions option
+ *
+ * content.json of a content is written last, a backup interrupted on the way picks up again at the contents
+ * without one, continuing the partial attachment downloads. finishedAt is null until the backup is complete.
+ * @param {Object} client ConfluenceAPI
+ * @param {string} spaceKey
+ * @param {string} dir directory of the backup, created when missing
+ * @param {object} options
+ *  - {boolean} versions, Keep the earlier versions of the pages and blog posts too. Default: false
+ */
+function SpaceBackup(client, spaceKey, dir, options){
+    options = options || {};
+    this.client = client;
+    this.spaceKey = spaceKey;
+    this.dir = path.resolve(dir);
+    this.versions = !!options.versions;
+}
+
+SpaceBackup.FORMAT = FORMAT;
+SpaceBackup.VERSION = VERSION;
+
+/**
+ * Back up the space, skipping the contents a previous run of the same backup finished.
+ * @return {Promise} the manifest, with resumed, the number of contents skipped
+ */
+SpaceBackup.prototype.run = function(){
+    var backup = this;
+    var manifest;
+    var resumed = 0;
+    return Promise.resolve().then(function(){
+        manifest = backup.start();
+        return backup.backupSpace();
+    }).then(function(){
+        return backup.contents();
+    }).then(function(contents){
+        return contents.reduce(function(previous, content){
+            return previous.then(function(){
+                var folder = backup.contentDir(content.id);
+                if (fs.existsSync(path.join(folder, "content.json"))) {
+                    resumed++;
+                    return readJSON(path.join(folder, "attachments.json"));
+                }
+                return backup.backupContent(content);
+            }).then(function(attachments){
+                manifest.counts[content.type === "blogpost" ? "blogposts" : "pages"]++;
+                manifest.counts.attachments += attachments.length;
+            });
+        }, Promise.resolve());
+    }).then(function(){
+        manifest.finishedAt = new Date().toISOString();
+        writeJSON(path.join(backup.dir, "manifest.json"), manifest);
+        return Object.assign({ resumed: resumed }, manifest);
+    });
+};
+
+/**
+ * Write the manifest of a new backup, or check the one of the backup to resume.
+ */
+SpaceBackup.prototype.start = function(){
+    var file = path.join(this.dir, "manifest.json");
+    var previous = fs.existsSync(file) ? readJSON(file) : null;
+    if (previous && (previous.format !== FORMAT || previous.spaceKey !== this.spaceKey)) {
+        var err = new Error("Directory " + this.dir + " holds another backup than one of space " + this.spaceKey + ".");
+        err.code = "EBACKUPMISMATCH";
+        throw err;
+    }
+    var manifest = {
+        format: FORMAT,
+        version: VERSION,
+        spaceKey: this.spaceKey,
+        versions: this.versions,
+        startedAt: previous ? previous.startedAt : new Date().toISOString(),
+        finishedAt: null,
+        counts: { pages: 0, blogposts: 0, attachments: 0 }
+    };
+    fs.mkdirSync(path.join(this.dir, "content"), { recursive: true });
+    writeJSON(file, manifest);
+    return manifest;
+};
+
+/**
+ * The space, its properties, settings and theme, written again on every run.
+ */
+SpaceBackup.prototype.backupSpace = function(){
+    var backup = this;
+    var space = backup.client.space;
+    return space.getSpace(backup.spaceKey, { expand: "description.plain,homepage,metadata.labels" }).then(function(result){
+        writeJSON(path.join(backup.dir, "space.json"), result);
+        return space.allSpaceProperties(backup.spaceKey, { expand: "version" });
+    }).then(function(properties){
+        writeJSON(path.join(backup.dir, "space-properties.json"), properties);
+        return space.getSpaceSettings(backup.spaceKey);
+    }).then(function(settings){
+        writeJSON(path.join(backup.dir, "space-settings.json"), settings);
+        return space.getSpaceTheme(backup.spaceKey).catch(function(err){
+            if (err instanceof ConfluenceError.NotFoundError) {
+                return null;
+            }
+            throw err;
+        });
+    }).then(function(theme){
+        writeJSON(path.join(backup.dir, "space-theme.json"), theme);
+    });
+};
+
+/**
+ * The pages and blog posts of the space.
+ */
+SpaceBackup.prototype.contents = function(){
+    var backup = this;
+    var space = backup.client.space;
+    return space.allContentForSpaceByType(backup.spaceKey, "page", {}).then(function(pages){
+        return space.allContentForSpaceByType(backup.spaceKey, "blogpost", {}).then(function(blogposts){
+            return pages.concat(blogposts);
+        });
+    });
+};
+
+SpaceBackup.prototype.contentDir = function(id){
+    return path.join(this.dir, "content", String(id));
+};
+
+/**
+ * Every part of a page or blog post, content.json last.
+ * @return {Promise} the attachments
+ */
+SpaceBackup.prototype.backupContent = function(listed){
+    var backup = this;
+    var content = backup.client.content;
+    var folder = backup.contentDir(listed.id);
+    var file = function(name){
+        return path.join(folder, name);
+    };
+    var saved;
+    var attachments;
+    fs.mkdirSync(folder, { recursive: true });
+    return content.getContentById(listed.id, { expand: CONTENT_EXPAND }).then(function(result){
+        saved = result;
+        return content.allContentLabels(saved.id, {});
+    }).then(function(labels){
+        writeJSON(file("labels.json"), labels);
+        return content.allContentProperties(saved.id, { expand: "version" });
+    }).then(function(properties){
+        writeJSON(file("properties.json"), properties);
+        return content.getRestrictions(saved.id, { expand: "restrictions.user,restrictions.group,content" });
+    }).then(function(restrictions){
+        writeJSON(file("restrictions.json"), restrictions);
+        return backup.comments(saved.id);
+    }).then(function(comments){
+        writeJSON(file("comments.json"), comments);
+        return content.allAttachments(saved.id, { expand: "version,metadata" });
+    }).then(function(result){
+        attachments = result;
+        return backup.attachments(saved.id, attachments);
+    }).then(function(){
+        writeJSON(file("attachments.json"), attachments);
+        return backup.versions ? backup.earlierVersions(saved) : null;
+    }).then(function(){
+        writeJSON(file("content.json"), saved);
+        return attachments;
+    });
+};
+
+/**
+ * Comments of a content or comment, with their replies.
+ */
+SpaceBackup.prototype.comments = function(id){
+    var backup = this;
+    return backup.client.content.allContentComments(id, { expand: COMMENT_EXPAND }).then(function(comments){
+        return comments.reduce(function(previous, comment){
+            return previous.then(function(){
+                return backup.comments(comment.id).then(function(replies){
+                    comment.replies = replies;
+                });
+            });
+        }, Promise.resolve()).then(function(){
+            return comments;
+        });
+    });
+};
+
+/**
+ * Download the files of the attachments, continuing the ones an interrupted run left.
+ */
+SpaceBackup.prototype.attachments = function(id, attachments){
+    var backup = this;
+    var folder = path.join(backup.contentDir(id), "attachments");
+    if (attachments.length) {
+        fs.mkdirSync(folder, { recursive: true });
+    }
+    return attachments.reduce(function(previous, attachment){
+        return previous.then(function(){
+            return backup.client.content.downloadAttachment(id, attachment.id, {
+                path: path.join(folder, String(attachment.id)),
+                resume: true
+            });
+        });
+    }, Promise.resolve());
+};
+
+/**
+ * Versions 1 to the one before the current of a content.
+ */
+SpaceBackup.prototype.earlierVersions = function(saved){
+    var backup = this;
+    var folder = path.join(backup.contentDir(saved.id), "versions");
+    var numbers = [];
+    for (var number = 1; number < saved.version.number; number++) {
+        numbers.push(number);
+    }
+    fs.mkdirSync(folder, { recursive: true });
+    return numbers.reduce(function(previous, number){
+        return previous.then(function(){
+            var file = path.join(folder, number + ".json");
+            if (fs.existsSync(file)) {
+                return null;
+            }
+            return backup.client.content.getContentById(saved.id, {
+                status: "historical",
+                version: number,
+                expand: "body.storage,version"
+            }).then(function(version){
+                writeJSON(file, version);
+            });
+        });
+    }, Promise.resolve());
+};
+
+function readJSON(file){
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// through a temporary file, so an interruption never leaves half a file behind
+function writeJSON(file, value){
+    fs.writeFileSync(file + ".tmp", JSON.stringify(value, null, 2) + "\n");
+    fs.renameSync(file + ".tmp", file);
+}
+
+SpaceBackup.readJSON = readJSON;
+SpaceBackup.writeJSON = writeJSON;
+
+module.exports = SpaceBackup;
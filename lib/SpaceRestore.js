@@ -0,0 +1,363 @@
+/**!
+ * ConfluenceAPI - lib/SpaceRestore.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var SpaceBackup = require('./SpaceBackup');
+var ContentTransfer = require('./ContentTransfer');
+var ConfluenceError = require('./ConfluenceError');
+
+var readJSON = SpaceBackup.readJSON;
+
+/**
+ * Restore of a backup written by SpaceBackup, to a new space or into an existing one:
+ *  - a new space gets the description, properties, settings and theme of the backup, its homepage the title
+ *    and body of the homepage of the backup. In an existing space the homepage of the backup is restored as a
+ *    page under the homepage of the space
+ *  - the pages are created parents first, then the blog posts, each with its attachments, labels and content
+ *    properties, then the comments and their replies, and last the restrictions, so none locks the restore out
+ *  - links, images and macros of the bodies pointing to the backed up space or content by ri:space-key,
+ *    ri:content-id or a space parameter point to the restored ones. Bodies linking to content restored after
+ *    them are saved again once it exists
+ * The restored content starts a new history, by the user restoring it. What fails is left out and listed in the
+ * problems of the report, the pages below a page left out go under its closest restored ancestor.
+ * @param {Object} client ConfluenceAPI
+ * @param {string} dir directory of the backup
+ * @param {object} options
+ *  - {string} spaceKey, key of the space to restore to. Default: the key of the backed up space
+ *  - {string} name, name of the space when it is created. Default: the name of the backed up space
+ */
+function SpaceRestore(client, dir, options){
+    ContentTransfer.call(this);
+    options = options || {};
+    this.client = client;
+    this.dir = path.resolve(dir);
+    this.spaceKey = options.spaceKey || null;
+    this.name = options.name || null;
+}
+
+util.inherits(SpaceRestore, ContentTransfer);
+
+/**
+ * Restore the backup.
+ * @return {Promise} the report, {spaceKey, createdSpace, counts: {pages, blogposts, attachments, comments},
+ *   ids, problems: [{part, id, title, message}]}
+ */
+SpaceRestore.prototype.run = function(){
+    var restore = this;
+    var contents;
+    return Promise.resolve().then(function(){
+        var manifest = readJSON(path.join(restore.dir, "manifest.json"));
+        if (manifest.format !== SpaceBackup.FORMAT || !manifest.finishedAt) {
+            var err = new Error("Directory " + restore.dir + " holds no complete backup to restore.");
+            err.code = "EBACKUPINCOMPLETE";
+            throw err;
+        }
+        restore.source = readJSON(path.join(restore.dir, "space.json"));
+        restore.fromKey = manifest.spaceKey;
+        restore.spaceKey = restore.spaceKey || manifest.spaceKey;
+        restore.spaceKeys[restore.fromKey] = restore.spaceKey;
+        restore.report = {
+            spaceKey: restore.spaceKey,
+            createdSpace: false,
+            counts: { pages: 0, blogposts: 0, attachments: 0, comments: 0 },
+            ids: restore.ids,
+            problems: []
+        };
+        contents = restore.contents();
+        return restore.restoreSpace();
+    }).then(function(){
+        return restore.sequence(contents, function(content){
+            return restore.restoreContent(content);
+        });
+    }).then(function(){
+        return restore.sequence(contents, function(content){
+            return restore.ids[content.saved.id] && restore.restoreComments(content);
+        });
+    }).then(function(){
+        return restore.sequence(contents, function(content){
+            return restore.ids[content.saved.id] && restore.relink(content);
+        });
+    }).then(function(){
+        return restore.sequence(contents, function(content){
+            return restore.ids[content.saved.id] && restore.restoreRestrictions(content);
+        });
+    }).then(function(){
+        return restore.report;
+    });
+};
+
+/**
+ * The backed up contents, pages by depth then blog posts, and the IDs the backup knows.
+ */
+SpaceRestore.prototype.contents = function(){
+    var restore = this;
+    var folder = path.join(restore.dir, "content");
+    restore.known = {};
+    var contents = fs.readdirSync(folder).filter(function(name){
+        return fs.existsSync(path.join(folder, name, "content.json"));
+    }).map(function(name){
+        var read = function(file){
+            return readJSON(path.join(folder, name, file));
+        };
+        var content = {
+            dir: path.join(folder, name),
+            saved: read("content.json"),
+            labels: read("labels.json"),
+            properties: read("properties.json"),
+            restrictions: read("restrictions.json"),
+            comments: read("comments.json"),
+            attachments: read("attachments.json")
+        };
+        restore.known[content.saved.id] = true;
+        content.attachments.forEach(function(attachment){
+            restore.known[attachment.id] = true;
+        });
+        return content;
+    });
+    var rank = function(content){
+        return content.saved.type === "blogpost" ? Infinity : (content.saved.ancestors || []).length;
+    };
+    return contents.sort(function(a, b){
+        return rank(a) - rank(b) || Number(a.saved.id) - Number(b.saved.id);
+    });
+};
+
+/**
+ * Create the space with its properties, settings and theme, or find the existing one.
+ */
+SpaceRestore.prototype.restoreSpace = function(){
+    var restore = this;
+    var space = restore.client.space;
+    var source = restore.source;
+    return space.getSpace(restore.spaceKey, { expand: "homepage" }).catch(function(err){
+        if (!(err instanceof ConfluenceError.NotFoundError)) {
+            throw err;
+        }
+        restore.report.createdSpace = true;
+        return space.createSpace({
+            key: restore.spaceKey,
+            name: restore.name || source.name,
+            description: source.description && source.description.plain ? { plain: source.description.plain } : undefined
+        }).then(function(){
+            return space.getSpace(restore.spaceKey, { expand: "homepage" });
+        });
+    }).then(function(target){
+        restore.homepageId = target.homepage ? target.homepage.id : null;
+        if (!restore.report.createdSpace) {
+            return null;
+        }
+        var properties = readJSON(path.join(restore.dir, "space-properties.json"));
+        var settings = readJSON(path.join(restore.dir, "space-settings.json"));
+        var theme = readJSON(path.join(restore.dir, "space-theme.json"));
+        return restore.sequence(properties, function(property){
+            return restore.attempt("space-property", property.key, null, space.createSpaceProperty(restore.spaceKey, {
+                key: property.key,
+                value: property.value
+            }));
+        }).then(function(){
+            return restore.attempt("settings", null, null, space.updateSpaceSettings(restore.spaceKey, {
+                routeOverrideEnabled: settings.routeOverrideEnabled
+            }));
+        }).then(function(){
+            return theme && theme.themeKey && restore.attempt("theme", theme.themeKey, null, space.setSpaceTheme(restore.spaceKey, {
+                themeKey: theme.themeKey
+            }));
+        });
+    });
+};
+
+/**
+ * Create a page or blog post, or update the homepage of a new space, with its attachments, labels and properties.
+ */
+SpaceRestore.prototype.restoreContent = function(content){
+    var restore = this;
+    var api = restore.client.content;
+    var saved = content.saved;
+    var homepage = restore.source.homepage && String(restore.source.homepage.id) === String(saved.id);
+    var remapped = restore.remap(saved.body.storage.value, saved);
+    var body = { storage: { value: remapped.value, representation: "storage" } };
+    content.pending = remapped.pending;
+    var created;
+    if (homepage && restore.report.createdSpace && restore.homepageId) {
+        created = api.getContentById(restore.homepageId, { expand: "version" }).then(function(target){
+            return api.updateContent(target.id, {}, {
+                type: "page",
+                title: saved.title,
+                body: body,
+                version: { number: target.version.number + 1 }
+            });
+        });
+    } else {
+        var request = { type: saved.type, title: saved.title, space: { key: restore.spaceKey }, body: body };
+        var parentId = homepage ? restore.homepageId : restore.parentId(saved);
+        if (saved.type === "page" && parentId) {
+            request.ancestors = [{ id: parentId }];
+        }
+        created = api.createContent({}, request);
+    }
+    return restore.attempt("content", saved.id, saved.title, created).then(function(result){
+        if (!result) {
+            return null;
+        }
+        restore.ids[saved.id] = result.id;
+        content.version = result.version ? result.version.number : 1;
+        restore.report.counts[saved.type === "blogpost" ? "blogposts" : "pages"]++;
+        return restore.sequence(content.attachments, function(attachment){
+            return restore.restoreAttachment(content, attachment);
+        }).then(function(){
+            return content.labels.length && restore.attempt("label", saved.id, saved.title, api.addLabelToContent(result.id, content.labels.map(function(label){
+                return { prefix: label.prefix, name: label.name };
+            })));
+        }).then(function(){
+            return restore.sequence(content.properties, function(property){
+                return restore.attempt("property", saved.id, saved.title + " " + property.key, api.createContentProperty(result.id, {
+                    key: property.key,
+                    value: property.value
+                }));
+            });
+        });
+    });
+};
+
+/**
+ * ID of the restored page a page goes under: its closest restored ancestor, else the homepage.
+ */
+SpaceRestore.prototype.parentId = function(saved){
+    var ancestors = saved.ancestors || [];
+    for (var i = ancestors.length - 1; i >= 0; i--) {
+        if (this.ids[ancestors[i].id]) {
+            return this.ids[ancestors[i].id];
+        }
+    }
+    return ancestors.length ? this.homepageId : null;
+};
+
+SpaceRestore.prototype.restoreAttachment = function(content, attachment){
+    var restore = this;
+    var file = path.join(content.dir, "attachments", String(attachment.id));
+    var metadata = attachment.metadata || {};
+    var form = {
+        file: { path: file, options: { filename: attachment.title, contentType: metadata.mediaType } },
+        minorEdit: "true"
+    };
+    if (metadata.comment) {
+        form.comment = metadata.comment;
+    }
+    var uploaded = restore.client.content.createAttachment(restore.ids[content.saved.id], {}, form);
+    return restore.attempt("attachment", attachment.id, attachment.title, uploaded).then(function(result){
+        if (result) {
+            restore.ids[attachment.id] = result.results[0].id;
+            restore.report.counts.attachments++;
+        }
+    });
+};
+
+/**
+ * Comments of a content, replies after the comment they answer.
+ */
+SpaceRestore.prototype.restoreComments = function(content){
+    var restore = this;
+    var saved = content.saved;
+    var containerId = restore.ids[saved.id];
+    return (function create(comments, parentId){
+        return restore.sequence(comments, function(comment){
+            var request = {
+                type: "comment",
+                container: { id: containerId, type: saved.type },
+                body: { storage: { value: restore.remap(comment.body.storage.value, comment).value, representation: "storage" } }
+            };
+            if (parentId) {
+                request.ancestors = [{ id: parentId }];
+            }
+            return restore.attempt("comment", comment.id, saved.title, restore.client.content.createContent({}, request)).then(function(result){
+                if (!result) {
+                    return null;
+                }
+                restore.ids[comment.id] = result.id;
+                restore.report.counts.comments++;
+                return create(comment.replies || [], result.id);
+            });
+        });
+    })(content.comments, null);
+};
+
+/**
+ * Save the body again when it links to content restored after it.
+ */
+SpaceRestore.prototype.relink = function(content){
+    var restore = this;
+    var api = restore.client.content;
+    var saved = content.saved;
+    if (!content.pending) {
+        return null;
+    }
+    var id = restore.ids[saved.id];
+    var value = restore.remap(saved.body.storage.value, saved).value;
+    return restore.attempt("links", saved.id, saved.title, api.getContentById(id, { expand: "version" }).then(function(current){
+        return api.updateContent(id, {}, {
+            type: saved.type,
+            title: current.title,
+            body: { storage: { value: value, representation: "storage" } },
+            version: { number: current.version.number + 1, minorEdit: true }
+        });
+    }));
+};
+
+SpaceRestore.prototype.restoreRestrictions = function(content){
+    var restore = this;
+    var saved = content.saved;
+    var restrictions = (content.restrictions.results || []).map(function(restriction){
+        var users = restriction.restrictions.user.results || [];
+        var groups = restriction.restrictions.group.results || [];
+        return {
+            operation: restriction.operation,
+            restrictions: {
+                user: users.map(function(user){
+                    return { type: "known", username: user.username, userKey: user.userKey, accountId: user.accountId };
+                }),
+                group: groups.map(function(group){
+                    return { type: "group", name: group.name };
+                })
+            }
+        };
+    }).filter(function(restriction){
+        return restriction.restrictions.user.length || restriction.restrictions.group.length;
+    });
+    if (!restrictions.length) {
+        return null;
+    }
+    return restore.attempt("restriction", saved.id, saved.title, restore.client.content.updateRestriction(restore.ids[saved.id], {}, restrictions));
+};
+
+/**
+ * Body of a content or comment with its references to the backed up space and content pointing to the restored
+ * ones.
+ * @return {Object} {value, pending}, pending when it links to content not restored yet
+ */
+SpaceRestore.prototype.remap = function(value, content){
+    var tree = this.parse(value, content);
+    return tree ? this.remapReferences(tree) : { value: value, pending: false };
+};
+
+/**
+ * Whether a content is in the backup, the bodies linking to it waiting for its restore.
+ */
+SpaceRestore.prototype.waiting = function(id){
+    return !!this.known[id];
+};
+
+module.exports = SpaceRestore;
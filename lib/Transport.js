@@ -0,0 +1,313 @@
+/**!
+ * ConfluenceAPI - lib/Transport.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var http = require('http');
+var https = require('https');
+var tls = require('tls');
+var urlParser = require('url');
+var querystring = require('querystring');
+
+var REDIRECT_CODES = [301, 302, 303, 307, 308];
+var MAX_REDIRECTS = 5;
+
+/**
+ * Plain http(s) transport for the calls node-rest-client can not carry: multipart uploads and
+ * binary downloads. It hands every response back as a stream, not read yet. The caller buffers
+ * it with Transport.read when it holds JSON, i.e. uploads and failed downloads, and passes the
+ * stream of a successful download on as it is.
+ * It honors the same options as node-rest-client, redirects included: Confluence Cloud answers
+ * attachment downloads with a 302 to the media service.
+ * @param {Object} options ConfluenceAPI options
+ *  - {Object} proxy, {host, port, user, password, tunnel}. tunnel: CONNECT to the proxy, Default: false
+ *  - {Object} connection, extra options of http.request and https.request, e.g. ca, ciphers
+ *  - {Object} requestConfig, {timeout, noDelay, keepAlive, keepAliveDelay, followRedirects, maxRedirects}.
+ *    timeout aborts the request when the socket stays idle that long, in milliseconds.
+ *    followRedirects Default: true, maxRedirects Default: 5
+ *  - {Object} responseConfig, {timeout}, aborts the response when no data comes in for that long
+ */
+function Transport(options){
+    options = options || {};
+    this.proxy = options.proxy;
+    this.connection = options.connection || {};
+    this.requestConfig = options.requestConfig || {};
+    this.responseConfig = options.responseConfig || {};
+}
+
+/**
+ * Send a request, following the redirects.
+ * @param {Object} req {method, url, params, headers}, refer to ConfluenceAPI#buildRequest
+ * @param {Buffer|string|Stream} body request body, streams are piped
+ * @param {function} done function(err, res), res is the http.IncomingMessage, its body not read yet
+ * @return {Object} http.ClientRequest of the first hop, e.g. to follow the upload
+ */
+Transport.prototype.send = function(req, body, done){
+    var transport = this;
+    var hops = 0;
+    var follow = function(req, body){
+        return transport.exchange(req, body, function(err, res){
+            var next = err ? null : transport.redirect(req, body, res);
+            if (!next) {
+                return done(err, res);
+            }
+            // the body of a redirect is of no use
+            res.resume();
+            if (++hops > transport.maxRedirects()) {
+                var tooMany = new Error("Stopped after " + (hops - 1) + " redirects, the last one to " + next.req.url);
+                tooMany.code = "EREDIRECTS";
+                return done(tooMany);
+            }
+            follow(next.req, next.body);
+        });
+    };
+    return follow(req, body);
+};
+
+/**
+ * Request to send for a redirect, refer to RFC 9110 15.4.
+ * @param {Object} req request answered
+ * @param {Buffer|string|Stream} body its body
+ * @param {Object} res the answer
+ * @return {Object} {req, body}, null when the answer is not a redirect to follow. A request whose
+ *   body is a stream can not be sent again, its redirects are left to the caller.
+ */
+Transport.prototype.redirect = function(req, body, res){
+    var location = res.headers.location;
+    if (this.requestConfig.followRedirects === false || REDIRECT_CODES.indexOf(res.statusCode) < 0 || !location) {
+        return null;
+    }
+    var from = withQuery(req.url, req.params);
+    var url = urlParser.resolve(from, location);
+    var method = req.method;
+    if ((res.statusCode === 303 && method !== "HEAD") || ((res.statusCode === 301 || res.statusCode === 302) && method === "POST")) {
+        method = "GET";
+        body = undefined;
+    }
+    if (body && typeof body.pipe === 'function') {
+        return null;
+    }
+    var sameOrigin = origin(from) === origin(url);
+    var headers = {};
+    Object.keys(req.headers || {}).forEach(function(name){
+        var key = name.toLowerCase();
+        // the credentials are for Confluence only, e.g. not for the media service of Cloud
+        if ((key === "authorization" || key === "cookie") && !sameOrigin) {
+            return;
+        }
+        if ((key === "content-type" || key === "content-length") && (body === undefined || body === null)) {
+            return;
+        }
+        headers[name] = req.headers[name];
+    });
+    return {
+        req: { method: method, url: url, headers: headers },
+        body: body
+    };
+};
+
+Transport.prototype.maxRedirects = function(){
+    var max = this.requestConfig.maxRedirects;
+    return typeof max === 'number' ? max : MAX_REDIRECTS;
+};
+
+/**
+ * Send a request once, its answer being the one of the server or the proxy.
+ * Arguments are the ones of send.
+ */
+Transport.prototype.exchange = function(req, body, done){
+    var transport = this;
+    var url = urlParser.parse(withQuery(req.url, req.params));
+    var secure = url.protocol === "https:";
+    var headers = {};
+    Object.keys(req.headers || {}).forEach(function(name){
+        headers[name] = req.headers[name];
+    });
+    if (body !== undefined && body !== null && typeof body.pipe !== 'function' && !hasHeader(headers, "content-length")) {
+        headers["Content-Length"] = Buffer.byteLength(body);
+    }
+
+    var options = {
+        method: req.method,
+        hostname: url.hostname,
+        port: url.port || (secure ? 443 : 80),
+        path: url.path,
+        headers: headers
+    };
+    var connection = transport.connection;
+    Object.keys(connection).forEach(function(name){
+        options[name] = connection[name];
+    });
+
+    var finished = false;
+    var finish = function(err, res){
+        if (!finished) {
+            finished = true;
+            done(err, res);
+        }
+    };
+
+    var request;
+    var start = function(options){
+        request = (secure ? https : http).request(options, function(res){
+            var timeout = transport.responseConfig.timeout;
+            if (timeout) {
+                res.setTimeout(timeout, function(){
+                    res.destroy(timeoutError("Response timed out after " + timeout + "ms", "ERESPONSETIMEOUT"));
+                });
+            }
+            finish(null, res);
+        });
+        transport.configure(request, finish);
+        if (body === undefined || body === null) {
+            request.end();
+        } else if (typeof body.pipe === 'function') {
+            body.on('error', function(err){
+                request.destroy(err);
+                finish(err);
+            });
+            body.pipe(request);
+        } else {
+            request.end(body);
+        }
+        return request;
+    };
+
+    if (!transport.proxy) {
+        return start(options);
+    }
+
+    var proxyHeaders = {};
+    if (transport.proxy.user && transport.proxy.password) {
+        proxyHeaders["Proxy-Authorization"] = "Basic " + Buffer.from(transport.proxy.user + ":" + transport.proxy.password).toString("base64");
+    }
+
+    if (!transport.proxy.tunnel) {
+        // the proxy gets the absolute url and forwards the request
+        options.hostname = transport.proxy.host;
+        options.port = transport.proxy.port;
+        options.path = url.href;
+        options.agent = false;
+        headers["Host"] = url.host;
+        Object.keys(proxyHeaders).forEach(function(name){
+            headers[name] = proxyHeaders[name];
+        });
+        secure = false;
+        return start(options);
+    }
+
+    proxyHeaders["Host"] = url.hostname + ":" + options.port;
+    var connect = http.request({
+        method: "CONNECT",
+        hostname: transport.proxy.host,
+        port: transport.proxy.port,
+        path: url.hostname + ":" + options.port,
+        headers: proxyHeaders,
+        agent: false
+    });
+    connect.on('connect', function(res, socket){
+        if (res.statusCode !== 200) {
+            socket.destroy();
+            return finish(new Error("Proxy refused to open a tunnel to " + url.host + ": " + res.statusCode));
+        }
+        options.agent = false;
+        options.createConnection = function(){
+            if (!secure) {
+                return socket;
+            }
+            var tlsOptions = { socket: socket, servername: url.hostname };
+            Object.keys(connection).forEach(function(name){
+                tlsOptions[name] = connection[name];
+            });
+            return tls.connect(tlsOptions);
+        };
+        start(options);
+    });
+    connect.on('error', finish);
+    connect.end();
+    return connect;
+};
+
+/**
+ * Apply requestConfig to a request and report its failures.
+ * @param {Object} request http.ClientRequest
+ * @param {function} fail function(err)
+ */
+Transport.prototype.configure = function(request, fail){
+    var config = this.requestConfig;
+    if (config.timeout) {
+        request.setTimeout(config.timeout, function(){
+            request.destroy(timeoutError("Request timed out after " + config.timeout + "ms", "ETIMEDOUT"));
+        });
+    }
+    if (config.noDelay) {
+        request.setNoDelay(true);
+    }
+    if (config.keepAlive) {
+        request.setSocketKeepAlive(true, config.keepAliveDelay || 0);
+    }
+    request.on('error', fail);
+};
+
+/**
+ * Read a whole response body.
+ * @param {Object} res readable stream
+ * @param {function} cb function(err, buffer)
+ */
+Transport.read = function(res, cb){
+    var chunks = [];
+    var done = false;
+    res.on('data', function(chunk){
+        chunks.push(chunk);
+    });
+    res.on('end', function(){
+        if (!done) {
+            done = true;
+            cb(null, Buffer.concat(chunks));
+        }
+    });
+    res.on('error', function(err){
+        if (!done) {
+            done = true;
+            cb(err);
+        }
+    });
+};
+
+function withQuery(url, params){
+    var query = querystring.stringify(params || {});
+    if (!query) {
+        return url;
+    }
+    return url + (url.indexOf("?") < 0 ? "?" : "&") + query;
+}
+
+function origin(url){
+    var parsed = urlParser.parse(url);
+    var secure = parsed.protocol === "https:";
+    return parsed.protocol + "//" + parsed.hostname + ":" + (parsed.port || (secure ? 443 : 80));
+}
+
+function hasHeader(headers, name){
+    return Object.keys(headers).some(function(key){
+        return key.toLowerCase() === name;
+    });
+}
+
+function timeoutError(message, code){
+    var err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+module.exports = Transport;
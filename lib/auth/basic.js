@@ -0,0 +1,38 @@
+/**!
+ * ConfluenceAPI - lib/auth/basic.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Basic auth, with a user and password on Data Center or an email and API token on Cloud.
+ * @param {Object} options
+ *  - {string} username, or email
+ *  - {string} password, or apiToken
+ */
+function BasicAuth(options){
+    var username = options.username || options.email;
+    var password = options.password || options.apiToken;
+    if (!username || !password) {
+        throw new Error("BasicAuth expects a username and a password or an email and an apiToken.");
+    }
+    this.header = "Basic " + Buffer.from(username + ":" + password).toString("base64");
+}
+
+/**
+ * Add the Authorization header.
+ * @param {Object} req
+ * @param {function} cb
+ */
+BasicAuth.prototype.authorize = function(req, cb){
+    req.headers["Authorization"] = this.header;
+    cb(null);
+};
+
+module.exports = BasicAuth;
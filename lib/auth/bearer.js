@@ -0,0 +1,44 @@
+/**!
+ * ConfluenceAPI - lib/auth/bearer.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Bearer token auth, e.g. Personal Access Tokens on Data Center.
+ * @param {Object} options
+ *  - {string|function} token, the token, or function(cb) giving it, called for every request
+ */
+function BearerAuth(options){
+    if (!options.token) {
+        throw new Error("BearerAuth expects a token.");
+    }
+    this.token = options.token;
+}
+
+/**
+ * Add the Authorization header.
+ * @param {Object} req
+ * @param {function} cb
+ */
+BearerAuth.prototype.authorize = function(req, cb){
+    if (typeof this.token !== 'function') {
+        req.headers["Authorization"] = "Bearer " + this.token;
+        return cb(null);
+    }
+    this.token(function(err, token){
+        if (err) {
+            return cb(err);
+        }
+        req.headers["Authorization"] = "Bearer " + token;
+        cb(null);
+    });
+};
+
+module.exports = BearerAuth;
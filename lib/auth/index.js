@@ -0,0 +1,67 @@
+/**!
+ * ConfluenceAPI - lib/auth/index.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var BasicAuth = require('./basic');
+var BearerAuth = require('./bearer');
+var OAuth2Auth = require('./oauth2');
+var ConnectJwtAuth = require('./jwt');
+
+/**
+ * Authentication providers. A provider is any object with an
+ * `authorize(req, cb)` method that adds credentials to the request built by
+ * ConfluenceAPI#buildRequest (headers, params) and calls cb(err) when done.
+ * It may also expose `invalidate()`, called once when Confluence answers 401,
+ * before the request is sent again. Returning false means the credentials can
+ * not be renewed, the 401 is then reported without sending the request again.
+ */
+var providers = {
+    basic: BasicAuth,
+    bearer: BearerAuth,
+    oauth2: OAuth2Auth,
+    jwt: ConnectJwtAuth
+};
+
+/**
+ * Return the provider for the client options.
+ * @param {Object} options ConfluenceAPI options
+ *  - {Object} auth, a provider, or a provider config with a type: basic, bearer, oauth2, jwt
+ *  - {string} user, {string} password, basic auth when no auth is given
+ * @param {Object} transport Transport of the client, for the providers sending requests of their own
+ * @return {Object} provider, undefined when the options hold no credentials
+ */
+function create(options, transport){
+    var auth = options.auth;
+    if (auth && typeof auth.authorize === 'function') {
+        return auth;
+    }
+    if (auth) {
+        var clazz = providers[auth.type];
+        if (!clazz) {
+            throw new Error("ConfluenceAPI module does not support the auth type " + auth.type + ".");
+        }
+        return new clazz(auth, transport);
+    }
+    if (options.user && options.password) {
+        return new BasicAuth({ username: options.user, password: options.password });
+    }
+}
+
+module.exports = {
+    create: create,
+    BasicAuth: BasicAuth,
+    BearerAuth: BearerAuth,
+    OAuth2Auth: OAuth2Auth,
+    ConnectJwtAuth: ConnectJwtAuth
+};
@@ -0,0 +1,124 @@
+/**!
+ * ConfluenceAPI - lib/auth/jwt.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var crypto = require('crypto');
+var urlParser = require('url');
+
+/**
+ * Atlassian Connect JWT auth. Every request is signed with a token whose query string hash (qsh)
+ * covers its method, path and query.
+ * refer: https://developer.atlassian.com/cloud/confluence/understanding-jwt/
+ * @param {Object} options
+ *  - {string} issuer, REQUIRED. The key of the Connect app.
+ *  - {string} sharedSecret, REQUIRED. The shared secret received in the installed lifecycle event.
+ *  - {string} baseUrl, the product base url, e.g. https://example.atlassian.net/wiki.
+ *    Default: the client baseUrl without /rest/api
+ *  - {integer} expiresIn, token lifetime in seconds. Default: 180
+ *  - {string} subject, optional sub claim, e.g. the account id to act as
+ */
+function ConnectJwtAuth(options){
+    if (!options.issuer || !options.sharedSecret) {
+        throw new Error("ConnectJwtAuth expects an issuer and a sharedSecret.");
+    }
+    this.issuer = options.issuer;
+    this.sharedSecret = options.sharedSecret;
+    this.baseUrl = options.baseUrl;
+    this.expiresIn = options.expiresIn || 180;
+    this.subject = options.subject;
+}
+
+/**
+ * Add the `Authorization: JWT` header.
+ * @param {Object} req
+ * @param {function} cb
+ */
+ConnectJwtAuth.prototype.authorize = function(req, cb){
+    var now = Math.floor(Date.now() / 1000);
+    var claims = {
+        iss: this.issuer,
+        iat: now,
+        exp: now + this.expiresIn,
+        qsh: ConnectJwtAuth.queryStringHash(req, this.baseUrl)
+    };
+    if (this.subject) {
+        claims.sub = this.subject;
+    }
+    req.headers["Authorization"] = "JWT " + sign(claims, this.sharedSecret);
+    cb(null);
+};
+
+/**
+ * Compute the qsh claim of a request.
+ * @param {Object} req request built by ConfluenceAPI#buildRequest
+ * @param {string} baseUrl product base url, the path of the request is taken relative to it
+ * @return {string} hex encoded SHA-256
+ */
+ConnectJwtAuth.queryStringHash = function(req, baseUrl){
+    var url = urlParser.parse(req.url, true);
+    var contextPath = urlParser.parse(baseUrl || req.url.replace(/\/rest\/api(\/.*)?$/, "")).pathname || "";
+    contextPath = contextPath.replace(/\/$/, "");
+
+    var path = url.pathname || "/";
+    if (contextPath && path.indexOf(contextPath) === 0) {
+        path = path.substring(contextPath.length);
+    }
+    path = path.replace(/&/g, "%26").replace(/(.)\/$/, "$1") || "/";
+
+    var params = {};
+    [url.query, req.params || {}].forEach(function(source){
+        Object.keys(source).forEach(function(key){
+            if (key === "jwt") {
+                return;
+            }
+            var values = Array.isArray(source[key]) ? source[key] : [source[key]];
+            params[key] = (params[key] || []).concat(values.map(String));
+        });
+    });
+    var query = Object.keys(params).sort().map(function(key){
+        return encode(key) + "=" + params[key].map(encode).sort().join(",");
+    }).join("&");
+
+    var canonical = [req.method.toUpperCase(), path, query].join("&");
+    return crypto.createHash("sha256").update(canonical).digest("hex");
+};
+
+/**
+ * Percent encode the way the qsh specification expects.
+ */
+function encode(value){
+    return encodeURIComponent(value).replace(/[!'()*]/g, function(c){
+        return "%" + c.charCodeAt(0).toString(16).toUpperCase();
+    });
+}
+
+/**
+ * Sign claims with HS256.
+ */
+function sign(claims, secret){
+    var header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+    var payload = base64url(JSON.stringify(claims));
+    var signature = crypto.createHmac("sha256", secret).update(header + "." + payload).digest("base64");
+    return header + "." + payload + "." + toBase64url(signature);
+}
+
+function base64url(text){
+    return toBase64url(Buffer.from(text).toString("base64"));
+}
+
+function toBase64url(base64){
+    return base64.replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+module.exports = ConnectJwtAuth;
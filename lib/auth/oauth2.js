@@ -0,0 +1,169 @@
+/**!
+ * ConfluenceAPI - lib/auth/oauth2.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var Transport = require('../Transport');
+
+var TOKEN_URL = "https://auth.atlassian.com/oauth/token";
+
+/**
+ * Refresh the access token this long before it expires, in milliseconds.
+ */
+var EXPIRY_MARGIN = 60000;
+
+/**
+ * OAuth 2.0 (3LO) auth, the access token is refreshed with the refresh token when it expires.
+ * The baseUrl of the client must point at https://api.atlassian.com/ex/confluence/{cloudId}/wiki/rest/api.
+ * @param {Object} options
+ *  - {string} clientId, REQUIRED with refreshToken
+ *  - {string} clientSecret, REQUIRED with refreshToken
+ *  - {string} accessToken, current access token, if any
+ *  - {string} refreshToken, refresh token from the authorization code grant
+ *  - {integer|Date} expiresAt, expiry of the access token, timestamp in milliseconds
+ *  - {string} tokenUrl, Default: https://auth.atlassian.com/oauth/token
+ *  - {function} onRefresh, function(tokens) called with {accessToken, refreshToken, expiresAt}
+ *    after each refresh, refresh tokens rotate so they must be persisted
+ * @param {Object} transport Transport the token requests go through, the one of the client so they use its
+ *   proxy and connection options. Default: a Transport without options
+ */
+function OAuth2Auth(options, transport){
+    if (!options.accessToken && !options.refreshToken) {
+        throw new Error("OAuth2Auth expects an accessToken or a refreshToken.");
+    }
+    if (options.refreshToken && (!options.clientId || !options.clientSecret)) {
+        throw new Error("OAuth2Auth expects a clientId and a clientSecret to refresh tokens.");
+    }
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.accessToken = options.accessToken;
+    this.refreshToken = options.refreshToken;
+    this.expiresAt = options.expiresAt ? new Date(options.expiresAt).getTime() : Infinity;
+    this.tokenUrl = options.tokenUrl || TOKEN_URL;
+    this.onRefresh = options.onRefresh;
+    this.transport = transport || new Transport();
+    this.pending = null;
+}
+
+/**
+ * Add the Authorization header, refreshing the access token first when needed.
+ * @param {Object} req
+ * @param {function} cb
+ */
+OAuth2Auth.prototype.authorize = function(req, cb){
+    var auth = this;
+    var fresh = auth.accessToken && Date.now() < auth.expiresAt - EXPIRY_MARGIN;
+    if (fresh || !auth.refreshToken) {
+        req.headers["Authorization"] = "Bearer " + auth.accessToken;
+        return cb(null);
+    }
+    auth.refresh(function(err){
+        if (err) {
+            return cb(err);
+        }
+        req.headers["Authorization"] = "Bearer " + auth.accessToken;
+        cb(null);
+    });
+};
+
+/**
+ * Drop the access token so that the next request refreshes it.
+ * @return {boolean} false when there is no refresh token, a static access token is not worth sending again
+ */
+OAuth2Auth.prototype.invalidate = function(){
+    if (!this.refreshToken) {
+        return false;
+    }
+    this.accessToken = null;
+    return true;
+};
+
+/**
+ * Exchange the refresh token for a new access token. Concurrent callers share one exchange.
+ * @param {function} cb
+ */
+OAuth2Auth.prototype.refresh = function(cb){
+    var auth = this;
+    if (auth.pending) {
+        return auth.pending.push(cb);
+    }
+    auth.pending = [cb];
+
+    postJson(auth.transport, auth.tokenUrl, {
+        grant_type: "refresh_token",
+        client_id: auth.clientId,
+        client_secret: auth.clientSecret,
+        refresh_token: auth.refreshToken
+    }, function(err, body){
+        if (!err && !(body && body.access_token)) {
+            err = new Error("OAuth2Auth could not refresh the access token: " + ((body && (body.error_description || body.error)) || "no access_token"));
+            err.statusCode = 401;
+        }
+        if (!err) {
+            auth.accessToken = body.access_token;
+            auth.refreshToken = body.refresh_token || auth.refreshToken;
+            auth.expiresAt = body.expires_in ? Date.now() + body.expires_in * 1000 : Infinity;
+            if (typeof auth.onRefresh === 'function') {
+                auth.onRefresh({
+                    accessToken: auth.accessToken,
+                    refreshToken: auth.refreshToken,
+                    expiresAt: auth.expiresAt
+                });
+            }
+        }
+
+        var callbacks = auth.pending;
+        auth.pending = null;
+        callbacks.forEach(function(callback){
+            callback(err);
+        });
+    });
+};
+
+/**
+ * POST a JSON body and parse the JSON answer.
+ * @param {Object} transport Transport
+ * @param {string} url
+ * @param {Object} body
+ * @param {function} cb function(err, body)
+ */
+function postJson(transport, url, body, cb){
+    transport.send({
+        method: "POST",
+        url: url,
+        headers: {
+            "Accept": "application/json",
+            "Content-Type": "application/json"
+        }
+    }, JSON.stringify(body), function(err, res){
+        if (err) {
+            return cb(err);
+        }
+        Transport.read(res, function(err, buffer){
+            if (err) {
+                return cb(err);
+            }
+            var answer;
+            try {
+                answer = JSON.parse(buffer.toString('utf8'));
+            } catch (e) {
+                err = new Error("OAuth2Auth got an unexpected answer from " + url + ": " + res.statusCode);
+                err.statusCode = res.statusCode;
+                return cb(err);
+            }
+            cb(null, answer);
+        });
+    });
+}
+
+module.exports = OAuth2Auth;
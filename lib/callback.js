@@ -0,0 +1,34 @@
+/**!
+ * ConfluenceAPI - lib/callback.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Hand the outcome of a promise to a node style callback, or the promise itself when there is none.
+ * The callback runs outside of the promise chain, so what it throws is thrown, not a rejection.
+ * @param {Promise} promise
+ * @param {function} cb
+ */
+function callback(promise, cb){
+    if (typeof cb !== 'function') {
+        return promise;
+    }
+    promise.then(function(result){
+        process.nextTick(function(){
+            cb(null, result);
+        });
+    }, function(err){
+        process.nextTick(function(){
+            cb(err);
+        });
+    });
+}
+
+module.exports = callback;
@@ -0,0 +1,405 @@
+/**!
+ * ConfluenceAPI - lib/fake/cql.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Subset of the Confluence Query Language understood by the fake server.
+ * refer: https://developer.atlassian.com/cloud/confluence/advanced-searching-using-cql/
+ *
+ *  - fields: id, content, type, space, space.key, title, text, label, creator, contributor,
+ *    ancestor, parent, container, created, lastmodified
+ *  - operators: = != ~ !~ > >= < <= in, not in
+ *  - keywords: and, or, not, parentheses, order by <field> [asc|desc]
+ *  - functions: currentUser(), now("-2d")
+ */
+
+var FIELDS = {
+    "id": "id",
+    "content": "id",
+    "type": "type",
+    "space": "space",
+    "space.key": "space",
+    "title": "title",
+    "text": "text",
+    "label": "label",
+    "creator": "creator",
+    "contributor": "contributor",
+    "ancestor": "ancestor",
+    "parent": "parent",
+    "container": "container",
+    "created": "created",
+    "lastmodified": "lastmodified"
+};
+
+var DATE_FIELDS = ["created", "lastmodified"];
+
+var UNITS = {
+    m: 60000,
+    h: 3600000,
+    d: 86400000,
+    w: 604800000,
+    y: 31536000000
+};
+
+/**
+ * Parse a CQL query.
+ * @param {string} cql
+ * @return {Object} {where, orderBy: [{field, desc}]}, where is a tree of
+ *  {and: [..]}, {or: [..]}, {not: node} and {field, op, values} nodes
+ * @throws {Error} with statusCode 400 when the query is not understood
+ */
+function parse(cql){
+    var parser = new Parser(cql);
+    var query = { where: null, orderBy: [] };
+
+    if (!parser.isKeyword("order")) {
+        query.where = parser.parseOr();
+    }
+    if (parser.isKeyword("order")) {
+        parser.next();
+        parser.expectKeyword("by");
+        do {
+            var field = parser.parseField();
+            var desc = false;
+            if (parser.isKeyword("asc") || parser.isKeyword("desc")) {
+                desc = parser.next().value.toLowerCase() === "desc";
+            }
+            query.orderBy.push({ field: field, desc: desc });
+        } while (parser.accept(","));
+    }
+    if (parser.peek()) {
+        parser.fail();
+    }
+    return query;
+}
+
+/**
+ * Recursive descent parser over the tokens of a query.
+ * @param {string} cql
+ */
+function Parser(cql){
+    this.cql = cql;
+    this.tokens = tokenize(cql, this);
+    this.index = 0;
+}
+
+Parser.prototype.fail = function(){
+    var err = new Error("Could not parse cql : " + this.cql);
+    err.statusCode = 400;
+    throw err;
+};
+
+Parser.prototype.peek = function(){
+    return this.tokens[this.index];
+};
+
+Parser.prototype.next = function(){
+    var token = this.tokens[this.index++];
+    if (!token) {
+        this.fail();
+    }
+    return token;
+};
+
+Parser.prototype.isKeyword = function(keyword){
+    var token = this.peek();
+    return !!token && token.type === "word" && token.value.toLowerCase() === keyword;
+};
+
+Parser.prototype.expectKeyword = function(keyword){
+    if (!this.isKeyword(keyword)) {
+        this.fail();
+    }
+    this.next();
+};
+
+Parser.prototype.accept = function(symbol){
+    var token = this.peek();
+    if (token && token.type === "symbol" && token.value === symbol) {
+        this.index++;
+        return true;
+    }
+    return false;
+};
+
+Parser.prototype.parseOr = function(){
+    var nodes = [this.parseAnd()];
+    while (this.isKeyword("or")) {
+        this.next();
+        nodes.push(this.parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { or: nodes };
+};
+
+Parser.prototype.parseAnd = function(){
+    var nodes = [this.parseNot()];
+    while (this.isKeyword("and")) {
+        this.next();
+        nodes.push(this.parseNot());
+    }
+    return nodes.length === 1 ? nodes[0] : { and: nodes };
+};
+
+Parser.prototype.parseNot = function(){
+    if (this.isKeyword("not")) {
+        this.next();
+        return { not: this.parseNot() };
+    }
+    if (this.accept("(")) {
+        var node = this.parseOr();
+        if (!this.accept(")")) {
+            this.fail();
+        }
+        return node;
+    }
+    return this.parseClause();
+};
+
+Parser.prototype.parseField = function(){
+    var token = this.next();
+    var field = token.type === "word" && FIELDS[token.value.toLowerCase()];
+    if (!field) {
+        this.fail();
+    }
+    return field;
+};
+
+Parser.prototype.parseClause = function(){
+    var field = this.parseField();
+    var negate = false;
+    if (this.isKeyword("not")) {
+        this.next();
+        negate = true;
+        if (!this.isKeyword("in")) {
+            this.fail();
+        }
+    }
+    if (this.isKeyword("in")) {
+        this.next();
+        if (!this.accept("(")) {
+            this.fail();
+        }
+        var values = [this.parseValue()];
+        while (this.accept(",")) {
+            values.push(this.parseValue());
+        }
+        if (!this.accept(")")) {
+            this.fail();
+        }
+        return { field: field, op: negate ? "not in" : "in", values: values };
+    }
+
+    var token = this.next();
+    if (token.type !== "operator") {
+        this.fail();
+    }
+    return { field: field, op: token.value, values: [this.parseValue()] };
+};
+
+Parser.prototype.parseValue = function(){
+    var token = this.next();
+    if (token.type === "string") {
+        return token.value;
+    }
+    if (token.type !== "word") {
+        this.fail();
+    }
+    // functions
+    if (this.accept("(")) {
+        var args = [];
+        if (!this.accept(")")) {
+            args.push(this.parseValue());
+            while (this.accept(",")) {
+                args.push(this.parseValue());
+            }
+            if (!this.accept(")")) {
+                this.fail();
+            }
+        }
+        return { fn: token.value.toLowerCase(), args: args };
+    }
+    return token.value;
+};
+
+/**
+ * Split a query into words, quoted strings, operators and symbols.
+ */
+function tokenize(cql, parser){
+    var tokens = [];
+    var pattern = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(!=|!~|>=|<=|=|~|>|<)|([(),])|([^\s=!~<>(),"']+))/g;
+    var rest = String(cql || "");
+    var match;
+    var last = 0;
+
+    while ((match = pattern.exec(rest)) !== null && match[0].length > 0) {
+        if (match.index !== last) {
+            parser.fail();
+        }
+        last = pattern.lastIndex;
+        if (match[1] !== undefined) {
+            tokens.push({ type: "string", value: match[1].slice(1, -1).replace(/\\(.)/g, "$1") });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: "operator", value: match[2] });
+        } else if (match[3] !== undefined) {
+            tokens.push({ type: "symbol", value: match[3] });
+        } else {
+            tokens.push({ type: "word", value: match[4] });
+        }
+    }
+    if (rest.slice(last).trim()) {
+        parser.fail();
+    }
+    if (tokens.length === 0) {
+        parser.fail();
+    }
+    return tokens;
+}
+
+/**
+ * Build a predicate from a parsed query.
+ * @param {Object} where node returned by parse
+ * @param {function} fieldValues function(item, field) returning the values of a field for an item, an array
+ * @param {Object} context
+ *  - {string} currentUser, username used by currentUser()
+ * @return {function} function(item) returning a boolean
+ */
+function compile(where, fieldValues, context){
+    context = context || {};
+    if (!where) {
+        return function(){
+            return true;
+        };
+    }
+    if (where.and || where.or) {
+        var predicates = (where.and || where.or).map(function(node){
+            return compile(node, fieldValues, context);
+        });
+        return where.and ? function(item){
+            return predicates.every(function(predicate){
+                return predicate(item);
+            });
+        } : function(item){
+            return predicates.some(function(predicate){
+                return predicate(item);
+            });
+        };
+    }
+    if (where.not) {
+        var inner = compile(where.not, fieldValues, context);
+        return function(item){
+            return !inner(item);
+        };
+    }
+
+    var isDate = DATE_FIELDS.indexOf(where.field) >= 0;
+    var expected = where.values.map(function(value){
+        return evaluate(value, context, isDate);
+    });
+    var test = operator(where.op, isDate);
+
+    return function(item){
+        var actual = fieldValues(item, where.field) || [];
+        if (where.op === "!=" || where.op === "!~" || where.op === "not in") {
+            return expected.every(function(value){
+                return actual.every(function(candidate){
+                    return test(candidate, value);
+                });
+            });
+        }
+        return expected.some(function(value){
+            return actual.some(function(candidate){
+                return test(candidate, value);
+            });
+        });
+    };
+}
+
+/**
+ * Resolve a literal or a function call to a comparable value.
+ */
+function evaluate(value, context, isDate){
+    if (value && typeof value === 'object') {
+        if (value.fn === "currentuser") {
+            return context.currentUser;
+        }
+        if (value.fn === "now") {
+            return Date.now() + offset(value.args[0]);
+        }
+        var err = new Error("Could not parse cql : unsupported function " + value.fn + "()");
+        err.statusCode = 400;
+        throw err;
+    }
+    if (isDate) {
+        var date = Date.parse(value);
+        return isNaN(date) ? Date.now() + offset(value) : date;
+    }
+    return value;
+}
+
+/**
+ * Relative date offset, e.g. "-2d" or "+1w".
+ */
+function offset(value){
+    var match = /^([+-]?\d+)([mhdwy])$/.exec(String(value || "").trim());
+    return match ? Number(match[1]) * UNITS[match[2]] : 0;
+}
+
+/**
+ * Comparison of one value of an item with one expected value.
+ */
+function operator(op, isDate){
+    switch (op) {
+        case "=":
+        case "in":
+            return isDate ? function(a, b){
+                return new Date(a).toDateString() === new Date(b).toDateString();
+            } : equals;
+        case "!=":
+        case "not in":
+            return function(a, b){
+                return !equals(a, b);
+            };
+        case "~":
+            return contains;
+        case "!~":
+            return function(a, b){
+                return !contains(a, b);
+            };
+        case ">":
+            return function(a, b){ return a > b; };
+        case ">=":
+            return function(a, b){ return a >= b; };
+        case "<":
+            return function(a, b){ return a < b; };
+        case "<=":
+            return function(a, b){ return a <= b; };
+    }
+}
+
+function equals(a, b){
+    return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * Text match: every term of the expected value must start a word of the text,
+ * `*` and `?` are wildcards.
+ */
+function contains(text, expected){
+    text = String(text);
+    return String(expected).split(/\s+/).filter(Boolean).every(function(term){
+        var source = term.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, "\\S*").replace(/\?/g, "\\S");
+        return new RegExp("(^|[^\\w])" + source, "i").test(text);
+    });
+}
+
+exports.parse = parse;
+exports.compile = compile;
+exports.FIELDS = FIELDS;
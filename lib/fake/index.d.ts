@@ -0,0 +1,191 @@
+// Type definitions for confluence-restapi/lib/fake, the fake Confluence server.
+
+/// <reference types="node" />
+
+import * as http from "http";
+import * as net from "net";
+import ConfluenceAPI = require("../..");
+
+/**
+ * In-process fake of the Confluence REST API, for tests and offline development.
+ */
+declare class FakeConfluence {
+    constructor(options?: FakeConfluence.Options);
+
+    options: Required<Pick<FakeConfluence.Options, "users" | "tokens" | "anonymous" | "maxLimit" | "longTaskSteps" | "contextPath">> & Pick<FakeConfluence.Options, "connect">;
+    store: FakeConfluence.Store;
+    server: http.Server;
+    sockets: net.Socket[];
+    /** http://127.0.0.1:PORT, set once listening. */
+    origin?: string;
+    /** REST API url to give to ConfluenceAPI, set once listening. */
+    baseUrl: string | null;
+    /** Every request received, in order. */
+    requests: FakeConfluence.LoggedRequest[];
+    faults: FakeConfluence.Fault[];
+
+    /** Start listening on localhost, on a free port by default. */
+    listen(port: number | undefined, cb: (err: Error | null | undefined, fake: this) => void): void;
+    listen(cb: (err: Error | null | undefined, fake: this) => void): void;
+    listen(port?: number): Promise<this>;
+
+    /** Stop listening, open connections are closed. */
+    close(cb: (err?: Error | null) => void): void;
+    close(): Promise<void>;
+
+    /** ConfluenceAPI options to talk to the fake server as one of its users, the first one by default. */
+    config(username?: string): ConfluenceAPI.Options & { user: string; password: string; baseUrl: string };
+
+    /** Forget every change, the configured users are kept. */
+    reset(): void;
+
+    /** Load data. */
+    seed(data: FakeConfluence.SeedData): this;
+
+    /** Answer the next matching requests with an error instead of handling them. */
+    fail(fault: FakeConfluence.FaultOptions): this;
+
+    handle(req: http.IncomingMessage, res: http.ServerResponse): void;
+}
+
+declare namespace FakeConfluence {
+
+    interface UserOptions {
+        username: string;
+        password?: string;
+        displayName?: string;
+        email?: string;
+        userKey?: string;
+        accountId?: string;
+        /** Names of the groups of the user, created when missing. */
+        groups?: string[];
+    }
+
+    interface Options {
+        /** Accounts of the instance. Default: admin/admin */
+        users?: UserOptions[];
+        /** Bearer tokens accepted for a username, e.g. {"my-pat": "admin"} */
+        tokens?: { [token: string]: string };
+        /** Connect app allowed to sign requests with JWT. */
+        connect?: { issuer: string; sharedSecret: string; username?: string };
+        /** Serve requests without credentials. Default: false */
+        anonymous?: boolean;
+        /** Largest page size, bigger limits are cut down. Default: 200 */
+        maxLimit?: number;
+        /** Status reads before a long task completes. Default: 2 */
+        longTaskSteps?: number;
+        /** Default: /wiki */
+        contextPath?: string;
+    }
+
+    interface SeedAttachment {
+        id?: string | number;
+        title: string;
+        data?: string | Buffer;
+        mediaType?: string;
+        comment?: string;
+    }
+
+    interface SeedComment {
+        id?: string | number;
+        body: string;
+        createdBy?: string;
+    }
+
+    interface SeedPage {
+        id?: string | number;
+        title: string;
+        /** Body in storage format. */
+        body?: string;
+        labels?: string[];
+        properties?: { [key: string]: any };
+        attachments?: SeedAttachment[];
+        comments?: SeedComment[];
+        children?: SeedPage[];
+        parentId?: string | number;
+        createdBy?: string;
+    }
+
+    interface SeedSpace {
+        key: string;
+        name?: string;
+        description?: string;
+        type?: "global" | "personal";
+        id?: number;
+        homepageId?: string | number;
+        pages?: SeedPage[];
+        blogposts?: SeedPage[];
+        properties?: { [key: string]: any };
+        createdBy?: string;
+    }
+
+    interface SeedData {
+        users?: UserOptions[];
+        groups?: string[];
+        spaces?: SeedSpace[];
+    }
+
+    interface FaultOptions {
+        /** Default: any */
+        method?: string;
+        /** Path below the REST API, e.g. "/content". Default: any */
+        path?: string | RegExp;
+        /** Default: 500 */
+        status?: number;
+        message?: string;
+        headers?: { [name: string]: string };
+        /** Default: 1 */
+        times?: number;
+        /** Reset the connection instead of answering, e.g. "ECONNRESET". */
+        code?: string;
+    }
+
+    interface Fault extends FaultOptions {
+        status: number;
+        headers: { [name: string]: string };
+        times: number;
+    }
+
+    interface LoggedRequest {
+        method: string;
+        path: string;
+        query: { [name: string]: string | string[] };
+        headers: http.IncomingHttpHeaders;
+    }
+
+    interface UserRecord {
+        username: string;
+        userKey: string;
+        accountId: string;
+        displayName: string;
+        email?: string;
+        password?: string;
+        groups: string[];
+    }
+
+    /** In-memory data of the fake server. */
+    class Store {
+        static OPERATIONS: Array<"read" | "update">;
+        static error(statusCode: number, message: string): Error & { statusCode: number };
+        reset(): void;
+        nextId(): string;
+        addUser(user: UserOptions): UserRecord;
+        findUser(value: string): UserRecord | null;
+        addGroup(name: string): { name: string; id: string };
+        addMember(groupName: string, username: string): void;
+        members(groupName: string): UserRecord[];
+        addSpace(space: SeedSpace, username: string): any;
+        findSpace(key: string): any;
+        removeSpace(key: string): void;
+        addContent(content: any, username: string): any;
+        findByTitle(spaceKey: string, title: string, type?: string): any;
+        findAttachment(containerId: string, filename: string): any;
+        children(parentId: string, type?: string): any[];
+        descendants(parentId: string, type?: string): any[];
+        ancestors(record: any): any[];
+        allContent(): any[];
+        [name: string]: any;
+    }
+}
+
+export = FakeConfluence;
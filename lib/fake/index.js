@@ -0,0 +1,558 @@
+/**!
+ * ConfluenceAPI - lib/fake/index.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var http = require('http');
+var crypto = require('crypto');
+var urlParser = require('url');
+var querystring = require('querystring');
+var Store = require('./store');
+var routes = require('./routes');
+var multipart = require('./multipart');
+var ConnectJwtAuth = require('../auth/jwt');
+var callback = require('../callback');
+
+var DEFAULT_USERS = [{
+    username: "admin",
+    displayName: "Administrator",
+    email: "admin@example.com",
+    password: "admin",
+    groups: ["confluence-administrators", "confluence-users"]
+}];
+
+/**
+ * In-process fake of the Confluence REST API, for tests and offline development.
+ * It keeps its data in memory and answers like Confluence does: same payloads, pagination
+ * links and error bodies. Content, spaces, labels, properties, attachments, versions,
+ * restrictions, search (a CQL subset, refer to lib/fake/cql.js), users, groups and long tasks
+ * are implemented.
+ *
+ *     var FakeConfluence = require('confluence-restapi/lib/fake');
+ *     var fake = new FakeConfluence();
+ *     fake.listen().then(function(){
+ *         var confluenceAPI = ConfluenceAPI.create(fake.config());
+ *     });
+ *
+ * @param {Object} options
+ *  - {Array[Object]} users, accounts of the instance, refer to Store#addUser. Default: admin/admin
+ *  - {Object} tokens, bearer tokens accepted for a username, e.g. {"my-pat": "admin"}
+ *  - {Object} connect, {issuer, sharedSecret, username} Connect app allowed to sign requests with JWT
+ *  - {boolean} anonymous, serve requests without credentials. Default: false
+ *  - {integer} maxLimit, largest page size, bigger limits are cut down. Default: 200
+ *  - {integer} longTaskSteps, status reads before a long task completes. Default: 2
+ *  - {string} contextPath, Default: /wiki
+ */
+function FakeConfluence(options){
+    if (!(this instanceof FakeConfluence)) {
+        return new FakeConfluence(options);
+    }
+    options = options || {};
+    this.options = {
+        users: options.users || DEFAULT_USERS,
+        tokens: options.tokens || {},
+        connect: options.connect,
+        anonymous: !!options.anonymous,
+        maxLimit: options.maxLimit || 200,
+        longTaskSteps: options.longTaskSteps || 2,
+        contextPath: options.contextPath === undefined ? "/wiki" : options.contextPath
+    };
+    this.store = new Store();
+    this.sockets = [];
+    this.server = http.createServer(this.handle.bind(this));
+    this.server.on('connection', this.track.bind(this));
+    this.baseUrl = null;
+    this.reset();
+}
+
+/**
+ * Start listening on localhost.
+ * @param {integer} port, Default: a free port
+ * @param {function} cb, Callback function, a Promise is returned when it is omitted
+ */
+FakeConfluence.prototype.listen = function(port, cb){
+    var fake = this;
+    if (typeof port === 'function') {
+        cb = port;
+        port = 0;
+    }
+    var promise = new Promise(function(resolve, reject){
+        fake.server.once('error', reject);
+        fake.server.listen(port || 0, "127.0.0.1", function(){
+            fake.server.removeListener('error', reject);
+            fake.origin = "http://127.0.0.1:" + fake.server.address().port;
+            fake.baseUrl = fake.origin + fake.options.contextPath + "/rest/api";
+            resolve(fake);
+        });
+    });
+    return callback(promise, cb);
+};
+
+/**
+ * Stop listening.
+ * @param {function} cb, Callback function, a Promise is returned when it is omitted
+ */
+FakeConfluence.prototype.close = function(cb){
+    var fake = this;
+    var promise = new Promise(function(resolve, reject){
+        fake.server.close(function(err){
+            return err ? reject(err) : resolve();
+        });
+        // keep-alive connections of the clients would hold the server open
+        fake.sockets.forEach(function(socket){
+            socket.destroy();
+        });
+    });
+    return callback(promise, cb);
+};
+
+/**
+ * Remember an open connection until it ends.
+ */
+FakeConfluence.prototype.track = function(socket){
+    var sockets = this.sockets;
+    sockets.push(socket);
+    socket.on('close', function(){
+        sockets.splice(sockets.indexOf(socket), 1);
+    });
+};
+
+/**
+ * ConfluenceAPI options to talk to the fake server as one of its users.
+ * @param {string} username, Default: the first user
+ */
+FakeConfluence.prototype.config = function(username){
+    var users = this.options.users;
+    var user = users.filter(function(user){
+        return user.username === username;
+    })[0] || users[0];
+    return {
+        user: user.username,
+        password: user.password,
+        baseUrl: this.baseUrl
+    };
+};
+
+/**
+ * Forget every change, the configured users are kept.
+ */
+FakeConfluence.prototype.reset = function(){
+    var store = this.store;
+    store.reset();
+    this.options.users.forEach(function(user){
+        store.addUser(user);
+    });
+    this.requests = [];
+    this.faults = [];
+};
+
+/**
+ * Load data.
+ * @param {Object} data
+ *  - {Array[Object]} users, refer to Store#addUser
+ *  - {Array[string]} groups
+ *  - {Array[Object]} spaces, {key, name, description, type, id, homepageId, pages, blogposts, properties}.
+ *    pages are {id, title, body, labels, properties, attachments: [{title, data, mediaType}],
+ *    comments: [{body}], children: [pages], createdBy}
+ */
+FakeConfluence.prototype.seed = function(data){
+    var store = this.store;
+    var owner = this.options.users[0].username;
+    var addPage = function(page, spaceKey, parentId, type){
+        var username = page.createdBy || owner;
+        var record = store.addContent({
+            id: page.id,
+            type: type,
+            title: page.title,
+            spaceKey: spaceKey,
+            parentId: parentId,
+            body: page.body
+        }, username);
+        (page.labels || []).forEach(function(name){
+            record.labels.push(store.label("global", name));
+        });
+        Object.keys(page.properties || {}).forEach(function(key){
+            record.properties[key] = property(store, key, page.properties[key]);
+        });
+        (page.attachments || []).forEach(function(attachment){
+            store.addContent({
+                id: attachment.id,
+                type: "attachment",
+                title: attachment.title,
+                spaceKey: spaceKey,
+                parentId: record.id,
+                data: Buffer.isBuffer(attachment.data) ? attachment.data : Buffer.from(String(attachment.data || "")),
+                mediaType: attachment.mediaType,
+                comment: attachment.comment
+            }, username);
+        });
+        (page.comments || []).forEach(function(comment){
+            store.addContent({
+                id: comment.id,
+                type: "comment",
+                spaceKey: spaceKey,
+                parentId: record.id,
+                body: comment.body
+            }, comment.createdBy || username);
+        });
+        (page.children || []).forEach(function(child){
+            addPage(child, spaceKey, record.id, "page");
+        });
+        return record;
+    };
+
+    (data.users || []).forEach(function(user){
+        store.addUser(user);
+    });
+    (data.groups || []).forEach(function(name){
+        store.addGroup(name);
+    });
+    (data.spaces || []).forEach(function(space){
+        var record = store.addSpace(space, space.createdBy || owner);
+        Object.keys(space.properties || {}).forEach(function(key){
+            record.properties[key] = property(store, key, space.properties[key]);
+        });
+        (space.pages || []).forEach(function(page){
+            addPage(page, record.key, page.parentId || record.homepageId, "page");
+        });
+        (space.blogposts || []).forEach(function(page){
+            addPage(page, record.key, null, "blogpost");
+        });
+    });
+    return this;
+};
+
+function property(store, key, value){
+    return {
+        id: store.nextId(),
+        key: key,
+        value: value,
+        version: { number: 1, when: new Date().toISOString(), message: "", minorEdit: false }
+    };
+}
+
+/**
+ * Answer the next matching requests with an error instead of handling them, e.g. to test retries.
+ * @param {Object} fault
+ *  - {string} method, Default: any
+ *  - {string|RegExp} path, path below the REST API, e.g. "/content". Default: any
+ *  - {integer} status, Default: 500
+ *  - {string} message
+ *  - {Object} headers, e.g. {"Retry-After": "1"}
+ *  - {integer} times, Default: 1
+ *  - {string} code, reset the connection instead of answering, e.g. "ECONNRESET"
+ */
+FakeConfluence.prototype.fail = function(fault){
+    this.faults.push({
+        method: fault.method,
+        path: fault.path,
+        status: fault.status || 500,
+        message: fault.message,
+        headers: fault.headers || {},
+        times: fault.times || 1,
+        code: fault.code
+    });
+    return this;
+};
+
+/**
+ * http request listener.
+ * @param {Object} req http.IncomingMessage
+ * @param {Object} res http.ServerResponse
+ */
+FakeConfluence.prototype.handle = function(req, res){
+    var fake = this;
+    var chunks = [];
+    req.on('data', function(chunk){
+        chunks.push(chunk);
+    });
+    req.on('end', function(){
+        var answer;
+        try {
+            answer = fake.answer(req, Buffer.concat(chunks));
+        } catch (e) {
+            answer = errorAnswer(e.statusCode || 500, e.statusCode ? e.message : "Internal server error: " + e.message);
+        }
+        if (answer.destroy) {
+            return req.socket.destroy();
+        }
+        send(req, res, answer);
+    });
+};
+
+/**
+ * Work out the answer of a request.
+ * @param {Object} req http.IncomingMessage
+ * @param {Buffer} raw request body
+ * @return {Object} {status, headers, body|raw}
+ */
+FakeConfluence.prototype.answer = function(req, raw){
+    var url = urlParser.parse(req.url, true);
+    var contextPath = this.options.contextPath;
+    var path = url.pathname;
+    if (path.indexOf(contextPath) !== 0) {
+        return errorAnswer(404, "null for uri: " + req.url);
+    }
+    path = path.substring(contextPath.length) || "/";
+
+    this.requests.push({
+        method: req.method,
+        path: path,
+        query: url.query,
+        headers: req.headers
+    });
+
+    var fault = this.takeFault(req.method, path);
+    if (fault) {
+        if (fault.code) {
+            return { destroy: true };
+        }
+        var answer = errorAnswer(fault.status, fault.message || http.STATUS_CODES[fault.status]);
+        answer.headers = fault.headers;
+        return answer;
+    }
+
+    var user = this.authenticate(req, url);
+    if (user === false) {
+        var denied = errorAnswer(401, "Client must be authenticated to access this resource.");
+        denied.headers = { "WWW-Authenticate": "Basic realm=\"Confluence\"" };
+        return denied;
+    }
+
+    var found = routes.match(req.method, path);
+    if (!found) {
+        return errorAnswer(404, "null for uri: " + this.origin + req.url);
+    }
+    if (!found.handler) {
+        var notAllowed = errorAnswer(405, "Method " + req.method + " is not allowed for " + path);
+        notAllowed.headers = { "Allow": found.allowed.join(", ") };
+        return notAllowed;
+    }
+
+    var ctx = this.context(req, url, found.params, user, raw);
+    var result = found.handler(ctx);
+    return result instanceof routes.Answer ? result : { status: 200, body: result };
+};
+
+/**
+ * Identify the caller from the Authorization header.
+ * @return {Object} the user, null for an anonymous request, false when the credentials are wrong
+ */
+FakeConfluence.prototype.authenticate = function(req, url){
+    var header = req.headers["authorization"] || "";
+    var store = this.store;
+    var scheme = header.split(" ")[0].toLowerCase();
+    var value = header.substring(scheme.length + 1).trim();
+
+    if (scheme === "basic") {
+        var credentials = Buffer.from(value, "base64").toString("utf8");
+        var index = credentials.indexOf(":");
+        var user = store.findUser(credentials.substring(0, index));
+        return user && user.password === credentials.substring(index + 1) ? user : false;
+    }
+    if (scheme === "bearer") {
+        return store.findUser(this.options.tokens[value]) || false;
+    }
+    if (scheme === "jwt" || url.query.jwt) {
+        return this.verifyJwt(scheme === "jwt" ? value : url.query.jwt, req, url);
+    }
+    return this.options.anonymous ? null : false;
+};
+
+/**
+ * Check a Connect JWT: signature, expiry and query string hash.
+ */
+FakeConfluence.prototype.verifyJwt = function(token, req, url){
+    var connect = this.options.connect;
+    var parts = String(token).split(".");
+    if (!connect || parts.length !== 3) {
+        return false;
+    }
+    var signature = crypto.createHmac("sha256", connect.sharedSecret).update(parts[0] + "." + parts[1]).digest("base64")
+        .replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+    if (signature !== parts[2]) {
+        return false;
+    }
+    var claims;
+    try {
+        claims = JSON.parse(Buffer.from(parts[1].replace(/-/g, "+").replace(/_/g, "/"), "base64").toString("utf8"));
+    } catch (e) {
+        return false;
+    }
+    var qsh = ConnectJwtAuth.queryStringHash({
+        method: req.method,
+        url: this.origin + url.path,
+        params: {}
+    }, this.origin + this.options.contextPath);
+    if (claims.iss !== connect.issuer || claims.exp * 1000 < Date.now() || claims.qsh !== qsh) {
+        return false;
+    }
+    return this.store.findUser(claims.sub || connect.username || this.options.users[0].username) || false;
+};
+
+/**
+ * Pick and use up the first fault matching a request.
+ */
+FakeConfluence.prototype.takeFault = function(method, path){
+    var apiPath = path.replace(/^\/rest\/api/, "");
+    for (var i = 0; i < this.faults.length; i++) {
+        var fault = this.faults[i];
+        var pathMatches = !fault.path || (fault.path instanceof RegExp ? fault.path.test(apiPath) : apiPath.indexOf(fault.path) === 0);
+        if ((!fault.method || fault.method === method) && pathMatches) {
+            if (--fault.times <= 0) {
+                this.faults.splice(i, 1);
+            }
+            return fault;
+        }
+    }
+    return null;
+};
+
+/**
+ * Request context handed to the route handlers.
+ */
+FakeConfluence.prototype.context = function(req, url, params, user, raw){
+    var fake = this;
+    var contentType = req.headers["content-type"] || "";
+    var ctx = {
+        store: fake.store,
+        options: fake.options,
+        method: req.method,
+        headers: req.headers,
+        params: params,
+        query: url.query,
+        user: user,
+        base: fake.origin + fake.options.contextPath,
+        expand: url.query.expand ? [].concat(url.query.expand).join(",").split(",") : [],
+        body: undefined,
+        form: null
+    };
+
+    if (/multipart\/form-data/i.test(contentType)) {
+        ctx.form = multipart.parse(raw, contentType);
+    } else if (/json/i.test(contentType) && raw.length > 0) {
+        try {
+            ctx.body = JSON.parse(raw.toString("utf8"));
+        } catch (e) {
+            throw Store.error(400, "Unrecognized token in the JSON body: " + e.message);
+        }
+    } else if (raw.length > 0) {
+        ctx.body = raw;
+    }
+
+    /**
+     * Paginated answer: {results, start, limit, size, _links}.
+     * @param {Array} items every item of the list
+     * @param {function} render function(ctx, item)
+     */
+    ctx.page = function(items, render){
+        var start = Math.max(0, parseInt(url.query.start, 10) || 0);
+        var limit = parseInt(url.query.limit, 10);
+        limit = Math.min(isNaN(limit) || limit < 0 ? 25 : limit, fake.options.maxLimit);
+        var results = items.slice(start, start + limit).map(function(item){
+            return render(ctx, item);
+        });
+
+        var links = {
+            base: ctx.base,
+            context: fake.options.contextPath,
+            self: ctx.base + url.pathname.substring(fake.options.contextPath.length)
+        };
+        if (limit > 0 && start + limit < items.length) {
+            links.next = pageLink(url, fake.options.contextPath, start + limit, limit);
+        }
+        if (start > 0) {
+            links.prev = pageLink(url, fake.options.contextPath, Math.max(0, start - limit), limit);
+        }
+        return { results: results, start: start, limit: limit, size: results.length, _links: links };
+    };
+    return ctx;
+};
+
+/**
+ * Link to another page of a list, relative to the context path like Confluence does.
+ */
+function pageLink(url, contextPath, start, limit){
+    var query = {};
+    Object.keys(url.query).forEach(function(key){
+        query[key] = url.query[key];
+    });
+    query.start = start;
+    query.limit = limit;
+    return url.pathname.substring(contextPath.length) + "?" + querystring.stringify(query);
+}
+
+/**
+ * Error body in the shape Confluence uses.
+ */
+function errorAnswer(status, message){
+    return {
+        status: status,
+        body: {
+            statusCode: status,
+            data: {
+                authorized: status !== 401 && status !== 403,
+                valid: status !== 400,
+                allowedInReadOnlyMode: true,
+                errors: [],
+                successful: false
+            },
+            message: message,
+            reason: http.STATUS_CODES[status]
+        }
+    };
+}
+
+/**
+ * Write an answer, honoring Range requests for binary bodies.
+ */
+function send(req, res, answer){
+    var headers = {};
+    Object.keys(answer.headers || {}).forEach(function(name){
+        headers[name] = answer.headers[name];
+    });
+    var status = answer.status || 200;
+    var payload = null;
+
+    if (answer.raw) {
+        payload = answer.raw;
+        var range = /^bytes=(\d*)-(\d*)$/.exec(req.headers["range"] || "");
+        if (range && status === 200) {
+            var size = payload.length;
+            var first = range[1] ? Number(range[1]) : Math.max(0, size - Number(range[2]));
+            var last = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+            if (first >= size || first > last) {
+                status = 416;
+                headers["Content-Range"] = "bytes */" + size;
+                payload = Buffer.alloc(0);
+            } else {
+                status = 206;
+                headers["Content-Range"] = "bytes " + first + "-" + last + "/" + size;
+                payload = payload.slice(first, last + 1);
+            }
+        }
+    } else if (answer.body !== undefined && status !== 204) {
+        headers["Content-Type"] = "application/json;charset=UTF-8";
+        payload = Buffer.from(JSON.stringify(answer.body));
+    }
+
+    if (payload) {
+        headers["Content-Length"] = payload.length;
+    }
+    res.writeHead(status, headers);
+    res.end(req.method === "HEAD" ? undefined : payload || undefined);
+}
+
+FakeConfluence.Store = Store;
+
+module.exports = FakeConfluence;
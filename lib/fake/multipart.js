@@ -0,0 +1,81 @@
+/**!
+ * ConfluenceAPI - lib/fake/multipart.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Parse a multipart/form-data body.
+ * @param {Buffer} body
+ * @param {string} contentType value of the Content-Type header, carries the boundary
+ * @return {Object} {fields: {name: value}, files: [{field, filename, contentType, data}]}, null when the body is not multipart
+ */
+function parse(body, contentType){
+    var match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+    if (!match) {
+        return null;
+    }
+    var delimiter = Buffer.from("--" + (match[1] || match[2]));
+    var result = { fields: {}, files: [] };
+
+    var position = body.indexOf(delimiter);
+    while (position >= 0) {
+        var start = position + delimiter.length;
+        // the closing delimiter is followed by --
+        if (body.slice(start, start + 2).toString() === "--") {
+            break;
+        }
+        var end = body.indexOf(delimiter, start);
+        if (end < 0) {
+            break;
+        }
+        addPart(result, body.slice(start + 2, end - 2));
+        position = end;
+    }
+    return result;
+}
+
+/**
+ * Split one part into its headers and content.
+ */
+function addPart(result, part){
+    var separator = part.indexOf("\r\n\r\n");
+    if (separator < 0) {
+        return;
+    }
+    var headers = {};
+    part.slice(0, separator).toString("utf8").split("\r\n").forEach(function(line){
+        var index = line.indexOf(":");
+        if (index > 0) {
+            headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+        }
+    });
+    var data = part.slice(separator + 4);
+    var disposition = headers["content-disposition"] || "";
+    var name = param(disposition, "name");
+    var filename = param(disposition, "filename");
+
+    if (filename !== undefined) {
+        result.files.push({
+            field: name,
+            filename: filename.replace(/^.*[\\/]/, ""),
+            contentType: headers["content-type"] || "application/octet-stream",
+            data: data
+        });
+    } else if (name !== undefined) {
+        result.fields[name] = data.toString("utf8");
+    }
+}
+
+function param(header, name){
+    var match = new RegExp("(?:^|;)\\s*" + name + "=\"([^\"]*)\"", "i").exec(header);
+    return match ? match[1] : undefined;
+}
+
+exports.parse = parse;
@@ -0,0 +1,1884 @@
+/**!
+ * ConfluenceAPI - lib/fake/routes.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var Store = require('./store');
+var cql = require('./cql');
+var zip = require('./zip');
+
+var error = Store.error;
+var OPERATIONS = Store.OPERATIONS;
+
+var CONTENT_TYPES = ["page", "blogpost", "comment", "attachment"];
+var CHILD_TYPES = ["page", "comment", "attachment"];
+var LABEL_NAME = /^[^\s:;,.?&\[\]()#^*@!<>]+$/;
+
+/**
+ * Route table of the fake server, paths are relative to the context path, e.g. /wiki.
+ * Each handler gets a request context and returns the body of a 200 answer,
+ * or an Answer for anything else.
+ */
+var routes = [];
+
+/**
+ * Answer with a status other than 200, headers or a binary body.
+ * @param {integer} status
+ * @param {Object} options
+ *  - {*} body, serialized as JSON
+ *  - {Buffer} raw, sent as is
+ *  - {Object} headers
+ */
+function Answer(status, options){
+    options = options || {};
+    this.status = status;
+    this.body = options.body;
+    this.raw = options.raw;
+    this.headers = options.headers || {};
+}
+
+function route(method, path, handler){
+    var names = [];
+    var source = path.replace(/[.]/g, "\\.").replace(/\{(\w+)\}/g, function(all, name){
+        names.push(name);
+        return "([^/]+)";
+    });
+    routes.push({
+        method: method,
+        path: path,
+        pattern: new RegExp("^" + source + "/?$"),
+        names: names,
+        handler: handler
+    });
+}
+
+/**
+ * Find the route of a request.
+ * @param {string} method
+ * @param {string} path path without the context path
+ * @return {Object} {handler, params}, {allowed: [methods]} when only the method differs, null when nothing matches
+ */
+function match(method, path){
+    var allowed = [];
+    for (var i = 0; i < routes.length; i++) {
+        var found = routes[i].pattern.exec(path);
+        if (!found) {
+            continue;
+        }
+        if (routes[i].method !== method) {
+            allowed.push(routes[i].method);
+            continue;
+        }
+        var params = {};
+        routes[i].names.forEach(function(name, index){
+            params[name] = decodeURIComponent(found[index + 1]);
+        });
+        return { handler: routes[i].handler, params: params };
+    }
+    return allowed.length ? { allowed: allowed } : null;
+}
+
+/*
+ * Rendering.
+ */
+
+/**
+ * Whether an expansion is asked for, "body" covers "body.storage" and the other way round.
+ */
+function has(expand, name){
+    return expand.some(function(item){
+        return item === name || item.indexOf(name + ".") === 0 || name.indexOf(item + ".") === 0;
+    });
+}
+
+/**
+ * Expansions below a property, e.g. sub(["children.page.body.storage"], "children.page") is ["body.storage"].
+ */
+function sub(expand, name){
+    return expand.filter(function(item){
+        return item.indexOf(name + ".") === 0;
+    }).map(function(item){
+        return item.substring(name.length + 1);
+    });
+}
+
+function renderUser(ctx, user){
+    if (!user) {
+        return {
+            type: "anonymous",
+            profilePicture: avatar(),
+            displayName: "Anonymous",
+            _links: { self: ctx.base + "/rest/api/user/anonymous" }
+        };
+    }
+    return {
+        type: "known",
+        username: user.username,
+        userKey: user.userKey,
+        accountId: user.accountId,
+        email: user.email,
+        profilePicture: avatar(),
+        displayName: user.displayName,
+        _links: { self: ctx.base + "/rest/api/user?accountId=" + encodeURIComponent(user.accountId) },
+        _expandable: { operations: "", details: "", personalSpace: "" }
+    };
+}
+
+function avatar(){
+    return { path: "/wiki/images/icons/profilepics/default.svg", width: 48, height: 48, isDefault: true };
+}
+
+function renderGroup(ctx, group){
+    return {
+        type: "group",
+        name: group.name,
+        id: group.id,
+        _links: { self: ctx.base + "/rest/api/group/" + encodeURIComponent(group.name) }
+    };
+}
+
+function renderSpace(ctx, space, expand){
+    expand = expand || [];
+    var json = {
+        id: Number(space.id),
+        key: space.key,
+        name: space.name,
+        type: space.type,
+        status: space.status,
+        _links: {
+            webui: "/spaces/" + space.key,
+            self: ctx.base + "/rest/api/space/" + space.key
+        },
+        _expandable: {}
+    };
+    if (has(expand, "description")) {
+        json.description = { plain: { value: space.description, representation: "plain" } };
+    } else {
+        json._expandable.description = "";
+    }
+    var homepage = ctx.store.contents[space.homepageId];
+    if (homepage && has(expand, "homepage")) {
+        json.homepage = renderContent(ctx, homepage, sub(expand, "homepage"));
+    } else {
+        json._expandable.homepage = "/rest/api/content/" + space.homepageId;
+    }
+    if (has(expand, "metadata.labels")) {
+        json.metadata = { labels: { results: [], start: 0, limit: 200, size: 0 } };
+    }
+    return json;
+}
+
+function contentLinks(ctx, record){
+    var links = {
+        webui: "/spaces/" + record.spaceKey + "/pages/" + record.id + "/" + encodeURIComponent(record.title.replace(/\s+/g, "+")),
+        tinyui: "/x/" + Buffer.from(record.id).toString("base64").replace(/=+$/, ""),
+        self: ctx.base + "/rest/api/content/" + record.id
+    };
+    if (record.type === "attachment") {
+        links.webui = "/pages/viewpageattachments.action?pageId=" + record.parentId + "&preview=" + encodeURIComponent("/" + record.parentId + "/" + record.id + "/" + record.title);
+        links.download = "/download/attachments/" + record.parentId + "/" + encodeURIComponent(record.title) +
+            "?version=" + record.version.number + "&modificationDate=" + Date.parse(record.version.when) + "&api=v2";
+    }
+    return links;
+}
+
+/**
+ * Short form used for ancestors and containers.
+ */
+function renderReference(ctx, record){
+    return {
+        id: record.id,
+        type: record.type,
+        status: record.status,
+        title: record.title,
+        _links: contentLinks(ctx, record)
+    };
+}
+
+function renderVersion(ctx, record, expand){
+    var json = {
+        by: renderUser(ctx, ctx.store.users[record.version.by]),
+        when: record.version.when,
+        message: record.version.message,
+        number: record.version.number,
+        minorEdit: record.version.minorEdit,
+        _links: { self: ctx.base + "/rest/api/content/" + record.id + "/version/" + record.version.number }
+    };
+    if (expand && has(expand, "content")) {
+        json.content = renderContent(ctx, record, sub(expand, "content"));
+    }
+    return json;
+}
+
+function renderContent(ctx, record, expand){
+    expand = expand || [];
+    var store = ctx.store;
+    var space = store.findSpace(record.spaceKey);
+    var json = {
+        id: record.id,
+        type: record.type,
+        status: record.status,
+        title: record.title,
+        space: space ? renderSpace(ctx, space, sub(expand, "space")) : undefined,
+        history: {
+            latest: record.status !== "historical",
+            createdBy: renderUser(ctx, store.users[record.createdBy]),
+            createdDate: record.createdDate
+        },
+        version: renderVersion(ctx, record),
+        _links: contentLinks(ctx, record),
+        _expandable: {
+            children: "/rest/api/content/" + record.id + "/child",
+            descendants: "/rest/api/content/" + record.id + "/descendant",
+            restrictions: "/rest/api/content/" + record.id + "/restriction/byOperation"
+        }
+    };
+
+    if (record.type === "attachment") {
+        json.metadata = { mediaType: record.mediaType, comment: record.comment };
+        json.extensions = { mediaType: record.mediaType, fileSize: record.data.length, comment: record.comment };
+    }
+    var container = record.parentId && store.contents[record.parentId];
+    if (container && (record.type === "attachment" || record.type === "comment")) {
+        json.container = renderReference(ctx, container);
+    }
+
+    if (has(expand, "ancestors")) {
+        json.ancestors = store.ancestors(record).filter(function(ancestor){
+            return ancestor.type === "page";
+        }).map(function(ancestor){
+            return renderReference(ctx, ancestor);
+        });
+    } else {
+        json._expandable.ancestors = "";
+    }
+
+    if (has(expand, "body") && record.type !== "attachment") {
+        json.body = {};
+        ["storage", "view", "export_view", "editor"].forEach(function(representation){
+            if (has(expand, "body." + representation)) {
+                json.body[representation] = { value: record.body, representation: representation };
+            }
+        });
+    } else {
+        json._expandable.body = "";
+    }
+
+    if (has(expand, "metadata")) {
+        json.metadata = json.metadata || {};
+        if (has(expand, "metadata.labels")) {
+            json.metadata.labels = list(ctx, record.labels, renderLabel);
+        }
+        if (has(expand, "metadata.properties")) {
+            json.metadata.properties = {};
+            Object.keys(record.properties).forEach(function(key){
+                json.metadata.properties[key] = renderProperty(ctx, record.properties[key]);
+            });
+        }
+    }
+
+    if (has(expand, "children")) {
+        json.children = renderChildren(ctx, record, sub(expand, "children"), store.children.bind(store));
+        delete json._expandable.children;
+    }
+    if (has(expand, "descendants")) {
+        json.descendants = renderChildren(ctx, record, sub(expand, "descendants"), store.descendants.bind(store));
+        delete json._expandable.descendants;
+    }
+    if (has(expand, "restrictions")) {
+        json.restrictions = renderRestrictionsByOperation(ctx, record);
+        delete json._expandable.restrictions;
+    }
+    return json;
+}
+
+/**
+ * The child or descendant lists of content, one per type asked for in expand.
+ */
+function renderChildren(ctx, record, expand, find){
+    var json = { _expandable: {} };
+    CHILD_TYPES.forEach(function(type){
+        if (has(expand, type)) {
+            var children = visible(ctx, find(record.id, type));
+            json[type] = list(ctx, children, function(ctx, child){
+                return renderContent(ctx, child, sub(expand, type));
+            });
+        } else {
+            json._expandable[type] = "/rest/api/content/" + record.id + "/child/" + type;
+        }
+    });
+    return json;
+}
+
+function renderLabel(ctx, label){
+    return { prefix: label.prefix, name: label.name, id: label.id, label: label.name };
+}
+
+function renderProperty(ctx, property){
+    return {
+        id: property.id,
+        key: property.key,
+        value: property.value,
+        version: {
+            when: property.version.when,
+            message: property.version.message,
+            number: property.version.number,
+            minorEdit: property.version.minorEdit
+        }
+    };
+}
+
+function renderRestriction(ctx, record, operation){
+    var restriction = record.restrictions[operation];
+    var users = restriction.users.map(function(username){
+        return renderUser(ctx, ctx.store.users[username]);
+    });
+    var groups = restriction.groups.map(function(name){
+        return renderGroup(ctx, ctx.store.addGroup(name));
+    });
+    return {
+        operation: operation,
+        restrictions: {
+            user: { results: users, start: 0, limit: 200, size: users.length },
+            group: { results: groups, start: 0, limit: 200, size: groups.length }
+        },
+        _links: { self: ctx.base + "/rest/api/content/" + record.id + "/restriction/byOperation/" + operation }
+    };
+}
+
+function renderRestrictionsByOperation(ctx, record){
+    var json = {};
+    OPERATIONS.forEach(function(operation){
+        json[operation] = renderRestriction(ctx, record, operation);
+    });
+    return json;
+}
+
+function renderRestrictions(ctx, record){
+    var results = OPERATIONS.map(function(operation){
+        return renderRestriction(ctx, record, operation);
+    });
+    return { results: results, start: 0, limit: 100, size: results.length };
+}
+
+function renderTask(ctx, task){
+    return {
+        id: task.id,
+        name: { key: task.name },
+        elapsedTime: Date.now() - task.started,
+        percentageComplete: Math.round(100 * Math.min(task.polls, task.steps) / task.steps),
+        successful: task.successful,
+        finished: task.finished,
+        messages: task.messages.map(function(message){
+            return { translation: message, args: [] };
+        }),
+        _links: { self: ctx.base + "/rest/api/longtask/" + task.id }
+    };
+}
+
+function renderSearchResult(ctx, record, expand){
+    var space = ctx.store.findSpace(record.spaceKey);
+    var text = stripTags(record.body);
+    var links = contentLinks(ctx, record);
+    return {
+        content: renderContent(ctx, record, sub(expand, "content")),
+        title: record.title,
+        excerpt: text.length > 200 ? text.substring(0, 200) + "..." : text,
+        url: links.webui,
+        resultGlobalContainer: space ? { title: space.name, displayUrl: "/spaces/" + space.key } : undefined,
+        entityType: "content",
+        iconCssClass: "aui-icon content-type-" + record.type,
+        lastModified: record.version.when,
+        friendlyLastModified: record.version.when
+    };
+}
+
+/**
+ * Non paginated list, e.g. the labels of expanded metadata.
+ */
+function list(ctx, items, render){
+    return {
+        results: items.map(function(item){
+            return render(ctx, item);
+        }),
+        start: 0,
+        limit: Math.max(25, items.length),
+        size: items.length
+    };
+}
+
+function stripTags(html){
+    return String(html || "").replace(/<[^>]*>/g, " ").replace(/&nbsp;/g, " ").replace(/\s+/g, " ").trim();
+}
+
+/*
+ * Lookups and checks shared by the handlers.
+ */
+
+/**
+ * Content the current user may see, 404 otherwise like Confluence does for restricted pages.
+ * @param {Object} ctx
+ * @param {string} id
+ * @param {Array[string]} statuses, statuses to accept. Default: current
+ */
+function findContent(ctx, id, statuses){
+    var record = ctx.store.contents[id];
+    statuses = statuses || ["current"];
+    if (!record || !ctx.store.canView(ctx.user, record) ||
+            (statuses.indexOf("any") < 0 && statuses.indexOf(record.status) < 0)) {
+        throw error(404, "No content found with id: ContentId{id=" + id + "}");
+    }
+    return record;
+}
+
+function editableContent(ctx, id, statuses){
+    var record = findContent(ctx, id, statuses);
+    if (!ctx.store.canEdit(ctx.user, record)) {
+        throw error(403, "Not permitted to update content with id: ContentId{id=" + id + "}");
+    }
+    return record;
+}
+
+function findSpace(ctx, key){
+    var space = ctx.store.findSpace(key);
+    if (!space) {
+        throw error(404, "No space with key : " + key);
+    }
+    return space;
+}
+
+function visible(ctx, records){
+    return records.filter(function(record){
+        return ctx.store.canView(ctx.user, record);
+    });
+}
+
+/**
+ * Statuses asked for in the status parameter, e.g. "current,trashed" or "any".
+ */
+function statuses(value, defaults){
+    if (!value) {
+        return defaults || ["current"];
+    }
+    return String(value).split(",");
+}
+
+function requireBody(ctx){
+    if (!ctx.body || typeof ctx.body !== 'object' || Buffer.isBuffer(ctx.body)) {
+        throw error(400, "A JSON body is required.");
+    }
+    return ctx.body;
+}
+
+/**
+ * User named by the username, key or accountId parameter, or the current user.
+ */
+function userParam(ctx, required){
+    var query = ctx.query;
+    var value = query.accountId || query.key || query.username;
+    if (!value) {
+        if (required) {
+            throw error(400, "A username, key or accountId parameter is required.");
+        }
+        if (!ctx.user) {
+            throw error(401, "Client must be authenticated to access this resource.");
+        }
+        return ctx.user;
+    }
+    var user = ctx.store.findUser(value);
+    if (!user) {
+        throw error(404, "No user found with " + value);
+    }
+    return user;
+}
+
+function noContent(){
+    return new Answer(204);
+}
+
+/*
+ * Content.
+ */
+
+route("GET", "/rest/api/content", function(ctx){
+    var query = ctx.query;
+    var type = query.type || "page";
+    var accepted = statuses(query.status);
+    var records = visible(ctx, ctx.store.allContent().filter(function(record){
+        return record.type === type &&
+            (!query.spaceKey || record.spaceKey === query.spaceKey) &&
+            (!query.title || record.title === query.title) &&
+            (accepted.indexOf("any") >= 0 || accepted.indexOf(record.status) >= 0);
+    }));
+    return ctx.page(records, function(ctx, record){
+        return renderContent(ctx, record, ctx.expand);
+    });
+});
+
+route("POST", "/rest/api/content", function(ctx){
+    var body = requireBody(ctx);
+    var type = body.type || "page";
+    if (["page", "blogpost", "comment"].indexOf(type) < 0) {
+        throw error(400, "Unsupported content type: " + type);
+    }
+    var ancestors = body.ancestors || [];
+    var containerId = body.container && body.container.id;
+    // replies to a comment have it as their last ancestor
+    var parentId = ancestors.length ? ancestors[ancestors.length - 1].id : type === "comment" ? containerId : null;
+    var spaceKey = body.space && body.space.key;
+    if (parentId) {
+        var parent = findContent(ctx, parentId, ["current", "draft"]);
+        spaceKey = spaceKey || parent.spaceKey;
+        if (parent.spaceKey !== (ctx.store.findSpace(spaceKey) || {}).key) {
+            throw error(400, "The parent of the content must be in the same space.");
+        }
+    }
+    if (type === "comment" && !containerId) {
+        throw error(400, "A comment must have a container.");
+    }
+    if (!spaceKey) {
+        throw error(400, "Content must have a space.");
+    }
+    findSpace(ctx, spaceKey);
+
+    var storage = body.body && (body.body.storage || body.body.editor);
+    var record = ctx.store.addContent({
+        type: type,
+        title: body.title,
+        spaceKey: spaceKey,
+        parentId: parentId || null,
+        body: storage ? storage.value : "",
+        status: body.status === "draft" ? "draft" : "current"
+    }, ctx.user && ctx.user.username);
+    return renderContent(ctx, record, ["body.storage", "ancestors"].concat(ctx.expand));
+});
+
+route("GET", "/rest/api/content/search", function(ctx){
+    var records = search(ctx);
+    return ctx.page(records, function(ctx, record){
+        return renderContent(ctx, record, ctx.expand);
+    });
+});
+
+route("GET", "/rest/api/content/{id}", function(ctx){
+    var record = findContent(ctx, ctx.params.id, statuses(ctx.query.status, ["current", "draft"]).concat(ctx.query.version ? ["current", "historical"] : []));
+    var version = ctx.store.atVersion(record, ctx.query.version);
+    if (!version) {
+        throw error(404, "No content found with id: ContentId{id=" + record.id + "} and version " + ctx.query.version);
+    }
+    return renderContent(ctx, version, ctx.expand);
+});
+
+route("PUT", "/rest/api/content/{id}", function(ctx){
+    var body = requireBody(ctx);
+    var store = ctx.store;
+    var record = editableContent(ctx, ctx.params.id, ["current", "draft", "trashed"]);
+    var number = body.version && Number(body.version.number);
+
+    if (body.type && body.type !== record.type) {
+        throw error(400, "Cannot change the type of content from " + record.type + " to " + body.type);
+    }
+    if (!number) {
+        throw error(400, "Must supply an incremented version when updating Content. No version supplied.");
+    }
+    if (number !== record.version.number + 1) {
+        throw error(409, "Version must be incremented on update. Current version is: " + record.version.number);
+    }
+    if (!body.title && record.type !== "comment") {
+        throw error(400, "Content must have a non-empty title");
+    }
+    if (record.type !== "comment" && body.title !== record.title) {
+        var same = store.findByTitle(record.spaceKey, body.title, record.type);
+        if (same && same.id !== record.id) {
+            throw error(400, "A page with this title already exists: A page already exists with the title " + body.title + " in this space");
+        }
+    }
+
+    var changes = { title: body.title || record.title };
+    var storage = body.body && (body.body.storage || body.body.editor);
+    if (storage) {
+        changes.body = storage.value;
+    }
+    if (body.status && body.status !== record.status) {
+        changes.status = body.status;
+    }
+    var ancestors = body.ancestors || [];
+    if (record.type === "page" && ancestors.length) {
+        var parentId = String(ancestors[ancestors.length - 1].id);
+        if (parentId !== record.parentId) {
+            var parent = findContent(ctx, parentId);
+            if (parentId === record.id || store.ancestors(parent).some(function(ancestor){
+                return ancestor.id === record.id;
+            })) {
+                throw error(400, "Cannot move a page to be its own descendant.");
+            }
+            if (parent.spaceKey !== record.spaceKey) {
+                throw error(400, "The parent of the content must be in the same space.");
+            }
+            changes.parentId = parentId;
+            changes.position = store.children(parentId, "page").length;
+        }
+    }
+
+    store.newVersion(record, changes, ctx.user && ctx.user.username, body.version);
+    return renderContent(ctx, record, ["body.storage", "ancestors"].concat(ctx.expand));
+});
+
+route("DELETE", "/rest/api/content/{id}", function(ctx){
+    var store = ctx.store;
+    var record = editableContent(ctx, ctx.params.id, statuses(ctx.query.status, ["current", "draft"]));
+    var purge = record.status === "trashed" || record.status === "draft" ||
+        record.type === "comment" || record.type === "attachment";
+
+    if (!purge) {
+        // like Confluence, the children of a trashed page move up to its parent
+        store.children(record.id, "page").forEach(function(child){
+            child.parentId = record.parentId;
+            child.position = store.children(record.parentId, "page").length;
+        });
+        record.status = "trashed";
+        return noContent();
+    }
+    delete store.contents[record.id];
+    store.allContent().forEach(function(content){
+        if (content.parentId === record.id) {
+            delete store.contents[content.id];
+        }
+    });
+    return noContent();
+});
+
+route("PUT", "/rest/api/content/{id}/move/{position}/{targetId}", function(ctx){
+    var store = ctx.store;
+    var position = ctx.params.position;
+    if (["append", "before", "after"].indexOf(position) < 0) {
+        throw error(400, "Invalid position: " + position + ". Valid values: append, before, after");
+    }
+    var record = editableContent(ctx, ctx.params.id);
+    var target = findContent(ctx, ctx.params.targetId);
+    if (record.type !== "page" || target.type !== "page") {
+        throw error(400, "Only pages can be moved, and only relative to pages.");
+    }
+    var parent = position === "append" ? target : store.contents[target.parentId];
+    if (!parent) {
+        throw error(400, "Cannot move a page next to a page without parent.");
+    }
+    if (target.id === record.id || parent.id === record.id || store.ancestors(parent).some(function(ancestor){
+        return ancestor.id === record.id;
+    })) {
+        throw error(400, "Cannot move a page to be its own descendant.");
+    }
+    if (!store.canEdit(ctx.user, parent)) {
+        throw error(403, "Not permitted to move content under: ContentId{id=" + parent.id + "}");
+    }
+    var same = store.findByTitle(parent.spaceKey, record.title, "page");
+    if (same && same.id !== record.id) {
+        throw error(400, "A page with this title already exists: A page already exists with the title " + record.title + " in this space");
+    }
+
+    var siblings = store.children(parent.id, "page").filter(function(sibling){
+        return sibling.id !== record.id;
+    });
+    var index = position === "append" ? siblings.length : siblings.indexOf(target) + (position === "after" ? 1 : 0);
+    store.movePage(record, parent, index);
+    return { pageId: record.id };
+});
+
+route("GET", "/rest/api/content/{id}/child", function(ctx){
+    var record = findContent(ctx, ctx.params.id);
+    return renderChildren(ctx, record, ctx.expand, ctx.store.children.bind(ctx.store));
+});
+
+route("GET", "/rest/api/content/{id}/child/attachment", function(ctx){
+    var record = findContent(ctx, ctx.params.id);
+    var query = ctx.query;
+    var attachments = ctx.store.children(record.id, "attachment").filter(function(attachment){
+        return (!query.filename || attachment.title === query.filename) &&
+            (!query.mediaType || attachment.mediaType === query.mediaType);
+    });
+    return ctx.page(attachments, function(ctx, attachment){
+        return renderContent(ctx, attachment, ctx.expand);
+    });
+});
+
+route("POST", "/rest/api/content/{id}/child/attachment", function(ctx){
+    return uploadAttachments(ctx, false);
+});
+
+route("PUT", "/rest/api/content/{id}/child/attachment", function(ctx){
+    return uploadAttachments(ctx, true);
+});
+
+route("PUT", "/rest/api/content/{id}/child/attachment/{attachmentId}", function(ctx){
+    var body = requireBody(ctx);
+    var container = editableContent(ctx, ctx.params.id);
+    var attachment = attachmentOf(ctx, container, ctx.params.attachmentId);
+    var number = body.version && Number(body.version.number);
+    if (number !== attachment.version.number + 1) {
+        throw error(409, "Version must be incremented on update. Current version is: " + attachment.version.number);
+    }
+
+    var changes = {};
+    if (body.title) {
+        changes.title = body.title;
+    }
+    var metadata = body.metadata || body.extensions || {};
+    if (metadata.mediaType) {
+        changes.mediaType = metadata.mediaType;
+    }
+    if (metadata.comment !== undefined) {
+        changes.comment = metadata.comment;
+    }
+    if (body.container && body.container.id && String(body.container.id) !== container.id) {
+        changes.parentId = editableContent(ctx, body.container.id).id;
+    }
+    ctx.store.newVersion(attachment, changes, ctx.user && ctx.user.username, body.version);
+    return renderContent(ctx, attachment, ctx.expand);
+});
+
+route("POST", "/rest/api/content/{id}/child/attachment/{attachmentId}/data", function(ctx){
+    var container = editableContent(ctx, ctx.params.id);
+    var attachment = attachmentOf(ctx, container, ctx.params.attachmentId);
+    var form = requireForm(ctx);
+    var file = form.files[0];
+    if (!file) {
+        throw error(400, "A file is required.");
+    }
+    ctx.store.newVersion(attachment, {
+        data: file.data,
+        mediaType: file.contentType,
+        comment: form.fields.comment !== undefined ? form.fields.comment : attachment.comment
+    }, ctx.user && ctx.user.username, { minorEdit: form.fields.minorEdit === "true", message: form.fields.comment });
+    return renderContent(ctx, attachment, ctx.expand);
+});
+
+function attachmentOf(ctx, container, attachmentId){
+    var attachment = ctx.store.contents[attachmentId];
+    if (!attachment || attachment.type !== "attachment" || attachment.parentId !== container.id) {
+        throw error(404, "No attachment found with id: " + attachmentId);
+    }
+    return attachment;
+}
+
+function requireForm(ctx){
+    if (!ctx.form) {
+        throw error(415, "Attachments must be sent as multipart/form-data.");
+    }
+    if (String(ctx.headers["x-atlassian-token"]).toLowerCase() !== "nocheck") {
+        throw error(403, "XSRF check failed");
+    }
+    return ctx.form;
+}
+
+/**
+ * Add the files of a multipart body to some content, updating existing ones when asked.
+ */
+function uploadAttachments(ctx, update){
+    var store = ctx.store;
+    var container = editableContent(ctx, ctx.params.id);
+    var form = requireForm(ctx);
+    if (form.files.length === 0) {
+        throw error(400, "At least one file is required.");
+    }
+    var username = ctx.user && ctx.user.username;
+    var minorEdit = form.fields.minorEdit === "true";
+
+    var attachments = form.files.map(function(file){
+        var existing = store.findAttachment(container.id, file.filename);
+        if (existing && update) {
+            return store.newVersion(existing, {
+                data: file.data,
+                mediaType: file.contentType,
+                comment: form.fields.comment || existing.comment
+            }, username, { minorEdit: minorEdit, message: form.fields.comment });
+        }
+        return store.addContent({
+            type: "attachment",
+            title: file.filename,
+            spaceKey: container.spaceKey,
+            parentId: container.id,
+            data: file.data,
+            mediaType: file.contentType,
+            comment: form.fields.comment
+        }, username);
+    });
+    return ctx.page(attachments, function(ctx, attachment){
+        return renderContent(ctx, attachment, ctx.expand);
+    });
+}
+
+route("GET", "/rest/api/content/{id}/child/{type}", function(ctx){
+    return children(ctx, ctx.store.children.bind(ctx.store));
+});
+
+route("GET", "/rest/api/content/{id}/descendant", function(ctx){
+    var record = findContent(ctx, ctx.params.id);
+    return renderChildren(ctx, record, ctx.expand, ctx.store.descendants.bind(ctx.store));
+});
+
+route("GET", "/rest/api/content/{id}/descendant/{type}", function(ctx){
+    return children(ctx, ctx.store.descendants.bind(ctx.store));
+});
+
+function children(ctx, find){
+    var record = findContent(ctx, ctx.params.id);
+    if (CHILD_TYPES.indexOf(ctx.params.type) < 0) {
+        throw error(400, "Unsupported child type: " + ctx.params.type);
+    }
+    return ctx.page(visible(ctx, find(record.id, ctx.params.type)), function(ctx, child){
+        return renderContent(ctx, child, ctx.expand);
+    });
+}
+
+route("GET", "/rest/api/content/{id}/history", function(ctx){
+    var record = findContent(ctx, ctx.params.id, ["any"]);
+    var store = ctx.store;
+    var contributors = [];
+    record.history.concat([record]).forEach(function(version){
+        if (version.version.by && contributors.indexOf(version.version.by) < 0) {
+            contributors.push(version.version.by);
+        }
+    });
+    var previous = record.history[record.history.length - 1];
+    return {
+        latest: true,
+        createdBy: renderUser(ctx, store.users[record.createdBy]),
+        createdDate: record.createdDate,
+        lastUpdated: renderVersion(ctx, record),
+        previousVersion: previous ? renderVersion(ctx, previous) : undefined,
+        contributors: {
+            publishers: {
+                users: contributors.map(function(username){
+                    return renderUser(ctx, store.users[username]);
+                }),
+                userKeys: contributors.map(function(username){
+                    return store.users[username] ? store.users[username].userKey : username;
+                })
+            }
+        },
+        _links: { self: ctx.base + "/rest/api/content/" + record.id + "/history" }
+    };
+});
+
+route("GET", "/rest/api/content/{id}/history/{version}/macro/id/{macroId}", function(ctx){
+    var record = findContent(ctx, ctx.params.id, ["any"]);
+    var version = ctx.store.atVersion(record, ctx.params.version);
+    var macroId = ctx.params.macroId;
+    var pattern = /<ac:structured-macro\b([^>]*)>([\s\S]*?)<\/ac:structured-macro>/g;
+    var found;
+    while (version && (found = pattern.exec(version.body)) !== null) {
+        var attributes = found[1];
+        if (attributes.indexOf('ac:macro-id="' + macroId + '"') < 0) {
+            continue;
+        }
+        var parameters = {};
+        found[2].replace(/<ac:parameter ac:name="([^"]*)">([\s\S]*?)<\/ac:parameter>/g, function(all, name, value){
+            parameters[name] = value;
+        });
+        var body = /<ac:(?:plain-text-body|rich-text-body)>([\s\S]*?)<\/ac:(?:plain-text-body|rich-text-body)>/.exec(found[2]);
+        return {
+            name: (/ac:name="([^"]*)"/.exec(attributes) || [])[1],
+            body: body ? body[1].replace(/^<!\[CDATA\[|\]\]>$/g, "") : "",
+            parameters: parameters
+        };
+    }
+    throw error(404, "No macro found with id " + macroId + " on content " + record.id + " at version " + ctx.params.version);
+});
+
+/*
+ * Labels.
+ */
+
+route("GET", "/rest/api/content/{id}/label", function(ctx){
+    var record = findContent(ctx, ctx.params.id);
+    var labels = record.labels.filter(function(label){
+        return !ctx.query.prefix || label.prefix === ctx.query.prefix;
+    });
+    return ctx.page(labels, renderLabel);
+});
+
+route("POST", "/rest/api/content/{id}/label", function(ctx){
+    var record = editableContent(ctx, ctx.params.id);
+    var body = requireBody(ctx);
+    var labels = Array.isArray(body) ? body : [body];
+    labels.forEach(function(label){
+        if (!label || !label.name || !LABEL_NAME.test(label.name)) {
+            throw error(400, "Invalid label name: " + (label && label.name));
+        }
+    });
+    labels.forEach(function(label){
+        var name = label.name.toLowerCase();
+        var exists = record.labels.some(function(existing){
+            return existing.name === name;
+        });
+        if (!exists) {
+            record.labels.push(ctx.store.label(label.prefix, name));
+        }
+    });
+    return ctx.page(record.labels, renderLabel);
+});
+
+route("DELETE", "/rest/api/content/{id}/label", function(ctx){
+    return removeLabel(ctx, ctx.query.name);
+});
+
+route("DELETE", "/rest/api/content/{id}/label/{label}", function(ctx){
+    return removeLabel(ctx, ctx.params.label);
+});
+
+function removeLabel(ctx, name){
+    var record = editableContent(ctx, ctx.params.id);
+    var index = record.labels.map(function(label){
+        return label.name;
+    }).indexOf(String(name).toLowerCase());
+    if (index < 0) {
+        throw error(404, "Label " + name + " does not exist on content " + record.id);
+    }
+    record.labels.splice(index, 1);
+    return noContent();
+}
+
+/*
+ * Watchers.
+ */
+
+route("GET", "/rest/api/content/{id}/notification/child-created", function(ctx){
+    return watchers(ctx);
+});
+
+route("GET", "/rest/api/content/{id}/notification/created", function(ctx){
+    return watchers(ctx);
+});
+
+function watchers(ctx){
+    var record = findContent(ctx, ctx.params.id);
+    var usernames = ctx.store.watches.content[record.id] || [];
+    return ctx.page(usernames, function(ctx, username){
+        return { type: "watch", watcher: renderUser(ctx, ctx.store.users[username]), contentId: record.id };
+    });
+}
+
+/*
+ * Page hierarchy copy, a long task.
+ */
+
+route("POST", "/rest/api/content/{id}/pagehierarchy/copy", function(ctx){
+    var store = ctx.store;
+    var body = requireBody(ctx);
+    var source = findContent(ctx, ctx.params.id);
+    var destination = editableContent(ctx, body.destinationPageId);
+    var titleOptions = body.titleOptions || {};
+    var username = ctx.user && ctx.user.username;
+
+    var task = store.addTask("com.atlassian.confluence.pages.copy.hierarchy", ctx.options.longTaskSteps, function(){
+        var copied = 0;
+        (function copy(record, parentId){
+            var title = record.title;
+            if (titleOptions.search) {
+                title = title.split(titleOptions.search).join(titleOptions.replace || "");
+            }
+            title = (titleOptions.prefix || "") + title;
+            var copy = store.addContent({
+                type: "page",
+                title: title,
+                spaceKey: destination.spaceKey,
+                parentId: parentId,
+                body: record.body
+            }, username);
+            copied++;
+            if (body.copyLabels) {
+                copy.labels = record.labels.slice();
+            }
+            if (body.copyProperties) {
+                Object.keys(record.properties).forEach(function(key){
+                    copy.properties[key] = JSON.parse(JSON.stringify(record.properties[key]));
+                });
+            }
+            if (body.copyPermissions) {
+                copy.restrictions = JSON.parse(JSON.stringify(record.restrictions));
+            }
+            if (body.copyAttachments) {
+                store.children(record.id, "attachment").forEach(function(attachment){
+                    store.addContent({
+                        type: "attachment",
+                        title: attachment.title,
+                        spaceKey: copy.spaceKey,
+                        parentId: copy.id,
+                        data: attachment.data,
+                        mediaType: attachment.mediaType,
+                        comment: attachment.comment
+                    }, username);
+                });
+            }
+            store.children(record.id, "page").forEach(function(child){
+                copy(child, copy.id);
+            });
+        })(source, destination.id);
+        return "Copied " + copied + " pages";
+    });
+
+    return new Answer(202, {
+        body: {
+            id: task.id,
+            links: { status: "/rest/api/longtask/" + task.id }
+        }
+    });
+});
+
+/*
+ * Page archiving, a long task. The pages are archived right away, the task only reports it.
+ */
+
+route("POST", "/rest/api/content/archive", function(ctx){
+    var body = requireBody(ctx);
+    var pages = body.pages;
+    if (!Array.isArray(pages) || !pages.length) {
+        throw error(400, "At least one page to archive is required.");
+    }
+    var records = pages.map(function(page){
+        var record = editableContent(ctx, page && page.id);
+        if (record.type !== "page") {
+            throw error(400, "Only pages can be archived, " + record.id + " is a " + record.type + ".");
+        }
+        return record;
+    });
+    records.forEach(function(record){
+        record.status = "archived";
+    });
+    var task = ctx.store.addTask("com.atlassian.confluence.pages.archive", ctx.options.longTaskSteps, function(){
+        return "Archived " + records.length + " pages";
+    });
+    return new Answer(202, {
+        body: {
+            id: task.id,
+            links: { status: "/rest/api/longtask/" + task.id }
+        }
+    });
+});
+
+/*
+ * Properties, for content and spaces.
+ */
+
+function listProperties(ctx, owner){
+    var keys = Object.keys(owner.properties).sort();
+    return ctx.page(keys.map(function(key){
+        return owner.properties[key];
+    }), renderProperty);
+}
+
+function findProperty(owner, key){
+    var property = owner.properties[key];
+    if (!property) {
+        throw error(404, "Cannot find property with key: " + key);
+    }
+    return property;
+}
+
+function createProperty(ctx, owner, key, value){
+    if (!key) {
+        throw error(400, "Property key is required.");
+    }
+    if (value === undefined) {
+        throw error(400, "Property value is required.");
+    }
+    if (owner.properties[key]) {
+        throw error(409, "Cannot add a property with key '" + key + "', it already exists.");
+    }
+    owner.properties[key] = {
+        id: ctx.store.nextId(),
+        key: key,
+        value: value,
+        version: { number: 1, when: new Date().toISOString(), message: "", minorEdit: false }
+    };
+    return renderProperty(ctx, owner.properties[key]);
+}
+
+function updateProperty(ctx, owner, key){
+    var body = requireBody(ctx);
+    var number = body.version && Number(body.version.number);
+    var property = owner.properties[key];
+    if (!property && number === 1) {
+        return createProperty(ctx, owner, key, body.value);
+    }
+    property = findProperty(owner, key);
+    if (!number) {
+        throw error(400, "Must supply an incremented version when updating a property.");
+    }
+    if (number !== property.version.number + 1) {
+        throw error(409, "Version mismatch, the current version of property '" + key + "' is: " + property.version.number);
+    }
+    if (body.value === undefined) {
+        throw error(400, "Property value is required.");
+    }
+    property.value = body.value;
+    property.version = {
+        number: number,
+        when: new Date().toISOString(),
+        message: body.version.message || "",
+        minorEdit: !!body.version.minorEdit
+    };
+    return renderProperty(ctx, property);
+}
+
+route("GET", "/rest/api/content/{id}/property", function(ctx){
+    return listProperties(ctx, findContent(ctx, ctx.params.id));
+});
+
+route("POST", "/rest/api/content/{id}/property", function(ctx){
+    var body = requireBody(ctx);
+    return createProperty(ctx, editableContent(ctx, ctx.params.id), body.key, body.value);
+});
+
+route("GET", "/rest/api/content/{id}/property/{key}", function(ctx){
+    return renderProperty(ctx, findProperty(findContent(ctx, ctx.params.id), ctx.params.key));
+});
+
+route("POST", "/rest/api/content/{id}/property/{key}", function(ctx){
+    var body = requireBody(ctx);
+    return createProperty(ctx, editableContent(ctx, ctx.params.id), ctx.params.key, body.value);
+});
+
+route("PUT", "/rest/api/content/{id}/property/{key}", function(ctx){
+    return updateProperty(ctx, editableContent(ctx, ctx.params.id), ctx.params.key);
+});
+
+route("DELETE", "/rest/api/content/{id}/property/{key}", function(ctx){
+    var record = editableContent(ctx, ctx.params.id);
+    findProperty(record, ctx.params.key);
+    delete record.properties[ctx.params.key];
+    return noContent();
+});
+
+/*
+ * Restrictions.
+ */
+
+function operationParam(ctx){
+    var operation = ctx.params.operationKey;
+    if (OPERATIONS.indexOf(operation) < 0) {
+        throw error(400, "Unsupported restriction operation: " + operation);
+    }
+    return operation;
+}
+
+/**
+ * Apply the restrictions of a request body, either an array or {results: [...]}.
+ * @param {boolean} replace, drop the restrictions of the operations listed first
+ */
+function applyRestrictions(ctx, record, replace){
+    var body = requireBody(ctx);
+    var entries = Array.isArray(body) ? body : body.results || [];
+    var store = ctx.store;
+    entries.forEach(function(entry){
+        var operation = entry.operation;
+        if (OPERATIONS.indexOf(operation) < 0) {
+            throw error(400, "Unsupported restriction operation: " + operation);
+        }
+        var restrictions = entry.restrictions || {};
+        var users = listOf(restrictions.user).map(function(user){
+            var found = store.findUser(user.accountId || user.userKey || user.username);
+            if (!found) {
+                throw error(400, "No user found for restriction: " + JSON.stringify(user));
+            }
+            return found.username;
+        });
+        var groups = listOf(restrictions.group).map(function(group){
+            if (!store.groups[group.name]) {
+                throw error(400, "No group found for restriction: " + group.name);
+            }
+            return group.name;
+        });
+        var target = record.restrictions[operation];
+        if (replace) {
+            target.users = [];
+            target.groups = [];
+        }
+        users.forEach(function(username){
+            if (target.users.indexOf(username) < 0) {
+                target.users.push(username);
+            }
+        });
+        groups.forEach(function(name){
+            if (target.groups.indexOf(name) < 0) {
+                target.groups.push(name);
+            }
+        });
+    });
+    return renderRestrictions(ctx, record);
+}
+
+function listOf(value){
+    if (!value) {
+        return [];
+    }
+    return Array.isArray(value) ? value : value.results || [];
+}
+
+route("GET", "/rest/api/content/{id}/restriction", function(ctx){
+    return renderRestrictions(ctx, findContent(ctx, ctx.params.id));
+});
+
+route("POST", "/rest/api/content/{id}/restriction", function(ctx){
+    return applyRestrictions(ctx, editableContent(ctx, ctx.params.id), false);
+});
+
+route("PUT", "/rest/api/content/{id}/restriction", function(ctx){
+    return applyRestrictions(ctx, editableContent(ctx, ctx.params.id), true);
+});
+
+route("DELETE", "/rest/api/content/{id}/restriction", function(ctx){
+    var record = editableContent(ctx, ctx.params.id);
+    OPERATIONS.forEach(function(operation){
+        record.restrictions[operation] = { users: [], groups: [] };
+    });
+    return renderRestrictions(ctx, record);
+});
+
+route("GET", "/rest/api/content/{id}/restriction/byOperation", function(ctx){
+    return renderRestrictionsByOperation(ctx, findContent(ctx, ctx.params.id));
+});
+
+route("GET", "/rest/api/content/{id}/restriction/byOperation/{operationKey}", function(ctx){
+    return renderRestriction(ctx, findContent(ctx, ctx.params.id), operationParam(ctx));
+});
+
+route("GET", "/rest/api/content/{id}/restriction/byOperation/{operationKey}/group/{groupName}", function(ctx){
+    var record = findContent(ctx, ctx.params.id);
+    if (record.restrictions[operationParam(ctx)].groups.indexOf(ctx.params.groupName) < 0) {
+        throw error(404, "Group " + ctx.params.groupName + " has no restriction on content " + record.id);
+    }
+    return new Answer(200);
+});
+
+route("PUT", "/rest/api/content/{id}/restriction/byOperation/{operationKey}/group/{groupName}", function(ctx){
+    var record = editableContent(ctx, ctx.params.id);
+    var groups = record.restrictions[operationParam(ctx)].groups;
+    if (!ctx.store.groups[ctx.params.groupName]) {
+        throw error(404, "No group found with name: " + ctx.params.groupName);
+    }
+    if (groups.indexOf(ctx.params.groupName) < 0) {
+        groups.push(ctx.params.groupName);
+    }
+    return new Answer(200);
+});
+
+route("DELETE", "/rest/api/content/{id}/restriction/byOperation/{operationKey}/group/{groupName}", function(ctx){
+    var record = editableContent(ctx, ctx.params.id);
+    var groups = record.restrictions[operationParam(ctx)].groups;
+    var index = groups.indexOf(ctx.params.groupName);
+    if (index < 0) {
+        throw error(404, "Group " + ctx.params.groupName + " has no restriction on content " + record.id);
+    }
+    groups.splice(index, 1);
+    return new Answer(200);
+});
+
+route("GET", "/rest/api/content/{id}/restriction/byOperation/{operationKey}/user", function(ctx){
+    var record = findContent(ctx, ctx.params.id);
+    var user = userParam(ctx, true);
+    if (record.restrictions[operationParam(ctx)].users.indexOf(user.username) < 0) {
+        throw error(404, "User " + user.username + " has no restriction on content " + record.id);
+    }
+    return new Answer(200);
+});
+
+route("PUT", "/rest/api/content/{id}/restriction/byOperation/{operationKey}/user", function(ctx){
+    var record = editableContent(ctx, ctx.params.id);
+    var users = record.restrictions[operationParam(ctx)].users;
+    var user = userParam(ctx, true);
+    if (users.indexOf(user.username) < 0) {
+        users.push(user.username);
+    }
+    return new Answer(200);
+});
+
+route("DELETE", "/rest/api/content/{id}/restriction/byOperation/{operationKey}/user", function(ctx){
+    var record = editableContent(ctx, ctx.params.id);
+    var users = record.restrictions[operationParam(ctx)].users;
+    var index = users.indexOf(userParam(ctx, true).username);
+    if (index < 0) {
+        throw error(404, "The user has no restriction on content " + record.id);
+    }
+    users.splice(index, 1);
+    return new Answer(200);
+});
+
+/*
+ * Versions.
+ */
+
+route("GET", "/rest/api/content/{id}/version", function(ctx){
+    var record = findContent(ctx, ctx.params.id, ["any"]);
+    var versions = [record].concat(record.history.slice().reverse());
+    return ctx.page(versions, function(ctx, version){
+        return renderVersion(ctx, version, ctx.expand);
+    });
+});
+
+route("POST", "/rest/api/content/{id}/version", function(ctx){
+    var body = requireBody(ctx);
+    var record = editableContent(ctx, ctx.params.id);
+    var params = body.params || {};
+    if (body.operationKey !== "restore") {
+        throw error(400, "Unsupported version operation: " + body.operationKey);
+    }
+    var old = ctx.store.atVersion(record, params.versionNumber);
+    if (!old || old === record) {
+        throw error(400, "Cannot restore version " + params.versionNumber + " of content " + record.id);
+    }
+    var changes = { body: old.body };
+    if (params.restoreTitle) {
+        changes.title = old.title;
+    }
+    if (record.type === "attachment") {
+        changes.data = old.data;
+        changes.mediaType = old.mediaType;
+    }
+    ctx.store.newVersion(record, changes, ctx.user && ctx.user.username, { message: params.message });
+    return renderVersion(ctx, record, ctx.expand);
+});
+
+route("GET", "/rest/api/content/{id}/version/{versionNumber}", function(ctx){
+    var record = findContent(ctx, ctx.params.id, ["any"]);
+    var version = ctx.store.atVersion(record, ctx.params.versionNumber);
+    if (!version) {
+        throw error(404, "No version " + ctx.params.versionNumber + " for content " + record.id);
+    }
+    return renderVersion(ctx, version, ctx.expand);
+});
+
+route("DELETE", "/rest/api/content/{id}/version/{versionNumber}", function(ctx){
+    var record = editableContent(ctx, ctx.params.id, ["any"]);
+    var number = Number(ctx.params.versionNumber);
+    if (number === record.version.number) {
+        throw error(400, "Cannot delete the current version of content " + record.id);
+    }
+    var index = record.history.map(function(version){
+        return version.version.number;
+    }).indexOf(number);
+    if (index < 0) {
+        throw error(404, "No version " + ctx.params.versionNumber + " for content " + record.id);
+    }
+    record.history.splice(index, 1);
+    return noContent();
+});
+
+/*
+ * Blueprint drafts.
+ */
+
+function publishDraft(ctx){
+    var body = requireBody(ctx);
+    var record = editableContent(ctx, ctx.params.draftId, ["draft"]);
+    var storage = body.body && body.body.storage;
+    record.status = "current";
+    record.title = body.title || record.title;
+    if (storage) {
+        record.body = storage.value;
+    }
+    return renderContent(ctx, record, ["body.storage", "ancestors"].concat(ctx.expand));
+}
+
+route("POST", "/rest/api/content/blueprint/instance/{draftId}", publishDraft);
+route("PUT", "/rest/api/content/blueprint/instance/{draftId}", publishDraft);
+
+/*
+ * Search.
+ */
+
+/**
+ * Content matching the cql and cqlcontext parameters.
+ */
+function search(ctx){
+    var store = ctx.store;
+    if (!ctx.query.cql) {
+        throw error(400, "The cql parameter is required.");
+    }
+    var query = cql.parse(ctx.query.cql);
+    var context = {};
+    if (ctx.query.cqlcontext) {
+        try {
+            context = JSON.parse(ctx.query.cqlcontext);
+        } catch (e) {
+            throw error(400, "Could not parse cqlcontext : " + ctx.query.cqlcontext);
+        }
+    }
+    var accepted = context.contentStatuses || ["current"];
+    var predicate = cql.compile(query.where, function(record, field){
+        return fieldValues(store, record, field);
+    }, { currentUser: ctx.user && ctx.user.username });
+
+    var records = visible(ctx, store.allContent().filter(function(record){
+        return accepted.indexOf(record.status) >= 0 &&
+            (!context.spaceKey || record.spaceKey === context.spaceKey) &&
+            predicate(record);
+    }));
+    if (query.orderBy.length) {
+        records.sort(function(a, b){
+            for (var i = 0; i < query.orderBy.length; i++) {
+                var order = query.orderBy[i];
+                var left = fieldValues(store, a, order.field)[0];
+                var right = fieldValues(store, b, order.field)[0];
+                if (left < right) {
+                    return order.desc ? 1 : -1;
+                }
+                if (left > right) {
+                    return order.desc ? -1 : 1;
+                }
+            }
+            return 0;
+        });
+    }
+    return records;
+}
+
+/**
+ * Values of a CQL field for some content.
+ */
+function fieldValues(store, record, field){
+    var user = function(username){
+        var found = store.users[username];
+        return found ? [found.username, found.userKey, found.accountId] : [username];
+    };
+    switch (field) {
+        case "id": return [record.id];
+        case "type": return [record.type];
+        case "space": return [record.spaceKey];
+        case "title": return [record.title];
+        case "text": return [record.title + " " + stripTags(record.body) + " " + (record.comment || "")];
+        case "label": return record.labels.map(function(label){
+            return label.name;
+        });
+        case "creator": return user(record.createdBy);
+        case "contributor": return record.history.concat([record]).reduce(function(all, version){
+            return all.concat(user(version.version.by));
+        }, []);
+        case "ancestor": return store.ancestors(record).map(function(ancestor){
+            return ancestor.id;
+        });
+        case "parent": return record.type === "page" && record.parentId ? [record.parentId] : [];
+        case "container": return record.parentId ? [record.parentId] : [];
+        case "created": return [Date.parse(record.createdDate)];
+        case "lastmodified": return [Date.parse(record.version.when)];
+    }
+    return [];
+}
+
+route("GET", "/rest/api/search", function(ctx){
+    var started = Date.now();
+    var records = search(ctx);
+    var page = ctx.page(records, function(ctx, record){
+        return renderSearchResult(ctx, record, ctx.expand);
+    });
+    page.totalSize = records.length;
+    page.cqlQuery = ctx.query.cql;
+    page.searchDuration = Date.now() - started;
+    return page;
+});
+
+/*
+ * Spaces.
+ */
+
+route("GET", "/rest/api/space", function(ctx){
+    var query = ctx.query;
+    var keys = query.spaceKey ? [].concat(query.spaceKey).join(",").split(",") : null;
+    var spaces = Object.keys(ctx.store.spaces).sort().map(function(key){
+        return ctx.store.spaces[key];
+    }).filter(function(space){
+        return (!keys || keys.indexOf(space.key) >= 0) &&
+            (!query.type || space.type === query.type) &&
+            (!query.status || space.status === query.status);
+    });
+    return ctx.page(spaces, function(ctx, space){
+        return renderSpace(ctx, space, ctx.expand);
+    });
+});
+
+function createSpace(ctx){
+    var body = requireBody(ctx);
+    var description = body.description && body.description.plain && body.description.plain.value;
+    var space = ctx.store.addSpace({
+        key: body.key,
+        name: body.name,
+        description: description
+    }, ctx.user && ctx.user.username);
+    return renderSpace(ctx, space, ["description", "homepage"]);
+}
+
+route("POST", "/rest/api/space", createSpace);
+route("POST", "/rest/api/space/_private", createSpace);
+
+route("GET", "/rest/api/space/{spaceKey}", function(ctx){
+    return renderSpace(ctx, findSpace(ctx, ctx.params.spaceKey), ctx.expand);
+});
+
+route("PUT", "/rest/api/space/{spaceKey}", function(ctx){
+    var body = requireBody(ctx);
+    var space = findSpace(ctx, ctx.params.spaceKey);
+    if (body.name) {
+        space.name = body.name;
+    }
+    if (body.description && body.description.plain) {
+        space.description = body.description.plain.value;
+    }
+    if (body.homepage && body.homepage.id) {
+        var homepage = findContent(ctx, body.homepage.id);
+        if (homepage.spaceKey !== space.key) {
+            throw error(400, "The home page must be in the space.");
+        }
+        space.homepageId = homepage.id;
+    }
+    return renderSpace(ctx, space, ["description"]);
+});
+
+route("DELETE", "/rest/api/space/{spaceKey}", function(ctx){
+    var space = findSpace(ctx, ctx.params.spaceKey);
+    ctx.store.removeSpace(space.key);
+    var task = ctx.store.addTask("com.atlassian.confluence.spaces.delete", ctx.options.longTaskSteps, function(){
+        return "Deleted space " + space.key;
+    });
+    return new Answer(202, {
+        body: {
+            id: task.id,
+            links: { status: "/rest/api/longtask/" + task.id }
+        }
+    });
+});
+
+function spaceContent(ctx, space, type){
+    return ctx.store.allContent().filter(function(record){
+        return record.spaceKey === space.key && record.type === type && record.status === "current" &&
+            (ctx.query.depth !== "root" || !record.parentId);
+    });
+}
+
+route("GET", "/rest/api/space/{spaceKey}/content", function(ctx){
+    var space = findSpace(ctx, ctx.params.spaceKey);
+    var json = {};
+    ["page", "blogpost"].forEach(function(type){
+        json[type] = ctx.page(visible(ctx, spaceContent(ctx, space, type)), function(ctx, record){
+            return renderContent(ctx, record, ctx.expand);
+        });
+    });
+    return json;
+});
+
+route("GET", "/rest/api/space/{spaceKey}/content/{type}", function(ctx){
+    var space = findSpace(ctx, ctx.params.spaceKey);
+    if (CONTENT_TYPES.indexOf(ctx.params.type) < 0) {
+        throw error(400, "Unsupported content type: " + ctx.params.type);
+    }
+    return ctx.page(visible(ctx, spaceContent(ctx, space, ctx.params.type)), function(ctx, record){
+        return renderContent(ctx, record, ctx.expand);
+    });
+});
+
+route("GET", "/rest/api/space/{spaceKey}/property", function(ctx){
+    return listProperties(ctx, findSpace(ctx, ctx.params.spaceKey));
+});
+
+route("POST", "/rest/api/space/{spaceKey}/property", function(ctx){
+    var body = requireBody(ctx);
+    return createProperty(ctx, findSpace(ctx, ctx.params.spaceKey), body.key, body.value);
+});
+
+route("GET", "/rest/api/space/{spaceKey}/property/{key}", function(ctx){
+    return renderProperty(ctx, findProperty(findSpace(ctx, ctx.params.spaceKey), ctx.params.key));
+});
+
+route("POST", "/rest/api/space/{spaceKey}/property/{key}", function(ctx){
+    var body = requireBody(ctx);
+    return createProperty(ctx, findSpace(ctx, ctx.params.spaceKey), ctx.params.key, body.value);
+});
+
+route("PUT", "/rest/api/space/{spaceKey}/property/{key}", function(ctx){
+    return updateProperty(ctx, findSpace(ctx, ctx.params.spaceKey), ctx.params.key);
+});
+
+route("DELETE", "/rest/api/space/{spaceKey}/property/{key}", function(ctx){
+    var space = findSpace(ctx, ctx.params.spaceKey);
+    findProperty(space, ctx.params.key);
+    delete space.properties[ctx.params.key];
+    return noContent();
+});
+
+route("GET", "/rest/api/space/{spaceKey}/settings", function(ctx){
+    var space = findSpace(ctx, ctx.params.spaceKey);
+    return {
+        routeOverrideEnabled: space.settings.routeOverrideEnabled,
+        _links: { self: ctx.base + "/rest/api/space/" + space.key + "/settings" }
+    };
+});
+
+route("PUT", "/rest/api/space/{spaceKey}/settings", function(ctx){
+    var body = requireBody(ctx);
+    var space = findSpace(ctx, ctx.params.spaceKey);
+    if (body.routeOverrideEnabled !== undefined) {
+        space.settings.routeOverrideEnabled = !!body.routeOverrideEnabled;
+    }
+    return { routeOverrideEnabled: space.settings.routeOverrideEnabled };
+});
+
+/*
+ * Users and watches.
+ */
+
+route("GET", "/rest/api/user", function(ctx){
+    return renderUser(ctx, userParam(ctx, true));
+});
+
+route("GET", "/rest/api/user/anonymous", function(ctx){
+    return renderUser(ctx, null);
+});
+
+route("GET", "/rest/api/user/current", function(ctx){
+    return renderUser(ctx, ctx.user);
+});
+
+route("GET", "/rest/api/user/memberof", function(ctx){
+    var user = userParam(ctx, true);
+    return ctx.page(user.groups.map(function(name){
+        return ctx.store.addGroup(name);
+    }), renderGroup);
+});
+
+/**
+ * Watch handlers of a target kind: content, label or space.
+ * @param {string} kind
+ * @param {string} name, path parameter holding the target
+ * @param {function} check, function(ctx, target) throwing when the target does not exist
+ */
+function watchRoutes(kind, name, check){
+    var path = "/rest/api/user/watch/" + kind + "/{" + name + "}";
+    var watching = function(ctx){
+        var target = check(ctx, ctx.params[name]);
+        var watches = ctx.store.watches[kind];
+        watches[target] = watches[target] || [];
+        return { watches: watches[target], user: userParam(ctx, false) };
+    };
+
+    route("GET", path, function(ctx){
+        var watch = watching(ctx);
+        return { watching: watch.watches.indexOf(watch.user.username) >= 0 };
+    });
+    route("POST", path, function(ctx){
+        var watch = watching(ctx);
+        if (watch.watches.indexOf(watch.user.username) < 0) {
+            watch.watches.push(watch.user.username);
+        }
+        return noContent();
+    });
+    route("DELETE", path, function(ctx){
+        var watch = watching(ctx);
+        var index = watch.watches.indexOf(watch.user.username);
+        if (index >= 0) {
+            watch.watches.splice(index, 1);
+        }
+        return noContent();
+    });
+}
+
+watchRoutes("content", "contentId", function(ctx, id){
+    return findContent(ctx, id).id;
+});
+watchRoutes("label", "labelName", function(ctx, name){
+    return String(name).toLowerCase();
+});
+watchRoutes("space", "spaceKey", function(ctx, key){
+    return findSpace(ctx, key).key;
+});
+
+/*
+ * Groups.
+ */
+
+route("GET", "/rest/api/group", function(ctx){
+    var groups = Object.keys(ctx.store.groups).sort().map(function(name){
+        return ctx.store.groups[name];
+    });
+    return ctx.page(groups, renderGroup);
+});
+
+route("GET", "/rest/api/group/{groupName}", function(ctx){
+    var group = ctx.store.groups[ctx.params.groupName];
+    if (!group) {
+        throw error(404, "No group found with name: " + ctx.params.groupName);
+    }
+    return renderGroup(ctx, group);
+});
+
+route("GET", "/rest/api/group/{groupName}/member", function(ctx){
+    if (!ctx.store.groups[ctx.params.groupName]) {
+        throw error(404, "No group found with name: " + ctx.params.groupName);
+    }
+    return ctx.page(ctx.store.members(ctx.params.groupName), renderUser);
+});
+
+/*
+ * Long tasks.
+ */
+
+route("GET", "/rest/api/longtask", function(ctx){
+    var tasks = Object.keys(ctx.store.tasks).map(function(id){
+        return ctx.store.tasks[id];
+    });
+    return ctx.page(tasks, renderTask);
+});
+
+route("GET", "/rest/api/longtask/{taskId}", function(ctx){
+    var task = ctx.store.tasks[ctx.params.taskId];
+    if (!task) {
+        throw error(404, "No long running task found with id: " + ctx.params.taskId);
+    }
+    return renderTask(ctx, ctx.store.pollTask(task));
+});
+
+/*
+ * Content body conversion, between the formats the fake keeps alike.
+ */
+
+var ALIKE_FORMATS = ["storage", "editor", "view", "export_view", "styled_view"];
+
+route("POST", "/rest/api/contentbody/convert/{to}", function(ctx){
+    var body = requireBody(ctx);
+    var from = body.representation;
+    if (ALIKE_FORMATS.indexOf(from) < 0 || ALIKE_FORMATS.indexOf(ctx.params.to) < 0) {
+        throw error(400, "Cannot convert from " + from + " to " + ctx.params.to);
+    }
+    return { value: String(body.value || ""), representation: ctx.params.to, _expandable: { content: "" } };
+});
+
+/*
+ * Audit.
+ */
+
+var AUDIT_UNITS = {
+    DAYS: 86400000,
+    WEEKS: 7 * 86400000,
+    MONTHS: 30 * 86400000,
+    YEARS: 365 * 86400000
+};
+
+/**
+ * Audit records matching the startDate, endDate and searchString parameters.
+ */
+function auditRecords(ctx){
+    var startDate = ctx.query.startDate ? Number(ctx.query.startDate) : -Infinity;
+    var endDate = ctx.query.endDate ? Number(ctx.query.endDate) : Infinity;
+    var search = (ctx.query.searchString || "").toLowerCase();
+    return ctx.store.audit.filter(function(record){
+        var text = [record.summary, record.description, record.category, record.affectedObject.name].join(" ").toLowerCase();
+        return record.creationDate >= startDate && record.creationDate <= endDate && text.indexOf(search) >= 0;
+    });
+}
+
+function renderAuditRecord(ctx, record){
+    return record;
+}
+
+function csvField(value){
+    var text = value === undefined || value === null ? "" : String(value);
+    return /[",\n\r]/.test(text) ? "\"" + text.replace(/"/g, "\"\"") + "\"" : text;
+}
+
+route("GET", "/rest/api/audit", function(ctx){
+    return ctx.page(auditRecords(ctx), renderAuditRecord);
+});
+
+route("POST", "/rest/api/audit", function(ctx){
+    if (!ctx.body || !ctx.body.remoteAddress) {
+        throw error(400, "remoteAddress is required");
+    }
+    return ctx.store.addAuditRecord(ctx.body, ctx.user && ctx.user.username);
+});
+
+route("GET", "/rest/api/audit/export", function(ctx){
+    var format = ctx.query.format || "csv";
+    if (format !== "csv" && format !== "zip") {
+        throw error(400, "Unsupported export format: " + format);
+    }
+    var lines = [["Author", "Remote address", "Creation date", "Summary", "Description", "Category", "Affected object"].join(",")];
+    auditRecords(ctx).forEach(function(record){
+        lines.push([
+            record.author.displayName,
+            record.remoteAddress,
+            new Date(record.creationDate).toISOString(),
+            record.summary,
+            record.description,
+            record.category,
+            record.affectedObject.name
+        ].map(csvField).join(","));
+    });
+    var csv = Buffer.from(lines.join("\r\n") + "\r\n", "utf8");
+    var filename = "audit-export." + format;
+    return new Answer(200, {
+        headers: {
+            "Content-Type": format === "zip" ? "application/zip" : "text/csv;charset=UTF-8",
+            "Content-Disposition": "attachment; filename=\"" + filename + "\""
+        },
+        raw: format === "zip" ? zip([{ name: "audit-export.csv", data: csv }]) : csv
+    });
+});
+
+route("GET", "/rest/api/audit/retention", function(ctx){
+    return ctx.store.retention;
+});
+
+route("PUT", "/rest/api/audit/retention", function(ctx){
+    var body = ctx.body || {};
+    if (!(body.number >= 0) || !body.units) {
+        throw error(400, "A retention period needs a number and units");
+    }
+    ctx.store.retention = { number: Number(body.number), units: body.units };
+    return ctx.store.retention;
+});
+
+route("GET", "/rest/api/audit/since", function(ctx){
+    var number = ctx.query.number === undefined ? 3 : Number(ctx.query.number);
+    var unit = AUDIT_UNITS[ctx.query.units || "MONTHS"];
+    if (!unit) {
+        throw error(400, "Unsupported time unit: " + ctx.query.units);
+    }
+    var since = Date.now() - number * unit;
+    return ctx.page(auditRecords(ctx).filter(function(record){
+        return record.creationDate >= since;
+    }), renderAuditRecord);
+});
+
+/*
+ * Attachment downloads, outside of the REST API like in Confluence.
+ */
+
+route("GET", "/download/attachments/{containerId}/{filename}", function(ctx){
+    var attachment = ctx.store.findAttachment(ctx.params.containerId, ctx.params.filename);
+    if (!attachment || !ctx.store.canView(ctx.user, attachment)) {
+        throw error(404, "No attachment " + ctx.params.filename + " on content " + ctx.params.containerId);
+    }
+    var version = ctx.store.atVersion(attachment, ctx.query.version) || attachment;
+    return new Answer(200, {
+        headers: {
+            "Content-Type": version.mediaType,
+            "Content-Disposition": "attachment; filename=\"" + version.title.replace(/"/g, "") + "\"; filename*=UTF-8''" + encodeURIComponent(version.title),
+            "Accept-Ranges": "bytes"
+        },
+        raw: version.data
+    });
+});
+
+exports.match = match;
+exports.Answer = Answer;
+exports.routes = routes;
+exports.renderContent = renderContent;
+exports.renderUser = renderUser;
@@ -0,0 +1,592 @@
+/**!
+ * ConfluenceAPI - lib/fake/store.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Operations pages can be restricted on.
+ */
+var OPERATIONS = ["read", "update"];
+
+/**
+ * In-memory data of the fake Confluence server: users, groups, spaces, content and what hangs off them.
+ * Content keeps its current fields at the top level and older versions in `history`.
+ */
+function Store(){
+    this.reset();
+}
+
+/**
+ * Drop every record.
+ */
+Store.prototype.reset = function(){
+    this.users = {};
+    this.groups = {};
+    this.spaces = {};
+    this.contents = {};
+    this.labels = {};
+    this.watches = { content: {}, label: {}, space: {} };
+    this.tasks = {};
+    this.audit = [];
+    this.retention = { number: 3, units: "YEARS" };
+    this.used = {};
+    this.sequence = 65536;
+};
+
+/**
+ * Next free numeric id, shared by every kind of record like in Confluence.
+ */
+Store.prototype.nextId = function(){
+    do {
+        this.sequence++;
+    } while (this.used[this.sequence]);
+    this.used[this.sequence] = true;
+    return String(this.sequence);
+};
+
+/**
+ * Reserve an id given by seed data, or allocate one.
+ */
+Store.prototype.useId = function(id){
+    if (id === undefined || id === null) {
+        return this.nextId();
+    }
+    id = String(id);
+    this.used[id] = true;
+    return id;
+};
+
+/**
+ * Add or replace a user.
+ * @param {Object} user
+ *  - {string} username, REQUIRED
+ *  - {string} displayName, Default: the username
+ *  - {string} email
+ *  - {string} password, password or API token accepted by basic auth
+ *  - {Array[string]} groups, names of the groups of the user, created when missing
+ */
+Store.prototype.addUser = function(user){
+    var store = this;
+    var record = {
+        username: user.username,
+        userKey: user.userKey || hex(user.username),
+        accountId: user.accountId || "557058:" + hex(user.username).slice(0, 24),
+        displayName: user.displayName || user.username,
+        email: user.email,
+        password: user.password,
+        groups: []
+    };
+    store.users[record.username] = record;
+    (user.groups || []).forEach(function(name){
+        store.addMember(name, record.username);
+    });
+    return record;
+};
+
+/**
+ * Find a user by username, user key, account id or email.
+ */
+Store.prototype.findUser = function(value){
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (this.users[value]) {
+        return this.users[value];
+    }
+    var users = this.users;
+    var name = Object.keys(users).filter(function(username){
+        var user = users[username];
+        return user.userKey === value || user.accountId === value || (user.email && user.email === value);
+    })[0];
+    return name ? users[name] : null;
+};
+
+/**
+ * Add a group, nothing happens when it exists.
+ */
+Store.prototype.addGroup = function(name){
+    if (!this.groups[name]) {
+        this.groups[name] = { name: name, id: this.nextId() };
+    }
+    return this.groups[name];
+};
+
+/**
+ * Add a user to a group.
+ */
+Store.prototype.addMember = function(groupName, username){
+    this.addGroup(groupName);
+    var user = this.users[username];
+    if (user && user.groups.indexOf(groupName) < 0) {
+        user.groups.push(groupName);
+    }
+};
+
+/**
+ * Members of a group, sorted by username.
+ */
+Store.prototype.members = function(groupName){
+    var users = this.users;
+    return Object.keys(users).sort().map(function(username){
+        return users[username];
+    }).filter(function(user){
+        return user.groups.indexOf(groupName) >= 0;
+    });
+};
+
+/**
+ * Create a space and its home page.
+ * @param {Object} space
+ *  - {string} key, REQUIRED. Letters and digits only
+ *  - {string} name, REQUIRED
+ *  - {string} description
+ *  - {string} type, global or personal. Default: global
+ *  - {string} id, id of the space
+ *  - {string} homepageId, id of the home page
+ * @param {string} username, creator
+ */
+Store.prototype.addSpace = function(space, username){
+    if (!space.key || !/^[A-Za-z0-9~]+$/.test(space.key)) {
+        throw error(400, "Space key is invalid: " + space.key);
+    }
+    if (!space.name) {
+        throw error(400, "Space name is required.");
+    }
+    if (this.findSpace(space.key)) {
+        throw error(400, "A space already exists with key " + space.key);
+    }
+
+    var record = {
+        id: this.useId(space.id),
+        key: space.key,
+        name: space.name,
+        description: space.description || "",
+        type: space.type || "global",
+        status: "current",
+        createdBy: username,
+        createdDate: new Date().toISOString(),
+        properties: {},
+        settings: { routeOverrideEnabled: false },
+        homepageId: null
+    };
+    this.spaces[record.key] = record;
+
+    var homepage = this.addContent({
+        id: space.homepageId,
+        type: "page",
+        title: record.name + " Home",
+        spaceKey: record.key,
+        body: "<p>Welcome to " + record.name + ".</p>"
+    }, username);
+    record.homepageId = homepage.id;
+    return record;
+};
+
+/**
+ * Find a space by key, case insensitive like Confluence.
+ */
+Store.prototype.findSpace = function(key){
+    if (!key) {
+        return null;
+    }
+    var spaces = this.spaces;
+    var found = Object.keys(spaces).filter(function(spaceKey){
+        return spaceKey.toLowerCase() === String(key).toLowerCase();
+    })[0];
+    return found ? spaces[found] : null;
+};
+
+/**
+ * Remove a space and all of its content.
+ */
+Store.prototype.removeSpace = function(key){
+    var store = this;
+    var space = store.findSpace(key);
+    Object.keys(store.contents).forEach(function(id){
+        if (store.contents[id].spaceKey === space.key) {
+            delete store.contents[id];
+        }
+    });
+    delete store.spaces[space.key];
+};
+
+/**
+ * Create content.
+ * @param {Object} content
+ *  - {string} type, page, blogpost, comment or attachment. Default: page
+ *  - {string} title, REQUIRED except for comments
+ *  - {string} spaceKey, REQUIRED
+ *  - {string} parentId, parent page, or the container of a comment or an attachment
+ *  - {string} body, storage format
+ *  - {string} status, current or draft. Default: current
+ *  - {string} id
+ *  - {Buffer} data, mediaType and comment, for attachments
+ * @param {string} username, creator
+ */
+Store.prototype.addContent = function(content, username){
+    var type = content.type || "page";
+    var now = new Date().toISOString();
+    var space = this.findSpace(content.spaceKey);
+    if (!space) {
+        throw error(404, "No space with key : " + content.spaceKey);
+    }
+    if (!content.title && type !== "comment") {
+        throw error(400, "Content must have a non-empty title");
+    }
+    if (content.parentId && !this.contents[content.parentId]) {
+        throw error(404, "No content found with id: " + content.parentId);
+    }
+    if (type === "page" || type === "blogpost") {
+        var same = this.findByTitle(space.key, content.title, type);
+        if (same) {
+            throw error(400, "A page with this title already exists: A page already exists with the title " + content.title + " in this space");
+        }
+    }
+    if (type === "attachment" && this.findAttachment(content.parentId, content.title)) {
+        throw error(400, "Cannot add a new attachment with same file name as an existing attachment: " + content.title);
+    }
+
+    var record = {
+        id: this.useId(content.id),
+        type: type,
+        status: content.status || "current",
+        title: content.title || "",
+        spaceKey: space.key,
+        parentId: content.parentId ? String(content.parentId) : null,
+        position: this.children(content.parentId, type).length,
+        body: content.body || "",
+        createdBy: username,
+        createdDate: now,
+        version: { number: 1, when: now, by: username, message: content.message || "", minorEdit: false },
+        history: [],
+        labels: [],
+        properties: {},
+        restrictions: { read: { users: [], groups: [] }, update: { users: [], groups: [] } }
+    };
+    if (type === "attachment") {
+        record.data = content.data || Buffer.alloc(0);
+        record.mediaType = content.mediaType || "application/octet-stream";
+        record.comment = content.comment || "";
+    }
+    this.contents[record.id] = record;
+    return record;
+};
+
+/**
+ * Save the current state of content as a historical version, then apply the changes as a new version.
+ * @param {Object} record
+ * @param {Object} changes fields to replace, e.g. {title, body}
+ * @param {string} username
+ * @param {Object} version {message, minorEdit}
+ */
+Store.prototype.newVersion = function(record, changes, username, version){
+    version = version || {};
+    record.history.push(snapshot(record));
+    for (var key in changes) {
+        record[key] = changes[key];
+    }
+    record.version = {
+        number: record.version.number + 1,
+        when: new Date().toISOString(),
+        by: username,
+        message: version.message || "",
+        minorEdit: !!version.minorEdit
+    };
+    return record;
+};
+
+/**
+ * Content as it was at a version, the current record for the latest one.
+ */
+Store.prototype.atVersion = function(record, number){
+    if (!number || Number(number) === record.version.number) {
+        return record;
+    }
+    return record.history.filter(function(old){
+        return old.version.number === Number(number);
+    })[0] || null;
+};
+
+/**
+ * Find a page or blog post by title in a space.
+ */
+Store.prototype.findByTitle = function(spaceKey, title, type){
+    var contents = this.contents;
+    var id = Object.keys(contents).filter(function(id){
+        var content = contents[id];
+        return content.spaceKey === spaceKey && content.title === title &&
+            content.type === (type || "page") && content.status !== "trashed";
+    })[0];
+    return id ? contents[id] : null;
+};
+
+/**
+ * Find an attachment of a container by file name.
+ */
+Store.prototype.findAttachment = function(containerId, filename){
+    return this.children(containerId, "attachment").filter(function(attachment){
+        return attachment.title === filename;
+    })[0] || null;
+};
+
+/**
+ * Children of some content, in position order. Trashed children are left out.
+ * @param {string} parentId
+ * @param {string} type page, comment or attachment
+ */
+Store.prototype.children = function(parentId, type){
+    var contents = this.contents;
+    if (!parentId) {
+        return [];
+    }
+    return Object.keys(contents).map(function(id){
+        return contents[id];
+    }).filter(function(content){
+        return content.parentId === String(parentId) && content.type === type &&
+            content.status !== "trashed" && content.status !== "archived";
+    }).sort(function(a, b){
+        return a.position - b.position;
+    });
+};
+
+/**
+ * Move a page under a new parent, at an index among its child pages. The positions of the new siblings
+ * are renumbered, and the content below the page follows it when the parent is in another space.
+ * @param {Object} record
+ * @param {Object} parent
+ * @param {integer} index
+ */
+Store.prototype.movePage = function(record, parent, index){
+    var store = this;
+    var siblings = store.children(parent.id, "page").filter(function(sibling){
+        return sibling.id !== record.id;
+    });
+    siblings.splice(index, 0, record);
+    record.parentId = parent.id;
+    siblings.forEach(function(sibling, position){
+        sibling.position = position;
+    });
+    if (record.spaceKey !== parent.spaceKey) {
+        (function follow(content){
+            content.spaceKey = parent.spaceKey;
+            store.allContent().forEach(function(child){
+                if (child.parentId === content.id) {
+                    follow(child);
+                }
+            });
+        })(record);
+    }
+};
+
+/**
+ * Descendants of some content, depth first.
+ */
+Store.prototype.descendants = function(parentId, type){
+    var store = this;
+    var result = [];
+    (function walk(id){
+        store.children(id, "page").forEach(function(child){
+            if (type === "page") {
+                result.push(child);
+            }
+            walk(child.id);
+        });
+        if (type !== "page") {
+            store.children(id, type).forEach(function(child){
+                result.push(child);
+            });
+        }
+    })(parentId);
+    return result;
+};
+
+/**
+ * Ancestors of some content, the root first.
+ */
+Store.prototype.ancestors = function(record){
+    var result = [];
+    var parent = record.parentId && this.contents[record.parentId];
+    while (parent) {
+        result.unshift(parent);
+        parent = parent.parentId && this.contents[parent.parentId];
+    }
+    return result;
+};
+
+/**
+ * Every content record, in id order.
+ */
+Store.prototype.allContent = function(){
+    var contents = this.contents;
+    return Object.keys(contents).sort(function(a, b){
+        return Number(a) - Number(b);
+    }).map(function(id){
+        return contents[id];
+    });
+};
+
+/**
+ * Label record shared by all content, created on first use.
+ */
+Store.prototype.label = function(prefix, name){
+    var key = (prefix || "global") + ":" + name;
+    if (!this.labels[key]) {
+        this.labels[key] = { prefix: prefix || "global", name: name, id: this.nextId() };
+    }
+    return this.labels[key];
+};
+
+/**
+ * Whether the user may see the content: read restrictions of the content and of its
+ * ancestors or container all have to let the user in.
+ */
+Store.prototype.canView = function(user, record){
+    var store = this;
+    return [record].concat(store.ancestors(record)).every(function(content){
+        return allows(content.restrictions.read, user);
+    });
+};
+
+/**
+ * Whether the user may change the content.
+ */
+Store.prototype.canEdit = function(user, record){
+    return this.canView(user, record) && allows(record.restrictions.update, user);
+};
+
+/**
+ * Start a long task. Its progress moves on each time its status is read.
+ * @param {string} name
+ * @param {integer} steps, status reads before the task completes
+ * @param {function} work, run when the task completes
+ */
+Store.prototype.addTask = function(name, steps, work){
+    var task = {
+        id: this.nextId(),
+        name: name,
+        steps: Math.max(1, steps || 1),
+        polls: 0,
+        started: Date.now(),
+        work: work,
+        successful: true,
+        finished: false,
+        messages: []
+    };
+    this.tasks[task.id] = task;
+    return task;
+};
+
+/**
+ * Move a long task forward.
+ */
+Store.prototype.pollTask = function(task){
+    if (task.finished) {
+        return task;
+    }
+    task.polls++;
+    if (task.polls >= task.steps) {
+        task.finished = true;
+        try {
+            task.messages.push(task.work ? task.work() || "Finished" : "Finished");
+        } catch (e) {
+            task.successful = false;
+            task.messages.push(e.message);
+        }
+    }
+    return task;
+};
+
+/**
+ * Add an audit record, the newest records come first.
+ * @param {Object} record fields of an audit record, refer to Audit#createAuditRecord
+ * @param {string} username, author when the record has none
+ */
+Store.prototype.addAuditRecord = function(record, username){
+    var user = this.findUser(username);
+    var entry = {
+        author: record.author || {
+            type: "user",
+            displayName: user ? user.displayName : "Anonymous",
+            operations: null,
+            username: user ? user.username : undefined,
+            userKey: user ? user.userKey : undefined
+        },
+        remoteAddress: record.remoteAddress || "127.0.0.1",
+        creationDate: record.creationDate ? Number(record.creationDate) : Date.now(),
+        summary: record.summary || "",
+        description: record.description || "",
+        category: record.category || "",
+        sysAdmin: !!record.sysAdmin,
+        affectedObject: record.affectedObject || { name: "", objectType: "" },
+        changedValues: record.changedValues || [],
+        associatedObjects: record.associatedObjects || []
+    };
+    this.audit.push(entry);
+    this.audit.sort(function(a, b){
+        return b.creationDate - a.creationDate;
+    });
+    return entry;
+};
+
+function allows(restriction, user){
+    if (restriction.users.length === 0 && restriction.groups.length === 0) {
+        return true;
+    }
+    if (!user) {
+        return false;
+    }
+    return restriction.users.indexOf(user.username) >= 0 || restriction.groups.some(function(group){
+        return user.groups.indexOf(group) >= 0;
+    });
+}
+
+/**
+ * Copy of the versioned fields of content.
+ */
+function snapshot(record){
+    return {
+        id: record.id,
+        type: record.type,
+        status: "historical",
+        title: record.title,
+        spaceKey: record.spaceKey,
+        parentId: record.parentId,
+        body: record.body,
+        data: record.data,
+        mediaType: record.mediaType,
+        comment: record.comment,
+        createdBy: record.createdBy,
+        createdDate: record.createdDate,
+        version: record.version,
+        labels: [],
+        properties: {},
+        restrictions: record.restrictions
+    };
+}
+
+function hex(text){
+    return Buffer.from(String(text)).toString("hex");
+}
+
+/**
+ * Error answered with a status code.
+ * @param {integer} statusCode
+ * @param {string} message
+ */
+function error(statusCode, message){
+    var err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+Store.OPERATIONS = OPERATIONS;
+Store.error = error;
+
+module.exports = Store;
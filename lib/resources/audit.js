@@ -39,24 +39,39 @@ util.inherits(Audit, RESTFulResource);
  * @param {Function} cb, callback function 
  */
 Audit.prototype.getAuditRecords = function(params, cb){
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/audit",
+        params: params || {}
+    }, cb);
+};
 
-    var args = {
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
+/**
+ * Iterate over all audit records, the pages of getAuditRecords are fetched as needed.
+ * @param {object} params Query parameters, refer to getAuditRecords
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @return {Paginator} async iterator, for await (const item of ...)
+ */
+Audit.prototype.iterateAuditRecords = function(params, options){
+    return this.paginate(function(params, cb){
+        return this.getAuditRecords(params, cb);
+    }, params, options);
+};
 
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getAuditRecords", this.path("/audit"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getAuditRecords(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+/**
+ * Get all audit records in one array, following the pages of getAuditRecords.
+ * @param {object} params Query parameters, refer to getAuditRecords
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+Audit.prototype.allAuditRecords = function(params, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    return this.iterateAuditRecords(params, options).all(cb);
 };
 
 /**
@@ -76,57 +91,39 @@ Audit.prototype.getAuditRecords = function(params, cb){
  * @param {Function} cb, callback function 
  */
 Audit.prototype.createAuditRecord = function(request, cb){
-
-    var args = {
-        data : request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type" : "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("createAuditRecord", this.path("/audit"), HttpMethod.POST);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.createAuditRecord(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/audit",
+        data: request || {}
+    }, cb);
 };
 
 /**
  * Export audit records. Exports audit records as a CSV file or ZIP file.
+ * The file is handed back as a readable stream, or a Buffer, with its contentType, filename and size.
  * @param {object} params 
  *   - {string} endDate, Filters the exported results to the records on or before the endDate. The endDate must be specified as a timestamp.
  *   - {string} format, The format of the export file for the audit records. Default: csv  Valid values: csv zip
  *   - {string} searchString, Filters the exported results to records that have string property values matching the searchString.
  *   - {string} startDate, Filters the exported results to the records on or after the startDate. The startDate must be specified as a timestamp.
+ * @param {object} options optional
+ *   - {string} responseType, stream or buffer. Default: stream
  * @param {function} cb callback function
  */
-Audit.prototype.exportAuditRecords = function(params, cb){
-
-    var args = {
-        parameters: params || {},
-        headers: { "Accept": "application/zip" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("exportAuditRecords", this.path("/audit/export"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.exportAuditRecords(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+Audit.prototype.exportAuditRecords = function(params, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    options = options || {};
+    params = params || {};
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/audit/export",
+        params: params,
+        headers: { "Accept": params.format === "zip" ? "application/zip" : "text/csv" },
+        responseType: options.responseType || "stream"
+    }, cb);
 };
 
 /**
@@ -134,23 +131,10 @@ Audit.prototype.exportAuditRecords = function(params, cb){
  * @param {function} cb callback function
  */
 Audit.prototype.getRetentionPeriod = function(cb){
-
-    var args = {
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getRetentionPeriod", this.path("/audit/retention"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getRetentionPeriod(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/audit/retention"
+    }, cb);
 };
 
 /**
@@ -162,24 +146,11 @@ Audit.prototype.getRetentionPeriod = function(cb){
  * @param {function} cb callback function
  */
 Audit.prototype.setRetentionPeriod = function(request, cb){
-
-    var args = {
-        data: request || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("setRetentionPeriod", this.path("/audit/retention"), HttpMethod.PUT);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.setRetentionPeriod(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.PUT,
+        path: "/audit/retention",
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -194,24 +165,11 @@ Audit.prototype.setRetentionPeriod = function(request, cb){
  * @param {function} cb callback function
  */
 Audit.prototype.getAuditRecordsForPeriod = function(params, cb){
-
-    var args = {
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getAuditRecordsForPeriod", this.path("/audit/since"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getAuditRecordsForPeriod(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/audit/since",
+        params: params || {}
+    }, cb);
 };
 
 module.exports = Audit;
\ No newline at end of file
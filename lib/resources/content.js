@@ -14,10 +14,14 @@
  * Module dependencies.
  */
 var util = require('util');
-var fs = require('fs');
-var request = require("request");
 var HttpMethod = require('../Httpmethod');
 var RESTFulResource = require("../RESTFulResource");
+var callback = require("../callback");
+var AttachmentDownload = require("../AttachmentDownload");
+var PageTree = require("../PageTree");
+var PageMigration = require("../PageMigration");
+var ConfluenceError = require("../ConfluenceError");
+var storage = require("../storage");
 
 /**
  * Content module.
@@ -45,24 +49,39 @@ util.inherits(Content, RESTFulResource);
  * @param {function} cb Callback function 
  */
 Content.prototype.getContent = function(params, cb){
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content",
+        params: params || {}
+    }, cb);
+};
 
-    var args = {
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
+/**
+ * Iterate over all content, the pages of getContent are fetched as needed.
+ * @param {object} params Query parameters, refer to getContent
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @return {Paginator} async iterator, for await (const item of ...)
+ */
+Content.prototype.iterateContent = function(params, options){
+    return this.paginate(function(params, cb){
+        return this.getContent(params, cb);
+    }, params, options);
+};
 
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getContent", this.path("/content"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getContent(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+/**
+ * Get all content in one array, following the pages of getContent.
+ * @param {object} params Query parameters, refer to getContent
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+Content.prototype.allContent = function(params, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    return this.iterateContent(params, options).all(cb);
 };
 
 /**
@@ -81,28 +100,12 @@ Content.prototype.getContent = function(params, cb){
  * @param {function} cb Callback function
  */
 Content.prototype.createContent = function(params, request, cb){
-
-    var args = {
-        parameters: params || {},
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("createContent", this.path("/content"), HttpMethod.POST);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.createContent(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/content",
+        params: params || {},
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -117,25 +120,12 @@ Content.prototype.createContent = function(params, request, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.getContentById = function(id, params, cb){
-
-    var args = {
-        path: {"id" : id},
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getContentById", this.path("/content/${id}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getContentById(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}",
+        pathParams: {"id" : id},
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -151,32 +141,277 @@ Content.prototype.getContentById = function(id, params, cb){
  *  - {string} title, Max length: 255
  *  - {string} type, The type of the new content. Custom content types defined by apps are also supported. Valid values: page blogpost comment attachment
  *  - {object} version, REQUIRED.The new version for the updated content. Set this to the current version number incremented by one, unless you are changing the status to ‘draft’ which must have a version number of 1.
- * @param {function} cb Callback function 
+ *  A mutation function instead of the body updates the latest version, params are then the options of editContent.
+ * @param {function} cb Callback function
  */
 Content.prototype.updateContent = function(id, params, request, cb){
+    if (typeof request === 'function') {
+        return this.editContent(id, request, params, cb);
+    }
+    return this.client.request({
+        method: HttpMethod.PUT,
+        path: "/content/${id}",
+        pathParams: {"id" : id},
+        params: params || {},
+        data: request || {}
+    }, cb);
+};
+
+/**
+ * Edit content. Fetches the latest version of a piece of content, applies a mutation to it and saves the
+ * outcome as the next version, so the caller does not handle version numbers.
+ * Confluence rejects an update whose version was taken by another editor in the meantime with a 409,
+ * conflictPolicy says what happens then:
+ *  - retry: fetch the new latest version and apply the mutation to it again, up to maxRetries times
+ *  - abort: fail with the VersionConflictError, like Confluence's own conflictPolicy
+ *  - overwrite: save the outcome of the first mutation over the other edits, the last writer wins
+ * @param {string} id The ID of the content to be updated.
+ * @param {function} mutate function(content), gets the latest version with body.storage, version and ancestors
+ *   expanded, returns the changes or a Promise of them: {title, body, status, ancestors, version: {message, minorEdit}}.
+ *   body is the storage format value, or bodies like the ones of updateContent. Nothing is saved when it returns nothing.
+ * @param {object} options
+ *  - {string} conflictPolicy, Valid values: retry abort overwrite. Default: retry
+ *  - {integer} maxRetries, Conflicts retried before failing with the VersionConflictError. Default: 3
+ *  - {string} status, The status of the content. Default: current
+ *  - {string} expand, More properties to expand on the content handed to the mutation.
+ * @param {function} cb Callback function, gets the saved content, or the latest one when nothing changed
+ */
+Content.prototype.editContent = function(id, mutate, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    var content = this;
+    options = options || {};
+    var conflictPolicy = options.conflictPolicy || "retry";
+    var maxRetries = options.maxRetries === undefined ? 3 : options.maxRetries;
+    var conflicts = 0;
+    var changes;
+
+    var latest = function(){
+        return content.getContentById(id, {
+            status: options.status,
+            expand: ["body.storage", "version", "ancestors"].concat(options.expand || []).join(",")
+        });
+    };
 
-    var args = {
-        path: {"id" : id},
-        parameters: params || {},
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
+    var attempt = function(){
+        return latest().then(function(current){
+            var mutation = changes !== undefined && conflictPolicy === "overwrite" ? changes : mutate(current);
+            return Promise.resolve(mutation).then(function(result){
+                changes = result;
+                if (!result) {
+                    return current;
+                }
+                return content.updateContent(id, { status: options.status }, editRequest(current, result)).catch(function(err){
+                    if (!(err instanceof ConfluenceError.VersionConflictError) || conflictPolicy === "abort" || conflicts >= maxRetries) {
+                        throw err;
+                    }
+                    conflicts++;
+                    return attempt();
+                });
+            });
+        });
+    };
+
+    var promise = Promise.resolve().then(function(){
+        if (typeof mutate !== 'function') {
+            throw new Error("Content#editContent expects a mutation function.");
+        }
+        if (["retry", "abort", "overwrite"].indexOf(conflictPolicy) < 0) {
+            throw new Error("Content#editContent does not support the conflictPolicy " + conflictPolicy + ".");
         }
+        return attempt();
+    });
+    return callback(promise, cb);
+};
+
+/**
+ * Upsert page. Creates a page, or updates it when its body changed, found by title under its parent.
+ * Parents named by parentPath are looked up from parentId, or from anywhere in the space for the first one,
+ * and the missing ones are created empty.
+ * @param {object} page
+ *  - {string} spaceKey, REQUIRED. The space of the page.
+ *  - {string} title, REQUIRED. The title of the page.
+ *  - {string} parentPath, Titles of the parents separated by /, e.g. "Engineering/Runbooks".
+ *  - {string} parentId, The ID of the parent page, or of the first parent of parentPath. Default: the space root
+ *  - {string} body, The body of the page.
+ *  - {string} representation, The format of the body. Other formats than storage are converted to compare them
+ *    with the page, markdown locally with storage.fromMarkdown. Default: storage
+ *  - {object} markdown, Options of storage.fromMarkdown for a markdown body.
+ *  - {string} versionMessage, Message of the new version when the page is updated.
+ * @param {function} cb Callback function, gets {action, page, createdParents}. action is created, updated or
+ *   unchanged. Fails with the code EPARENTMISMATCH when the title is taken by a page under another parent.
+ */
+Content.prototype.upsertPage = function(page, cb){
+    var content = this;
+    page = page || {};
+    var representation = page.representation || "storage";
+    var createdParents = [];
+    if (representation === "markdown") {
+        page = Object.assign({}, page, { body: storage.fromMarkdown(page.body, page.markdown) });
+        representation = "storage";
+    }
+
+    var create = function(title, parentId, value, representation){
+        var body = {};
+        body[representation] = { value: value, representation: representation };
+        return content.createContent({}, {
+            type: "page",
+            title: title,
+            space: { key: page.spaceKey },
+            ancestors: parentId ? [{ id: parentId }] : undefined,
+            body: body
+        });
     };
 
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("updateContent", this.path("/content/${id}"), HttpMethod.PUT);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.updateContent(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
+    var promise = Promise.resolve().then(function(){
+        if (!page.spaceKey || !page.title) {
+            throw new Error("Content#upsertPage expects a spaceKey and a title.");
+        }
+        var titles = String(page.parentPath || "").split("/").map(function(title){
+            return title.trim();
+        }).filter(Boolean);
+        return titles.reduce(function(parent, title){
+            return parent.then(function(parentId){
+                return findPage(content, page.spaceKey, title, parentId).then(function(found){
+                    if (found) {
+                        return found.id;
+                    }
+                    return create(title, parentId, "", "storage").then(function(created){
+                        createdParents.push(created);
+                        return created.id;
+                    });
+                });
+            });
+        }, Promise.resolve(page.parentId || null));
+    }).then(function(parentId){
+        return findPage(content, page.spaceKey, page.title, parentId, ["version", "body.storage"]).then(function(existing){
+            if (!existing) {
+                return create(page.title, parentId, page.body || "", representation).then(function(created){
+                    return { action: "created", page: created };
+                });
+            }
+            var conversion = representation === "storage" ? Promise.resolve({ value: page.body || "" }) :
+                content.client.contentbody.convertTo("storage", { value: page.body || "", representation: representation });
+            return conversion.then(function(converted){
+                if (sameStorage(existing.body && existing.body.storage && existing.body.storage.value, converted.value)) {
+                    return { action: "unchanged", page: existing };
+                }
+                var body = {};
+                body[representation] = { value: page.body || "", representation: representation };
+                return content.updateContent(existing.id, {}, {
+                    type: "page",
+                    title: page.title,
+                    body: body,
+                    version: { number: existing.version.number + 1, message: page.versionMessage }
+                }).then(function(updated){
+                    return { action: "updated", page: updated };
+                });
+            });
+        });
+    }).then(function(result){
+        result.createdParents = createdParents;
+        return result;
     });
+    return callback(promise, cb);
+};
+
+/**
+ * Export page to Markdown. Gets a page with its storage body and converts it with storage.toMarkdown.
+ * @param {string} id The ID of the page.
+ * @param {object} options Options of storage.toMarkdown, and
+ *  - {string} status, The status of the page. Default: current
+ * @param {function} cb Callback function, gets {page, markdown, attachments, pages}, attachments being the file
+ *   names of the attachments of the page the body refers to and pages the {title, spaceKey} of the pages it links to.
+ */
+Content.prototype.exportMarkdown = function(id, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    options = options || {};
+    var params = { expand: "body.storage,version,space" };
+    if (options.status) {
+        params.status = options.status;
+    }
+    var promise = this.getContentById(id, params).then(function(page){
+        var converted = storage.toMarkdown(page.body && page.body.storage ? page.body.storage.value : "", options);
+        return {
+            page: page,
+            markdown: converted.markdown,
+            attachments: converted.attachments,
+            pages: converted.pages
+        };
+    });
+    return callback(promise, cb);
+};
+
+/**
+ * Move page. Moves a page, with the pages below it, under a new parent or next to a sibling, in the same
+ * space or into another one. Changing the ancestors with updateContent only appends to the new parent.
+ * refer: https://developer.atlassian.com/cloud/confluence/rest/#api-content-pageId-move-position-targetId-put
+ * @param {string} id The ID of the page to be moved
+ * @param {object} move
+ *  - {string} targetId, REQUIRED. The ID of the page the position is relative to.
+ *  - {string} position, append (last child of the target), before or after (sibling of the target). Default: append
+ * @param {function} cb Callback function, gets {pageId}
+ */
+Content.prototype.movePage = function(id, move, cb){
+    move = move || {};
+    return this.client.request({
+        method: HttpMethod.PUT,
+        path: "/content/${id}/move/${position}/${targetId}",
+        pathParams: {
+            "id"       : id,
+            "position" : move.position || "append",
+            "targetId" : move.targetId
+        }
+    }, cb);
+};
+
+/**
+ * Reorder the child pages of a page, e.g. alphabetically or by a content property. Only the pages that are
+ * out of place are moved, one after the other.
+ * @param {string} parentId The ID of the parent page
+ * @param {function} comparator function(a, b) comparing two child pages, like Array#sort. Default: by title
+ * @param {object} options
+ *  - {string} expand, properties the comparator needs on the child pages, e.g. metadata.properties.order
+ * @param {function} cb Callback function, gets {children, moved}: the child pages in their new order and the IDs of the moved ones
+ */
+Content.prototype.reorderChildren = function(parentId, comparator, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    var content = this;
+    options = options || {};
+    comparator = comparator || function(a, b){
+        return a.title.localeCompare(b.title);
+    };
+    var promise = content.allContentChildren(parentId, "page", options.expand ? { expand: options.expand } : {}).then(function(children){
+        var current = children.slice();
+        var sorted = children.slice().sort(comparator);
+        var moved = [];
+        return sorted.reduce(function(previous, page, index){
+            return previous.then(function(){
+                if (current[index].id === page.id) {
+                    return;
+                }
+                var move = index === 0
+                    ? { targetId: current[0].id, position: "before" }
+                    : { targetId: sorted[index - 1].id, position: "after" };
+                return content.movePage(page.id, move).then(function(){
+                    current.splice(current.indexOf(page), 1);
+                    current.splice(index, 0, page);
+                    moved.push(page.id);
+                });
+            });
+        }, Promise.resolve()).then(function(){
+            return { children: sorted, moved: moved };
+        });
+    });
+    return callback(promise, cb);
 };
 
 /**
@@ -188,24 +423,12 @@ Content.prototype.updateContent = function(id, params, request, cb){
  * @param {function} cb Callback function
  */
 Content.prototype.deleteContent = function(id, params, cb){
-    var args = {
-        path: {"id" : id},
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("deleteContent", this.path("/content/${id}"), HttpMethod.DELETE);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.deleteContent(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.DELETE,
+        path: "/content/${id}",
+        pathParams: {"id" : id},
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -220,24 +443,12 @@ Content.prototype.deleteContent = function(id, params, cb){
  * @param {function} cb Callback function
  */
 Content.prototype.getContentChildren = function(id, params, cb){
-    var args = {
-        path: {"id" : id},
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getContentChildren", this.path("/content/${id}/child"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getContentChildren(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/child",
+        pathParams: {"id" : id},
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -252,27 +463,75 @@ Content.prototype.getContentChildren = function(id, params, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.getContentChildrenByType = function(id, type, params, cb){
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/child/${type}",
+        pathParams: {
             "id"   : id,
             "type" : type
         },
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
+        params: params || {}
+    }, cb);
+};
 
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getContentChildrenByType", this.path("/content/${id}/child/${type}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getContentChildrenByType(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+/**
+ * Iterate over all children of a given type of a piece of content, the pages of getContentChildrenByType are fetched as needed.
+ * @param {string} id, refer to getContentChildrenByType
+ * @param {string} type, refer to getContentChildrenByType
+ * @param {object} params Query parameters, refer to getContentChildrenByType
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @return {Paginator} async iterator, for await (const item of ...)
+ */
+Content.prototype.iterateContentChildren = function(id, type, params, options){
+    return this.paginate(function(params, cb){
+        return this.getContentChildrenByType(id, type, params, cb);
+    }, params, options);
+};
+
+/**
+ * Get all children of a given type of a piece of content in one array, following the pages of getContentChildrenByType.
+ * @param {string} id, refer to getContentChildrenByType
+ * @param {string} type, refer to getContentChildrenByType
+ * @param {object} params Query parameters, refer to getContentChildrenByType
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+Content.prototype.allContentChildren = function(id, type, params, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    return this.iterateContentChildren(id, type, params, options).all(cb);
+};
+
+/**
+ * Iterate over a page and the pages below it, one node per page: {page, depth, parentId, ancestors, position, childCount}.
+ * @param {string} id The ID of the root page
+ * @param {object} options
+ *  - {string} order, depth or breadth. Default: depth
+ *  - {integer} maxDepth, pages deeper than this are left out, the root page is at depth 0. Default: no limit
+ *  - {integer} concurrency, child listings fetched at once. Default: 4
+ *  - {string} expand, properties to expand on every page
+ * @return {PageTree} async iterator, for await (const node of ...)
+ */
+Content.prototype.iteratePageTree = function(id, options){
+    return new PageTree(this, id, options);
+};
+
+/**
+ * Get a page and the pages below it as a nested tree, every node with the nodes of its child pages in `children`.
+ * @param {string} id The ID of the root page
+ * @param {object} options, refer to iteratePageTree
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+Content.prototype.getPageTree = function(id, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    return this.iteratePageTree(id, options).tree(cb);
 };
 
 /**
@@ -287,26 +546,44 @@ Content.prototype.getContentChildrenByType = function(id, type, params, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.getAttachments = function(id, params, cb){
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/child/attachment",
+        pathParams: {
             "id"   : id
         },
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
+        params: params || {}
+    }, cb);
+};
 
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getAttachments", this.path("/content/${id}/child/attachment"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getAttachments(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+/**
+ * Iterate over all attachments of a piece of content, the pages of getAttachments are fetched as needed.
+ * @param {string} id, refer to getAttachments
+ * @param {object} params Query parameters, refer to getAttachments
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @return {Paginator} async iterator, for await (const item of ...)
+ */
+Content.prototype.iterateAttachments = function(id, params, options){
+    return this.paginate(function(params, cb){
+        return this.getAttachments(id, params, cb);
+    }, params, options);
+};
+
+/**
+ * Get all attachments of a piece of content in one array, following the pages of getAttachments.
+ * @param {string} id, refer to getAttachments
+ * @param {object} params Query parameters, refer to getAttachments
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+Content.prototype.allAttachments = function(id, params, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    return this.iterateAttachments(id, params, options).all(cb);
 };
 
 /**
@@ -318,35 +595,19 @@ Content.prototype.getAttachments = function(id, params, cb){
  * @param {object} form Form parameters 
  *  - {string} comment, The comment for the attachment that is being added.
  *  - {file} file, REQUIRED. The relative location and name of the attachment to be added to the content.
+ *    A Buffer, a stream or {path} of a file, or {value, options: {filename, contentType}}, refer to lib/Multipart
  *  - {string} minorEdit, REQUIRED. If minorEdits is set to ‘true’, no notification email or activity stream will be generated when the attachment is added to the content.
  * @param {function} cb Callback function 
  */
 Content.prototype.createAttachment = function(id, params, form, cb){
-
-    var client = this.client;
-    var options = {
+    return this.client.request({
         method: HttpMethod.POST,
-        auth: {
-            username: client.options.user,
-            password: client.options.password
-        }, 
-        url: this.path("/content/"+id+"/child/attachment"),
-        headers: { 
-            "X-Atlassian-Token" : "nocheck",
-            "Accept": "application/json",
-            "Content-Type": "multipart/form-data"
-        },
-        qs: params,
-        formData: form
-    };
-
-    request(options, function (error, response, body) {
-        if (error) {
-            client.processCallback(cb, err);
-        }else{
-            client.processCallback(cb, null, JSON.parse(body), response);
-        }
-      });
+        path: "/content/${id}/child/attachment",
+        pathParams: { id: id },
+        params: params || {},
+        form: form,
+        headers: { "X-Atlassian-Token": "nocheck" }
+    }, cb);
 };
 
 /**
@@ -358,35 +619,19 @@ Content.prototype.createAttachment = function(id, params, form, cb){
  * @param {object} form Form parameters 
  *  - {string} comment, The comment for the attachment that is being added.
  *  - {file} file, REQUIRED. The relative location and name of the attachment to be added to the content.
+ *    A Buffer, a stream or {path} of a file, or {value, options: {filename, contentType}}, refer to lib/Multipart
  *  - {string} minorEdit, REQUIRED. If minorEdits is set to ‘true’, no notification email or activity stream will be generated when the attachment is added to the content.
  * @param {function} cb Callback function 
  */
 Content.prototype.createOrUpdateAttachment = function(id, params, form, cb){
-
-    var client = this.client;
-    var options = {
+    return this.client.request({
         method: HttpMethod.PUT,
-        auth: {
-            username: client.options.user,
-            password: client.options.password
-        }, 
-        url: this.path("/content/"+id+"/child/attachment"),
-        headers: { 
-            "X-Atlassian-Token" : "nocheck",
-            "Accept": "application/json",
-            "Content-Type": "multipart/form-data"
-        },
-        qs: params,
-        formData: form
-    };
-
-    request(options, function (error, response, body) {
-        if (error) {
-            client.processCallback(cb, err);
-        }else{
-            client.processCallback(cb, null, JSON.parse(body), response);
-        }
-      });
+        path: "/content/${id}/child/attachment",
+        pathParams: { id: id },
+        params: params || {},
+        form: form,
+        headers: { "X-Atlassian-Token": "nocheck" }
+    }, cb);
 };
 
 /**
@@ -404,31 +649,15 @@ Content.prototype.createOrUpdateAttachment = function(id, params, form, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.updateAttachProperties = function(id, attachmentId, request, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.PUT,
+        path: "/content/${id}/child/attachment/${attachmentId}",
+        pathParams: {
             id: id,
             attachmentId: attachmentId
         },
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("updateAttachProperties", this.path("/content/${id}/child/attachment/${attachmentId}"), HttpMethod.PUT);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.updateAttachProperties(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -439,35 +668,71 @@ Content.prototype.updateAttachProperties = function(id, attachmentId, request, c
  * @param {object} form Form parameters 
  *  - {string} comment, The comment for the attachment that is being added.
  *  - {file} file, REQUIRED. The relative location and name of the attachment to be added to the content.
+ *    A Buffer, a stream or {path} of a file, or {value, options: {filename, contentType}}, refer to lib/Multipart
  *  - {string} minorEdit, REQUIRED. If minorEdits is set to ‘true’, no notification email or activity stream will be generated when the attachment is added to the content.
  * @param {function} cb Callback function 
  */
 Content.prototype.updateAttachmentData = function(id, attachmentId, form, cb){
-
-    var client = this.client;
-    var options = {
-        method: HttpMethod.PUT,
-        auth: {
-            username: client.options.user,
-            password: client.options.password
-        }, 
-        url: this.path("/content/"+id+"/child/attachment/"+attachmentId+"/data"),
-        headers: { 
-            "X-Atlassian-Token" : "nocheck",
-            "Accept": "application/json",
-            "Content-Type": "multipart/form-data"
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/content/${id}/child/attachment/${attachmentId}/data",
+        pathParams: {
+            id: id,
+            attachmentId: attachmentId
         },
-        qs: params,
-        formData: form
-    };
+        form: form,
+        headers: { "X-Atlassian-Token": "nocheck" }
+    }, cb);
+};
 
-    request(options, function (error, response, body) {
-        if (error) {
-            client.processCallback(cb, err);
-        }else{
-            client.processCallback(cb, null, JSON.parse(body), response);
+/**
+ * Download attachment. Gets the file of an attachment, as a readable stream or written to a path,
+ * with the auth, proxy and retry settings of the client.
+ * The size of the file is checked against the fileSize of the attachment version.
+ * @param {string} id REQUIRED The ID of the content that the attachment is attached to.
+ * @param {string} attachmentId REQUIRED The ID of the attachment to download.
+ * @param {object} options
+ *  - {integer} version, The version of the attachment to download. Default: the latest
+ *  - {string} path, Write the file there, the callback then gets {path, size, resumedFrom, contentType, filename, version, attachment}.
+ *    Otherwise it gets a readable stream carrying contentType, filename, size, version and attachment
+ *  - {boolean} resume, With path, continue a partial file left by an earlier download with a Range request. Default: false
+ *  - {integer} start, Without path, first byte of the stream, e.g. to continue a download kept elsewhere. Default: 0
+ *  - {boolean} verify, Fail with the code ESIZEMISMATCH when the size of the file does not match. Default: true
+ *  - {Object|boolean} retry, per-call retry override, refer to RetryPolicy#forCall
+ * @param {function} cb Callback function 
+ */
+Content.prototype.downloadAttachment = function(id, attachmentId, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    options = options || {};
+    var client = this.client;
+    var promise = client.request({
+        method: HttpMethod.GET,
+        path: "/content/${attachmentId}",
+        pathParams: { attachmentId: attachmentId },
+        params: { version: options.version, expand: "container,version" },
+        retry: options.retry
+    }).then(function(attachment){
+        if (attachment.type !== "attachment" || !attachment.container || String(attachment.container.id) !== String(id)) {
+            throw new ConfluenceError.NotFoundError("No attachment " + attachmentId + " on content " + id, {
+                status: 404,
+                messages: ["No attachment " + attachmentId + " on content " + id]
+            });
         }
-      });
+        var download = new AttachmentDownload(client, attachment, options);
+        return new Promise(function(resolve, reject){
+            var settle = function(err, result){
+                return err ? reject(err) : resolve(result);
+            };
+            if (options.path) {
+                return download.writeTo(options.path, !!options.resume, settle);
+            }
+            download.stream(options.start, settle);
+        });
+    });
+    return callback(promise, cb);
 };
 
 /**
@@ -484,27 +749,42 @@ Content.prototype.updateAttachmentData = function(id, attachmentId, form, cb){
  * @param {function} cb Callback function  
  */
 Content.prototype.getContentComments = function(id, params, cb){
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/child/comment",
+        pathParams: {id: id},
+        params: params || {}
+    }, cb);
+};
 
-    var args = {
-        path: {id: id},
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
+/**
+ * Iterate over all comments of a piece of content, the pages of getContentComments are fetched as needed.
+ * @param {string} id, refer to getContentComments
+ * @param {object} params Query parameters, refer to getContentComments
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @return {Paginator} async iterator, for await (const item of ...)
+ */
+Content.prototype.iterateContentComments = function(id, params, options){
+    return this.paginate(function(params, cb){
+        return this.getContentComments(id, params, cb);
+    }, params, options);
+};
 
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getContentComments", this.path("/content/${id}/child/comment"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getContentComments(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+/**
+ * Get all comments of a piece of content in one array, following the pages of getContentComments.
+ * @param {string} id, refer to getContentComments
+ * @param {object} params Query parameters, refer to getContentComments
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+Content.prototype.allContentComments = function(id, params, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    return this.iterateContentComments(id, params, options).all(cb);
 };
 
 /**
@@ -516,27 +796,12 @@ Content.prototype.getContentComments = function(id, params, cb){
  * @param {function} cb Callback function  
  */
 Content.prototype.getContentDescendants = function(id, params, cb){
-
-    var args = {
-        path: {id: id},
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getContentDescendantss", this.path("/content/${id}/descendant"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getContentDescendantss(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/descendant",
+        pathParams: {id: id},
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -551,30 +816,47 @@ Content.prototype.getContentDescendants = function(id, params, cb){
  * @param {function} cb Callback function  
  */
 Content.prototype.getContentDescendantsByType = function(id, type, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/descendant/${type}",
+        pathParams: {
             id: id,
             type: type
         },
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
+        params: params || {}
+    }, cb);
+};
 
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getContentDescendantsByType", this.path("/content/${id}/descendant/${type}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getContentDescendantsByType(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+/**
+ * Iterate over all descendants of a given type of a piece of content, the pages of getContentDescendantsByType are fetched as needed.
+ * @param {string} id, refer to getContentDescendantsByType
+ * @param {string} type, refer to getContentDescendantsByType
+ * @param {object} params Query parameters, refer to getContentDescendantsByType
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @return {Paginator} async iterator, for await (const item of ...)
+ */
+Content.prototype.iterateContentDescendants = function(id, type, params, options){
+    return this.paginate(function(params, cb){
+        return this.getContentDescendantsByType(id, type, params, cb);
+    }, params, options);
+};
+
+/**
+ * Get all descendants of a given type of a piece of content in one array, following the pages of getContentDescendantsByType.
+ * @param {string} id, refer to getContentDescendantsByType
+ * @param {string} type, refer to getContentDescendantsByType
+ * @param {object} params Query parameters, refer to getContentDescendantsByType
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+Content.prototype.allContentDescendants = function(id, type, params, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    return this.iterateContentDescendants(id, type, params, options).all(cb);
 };
 
 /**
@@ -590,29 +872,14 @@ Content.prototype.getContentDescendantsByType = function(id, type, params, cb){
  * @param {function} cb Callback function  
  */
 Content.prototype.getContentHistory = function(id, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/history",
+        pathParams: {
             id: id
         },
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getContentHistory", this.path("/content/${id}/history"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getContentHistory(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -624,30 +891,15 @@ Content.prototype.getContentHistory = function(id, params, cb){
  * @param {function} cb Callback function  
  */
 Content.prototype.getMacroBodyById = function(id, version, macroId, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/history/${version}/macro/id/${macroId}",
+        pathParams: {
             id: id,
             version: version,
             macroId: macroId
-        },
-        headers: { 
-            "Accept": "application/json"
         }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getMacroBodyById", this.path("/content/${id}/history/${version}/macro/id/${macroId}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getMacroBodyById(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    }, cb);
 };
 
 /**
@@ -664,29 +916,44 @@ Content.prototype.getMacroBodyById = function(id, version, macroId, cb){
  * @param {function} cb Callback function  
  */
 Content.prototype.getContentLabels = function(id, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/label",
+        pathParams: {
             id: id
         },
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
+        params: params || {}
+    }, cb);
+};
 
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getContentLabels", this.path("/content/${id}/label"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getContentLabels(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+/**
+ * Iterate over all labels of a piece of content, the pages of getContentLabels are fetched as needed.
+ * @param {string} id, refer to getContentLabels
+ * @param {object} params Query parameters, refer to getContentLabels
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @return {Paginator} async iterator, for await (const item of ...)
+ */
+Content.prototype.iterateContentLabels = function(id, params, options){
+    return this.paginate(function(params, cb){
+        return this.getContentLabels(id, params, cb);
+    }, params, options);
+};
+
+/**
+ * Get all labels of a piece of content in one array, following the pages of getContentLabels.
+ * @param {string} id, refer to getContentLabels
+ * @param {object} params Query parameters, refer to getContentLabels
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+Content.prototype.allContentLabels = function(id, params, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    return this.iterateContentLabels(id, params, options).all(cb);
 };
 
 /**
@@ -699,30 +966,14 @@ Content.prototype.getContentLabels = function(id, params, cb){
  * @param {function} cb Callback function  
  */
 Content.prototype.addLabelToContent = function(id, request, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/content/${id}/label",
+        pathParams: {
             id: id
         },
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("addLabelToContent", this.path("/content/${id}/label"), HttpMethod.POST);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.addLabelToContent(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -734,29 +985,14 @@ Content.prototype.addLabelToContent = function(id, request, cb){
  * @param {function} cb Callback function  
  */
 Content.prototype.removeLabelFromContentWithParam = function(id, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.DELETE,
+        path: "/content/${id}/label",
+        pathParams: {
             id: id
         },
-        parameter: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("removeLabelFromContentWithParam", this.path("/content/${id}/label"), HttpMethod.DELETE);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.removeLabelFromContentWithParam(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -767,29 +1003,14 @@ Content.prototype.removeLabelFromContentWithParam = function(id, params, cb){
  * @param {function} cb Callback function  
  */
 Content.prototype.removeLabelFromContent = function(id, label, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.DELETE,
+        path: "/content/${id}/label/${label}",
+        pathParams: {
             id: id,
             label: label
-        },
-        headers: { 
-            "Accept": "application/json"
         }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("removeLabelFromContent", this.path("/content/${id}/label/${label}"), HttpMethod.DELETE);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.removeLabelFromContent(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    }, cb);
 };
 
 /**
@@ -802,29 +1023,14 @@ Content.prototype.removeLabelFromContent = function(id, label, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.getWatchesForPage = function(id, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/notification/child-created",
+        pathParams: {
             id: id
         },
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getWatchesForPage", this.path("/content/${id}/notification/child-created"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getWatchesForPage(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -837,29 +1043,14 @@ Content.prototype.getWatchesForPage = function(id, params, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.getWatchesForSpace = function(id, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/notification/created",
+        pathParams: {
             id: id
         },
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getWatchesForSpace", this.path("/content/${id}/notification/created"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getWatchesForSpace(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -880,33 +1071,59 @@ Content.prototype.getWatchesForSpace = function(id, params, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.copyPageHierarchy = function(id, request, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/content/${id}/pagehierarchy/copy",
+        pathParams: {
             id: id
         },
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
+        data: request || {}
+    }, cb);
+};
 
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("copyPageHierarchy", this.path("/content/${id}/pagehierarchy/copy"), HttpMethod.POST);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.copyPageHierarchy(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+/**
+ * Migrate page hierarchy. Copies a page and the pages below it, with their attachments, labels and content
+ * properties, to another Confluence site, the one of target, remapping space keys, users and links on the way.
+ * Refer to lib/PageMigration for the details.
+ * @param {string} id REQUIRED The ID of the page to migrate.
+ * @param {Object} target REQUIRED ConfluenceAPI of the site to copy the pages to.
+ * @param {object} options
+ *  - {string} parentId, The page of the target the page goes under. Default: the homepage of spaceKey
+ *  - {string} spaceKey, The space of the target. Default: the key of the space of the page, mapped by spaceKeys
+ *  - {Object} spaceKeys, Target space keys by source space key, for the links to other spaces
+ *  - {Object} users, Target users {accountId, userKey, username} by source accountId, userKey or username.
+ *    Needed for a Cloud target when the source users have no accountId there, e.g. from Data Center
+ *  - {string} checkpoint, Path of a file keeping the progress, to resume an interrupted migration
+ *  - {boolean} attachments, Migrate the attachments. Default: true
+ * @param {function} cb Callback function, gets the report {parentId, spaceKey, resumed, counts, ids, users,
+ *   problems}, ids mapping the source IDs to the target ones and problems listing what could not be migrated
+ */
+Content.prototype.migratePageHierarchy = function(id, target, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    var promise = Promise.resolve().then(function(){
+        return new PageMigration(this.client, target, id, options).run();
+    }.bind(this));
+    return callback(promise, cb);
 };
 
 
+/**
+ * Archive pages. Moves pages out of the page tree into the archive of their space, in a long task.
+ * refer: https://developer.atlassian.com/cloud/confluence/rest/#api-content-archive-post
+ * @param {Array} pages REQUIRED {id} of the pages to archive
+ * @param {function} cb Callback function, gets {id, links} of the long task
+ */
+Content.prototype.archivePages = function(pages, cb){
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/content/archive",
+        data: { pages: pages || [] }
+    }, cb);
+};
+
 /**
  * Get content properties. Returns the properties for a piece of content. For more information about content properties.
  * refer: https://developer.atlassian.com/cloud/confluence/rest/#api-content-id-property-get
@@ -920,29 +1137,44 @@ Content.prototype.copyPageHierarchy = function(id, request, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.getContentProperties = function(id, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/property",
+        pathParams: {
             id: id
         },
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
+        params: params || {}
+    }, cb);
+};
 
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getContentProperties", this.path("/content/${id}/property"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getContentProperties(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+/**
+ * Iterate over all properties of a piece of content, the pages of getContentProperties are fetched as needed.
+ * @param {string} id, refer to getContentProperties
+ * @param {object} params Query parameters, refer to getContentProperties
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @return {Paginator} async iterator, for await (const item of ...)
+ */
+Content.prototype.iterateContentProperties = function(id, params, options){
+    return this.paginate(function(params, cb){
+        return this.getContentProperties(id, params, cb);
+    }, params, options);
+};
+
+/**
+ * Get all properties of a piece of content in one array, following the pages of getContentProperties.
+ * @param {string} id, refer to getContentProperties
+ * @param {object} params Query parameters, refer to getContentProperties
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+Content.prototype.allContentProperties = function(id, params, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    return this.iterateContentProperties(id, params, options).all(cb);
 };
 
 /**
@@ -956,30 +1188,14 @@ Content.prototype.getContentProperties = function(id, params, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.createContentProperty = function(id, request, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/content/${id}/property",
+        pathParams: {
             id: id
         },
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("createContentProperty", this.path("/content/${id}/property"), HttpMethod.POST);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.createContentProperty(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        data: request || {}
+    }, cb);
 };
 
 
@@ -995,30 +1211,15 @@ Content.prototype.createContentProperty = function(id, request, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.getContentProperty = function(id, key, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/property/${key}",
+        pathParams: {
             id: id,
             key: key
         },
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getContentProperty", this.path("/content/${id}/property/${key}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getContentProperty(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -1033,31 +1234,15 @@ Content.prototype.getContentProperty = function(id, key, params, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.createContentPropertyForKey = function(id, key, request, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/content/${id}/property/${key}",
+        pathParams: {
             id: id,
             key: key
         },
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("createContentPropertyForKey", this.path("/content/${id}/property/${key}"), HttpMethod.POST);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.createContentPropertyForKey(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        data: request || {}
+    }, cb);
 };
 
 
@@ -1075,31 +1260,15 @@ Content.prototype.createContentPropertyForKey = function(id, key, request, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.updateContentProperty = function(id, key, request, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.PUT,
+        path: "/content/${id}/property/${key}",
+        pathParams: {
             id: id,
             key: key
         },
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("updateContentProperty", this.path("/content/${id}/property/${key}"), HttpMethod.PUT);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.updateContentProperty(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        data: request || {}
+    }, cb);
 };
 
 
@@ -1111,29 +1280,14 @@ Content.prototype.updateContentProperty = function(id, key, request, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.deleteContentProperty = function(id, key, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.DELETE,
+        path: "/content/${id}/property/${key}",
+        pathParams: {
             id: id,
             key: key
-        },
-        headers: { 
-            "Accept": "application/json"
         }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("deleteContentProperty", this.path("/content/${id}/property/${key}"), HttpMethod.DELETE);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.deleteContentProperty(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    }, cb);
 };
 
 /**
@@ -1150,29 +1304,14 @@ Content.prototype.deleteContentProperty = function(id, key, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.getRestrictions = function(id, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/restriction",
+        pathParams: {
             id: id
         },
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getRestrictions", this.path("/content/${id}/restriction"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getRestrictions(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -1184,30 +1323,14 @@ Content.prototype.getRestrictions = function(id, params, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.addRestriction = function(id, request, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/content/${id}/restriction",
+        pathParams: {
             id: id
         },
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("addRestriction", this.path("/content/${id}/restriction"), HttpMethod.POST);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.addRestriction(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -1224,31 +1347,15 @@ Content.prototype.addRestriction = function(id, request, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.updateRestriction = function(id, params, request, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.PUT,
+        path: "/content/${id}/restriction",
+        pathParams: {
             id: id
         },
-        parameters: params || {},
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("updateRestriction", this.path("/content/${id}/restriction"), HttpMethod.PUT);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.updateRestriction(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {},
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -1263,29 +1370,14 @@ Content.prototype.updateRestriction = function(id, params, request, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.deleteRestriction = function(id, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.DELETE,
+        path: "/content/${id}/restriction",
+        pathParams: {
             id: id
         },
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("deleteRestriction", this.path("/content/${id}/restriction"), HttpMethod.DELETE);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.deleteRestriction(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -1300,29 +1392,14 @@ Content.prototype.deleteRestriction = function(id, params, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.getRestrictionsByOperation = function(id, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/restriction/byOperation",
+        pathParams: {
             id: id
         },
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getRestrictionsByOperation", this.path("/content/${id}/restriction/byOperation"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getRestrictionsByOperation(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -1340,30 +1417,15 @@ Content.prototype.getRestrictionsByOperation = function(id, params, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.getRestrictionsForOperation = function(id, operationKey, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/restriction/byOperation/${operationKey}",
+        pathParams: {
             id: id,
             operationKey: operationKey
         },
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getRestrictionsForOperation", this.path("/content/${id}/restriction/byOperation/${operationKey}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getRestrictionsForOperation(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -1375,30 +1437,15 @@ Content.prototype.getRestrictionsForOperation = function(id, operationKey, param
  * @param {function} cb Callback function 
  */
 Content.prototype.getRestrictionsStatusForGroup = function(id, operationKey,groupName, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/restriction/byOperation/${operationKey}/group/${groupName}",
+        pathParams: {
             id: id,
             operationKey: operationKey,
             groupName: groupName
-        },
-        headers: { 
-            "Accept": "application/json"
         }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getRestrictionsStatusForGroup", this.path("/content/${id}/restriction/byOperation/${operationKey}/group/${groupName}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getRestrictionsStatusForGroup(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    }, cb);
 };
 
 /**
@@ -1410,30 +1457,15 @@ Content.prototype.getRestrictionsStatusForGroup = function(id, operationKey,grou
  * @param {function} cb Callback function 
  */
 Content.prototype.addGroupToRestriction = function(id, operationKey, groupName, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.PUT,
+        path: "/content/${id}/restriction/byOperation/${operationKey}/group/${groupName}",
+        pathParams: {
             id: id,
             operationKey: operationKey,
             groupName: groupName
-        },
-        headers: { 
-            "Accept": "application/json"
         }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("addGroupToRestriction", this.path("/content/${id}/restriction/byOperation/${operationKey}/group/${groupName}"), HttpMethod.PUT);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.addGroupToRestriction(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    }, cb);
 };
 
 /**
@@ -1445,30 +1477,15 @@ Content.prototype.addGroupToRestriction = function(id, operationKey, groupName,
  * @param {function} cb Callback function 
  */
 Content.prototype.removeGroupFromRestriction = function(id, operationKey, groupName, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.DELETE,
+        path: "/content/${id}/restriction/byOperation/${operationKey}/group/${groupName}",
+        pathParams: {
             id: id,
             operationKey: operationKey,
             groupName: groupName
-        },
-        headers: { 
-            "Accept": "application/json"
         }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("removeGroupFromRestriction", this.path("/content/${id}/restriction/byOperation/${operationKey}/group/${groupName}"), HttpMethod.DELETE);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.removeGroupFromRestriction(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    }, cb);
 };
 
 /**
@@ -1483,30 +1500,15 @@ Content.prototype.removeGroupFromRestriction = function(id, operationKey, groupN
  * @param {function} cb Callback function 
  */
 Content.prototype.getRestrictionsStatusForUser = function(id, operationKey, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/restriction/byOperation/${operationKey}/user",
+        pathParams: {
             id: id,
             operationKey: operationKey
         },
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getRestrictionsStatusForUser", this.path("/content/${id}/restriction/byOperation/${operationKey}/user"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getRestrictionsStatusForUser(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -1521,30 +1523,15 @@ Content.prototype.getRestrictionsStatusForUser = function(id, operationKey, para
  * @param {function} cb Callback function 
  */
 Content.prototype.addUserToRestriction = function(id, operationKey, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.PUT,
+        path: "/content/${id}/restriction/byOperation/${operationKey}/user",
+        pathParams: {
             id: id,
             operationKey: operationKey
         },
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("addUserToRestriction", this.path("/content/${id}/restriction/byOperation/${operationKey}/user"), HttpMethod.PUT);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.addUserToRestriction(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 
@@ -1560,30 +1547,15 @@ Content.prototype.addUserToRestriction = function(id, operationKey, params, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.removeUserFromRestriction = function(id, operationKey, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.DELETE,
+        path: "/content/${id}/restriction/byOperation/${operationKey}/user",
+        pathParams: {
             id: id,
             operationKey: operationKey
         },
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("removeUserFromRestriction", this.path("/content/${id}/restriction/byOperation/${operationKey}/user"), HttpMethod.DELETE);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.removeUserFromRestriction(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -1599,29 +1571,44 @@ Content.prototype.removeUserFromRestriction = function(id, operationKey, params,
  * @param {function} cb Callback function 
  */
 Content.prototype.getContentVersions = function(id, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/version",
+        pathParams: {
             id: id
         },
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
+        params: params || {}
+    }, cb);
+};
 
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getContentVersions", this.path("/content/${id}/version"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getContentVersions(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+/**
+ * Iterate over all versions of a piece of content, the pages of getContentVersions are fetched as needed.
+ * @param {string} id, refer to getContentVersions
+ * @param {object} params Query parameters, refer to getContentVersions
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @return {Paginator} async iterator, for await (const item of ...)
+ */
+Content.prototype.iterateContentVersions = function(id, params, options){
+    return this.paginate(function(params, cb){
+        return this.getContentVersions(id, params, cb);
+    }, params, options);
+};
+
+/**
+ * Get all versions of a piece of content in one array, following the pages of getContentVersions.
+ * @param {string} id, refer to getContentVersions
+ * @param {object} params Query parameters, refer to getContentVersions
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+Content.prototype.allContentVersions = function(id, params, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    return this.iterateContentVersions(id, params, options).all(cb);
 };
 
 /**
@@ -1640,31 +1627,15 @@ Content.prototype.getContentVersions = function(id, params, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.restoreContentVersion = function(id, params, request, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/content/${id}/version",
+        pathParams: {
             id: id
         },
-        parameters: params || {},
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("restoreContentVersion", this.path("/content/${id}/version"), HttpMethod.POST);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.restoreContentVersion(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {},
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -1679,30 +1650,15 @@ Content.prototype.restoreContentVersion = function(id, params, request, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.getContentVersion = function(id, versionNumber, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/${id}/version/${versionNumber}",
+        pathParams: {
             id: id,
             versionNumber: versionNumber
         },
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getContentVersion", this.path("/content/${id}/version/${versionNumber}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getContentVersion(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -1713,29 +1669,14 @@ Content.prototype.getContentVersion = function(id, versionNumber, params, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.deleteContentVersion = function(id, versionNumber, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.DELETE,
+        path: "/content/${id}/version/${versionNumber}",
+        pathParams: {
             id: id,
             versionNumber: versionNumber
-        },
-        headers: { 
-            "Accept": "application/json"
         }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("deleteContentVersion", this.path("/content/${id}/version/${versionNumber}"), HttpMethod.DELETE);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.deleteContentVersion(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    }, cb);
 };
 
 /**
@@ -1758,30 +1699,15 @@ Content.prototype.deleteContentVersion = function(id, versionNumber, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.publishLegacyDraft = function(draftId, params, request, cb){
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/content/blueprint/instance/${draftId}",
+        pathParams: {
             draftId: draftId
         },
-        parameters: params || {},
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("publishLegacyDraft", this.path("/content/blueprint/instance/${draftId}"), HttpMethod.POST);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.publishLegacyDraft(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {},
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -1804,30 +1730,15 @@ Content.prototype.publishLegacyDraft = function(draftId, params, request, cb){
  * @param {function} cb Callback function 
  */
 Content.prototype.publishSharedDraft = function(draftId, params, request, cb){
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.PUT,
+        path: "/content/blueprint/instance/${draftId}",
+        pathParams: {
             draftId: draftId
         },
-        parameters: params || {},
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("publishSharedDraft", this.path("/content/blueprint/instance/${draftId}"), HttpMethod.PUT);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.publishSharedDraft(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {},
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -1845,25 +1756,105 @@ Content.prototype.publishSharedDraft = function(draftId, params, request, cb){
  * @param {function} cb Callback function
  */
 Content.prototype.searchContentByCQL = function(params, cb){
-    var args = {
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/content/search",
+        params: params || {}
+    }, cb);
+};
+
+/**
+ * Iterate over all content matching a CQL query, the pages of searchContentByCQL are fetched as needed.
+ * @param {object} params Query parameters, refer to searchContentByCQL
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @return {Paginator} async iterator, for await (const item of ...)
+ */
+Content.prototype.iterateContentByCQL = function(params, options){
+    return this.paginate(function(params, cb){
+        return this.searchContentByCQL(params, cb);
+    }, params, options);
+};
+
+/**
+ * Get all content matching a CQL query in one array, following the pages of searchContentByCQL.
+ * @param {object} params Query parameters, refer to searchContentByCQL
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+Content.prototype.allContentByCQL = function(params, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    return this.iterateContentByCQL(params, options).all(cb);
+};
+
+/**
+ * Find a page of a space by title, titles are unique in a space.
+ * When parentId is given the page has to be one of its children.
+ * @param {Content} content
+ * @param {string} spaceKey
+ * @param {string} title
+ * @param {string} parentId
+ * @param {Array[string]} expand
+ * @return {Promise} the page, null when there is none
+ */
+function findPage(content, spaceKey, title, parentId, expand){
+    return content.getContent({
+        spaceKey: spaceKey,
+        title: title,
+        type: "page",
+        expand: ["ancestors"].concat(expand || [])
+    }).then(function(data){
+        var page = data.results[0] || null;
+        var ancestors = (page && page.ancestors) || [];
+        var actual = ancestors.length ? ancestors[ancestors.length - 1].id : null;
+        if (page && parentId && String(actual) !== String(parentId)) {
+            var err = new Error("Page \"" + title + "\" of space " + spaceKey + " is not a child of " + parentId + ", its parent is " + actual + ".");
+            err.code = "EPARENTMISMATCH";
+            err.page = page;
+            throw err;
         }
-    };
+        return page;
+    });
+}
 
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("searchContentByCQL", this.path("/content/search"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.searchContentByCQL(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
+/**
+ * Body of the update saving the changes of a mutation as the version after current.
+ * @param {Object} current content the mutation was applied to
+ * @param {Object} changes {title, body, status, ancestors, version}
+ */
+function editRequest(current, changes){
+    var body = changes.body;
+    if (typeof body === 'string') {
+        body = { storage: { value: body, representation: "storage" } };
+    }
+    var version = { number: current.version.number + 1 };
+    Object.keys(changes.version || {}).forEach(function(key){
+        if (key !== "number") {
+            version[key] = changes.version[key];
+        }
     });
+    return {
+        type: current.type,
+        title: changes.title || current.title,
+        status: changes.status,
+        ancestors: changes.ancestors,
+        body: body,
+        version: version
+    };
+}
+
+/**
+ * Compare storage format bodies, leaving out the whitespace between tags Confluence may add.
+ */
+function sameStorage(a, b){
+    var normalize = function(value){
+        return String(value || "").replace(/>\s+</g, "><").trim();
+    };
+    return normalize(a) === normalize(b);
 }
 
 module.exports = Content;
\ No newline at end of file
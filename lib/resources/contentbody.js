@@ -14,8 +14,6 @@
   * Module dependencies.
   */
  var util = require('util');
- var fs = require('fs');
- var request = require("request");
  var HttpMethod = require('../Httpmethod');
  var RESTFulResource = require("../RESTFulResource");
  
@@ -44,34 +42,15 @@
   *  - {string} type, The type of content to return. Default: page. Valid values: page blogpost
   * @param {function} cb Callback function 
   */
-  Contentbody.prototype.convertTo = function(to, body, cb){
- 
-    var args = {
-        path: {
-            to: to
-        },
-        data: body || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
- 
-     var client = this.client;
-     // registering remote methods 
-     client.registerMethod("convertTo", this.path("/contentbody/convert/${to}"), HttpMethod.POST);
-     
-     /**
-      * this would construct the following URL before invocation
-      */
-     client.methods.convertTo(args, function (data, response) {
-         client.processCallback(cb, null, data, response);
-     }).on('error', function (err) {
-         client.processCallback(cb, err);
-     });
-
+ Contentbody.prototype.convertTo = function(to, body, cb){
+     return this.client.request({
+         method: HttpMethod.POST,
+         path: "/contentbody/convert/${to}",
+         pathParams: {
+             to: to
+         },
+         data: body || {}
+     }, cb);
  };
- 
 
- 
  module.exports = Contentbody;
\ No newline at end of file
@@ -36,24 +36,39 @@ util.inherits(Group, RESTFulResource);
  * @param {Function} cb, callback function 
  */
 Group.prototype.getGroups = function(params, cb){
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/group",
+        params: params || {}
+    }, cb);
+};
 
-    var args = {
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
+/**
+ * Iterate over all groups, the pages of getGroups are fetched as needed.
+ * @param {object} params Query parameters, refer to getGroups
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @return {Paginator} async iterator, for await (const item of ...)
+ */
+Group.prototype.iterateGroups = function(params, options){
+    return this.paginate(function(params, cb){
+        return this.getGroups(params, cb);
+    }, params, options);
+};
 
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getGroups", this.path("/group"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getGroups(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+/**
+ * Get all groups in one array, following the pages of getGroups.
+ * @param {object} params Query parameters, refer to getGroups
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+Group.prototype.allGroups = function(params, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    return this.iterateGroups(params, options).all(cb);
 };
 
 /**
@@ -64,24 +79,11 @@ Group.prototype.getGroups = function(params, cb){
  * @param {Function} cb, callback function 
  */
 Group.prototype.getGroup = function(groupName, cb){
-
-    var args = {
-        path: { "groupName": groupName },
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getGroup", this.path("/group/${groupName}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getGroup(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/group/${groupName}",
+        pathParams: { "groupName": groupName }
+    }, cb);
 };
 
 /**
@@ -94,25 +96,42 @@ Group.prototype.getGroup = function(groupName, cb){
  * @param {Function} cb, callback function 
  */
 Group.prototype.getGroupMembers = function(groupName, params, cb){
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/group/${groupName}/member",
+        pathParams: { "groupName": groupName },
+        params: params || {}
+    }, cb);
+};
 
-    var args = {
-        path: { "groupName": groupName },
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
+/**
+ * Iterate over all members of a group, the pages of getGroupMembers are fetched as needed.
+ * @param {string} groupName, refer to getGroupMembers
+ * @param {object} params Query parameters, refer to getGroupMembers
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @return {Paginator} async iterator, for await (const item of ...)
+ */
+Group.prototype.iterateGroupMembers = function(groupName, params, options){
+    return this.paginate(function(params, cb){
+        return this.getGroupMembers(groupName, params, cb);
+    }, params, options);
+};
 
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getGroupMembers", this.path("/group/${groupName}/member"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getGroupMembers(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+/**
+ * Get all members of a group in one array, following the pages of getGroupMembers.
+ * @param {string} groupName, refer to getGroupMembers
+ * @param {object} params Query parameters, refer to getGroupMembers
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+Group.prototype.allGroupMembers = function(groupName, params, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    return this.iterateGroupMembers(groupName, params, options).all(cb);
 };
 
 module.exports = Group;
\ No newline at end of file
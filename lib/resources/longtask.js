@@ -35,24 +35,12 @@ util.inherits(LongTask, RESTFulResource);
  * @param {Function} cb, callback function
  */
 LongTask.prototype.getLongRuningTasks = function(params, cb){
-    var args = {
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getLongRuningTasks", this.path("/longtask"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getLongRuningTasks(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
-}
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/longtask",
+        params: params || {}
+    }, cb);
+};
 
 /**
  * Get long-running task.
@@ -60,23 +48,11 @@ LongTask.prototype.getLongRuningTasks = function(params, cb){
  * @param {Function} cb, callback function
  */
 LongTask.prototype.getLongRuningTask = function(taskId, cb){
-    var args = {
-        path: { "taskId": taskId },
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getLongRuningTask", this.path("/longtask/${taskId}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getLongRuningTask(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
-}
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/longtask/${taskId}",
+        pathParams: { "taskId": taskId }
+    }, cb);
+};
 
 module.exports = LongTask;
\ No newline at end of file
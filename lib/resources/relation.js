@@ -51,29 +51,17 @@ util.inherits(Relation, RESTFulResource);
  *  @param {function} cb Callback function
  */
 Relation.prototype.findRelatedEntitiesS2T = function(relationName, sourceKey, sourceType, targetType, params, cb){
-    var args = {
-        path: { 
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/relation/${relationName}/from/${sourceType}/${sourceKey}/to/${targetType}",
+        pathParams: { 
             "relationName": relationName,
             "sourceKey": sourceKey,
             "sourceType": sourceType,
             "targetType": targetType
         },
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("findRelatedEntitiesS2T", this.path("/relation/${relationName}/from/${sourceType}/${sourceKey}/to/${targetType}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.findRelatedEntitiesS2T(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -100,29 +88,17 @@ Relation.prototype.findRelatedEntitiesS2T = function(relationName, sourceKey, so
  *  @param {function} cb Callback function
  */
 Relation.prototype.findRelatedEntitiesT2S = function(relationName, targetType, targetKey, sourceType, params, cb){
-    var args = {
-        path: { 
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/relation/${relationName}/to/${targetType}/${targetKey}/from/${sourceType}",
+        pathParams: { 
             "relationName": relationName,
             "targetType": targetType,
             "targetKey": targetKey,
             "sourceType": sourceType
         },
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("findRelatedEntitiesT2S", this.path("/relation/{relationName}/to/{targetType}/{targetKey}/from/{sourceType}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.findRelatedEntitiesT2S(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -151,30 +127,18 @@ Relation.prototype.findRelatedEntitiesT2S = function(relationName, targetType, t
  *  @param {function} cb Callback function
  */
 Relation.prototype.findRelationship = function(relationName, sourceKey, sourceType, targetType, targetKey, params, cb){
-    var args = {
-        path: { 
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/relation/${relationName}/from/${sourceType}/${sourceKey}/to/${targetType}/${targetKey}",
+        pathParams: { 
             "relationName": relationName,
             "sourceKey": sourceKey,
             "sourceType": sourceType,
             "targetType": targetType,
             "targetKey" : targetKey
         },
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("findRelationship", this.path("/relation/${relationName}/from/${sourceType}/${sourceKey}/to/${targetType}/${targetKey}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.findRelationship(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -203,30 +167,18 @@ Relation.prototype.findRelationship = function(relationName, sourceKey, sourceTy
  *  @param {function} cb Callback function
  */
 Relation.prototype.createRelationship = function(relationName, sourceKey, sourceType, targetType, targetKey, params, cb){
-    var args = {
-        path: { 
+    return this.client.request({
+        method: HttpMethod.PUT,
+        path: "/relation/${relationName}/from/${sourceType}/${sourceKey}/to/${targetType}/${targetKey}",
+        pathParams: { 
             "relationName": relationName,
             "sourceKey": sourceKey,
             "sourceType": sourceType,
             "targetType": targetType,
             "targetKey" : targetKey
         },
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("createRelationship", this.path("/relation/${relationName}/from/${sourceType}/${sourceKey}/to/${targetType}/${targetKey}"), HttpMethod.PUT);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.createRelationship(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -255,30 +207,18 @@ Relation.prototype.createRelationship = function(relationName, sourceKey, source
  *  @param {function} cb Callback function
  */
 Relation.prototype.deleteRelationship = function(relationName, sourceKey, sourceType, targetType, targetKey, params, cb){
-    var args = {
-        path: { 
+    return this.client.request({
+        method: HttpMethod.DELETE,
+        path: "/relation/${relationName}/from/${sourceType}/${sourceKey}/to/${targetType}/${targetKey}",
+        pathParams: { 
             "relationName": relationName,
             "sourceKey": sourceKey,
             "sourceType": sourceType,
             "targetType": targetType,
             "targetKey" : targetKey
         },
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("deleteRelationship", this.path("/relation/${relationName}/from/${sourceType}/${sourceKey}/to/${targetType}/${targetKey}"), HttpMethod.DELETE);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.deleteRelationship(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 module.exports = Relation;
\ No newline at end of file
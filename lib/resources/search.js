@@ -43,24 +43,40 @@ util.inherits(Search, RESTFulResource);
  * @param {Function} cb, callback function 
  */
 Search.prototype.search = function(params, cb){
-    var args = {
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/search",
+        params: params || {}
+    }, cb);
+};
 
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("search", this.path("/search"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.search(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
-}
+/**
+ * Iterate over all search results, the pages of search are fetched as needed by following its cursor.
+ * @param {object} params Query parameters, refer to search
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @return {Paginator} async iterator, for await (const item of ...)
+ */
+Search.prototype.iterateSearch = function(params, options){
+    return this.paginate(function(params, cb){
+        return this.search(params, cb);
+    }, params, options);
+};
+
+/**
+ * Get all search results in one array, following the cursor of search.
+ * @param {object} params Query parameters, refer to search
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+Search.prototype.allSearch = function(params, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    return this.iterateSearch(params, options).all(cb);
+};
 
 /**
  * Search content using keyword quickly.
@@ -71,23 +87,12 @@ Search.prototype.quickSearch = function(keyword, cb){
     var params = {
         cql : "title ~ \""+keyword+"*\""
     };
-    var args = {
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("quickSearch", this.path("/search"), HttpMethod.GET);
     
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.quickSearch(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
-}
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/search",
+        params: params || {}
+    }, cb);
+};
 
 module.exports = Search;
\ No newline at end of file
@@ -34,25 +34,13 @@ util.inherits(Settings, RESTFulResource);
  * @param {function} cb Callback function 
  */
 Settings.prototype.getLookAndFeelSettings = function(spaceKey, cb){
-    var args = {
-        parameters: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/settings/lookandfeel",
+        params: {
             "spaceKey" : spaceKey
-        },
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getLookAndFeelSettings", this.path("/settings/lookandfeel"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getLookAndFeelSettings(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        }
+    }, cb);
 };
 
 /**
@@ -72,29 +60,14 @@ Settings.prototype.getLookAndFeelSettings = function(spaceKey, cb){
  * @param {function} cb Callback function 
  */
 Settings.prototype.updateLookAndFeelSettings = function(spaceKey, request, cb){
-    var args = {
-        parameters: {
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/settings/lookandfeel/custom",
+        params: {
             "spaceKey" : spaceKey
         },
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json" 
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("updateLookAndFeelSettings", this.path("/settings/lookandfeel/custom"), HttpMethod.POST);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.updateLookAndFeelSettings(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -104,27 +77,13 @@ Settings.prototype.updateLookAndFeelSettings = function(spaceKey, request, cb){
  * @param {function} cb Callback function 
  */
 Settings.prototype.resetLookAndFeelSettings = function(spaceKey, cb){
-    var args = {
-        parameters: {
+    return this.client.request({
+        method: HttpMethod.DELETE,
+        path: "/settings/lookandfeel/custom",
+        params: {
             "spaceKey" : spaceKey
-        },
-        headers: { 
-            "Accept": "application/json"
         }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("resetLookAndFeelSettings", this.path("/settings/lookandfeel/custom"), HttpMethod.DELETE);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.resetLookAndFeelSettings(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    }, cb);
 };
 
 /**
@@ -138,29 +97,14 @@ Settings.prototype.resetLookAndFeelSettings = function(spaceKey, cb){
  * @param {function} cb Callback function 
  */
 Settings.prototype.setLookAndFeelSettings = function(spaceKey, request, cb){
-    var args = {
-        parameters: {
+    return this.client.request({
+        method: HttpMethod.PUT,
+        path: "/settings/lookandfeel/selected",
+        params: {
             "spaceKey" : spaceKey
         },
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json" 
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("setLookAndFeelSettings", this.path("/settings/lookandfeel/selected"), HttpMethod.PUT);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.setLookAndFeelSettings(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -169,22 +113,10 @@ Settings.prototype.setLookAndFeelSettings = function(spaceKey, request, cb){
  * @param {function} cb Callback function 
  */
 Settings.prototype.getSystemInfo = function(cb){
-    var args = {
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getSystemInfo", this.path("/settings/systemInfo"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getSystemInfo(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/settings/systemInfo"
+    }, cb);
 };
 
 /**
@@ -196,23 +128,11 @@ Settings.prototype.getSystemInfo = function(cb){
  * @param {function} cb Callback function 
  */
 Settings.prototype.getThemes = function(params,cb){
-    var args = {
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getThemes", this.path("/settings/theme"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getThemes(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/settings/theme",
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -222,25 +142,13 @@ Settings.prototype.getThemes = function(params,cb){
  * @param {function} cb Callback function 
  */
 Settings.prototype.getTheme = function(themeKey,cb){
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/settings/theme/${themeKey}",
+        pathParams: {
             themeKey: themeKey
-        },
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getTheme", this.path("/settings/theme/${themeKey}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getTheme(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        }
+    }, cb);
 };
 
 /**
@@ -249,22 +157,10 @@ Settings.prototype.getTheme = function(themeKey,cb){
  * @param {function} cb Callback function 
  */
 Settings.prototype.getGlobalTheme = function(cb){
-    var args = {
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getGlobalTheme", this.path("/settings/theme/selected"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getGlobalTheme(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/settings/theme/selected"
+    }, cb);
 };
 
 module.exports = Settings;
\ No newline at end of file
@@ -16,6 +16,10 @@
 var util = require('util');
 var HttpMethod = require('../Httpmethod');
 var RESTFulResource = require("../RESTFulResource");
+var callback = require("../callback");
+var DirectorySync = require("../DirectorySync");
+var SpaceBackup = require("../SpaceBackup");
+var SpaceRestore = require("../SpaceRestore");
 
 /**
  * Space module.
@@ -43,24 +47,39 @@ util.inherits(Space, RESTFulResource);
  * @param {Function} cb, callback function 
  */
 Space.prototype.getSpaces = function(params, cb){
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/space",
+        params: params || {}
+    }, cb);
+};
 
-    var args = {
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getSpaces", this.path("/space"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getSpaces(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+/**
+ * Iterate over all spaces, the pages of getSpaces are fetched as needed.
+ * @param {object} params Query parameters, refer to getSpaces
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @return {Paginator} async iterator, for await (const item of ...)
+ */
+Space.prototype.iterateSpaces = function(params, options){
+    return this.paginate(function(params, cb){
+        return this.getSpaces(params, cb);
+    }, params, options);
+};
+
+/**
+ * Get all spaces in one array, following the pages of getSpaces.
+ * @param {object} params Query parameters, refer to getSpaces
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+Space.prototype.allSpaces = function(params, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    return this.iterateSpaces(params, options).all(cb);
 };
 
 /**
@@ -78,27 +97,11 @@ Space.prototype.getSpaces = function(params, cb){
  * @param {Function} cb, callback function 
  */
 Space.prototype.createSpace = function(request, cb){
-
-    var args = {
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("createSpace", this.path("/space"), HttpMethod.POST);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.createSpace(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/space",
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -114,27 +117,11 @@ Space.prototype.createSpace = function(request, cb){
  * @param {Function} cb, callback function 
  */
 Space.prototype.createPrivateSpace = function(request, cb){
-
-    var args = {
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("createPrivateSpace", this.path("/space/_private"), HttpMethod.POST);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.createPrivateSpace(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/space/_private",
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -156,27 +143,14 @@ Space.prototype.createPrivateSpace = function(request, cb){
  * @param {Function} cb, callback function 
  */
 Space.prototype.getSpace = function(spaceKey, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/space/${spaceKey}",
+        pathParams: {
             spaceKey: spaceKey
         },
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getSpace", this.path("/space/${spaceKey}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getSpace(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -194,27 +168,14 @@ Space.prototype.getSpace = function(spaceKey, params, cb){
  * @param {Function} cb, callback function 
  */
 Space.prototype.updateSpace = function(spaceKey, request, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.PUT,
+        path: "/space/${spaceKey}",
+        pathParams: {
             spaceKey: spaceKey
         },
-        data: request || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("updateSpace", this.path("/space/${spaceKey}"), HttpMethod.PUT);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.updateSpace(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        data: request || {}
+    }, cb);
 };
 
 
@@ -225,26 +186,13 @@ Space.prototype.updateSpace = function(spaceKey, request, cb){
  * @param {Function} cb, callback function 
  */
 Space.prototype.deleteSpace = function(spaceKey, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.DELETE,
+        path: "/space/${spaceKey}",
+        pathParams: {
             spaceKey: spaceKey
-        },
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("deleteSpace", this.path("/space/${spaceKey}"), HttpMethod.DELETE);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.deleteSpace(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        }
+    }, cb);
 };
 
 /**
@@ -259,27 +207,14 @@ Space.prototype.deleteSpace = function(spaceKey, cb){
  * @param {Function} cb, callback function 
  */
 Space.prototype.getContentForSpace = function(spaceKey, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/space/${spaceKey}/content",
+        pathParams: {
             spaceKey: spaceKey
         },
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getContentForSpace", this.path("/space/${spaceKey}/content"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getContentForSpace(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -295,28 +230,47 @@ Space.prototype.getContentForSpace = function(spaceKey, params, cb){
  * @param {Function} cb, callback function 
  */
 Space.prototype.getContentForSpaceByType = function(spaceKey, type, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/space/${spaceKey}/content/${type}",
+        pathParams: {
             spaceKey: spaceKey,
             type: type
         },
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getContentForSpaceByType", this.path("/space/${spaceKey}/content/${type}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getContentForSpaceByType(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
+};
+
+/**
+ * Iterate over all content of a given type in a space, the pages of getContentForSpaceByType are fetched as needed.
+ * @param {string} spaceKey, refer to getContentForSpaceByType
+ * @param {string} type, refer to getContentForSpaceByType
+ * @param {object} params Query parameters, refer to getContentForSpaceByType
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @return {Paginator} async iterator, for await (const item of ...)
+ */
+Space.prototype.iterateContentForSpaceByType = function(spaceKey, type, params, options){
+    return this.paginate(function(params, cb){
+        return this.getContentForSpaceByType(spaceKey, type, params, cb);
+    }, params, options);
+};
+
+/**
+ * Get all content of a given type in a space in one array, following the pages of getContentForSpaceByType.
+ * @param {string} spaceKey, refer to getContentForSpaceByType
+ * @param {string} type, refer to getContentForSpaceByType
+ * @param {object} params Query parameters, refer to getContentForSpaceByType
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+Space.prototype.allContentForSpaceByType = function(spaceKey, type, params, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    return this.iterateContentForSpaceByType(spaceKey, type, params, options).all(cb);
 };
 
 /**
@@ -332,27 +286,44 @@ Space.prototype.getContentForSpaceByType = function(spaceKey, type, params, cb){
  * @param {Function} cb, callback function 
  */
 Space.prototype.getSpaceProperties = function(spaceKey, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/space/${spaceKey}/property",
+        pathParams: {
             spaceKey: spaceKey
         },
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getSpaceProperties", this.path("/space/${spaceKey}/property"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getSpaceProperties(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
+};
+
+/**
+ * Iterate over all properties of a space, the pages of getSpaceProperties are fetched as needed.
+ * @param {string} spaceKey, refer to getSpaceProperties
+ * @param {object} params Query parameters, refer to getSpaceProperties
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @return {Paginator} async iterator, for await (const item of ...)
+ */
+Space.prototype.iterateSpaceProperties = function(spaceKey, params, options){
+    return this.paginate(function(params, cb){
+        return this.getSpaceProperties(spaceKey, params, cb);
+    }, params, options);
+};
+
+/**
+ * Get all properties of a space in one array, following the pages of getSpaceProperties.
+ * @param {string} spaceKey, refer to getSpaceProperties
+ * @param {object} params Query parameters, refer to getSpaceProperties
+ * @param {object} options
+ *  - {integer} maxItems, stop after this many results
+ * @param {function} cb Callback function, a Promise is returned when it is omitted
+ */
+Space.prototype.allSpaceProperties = function(spaceKey, params, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    return this.iterateSpaceProperties(spaceKey, params, options).all(cb);
 };
 
 /**
@@ -366,30 +337,14 @@ Space.prototype.getSpaceProperties = function(spaceKey, params, cb){
  * @param {Function} cb, callback function 
  */
 Space.prototype.createSpaceProperty= function(spaceKey, request, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/space/${spaceKey}/property",
+        pathParams: {
             spaceKey: spaceKey
         },
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("createSpaceProperty", this.path("/space/${spaceKey}/property"), HttpMethod.POST);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.createSpaceProperty(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -404,28 +359,15 @@ Space.prototype.createSpaceProperty= function(spaceKey, request, cb){
  * @param {Function} cb, callback function 
  */
 Space.prototype.getSpaceProperty = function(spaceKey, key, params, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/space/${spaceKey}/property/${key}",
+        pathParams: {
             spaceKey: spaceKey,
             key: key
         },
-        parameters: params || {},
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getSpaceProperty", this.path("/space/${spaceKey}/property/${key}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getSpaceProperty(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -439,31 +381,15 @@ Space.prototype.getSpaceProperty = function(spaceKey, key, params, cb){
  * @param {Function} cb, callback function 
  */
 Space.prototype.createSpacePropertyForKey= function(spaceKey, key, request, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/space/${spaceKey}/property/${key}",
+        pathParams: {
             spaceKey: spaceKey,
             key: key
         },
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("createSpacePropertyForKey", this.path("/space/${spaceKey}/property/${key}"), HttpMethod.POST);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.createSpacePropertyForKey(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -479,31 +405,15 @@ Space.prototype.createSpacePropertyForKey= function(spaceKey, key, request, cb){
  * @param {Function} cb, callback function 
  */
 Space.prototype.updateSpaceProperty = function(spaceKey, key, request, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.PUT,
+        path: "/space/${spaceKey}/property/${key}",
+        pathParams: {
             spaceKey: spaceKey,
             key: key
         },
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("updateSpaceProperty", this.path("/space/${spaceKey}/property/${key}"), HttpMethod.PUT);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.updateSpaceProperty(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -514,30 +424,14 @@ Space.prototype.updateSpaceProperty = function(spaceKey, key, request, cb){
  * @param {Function} cb, callback function 
  */
 Space.prototype.deleteSpaceProperty = function(spaceKey, key, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.DELETE,
+        path: "/space/${spaceKey}/property/${key}",
+        pathParams: {
             spaceKey: spaceKey,
             key: key
-        },
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
         }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("deleteSpaceProperty", this.path("/space/${spaceKey}/property/${key}"), HttpMethod.DELETE);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.deleteSpaceProperty(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    }, cb);
 };
 
 /**
@@ -547,26 +441,13 @@ Space.prototype.deleteSpaceProperty = function(spaceKey, key, cb){
  * @param {Function} cb, callback function 
  */
 Space.prototype.getSpaceSettings = function(spaceKey, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/space/${spaceKey}/settings",
+        pathParams: {
             spaceKey: spaceKey
-        },
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getSpaceSettings", this.path("/space/${spaceKey}/settings"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getSpaceSettings(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        }
+    }, cb);
 };
 
 /**
@@ -578,30 +459,14 @@ Space.prototype.getSpaceSettings = function(spaceKey, cb){
  * @param {Function} cb, callback function 
  */
 Space.prototype.updateSpaceSettings = function(spaceKey, request, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.PUT,
+        path: "/space/${spaceKey}/settings",
+        pathParams: {
             spaceKey: spaceKey
         },
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("updateSpaceSettings", this.path("/space/${spaceKey}/settings"), HttpMethod.PUT);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.updateSpaceSettings(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -611,26 +476,13 @@ Space.prototype.updateSpaceSettings = function(spaceKey, request, cb){
  * @param {Function} cb, callback function 
  */
 Space.prototype.getSpaceTheme = function(spaceKey, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/space/${spaceKey}/theme",
+        pathParams: {
             spaceKey: spaceKey
-        },
-        headers: { "Accept": "application/json" }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getSpaceTheme", this.path("/space/${spaceKey}/theme"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getSpaceTheme(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        }
+    }, cb);
 };
 
 /**
@@ -642,30 +494,14 @@ Space.prototype.getSpaceTheme = function(spaceKey, cb){
  * @param {Function} cb, callback function 
  */
 Space.prototype.setSpaceTheme = function(spaceKey, request, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.PUT,
+        path: "/space/${spaceKey}/theme",
+        pathParams: {
             spaceKey: spaceKey
         },
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("setSpaceTheme", this.path("/space/${spaceKey}/theme"), HttpMethod.PUT);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.setSpaceTheme(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -675,28 +511,86 @@ Space.prototype.setSpaceTheme = function(spaceKey, request, cb){
  * @param {Function} cb, callback function 
  */
 Space.prototype.resetSpaceTheme = function(spaceKey, cb){
-
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.DELETE,
+        path: "/space/${spaceKey}/theme",
+        pathParams: {
             spaceKey: spaceKey
-        },
-        headers: { 
-            "Accept": "application/json"
         }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("resetSpaceTheme", this.path("/space/${spaceKey}/theme"), HttpMethod.DELETE);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.resetSpaceTheme(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
+    }, cb);
+};
+
+/**
+ * Sync directory. Publishes a folder tree of Markdown files as the pages under a page of the space: creates,
+ * updates, moves and archives pages to match the files, uploads the files they link to as attachments and skips
+ * the pages whose source did not change. Refer to lib/DirectorySync for how files map to pages.
+ * @param {string} spaceKey REQUIRED The key of the space.
+ * @param {string} dir REQUIRED The directory of the Markdown files.
+ * @param {object} options Options of DirectorySync, and
+ *  - {boolean} dryRun, Only plan the changes. Default: false
+ * @param {function} cb Callback function, gets {actions, plan, dryRun}, plan being the actions one per line,
+ *   e.g. `update    guide/install.md "Install" (body, parent)`
+ */
+Space.prototype.syncDirectory = function(spaceKey, dir, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    options = options || {};
+    var promise = Promise.resolve().then(function(){
+        var sync = new DirectorySync(this.client, spaceKey, dir, options);
+        return sync.plan().then(function(actions){
+            return options.dryRun ? actions : sync.apply(actions);
+        });
+    }.bind(this)).then(function(actions){
+        return { actions: actions, plan: DirectorySync.formatPlan(actions), dryRun: !!options.dryRun };
     });
+    return callback(promise, cb);
+};
+
+/**
+ * Backup. Writes the pages and blog posts of a space, with their storage body, labels, content properties,
+ * restrictions, comments and attachments, and the space properties, settings and theme to a directory.
+ * Running it again on the directory of an interrupted backup picks up where it stopped. Refer to
+ * lib/SpaceBackup for the format of the directory.
+ * @param {string} spaceKey REQUIRED The key of the space.
+ * @param {string} dir REQUIRED The directory of the backup.
+ * @param {object} options
+ *  - {boolean} versions, Keep the earlier versions of the pages and blog posts too. Default: false
+ * @param {function} cb Callback function, gets the manifest of the backup with resumed, the number of contents
+ *   an earlier run had backed up
+ */
+Space.prototype.backup = function(spaceKey, dir, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    var promise = Promise.resolve().then(function(){
+        return new SpaceBackup(this.client, spaceKey, dir, options).run();
+    }.bind(this));
+    return callback(promise, cb);
+};
+
+/**
+ * Restore. Recreates a space from the directory of a backup, or restores it into an existing space: the pages in
+ * their hierarchy, the blog posts, their attachments, labels, content properties, comments and restrictions, with
+ * the links between them pointing to the restored content. Refer to lib/SpaceRestore for the details.
+ * @param {string} dir REQUIRED The directory of the backup.
+ * @param {object} options
+ *  - {string} spaceKey, The key of the space to restore to. Default: the key of the backed up space
+ *  - {string} name, The name of the space when it is created. Default: the name of the backed up space
+ * @param {function} cb Callback function, gets the report {spaceKey, createdSpace, counts, ids, problems}, ids
+ *   mapping the IDs of the backup to the restored ones and problems listing what could not be restored
+ */
+Space.prototype.restore = function(dir, options, cb){
+    if (typeof options === 'function') {
+        cb = options;
+        options = {};
+    }
+    var promise = Promise.resolve().then(function(){
+        return new SpaceRestore(this.client, dir, options).run();
+    }.bind(this));
+    return callback(promise, cb);
 };
 
 module.exports = Space;
\ No newline at end of file
@@ -40,26 +40,11 @@ util.inherits(Template, RESTFulResource);
  * @param {function} cb 
  */
 Template.prototype.createContentTemplate = function(request, cb){
-    var args = {
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("createContentTemplate", this.path("/template"), HttpMethod.POST);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.createContentTemplate(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/template",
+        data: request || {}
+    }, cb);
 };
 
 /**
@@ -76,56 +61,32 @@ Template.prototype.createContentTemplate = function(request, cb){
  * @param {function} cb 
  */
 Template.prototype.updateContentTemplate = function(request, cb){
-    var args = {
-        data: request || {},
-        headers: { 
-            "Accept": "application/json",
-            "Content-Type": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("updateContentTemplate", this.path("/template"), HttpMethod.PUT);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.updateContentTemplate(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.PUT,
+        path: "/template",
+        data: request || {}
+    }, cb);
 };
 
 /**
  * Get content template. Returns a content template. This includes information about template, like the name, the space or blueprint that the template is in, the body of the template, and more.
  * refer: https://developer.atlassian.com/cloud/confluence/rest/#api-template-contentTemplateId-get
+ * Given query parameters instead of an ID, it lists the content templates like getContentTemplates, as it did
+ * up to 1.0.1. That form is deprecated.
  * @param {string} contentTemplateId REQUIRED The ID of the content template to be returned.
  * @param {function} cb 
  */
 Template.prototype.getContentTemplate = function(contentTemplateId, cb){
-    var args = {
-        path: {
+    if (contentTemplateId === undefined || contentTemplateId === null || typeof contentTemplateId === 'object') {
+        return listContentTemplates.call(this, contentTemplateId, cb);
+    }
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/template/${contentTemplateId}",
+        pathParams: {
             contentTemplateId: contentTemplateId
-        },
-        headers: { 
-            "Accept": "application/json"
         }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getContentTemplate", this.path("/template/${contentTemplateId}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getContentTemplate(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    }, cb);
 };
 
 /**
@@ -135,27 +96,13 @@ Template.prototype.getContentTemplate = function(contentTemplateId, cb){
  * @param {function} cb 
  */
 Template.prototype.deleteContentTemplate = function(contentTemplateId, cb){
-    var args = {
-        path: {
+    return this.client.request({
+        method: HttpMethod.DELETE,
+        path: "/template/${contentTemplateId}",
+        pathParams: {
             contentTemplateId: contentTemplateId
-        },
-        headers: { 
-            "Accept": "application/json"
         }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("deleteContentTemplate", this.path("/template/${contentTemplateId}"), HttpMethod.DELETE);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.deleteContentTemplate(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    }, cb);
 };
 
 /**
@@ -170,25 +117,11 @@ Template.prototype.deleteContentTemplate = function(contentTemplateId, cb){
  * @param {function} cb 
  */
 Template.prototype.getBlueprintTemplate = function(params, cb){
-    var args = {
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getBlueprintTemplate", this.path("/template/blueprint"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getBlueprintTemplate(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/template/blueprint",
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -202,27 +135,17 @@ Template.prototype.getBlueprintTemplate = function(params, cb){
  *   - {integer} start, The starting index of the returned templates. Default: 0, Minimum: 0
  * @param {function} cb 
  */
-Template.prototype.getContentTemplate = function(params, cb){
-    var args = {
-        parameters: params || {},
-        headers: { 
-            "Accept": "application/json"
-        }
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getContentTemplate", this.path("/template/page"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getContentTemplate(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+Template.prototype.getContentTemplates = function(params, cb){
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/template/page",
+        params: params || {}
+    }, cb);
 };
 
 
+var listContentTemplates = util.deprecate(Template.prototype.getContentTemplates,
+    "template.getContentTemplate(params) is deprecated, use template.getContentTemplates(params) to list the content templates.",
+    "CONFLUENCE_REST_TEMPLATES");
+
 module.exports = Template;
\ No newline at end of file
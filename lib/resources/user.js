@@ -41,24 +41,11 @@ util.inherits(User, RESTFulResource);
  * @param {Function} cb, callback function 
  */
 User.prototype.getUser = function(params, cb){
-
-    var args = {
-        parameters: params || {}, // this is serialized as URL parameters 
-        headers: { "Accept": "application/json" } // request headers 
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getUser", this.path("/user"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getUser(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/user",
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -70,23 +57,11 @@ User.prototype.getUser = function(params, cb){
  * @param {Function} cb, callback function 
  */
 User.prototype.getAnonymousUser = function(params, cb){
-    var args = {
-        parameters: params || {}, // this is serialized as URL parameters 
-        headers: { "Accept": "application/json" } // request headers 
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getAnonymousUser", this.path("/user/anonymous"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getAnonymousUser(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/user/anonymous",
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -100,23 +75,11 @@ User.prototype.getAnonymousUser = function(params, cb){
  * @param {Function} cb, callback function 
  */
 User.prototype.getCurrentUser = function(params, cb){
-    var args = {
-        parameters: params || {}, // this is serialized as URL parameters 
-        headers: { "Accept": "application/json" } // request headers 
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getCurrentUser", this.path("/user/current"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getCurrentUser(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/user/current",
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -131,23 +94,11 @@ User.prototype.getCurrentUser = function(params, cb){
  * @param {Function} cb, callback function 
  */
 User.prototype.getMemberships = function(params, cb){
-    var args = {
-        parameters: params || {}, // this is serialized as URL parameters 
-        headers: { "Accept": "application/json" } // request headers 
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getMemberships", this.path("/user/memberof"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getMemberships(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/user/memberof",
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -160,24 +111,12 @@ User.prototype.getMemberships = function(params, cb){
  * @param {Function} cb, callback function 
  */
 User.prototype.getContentWatchStatus = function(contentId, params, cb){
-    var args = {
-        path: { "contentId": contentId },
-        parameters: params || {}, // this is serialized as URL parameters 
-        headers: { "Accept": "application/json" } // request headers 
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getContentWatchStatus", this.path("/user/watch/content/${contentId}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getContentWatchStatus(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/user/watch/content/${contentId}",
+        pathParams: { "contentId": contentId },
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -190,27 +129,13 @@ User.prototype.getContentWatchStatus = function(contentId, params, cb){
  * @param {Function} cb, callback function 
  */
 User.prototype.addContentWatcher = function(contentId, params, cb){
-    var args = {
-        path: { "contentId": contentId },
-        parameters: params || {}, // this is serialized as URL parameters 
-        headers: { 
-            "X-Atlassian-Token" : "no-check",
-            "Accept": "application/json" 
-        } // request headers 
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("addContentWatcher", this.path("/user/watch/content/${contentId}"), HttpMethod.POST);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.addContentWatcher(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/user/watch/content/${contentId}",
+        pathParams: { "contentId": contentId },
+        params: params || {},
+        headers: { "X-Atlassian-Token": "no-check" }
+    }, cb);
 };
 
 /**
@@ -223,24 +148,12 @@ User.prototype.addContentWatcher = function(contentId, params, cb){
  * @param {Function} cb, callback function 
  */
 User.prototype.removeContentWatcher = function(contentId, params, cb){
-    var args = {
-        path: { "contentId": contentId },
-        parameters: params || {}, // this is serialized as URL parameters 
-        headers: { "Accept": "application/json" } // request headers 
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("removeContentWatcher", this.path("/user/watch/content/${contentId}"), HttpMethod.DELETE);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.removeContentWatcher(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.DELETE,
+        path: "/user/watch/content/${contentId}",
+        pathParams: { "contentId": contentId },
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -253,24 +166,12 @@ User.prototype.removeContentWatcher = function(contentId, params, cb){
  * @param {Function} cb, callback function 
  */
 User.prototype.getLabelWatchStatus = function(labelName, params, cb){
-    var args = {
-        path: { "labelName": labelName },
-        parameters: params || {}, // this is serialized as URL parameters 
-        headers: { "Accept": "application/json" } // request headers 
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getLabelWatchStatus", this.path("/user/watch/label/${labelName}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getLabelWatchStatus(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/user/watch/label/${labelName}",
+        pathParams: { "labelName": labelName },
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -283,27 +184,13 @@ User.prototype.getLabelWatchStatus = function(labelName, params, cb){
  * @param {Function} cb, callback function 
  */
 User.prototype.addLabelWatcher = function(labelName, params, cb){
-    var args = {
-        path: { "labelName": labelName },
-        parameters: params || {}, // this is serialized as URL parameters 
-        headers: { 
-            "X-Atlassian-Token" : "no-check",
-            "Accept": "application/json" 
-        } // request headers  
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("addLabelWatcher", this.path("/user/watch/label/${labelName}"), HttpMethod.POST);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.addLabelWatcher(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/user/watch/label/${labelName}",
+        pathParams: { "labelName": labelName },
+        params: params || {},
+        headers: { "X-Atlassian-Token": "no-check" }
+    }, cb);
 };
 
 /**
@@ -316,26 +203,12 @@ User.prototype.addLabelWatcher = function(labelName, params, cb){
  * @param {Function} cb, callback function 
  */
 User.prototype.removeLabelWatcher = function(labelName, params, cb){
-    var args = {
-        path: { "labelName": labelName },
-        parameters: params || {}, // this is serialized as URL parameters 
-        headers: { 
-            "Accept": "application/json" 
-        } // request headers  
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("removeLabelWatcher", this.path("/user/watch/label/${labelName}"), HttpMethod.DELETE);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.removeLabelWatcher(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.DELETE,
+        path: "/user/watch/label/${labelName}",
+        pathParams: { "labelName": labelName },
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -348,26 +221,12 @@ User.prototype.removeLabelWatcher = function(labelName, params, cb){
  * @param {Function} cb, callback function 
  */
 User.prototype.getSpaceWatchStatus = function(spaceKey, params, cb){
-    var args = {
-        path: { "spaceKey": spaceKey },
-        parameters: params || {}, // this is serialized as URL parameters 
-        headers: { 
-            "Accept": "application/json" 
-        } // request headers  
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("getSpaceWatchStatus", this.path("/user/watch/space/${spaceKey}"), HttpMethod.GET);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.getSpaceWatchStatus(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.GET,
+        path: "/user/watch/space/${spaceKey}",
+        pathParams: { "spaceKey": spaceKey },
+        params: params || {}
+    }, cb);
 };
 
 /**
@@ -380,27 +239,13 @@ User.prototype.getSpaceWatchStatus = function(spaceKey, params, cb){
  * @param {Function} cb, callback function 
  */
 User.prototype.addSpaceWatcher = function(spaceKey, params, cb){
-    var args = {
-        path: { "spaceKey": spaceKey },
-        parameters: params || {}, // this is serialized as URL parameters 
-        headers: { 
-            "X-Atlassian-Token" : "no-check",
-            "Accept": "application/json" 
-        } // request headers  
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("addSpaceWatcher", this.path("/user/watch/space/${spaceKey}"), HttpMethod.POST);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.addSpaceWatcher(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.POST,
+        path: "/user/watch/space/${spaceKey}",
+        pathParams: { "spaceKey": spaceKey },
+        params: params || {},
+        headers: { "X-Atlassian-Token": "no-check" }
+    }, cb);
 };
 
 /**
@@ -413,26 +258,12 @@ User.prototype.addSpaceWatcher = function(spaceKey, params, cb){
  * @param {Function} cb, callback function 
  */
 User.prototype.removeSpaceWatcher = function(spaceKey, params, cb){
-    var args = {
-        path: { "spaceKey": spaceKey },
-        parameters: params || {}, // this is serialized as URL parameters 
-        headers: { 
-            "Accept": "application/json" 
-        } // request headers  
-    };
-
-    var client = this.client;
-    // registering remote methods 
-    client.registerMethod("removeSpaceWatcher", this.path("/user/watch/space/${spaceKey}"), HttpMethod.DELETE);
-    
-    /**
-     * this would construct the following URL before invocation
-     */
-    client.methods.removeSpaceWatcher(args, function (data, response) {
-        client.processCallback(cb, null, data, response);
-    }).on('error', function (err) {
-        client.processCallback(cb, err);
-    });
+    return this.client.request({
+        method: HttpMethod.DELETE,
+        path: "/user/watch/space/${spaceKey}",
+        pathParams: { "spaceKey": spaceKey },
+        params: params || {}
+    }, cb);
 };
 
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,492 @@
+/**!
+ * ConfluenceAPI - lib/storage/index.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Parser and serializer of the Confluence storage format, the XHTML of page bodies with
+ * ac: (macros, links, images) and ri: (resource identifiers) elements.
+ * refer: https://confluence.atlassian.com/doc/confluence-storage-format-790796544.html
+ *
+ * The tree is made of plain objects:
+ *  - {type: "root", children}
+ *  - {type: "element", name, attributes, children}, e.g. name "p", "h2", "table", "a", "ac:structured-macro", "ri:page"
+ *  - {type: "text", value}, value with the entities decoded
+ *  - {type: "cdata", value}, e.g. the body of a code macro
+ *  - {type: "comment", value}
+ *  - {type: "directive", value}, e.g. <?xml ...?> or <!DOCTYPE ...>
+ * Nodes keep the text they were parsed from, so serialize gives back the input unchanged, quoting,
+ * entities and whitespace included, except for the nodes changed in between.
+ */
+
+/**
+ * Named entities decoded in text and attributes, the ones XHTML editors and Confluence produce.
+ */
+var ENTITIES = {
+    amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ",
+    ndash: "–", mdash: "—", hellip: "…", bull: "•", middot: "·",
+    lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", laquo: "«", raquo: "»",
+    copy: "©", reg: "®", trade: "™", deg: "°", plusmn: "±", times: "×",
+    divide: "÷", frac12: "½", frac14: "¼", frac34: "¾", sect: "§", para: "¶",
+    euro: "€", pound: "£", yen: "¥", cent: "¢", larr: "←", rarr: "→",
+    uarr: "↑", darr: "↓", harr: "↔", rArr: "⇒", hArr: "⇔", ne: "≠",
+    le: "≤", ge: "≥", infin: "∞", check: "✓", zwj: "‍", zwnj: "‌", shy: "­"
+};
+
+/**
+ * HTML elements without content, written as <br /> when they are created empty.
+ */
+var VOID_ELEMENTS = ["br", "hr", "img", "col", "area", "base", "input", "link", "meta", "source", "track", "wbr"];
+
+/**
+ * Pieces of tags, matched at a given index (sticky).
+ */
+var TAG_NAME = /<([A-Za-z_][\w:.-]*)/y;
+var ATTRIBUTE = /\s+([^\s=\/>"']+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+var TAG_END = /\s*(\/?)>/y;
+var CLOSING_TAG = /<\/([^\s>]+)\s*>/y;
+
+/**
+ * Parse a storage format body.
+ * @param {string} xml
+ * @return {Object} root node
+ * @throws {Error} with the code ESTORAGEPARSE and the position, line and column of the error when xml is not well formed
+ */
+function parse(xml){
+    return new Parser(String(xml || "")).parse();
+}
+
+/**
+ * Write nodes back as storage format.
+ * @param {Object|Array} node root, element, text, cdata, comment or directive node, or an array of them
+ * @return {string}
+ */
+function serialize(node){
+    if (Array.isArray(node)) {
+        return node.map(serialize).join("");
+    }
+    var source = node.source;
+    switch (node.type) {
+    case "root":
+        return serialize(node.children);
+    case "text":
+        return source && source.value === node.value ? source.raw : escapeText(node.value);
+    case "cdata":
+        return "<![CDATA[" + String(node.value).replace(/]]>/g, "]]]]><![CDATA[>") + "]]>";
+    case "comment":
+        return "<!--" + node.value + "-->";
+    case "directive":
+        return "<" + node.value + ">";
+    case "element":
+        return serializeElement(node);
+    default:
+        throw new Error("Can not serialize a node of type " + node.type + ".");
+    }
+}
+
+function serializeElement(node){
+    var source = node.source;
+    var children = node.children || [];
+    if (source && source.name === node.name && source.attributes === JSON.stringify(node.attributes || {})) {
+        if (!source.selfClosing) {
+            return source.open + serialize(children) + source.close;
+        }
+        if (children.length === 0) {
+            return source.open;
+        }
+    }
+    var open = openTag(node);
+    if (children.length === 0 && isEmptyElement(node.name)) {
+        return open.replace(/>$/, " />");
+    }
+    return open + serialize(children) + "</" + node.name + ">";
+}
+
+function openTag(node){
+    var attributes = node.attributes || {};
+    return "<" + node.name + Object.keys(attributes).map(function(name){
+        return " " + name + "=\"" + escapeAttribute(attributes[name]) + "\"";
+    }).join("") + ">";
+}
+
+/**
+ * Whether an element is written as <name /> when it has no children: HTML void elements and the ac: and ri: ones.
+ */
+function isEmptyElement(name){
+    return VOID_ELEMENTS.indexOf(name) >= 0 || name.indexOf(":") > 0;
+}
+
+/**
+ * Visit a tree depth-first, parents before their children.
+ * @param {Object} node
+ * @param {function} visitor function(node, parent, index), returning false skips the children of the node
+ */
+function walk(node, visitor){
+    (function visit(node, parent, index){
+        if (visitor(node, parent, index) === false) {
+            return;
+        }
+        var children = node.children || [];
+        for (var i = 0; i < children.length; i++) {
+            visit(children[i], node, i);
+        }
+    })(node, null, -1);
+}
+
+/**
+ * Nodes of a tree matching a test, in document order.
+ * @param {Object} node
+ * @param {string|function} test element name, e.g. "ac:structured-macro", or function(node, parent)
+ * @return {Array}
+ */
+function findAll(node, test){
+    var matches = [];
+    var predicate = matcher(test);
+    walk(node, function(child, parent){
+        if (predicate(child, parent)) {
+            matches.push(child);
+        }
+    });
+    return matches;
+}
+
+/**
+ * First node of a tree matching a test, refer to findAll.
+ * @return {Object} the node, null when nothing matches
+ */
+function find(node, test){
+    var found = null;
+    var predicate = matcher(test);
+    walk(node, function(child, parent){
+        if (found) {
+            return false;
+        }
+        if (predicate(child, parent)) {
+            found = child;
+            return false;
+        }
+    });
+    return found;
+}
+
+function matcher(test){
+    if (typeof test === 'function') {
+        return test;
+    }
+    return function(node){
+        return node.type === "element" && node.name === test;
+    };
+}
+
+/**
+ * Text of a node and the nodes below it, CDATA included.
+ * @param {Object} node
+ * @return {string}
+ */
+function textContent(node){
+    if (node.type === "text" || node.type === "cdata") {
+        return node.value;
+    }
+    return (node.children || []).map(textContent).join("");
+}
+
+/**
+ * New element node.
+ * @param {string} name
+ * @param {Object} attributes
+ * @param {Array} children nodes, strings are turned into text nodes
+ */
+function createElement(name, attributes, children){
+    return {
+        type: "element",
+        name: name,
+        attributes: attributes || {},
+        children: (children || []).map(function(child){
+            return typeof child === 'string' ? createText(child) : child;
+        })
+    };
+}
+
+function createText(value){
+    return { type: "text", value: String(value) };
+}
+
+function createCData(value){
+    return { type: "cdata", value: String(value) };
+}
+
+/**
+ * The ac:structured-macro elements of a tree.
+ * @param {Object} node
+ * @param {string} name only the macros of this name, e.g. "code" or "info"
+ */
+function macros(node, name){
+    return findAll(node, function(child){
+        return child.type === "element" && child.name === "ac:structured-macro" &&
+            (!name || child.attributes["ac:name"] === name);
+    });
+}
+
+/**
+ * Parameters of a macro, by name, e.g. {language: "js", title: "Example"}.
+ * The nameless default parameter is under "".
+ * @param {Object} macro ac:structured-macro element
+ */
+function macroParameters(macro){
+    var parameters = {};
+    childElements(macro, "ac:parameter").forEach(function(parameter){
+        parameters[parameter.attributes["ac:name"] || ""] = textContent(parameter);
+    });
+    return parameters;
+}
+
+/**
+ * Set a parameter of a macro, or remove it when value is null or undefined.
+ * @param {Object} macro ac:structured-macro element
+ * @param {string} name
+ * @param {string} value
+ */
+function setMacroParameter(macro, name, value){
+    var existing = childElements(macro, "ac:parameter").filter(function(parameter){
+        return (parameter.attributes["ac:name"] || "") === name;
+    })[0];
+    if (value === null || value === undefined) {
+        if (existing) {
+            macro.children.splice(macro.children.indexOf(existing), 1);
+        }
+        return;
+    }
+    if (existing) {
+        existing.children = [createText(value)];
+        return;
+    }
+    // parameters come before the body
+    var parameter = createElement("ac:parameter", name ? { "ac:name": name } : {}, [String(value)]);
+    var body = macroBody(macro);
+    var index = body ? macro.children.indexOf(body) : macro.children.length;
+    macro.children.splice(index, 0, parameter);
+}
+
+/**
+ * Body of a macro: its ac:rich-text-body element, the storage format of the content it wraps, or its
+ * ac:plain-text-body element, whose CDATA holds e.g. the code of a code macro.
+ * @param {Object} macro ac:structured-macro element
+ * @return {Object} the body element, null when the macro has none
+ */
+function macroBody(macro){
+    return childElements(macro, "ac:rich-text-body")[0] || childElements(macro, "ac:plain-text-body")[0] || null;
+}
+
+/**
+ * Resource identifiers of a tree, the targets of links, images and macros: ri:page, ri:attachment,
+ * ri:space, ri:user, ri:url...
+ * @param {Object} node
+ * @return {Array} {type, attributes, node, parent}: type without the ri: prefix, attributes without it either,
+ *  e.g. {type: "page", attributes: {"content-title": "Runbook", "space-key": "OPS"}}
+ */
+function references(node){
+    var result = [];
+    walk(node, function(child, parent){
+        if (child.type === "element" && child.name.indexOf("ri:") === 0) {
+            var attributes = {};
+            Object.keys(child.attributes).forEach(function(name){
+                attributes[name.replace(/^ri:/, "")] = child.attributes[name];
+            });
+            result.push({ type: child.name.slice(3), attributes: attributes, node: child, parent: parent });
+        }
+    });
+    return result;
+}
+
+function childElements(node, name){
+    return (node.children || []).filter(function(child){
+        return child.type === "element" && child.name === name;
+    });
+}
+
+/**
+ * Single pass parser keeping the source text of every node.
+ * @param {string} xml
+ */
+function Parser(xml){
+    this.xml = xml;
+    this.index = 0;
+}
+
+Parser.prototype.parse = function(){
+    var parser = this;
+    var xml = parser.xml;
+    var root = { type: "root", children: [] };
+    var stack = [root];
+
+    while (parser.index < xml.length) {
+        var parent = stack[stack.length - 1];
+        var start = parser.index;
+        var lt = xml.indexOf("<", start);
+        if (lt !== start) {
+            var end = lt < 0 ? xml.length : lt;
+            parent.children.push(parser.text(xml.slice(start, end)));
+            parser.index = end;
+            continue;
+        }
+
+        if (xml.startsWith("<!--", start)) {
+            var comment = parser.until("-->", start + 4, "comment");
+            parent.children.push({ type: "comment", value: xml.slice(start + 4, comment) });
+            parser.index = comment + 3;
+        } else if (xml.startsWith("<![CDATA[", start)) {
+            var cdata = parser.until("]]>", start + 9, "CDATA section");
+            parent.children.push({ type: "cdata", value: xml.slice(start + 9, cdata) });
+            parser.index = cdata + 3;
+        } else if (xml.startsWith("<?", start) || xml.startsWith("<!", start)) {
+            var directive = parser.until(">", start, "directive");
+            parent.children.push({ type: "directive", value: xml.slice(start + 1, directive) });
+            parser.index = directive + 1;
+        } else if (xml.startsWith("</", start)) {
+            CLOSING_TAG.lastIndex = start;
+            var close = CLOSING_TAG.exec(xml);
+            if (!close) {
+                parser.fail("Malformed closing tag", start);
+            }
+            if (parent.type !== "element" || parent.name !== close[1]) {
+                parser.fail(parent.type === "element"
+                    ? "Closing tag </" + close[1] + "> does not match <" + parent.name + ">"
+                    : "Closing tag </" + close[1] + "> without opening tag", start);
+            }
+            parent.source.close = close[0];
+            stack.pop();
+            parser.index = start + close[0].length;
+        } else {
+            var element = parser.element(start);
+            parent.children.push(element);
+            if (!element.source.selfClosing) {
+                stack.push(element);
+            }
+        }
+    }
+
+    if (stack.length > 1) {
+        var open = stack[stack.length - 1];
+        parser.fail("Element <" + open.name + "> is not closed", open.source.position);
+    }
+    return root;
+};
+
+/**
+ * Parse an opening or self-closing tag.
+ */
+Parser.prototype.element = function(start){
+    var xml = this.xml;
+    TAG_NAME.lastIndex = start;
+    var name = TAG_NAME.exec(xml);
+    if (!name) {
+        this.fail("Malformed tag", start);
+    }
+    var attributes = {};
+    var index = TAG_NAME.lastIndex;
+    for (;;) {
+        TAG_END.lastIndex = index;
+        var end = TAG_END.exec(xml);
+        if (end) {
+            this.index = TAG_END.lastIndex;
+            return withSource({ type: "element", name: name[1], attributes: attributes, children: [] }, {
+                name: name[1],
+                attributes: JSON.stringify(attributes),
+                open: xml.slice(start, this.index),
+                close: "",
+                selfClosing: end[1] === "/",
+                position: start
+            });
+        }
+        ATTRIBUTE.lastIndex = index;
+        var attribute = ATTRIBUTE.exec(xml);
+        if (!attribute) {
+            this.fail("Malformed tag <" + name[1] + ">", start);
+        }
+        if (attributes.hasOwnProperty(attribute[1])) {
+            this.fail("Duplicate attribute " + attribute[1], index);
+        }
+        attributes[attribute[1]] = decode(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+        index = ATTRIBUTE.lastIndex;
+    }
+};
+
+Parser.prototype.text = function(raw){
+    var value = decode(raw);
+    return withSource({ type: "text", value: value }, { raw: raw, value: value });
+};
+
+/**
+ * Index of the end marker of a construct, failing when it is missing.
+ */
+Parser.prototype.until = function(marker, from, what){
+    var index = this.xml.indexOf(marker, from);
+    if (index < 0) {
+        this.fail("Unterminated " + what, from);
+    }
+    return index;
+};
+
+Parser.prototype.fail = function(message, position){
+    var before = this.xml.slice(0, position).split("\n");
+    var err = new Error(message + " at line " + before.length + ", column " + (before[before.length - 1].length + 1) + ".");
+    err.code = "ESTORAGEPARSE";
+    err.position = position;
+    err.line = before.length;
+    err.column = before[before.length - 1].length + 1;
+    throw err;
+};
+
+/**
+ * Keep the source of a node out of its enumerable properties, so the tree compares and prints as plain data.
+ */
+function withSource(node, source){
+    Object.defineProperty(node, "source", { value: source, writable: true, configurable: true, enumerable: false });
+    return node;
+}
+
+function decode(text){
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z][A-Za-z0-9]*);/g, function(entity, name){
+        if (name.charAt(0) === "#") {
+            var code = name.charAt(1) === "x" || name.charAt(1) === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+        }
+        return ENTITIES.hasOwnProperty(name) ? ENTITIES[name] : entity;
+    });
+}
+
+function escapeText(text){
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function escapeAttribute(value){
+    return escapeText(value).replace(/"/g, "&quot;");
+}
+
+exports.parse = parse;
+exports.serialize = serialize;
+exports.walk = walk;
+exports.find = find;
+exports.findAll = findAll;
+exports.textContent = textContent;
+exports.createElement = createElement;
+exports.createText = createText;
+exports.createCData = createCData;
+exports.macros = macros;
+exports.macroParameters = macroParameters;
+exports.setMacroParameter = setMacroParameter;
+exports.macroBody = macroBody;
+exports.references = references;
+exports.ENTITIES = ENTITIES;
+
+// required last, lib/storage/markdown.js builds on the exports above
+var markdown = require('./markdown');
+exports.fromMarkdown = markdown.fromMarkdown;
+exports.toMarkdown = markdown.toMarkdown;
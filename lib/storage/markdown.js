@@ -0,0 +1,1196 @@
+/**!
+ * ConfluenceAPI - lib/storage/markdown.js
+ *
+ * Copyright(c) Sam Li and other contributors.
+ * MIT Licensed
+ *
+ * Authors:
+ *   Sam Li <sam.li@zoom.us> (http://github.com/lisanlai)
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+var path = require('path');
+var storage = require('./index');
+
+/**
+ * Macros of the admonitions, `> [!NOTE]` (GitHub) or `:::note` blocks, by the color Confluence gives them.
+ */
+var ADMONITIONS = {
+    note: "info",
+    info: "info",
+    tip: "tip",
+    important: "note",
+    warning: "note",
+    caution: "warning",
+    danger: "warning"
+};
+
+/**
+ * Languages of the code macro for the usual fence info strings, others are passed on as they are.
+ */
+var LANGUAGES = {
+    js: "javascript",
+    mjs: "javascript",
+    node: "javascript",
+    ts: "typescript",
+    sh: "bash",
+    shell: "bash",
+    zsh: "bash",
+    console: "bash",
+    yml: "yaml",
+    py: "python",
+    rb: "ruby",
+    cs: "c#",
+    csharp: "c#",
+    "c++": "cpp",
+    html: "xml",
+    xhtml: "xml",
+    ps1: "powershell",
+    pwsh: "powershell",
+    kt: "kotlin",
+    golang: "go",
+    plaintext: "text",
+    txt: "text"
+};
+
+var FENCE = /^( {0,3})(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/;
+var CONTAINER = /^ {0,3}:::[ \t]*([A-Za-z]+)[ \t]*(.*)$/;
+var CONTAINER_END = /^ {0,3}:::[ \t]*$/;
+var HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+var RULE = /^ {0,3}(?:(?:-[ \t]*){3,}|(?:\*[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+var QUOTE = /^ {0,3}> ?(.*)$/;
+var LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/;
+var TASK = /^\[([ xX])\][ \t]+/;
+var SETEXT = /^ {0,3}(=+|-+)[ \t]*$/;
+var TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+var DEFINITION = /^ {0,3}\[([^\]]+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?[ \t]*$/;
+var ALERT = /^\[!([A-Za-z]+)\][ \t]*$/;
+var SCHEME = /^[A-Za-z][A-Za-z0-9+.-]*:/;
+
+/**
+ * Alerts of the info, tip, note and warning macros, the other way around than ADMONITIONS.
+ */
+var ALERTS = {
+    info: "NOTE",
+    tip: "TIP",
+    note: "WARNING",
+    warning: "CAUTION"
+};
+
+/**
+ * Elements written as blocks of their own, the others are part of a paragraph.
+ */
+var BLOCKS = ["p", "h1", "h2", "h3", "h4", "h5", "h6", "ul", "ol", "table", "blockquote", "pre", "hr", "div",
+    "section", "ac:task-list", "ac:layout", "ac:layout-section", "ac:layout-cell", "ac:rich-text-body"];
+
+/**
+ * Macros that are part of a paragraph.
+ */
+var INLINE_MACROS = ["status", "anchor", "jira", "excerpt-include"];
+
+/**
+ * Stands for a line break until the paragraph it is part of is written.
+ */
+var BREAK = "\u0000";
+
+/**
+ * Convert Markdown (CommonMark with the GitHub extensions) to storage format:
+ *  - fenced and indented code blocks to the code macro, with the language of the fence
+ *  - `> [!NOTE]` alerts and `:::note Title` blocks to the info, tip, note and warning macros
+ *  - tables, with the alignment of their columns, and `- [ ]` task lists to Confluence tasks
+ *  - relative links to Markdown files to links to pages, to other files to links to attachments
+ *  - relative images to images of attachments, others to images of their url
+ * Raw HTML is kept as text.
+ * @param {string} markdown
+ * @param {object} options
+ *  - {function} pageTitle, function(path) giving the title of the page a relative link to a Markdown file
+ *    points to, or {title, spaceKey}, or nothing to keep the link as it is. Default: the file name without extension
+ *  - {function} attachmentName, function(path) giving the file name of the attachment a relative link or image
+ *    points to. Default: the file name of the path
+ * @return {string} storage format
+ */
+function fromMarkdown(markdown, options){
+    var lines = String(markdown || "").replace(/\r\n?/g, "\n").split("\n");
+    var context = { options: options || {}, definitions: {}, tasks: 0 };
+    return storage.serialize(blocks(definitions(lines, context), context));
+}
+
+/**
+ * Take the link reference definitions out of the lines, outside of code blocks.
+ */
+function definitions(lines, context){
+    var fence = null;
+    return lines.filter(function(line){
+        var match = FENCE.exec(line);
+        if (match && (!fence || (match[2].charAt(0) === fence.charAt(0) && match[2].length >= fence.length && !match[3]))) {
+            fence = fence ? null : match[2];
+            return true;
+        }
+        var definition = !fence && DEFINITION.exec(line);
+        if (!definition) {
+            return true;
+        }
+        var label = normalizeLabel(definition[1]);
+        if (!context.definitions.hasOwnProperty(label)) {
+            context.definitions[label] = { href: definition[2], title: definition[3] || definition[4] || definition[5] };
+        }
+        return false;
+    });
+}
+
+/**
+ * Block structure of some lines.
+ * @return {Array} storage nodes
+ */
+function blocks(lines, context){
+    var nodes = [];
+    var i = 0;
+    while (i < lines.length) {
+        var line = lines[i];
+        var match;
+        if (isBlank(line)) {
+            i++;
+        } else if ((match = FENCE.exec(line))) {
+            i = fencedCode(lines, i, match, nodes);
+        } else if ((match = CONTAINER.exec(line)) && ADMONITIONS[match[1].toLowerCase()]) {
+            i = container(lines, i, match, nodes, context);
+        } else if ((match = HEADING.exec(line))) {
+            nodes.push(storage.createElement("h" + match[1].length, {}, inline(match[2] || "", context)));
+            i++;
+        } else if (RULE.test(line)) {
+            nodes.push(storage.createElement("hr"));
+            i++;
+        } else if (QUOTE.test(line)) {
+            i = quote(lines, i, nodes, context);
+        } else if (LIST_ITEM.test(line)) {
+            i = list(lines, i, nodes, context);
+        } else if (columns(line) >= 4) {
+            i = indentedCode(lines, i, nodes);
+        } else if (i + 1 < lines.length && line.indexOf("|") >= 0 && TABLE_DELIMITER.test(lines[i + 1]) &&
+                cells(line).length === cells(lines[i + 1]).length) {
+            i = table(lines, i, nodes, context);
+        } else {
+            i = paragraph(lines, i, nodes, context);
+        }
+    }
+    return nodes;
+}
+
+/**
+ * Whether a line starts a block that ends a paragraph.
+ */
+function interrupts(line){
+    var item = LIST_ITEM.exec(line);
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) ||
+        CONTAINER.test(line) || CONTAINER_END.test(line) || (!!item && !!item[4] && !isBlank(item[4]));
+}
+
+function paragraph(lines, i, nodes, context){
+    // trailing spaces mark a hard break, only the ones ending the paragraph go
+    var text = [lines[i].replace(/^[ \t]+/, "")];
+    i++;
+    while (i < lines.length && !isBlank(lines[i])) {
+        var setext = SETEXT.exec(lines[i]);
+        if (setext) {
+            nodes.push(storage.createElement(setext[1].charAt(0) === "=" ? "h1" : "h2", {}, inline(text.join("\n").replace(/[ \t]+$/, ""), context)));
+            return i + 1;
+        }
+        if (interrupts(lines[i])) {
+            break;
+        }
+        text.push(lines[i].replace(/^[ \t]+/, ""));
+        i++;
+    }
+    nodes.push(storage.createElement("p", {}, inline(text.join("\n").replace(/[ \t]+$/, ""), context)));
+    return i;
+}
+
+function fencedCode(lines, i, match, nodes){
+    var indent = match[1].length;
+    var fence = match[2];
+    var code = [];
+    i++;
+    while (i < lines.length) {
+        var end = FENCE.exec(lines[i]);
+        if (end && end[2].charAt(0) === fence.charAt(0) && end[2].length >= fence.length && !end[3]) {
+            i++;
+            break;
+        }
+        code.push(stripColumns(lines[i], indent));
+        i++;
+    }
+    nodes.push(codeMacro(code.join("\n"), match[3]));
+    return i;
+}
+
+function indentedCode(lines, i, nodes){
+    var code = [];
+    while (i < lines.length && (columns(lines[i]) >= 4 || isBlank(lines[i]))) {
+        code.push(stripColumns(lines[i], 4));
+        i++;
+    }
+    while (code.length && isBlank(code[code.length - 1])) {
+        code.pop();
+    }
+    nodes.push(codeMacro(code.join("\n"), null));
+    return i;
+}
+
+function codeMacro(code, info){
+    var children = [];
+    var language = info && info.toLowerCase();
+    if (language) {
+        children.push(parameter("language", LANGUAGES[language] || language));
+    }
+    children.push(storage.createElement("ac:plain-text-body", {}, [storage.createCData(code)]));
+    return storage.createElement("ac:structured-macro", { "ac:name": "code" }, children);
+}
+
+function container(lines, i, match, nodes, context){
+    var inner = [];
+    var depth = 1;
+    i++;
+    while (i < lines.length) {
+        if (CONTAINER_END.test(lines[i]) && --depth === 0) {
+            i++;
+            break;
+        }
+        if (CONTAINER.test(lines[i])) {
+            depth++;
+        }
+        inner.push(lines[i]);
+        i++;
+    }
+    nodes.push(admonition(match[1], match[2].trim(), blocks(inner, context)));
+    return i;
+}
+
+function quote(lines, i, nodes, context){
+    var inner = [];
+    var lazy = false;
+    while (i < lines.length) {
+        var match = QUOTE.exec(lines[i]);
+        if (match) {
+            inner.push(match[1]);
+            lazy = !isBlank(match[1]) && !FENCE.test(match[1]);
+        } else if (lazy && !isBlank(lines[i]) && !interrupts(lines[i])) {
+            // a paragraph of the quote going on without >
+            inner.push(lines[i]);
+        } else {
+            break;
+        }
+        i++;
+    }
+    var alert = ALERT.exec(inner[0].trim());
+    if (alert && ADMONITIONS[alert[1].toLowerCase()]) {
+        nodes.push(admonition(alert[1], "", blocks(inner.slice(1), context)));
+    } else {
+        nodes.push(storage.createElement("blockquote", {}, blocks(inner, context)));
+    }
+    return i;
+}
+
+function admonition(type, title, body){
+    var children = [];
+    if (title) {
+        children.push(parameter("title", title));
+    }
+    children.push(storage.createElement("ac:rich-text-body", {}, body));
+    return storage.createElement("ac:structured-macro", { "ac:name": ADMONITIONS[type.toLowerCase()] }, children);
+}
+
+function parameter(name, value){
+    return storage.createElement("ac:parameter", { "ac:name": name }, [value]);
+}
+
+/**
+ * A list and the lines of its items, down to the blocks nested in the items.
+ */
+function list(lines, i, nodes, context){
+    var first = LIST_ITEM.exec(lines[i]);
+    var ordered = /\d/.test(first[2]);
+    var kind = first[2].slice(-1);
+    var items = [];
+
+    while (i < lines.length) {
+        var match = LIST_ITEM.exec(lines[i]);
+        if (!match || match[2].slice(-1) !== kind || /\d/.test(match[2]) !== ordered) {
+            break;
+        }
+        var spacing = match[3] ? match[3].length : 1;
+        var indent = match[1].length + match[2].length + (spacing > 4 ? 1 : spacing);
+        var itemLines = [spacing > 4 ? stripColumns(match[3] + match[4], 1) : (match[4] || "")];
+        var lazy = !isBlank(itemLines[0]);
+        i++;
+        while (i < lines.length) {
+            var line = lines[i];
+            if (isBlank(line)) {
+                var next = i + 1;
+                while (next < lines.length && isBlank(lines[next])) {
+                    next++;
+                }
+                if (next >= lines.length || columns(lines[next]) < indent) {
+                    break;
+                }
+                itemLines.push("");
+                lazy = false;
+            } else if (columns(line) >= indent) {
+                itemLines.push(stripColumns(line, indent));
+                lazy = true;
+            } else if (lazy && !interrupts(line) && !LIST_ITEM.test(line)) {
+                itemLines.push(line.replace(/^[ \t]+/, ""));
+            } else {
+                break;
+            }
+            i++;
+        }
+        items.push(itemLines);
+        // blank lines between the items of a list
+        while (i < lines.length && isBlank(lines[i]) && i + 1 < lines.length && LIST_ITEM.test(lines[i + 1])) {
+            i++;
+        }
+    }
+
+    var tasks = !ordered && items.every(function(itemLines){
+        return TASK.test(itemLines[0]);
+    });
+    if (tasks) {
+        nodes.push(storage.createElement("ac:task-list", {}, items.map(function(itemLines){
+            var done = TASK.exec(itemLines[0])[1] !== " ";
+            itemLines[0] = itemLines[0].replace(TASK, "");
+            return storage.createElement("ac:task", {}, [
+                storage.createElement("ac:task-id", {}, [String(++context.tasks)]),
+                storage.createElement("ac:task-status", {}, [done ? "complete" : "incomplete"]),
+                storage.createElement("ac:task-body", {}, itemContent(itemLines, context))
+            ]);
+        })));
+    } else {
+        var start = ordered ? parseInt(first[2], 10) : 1;
+        nodes.push(storage.createElement(ordered ? "ol" : "ul", start !== 1 ? { start: String(start) } : {}, items.map(function(itemLines){
+            return storage.createElement("li", {}, itemContent(itemLines, context));
+        })));
+    }
+    return i;
+}
+
+/**
+ * Content of a list item, its first paragraph without the <p>.
+ */
+function itemContent(itemLines, context){
+    var content = blocks(itemLines, context);
+    if (content.length && content[0].name === "p") {
+        return content[0].children.concat(content.slice(1));
+    }
+    return content;
+}
+
+function table(lines, i, nodes, context){
+    var header = cells(lines[i]);
+    var alignments = cells(lines[i + 1]).map(function(cell){
+        var left = cell.charAt(0) === ":";
+        var right = cell.charAt(cell.length - 1) === ":";
+        return left && right ? "center" : right ? "right" : left ? "left" : null;
+    });
+    var row = function(values, tag){
+        return storage.createElement("tr", {}, header.map(function(unused, index){
+            var attributes = alignments[index] ? { style: "text-align: " + alignments[index] + ";" } : {};
+            return storage.createElement(tag, attributes, inline(values[index] || "", context));
+        }));
+    };
+    var rows = [row(header, "th")];
+    i += 2;
+    while (i < lines.length && !isBlank(lines[i]) && !interrupts(lines[i])) {
+        rows.push(row(cells(lines[i]), "td"));
+        i++;
+    }
+    nodes.push(storage.createElement("table", {}, [storage.createElement("tbody", {}, rows)]));
+    return i;
+}
+
+/**
+ * Cells of a table row, split on the pipes that are not escaped.
+ */
+function cells(line){
+    var row = line.trim().replace(/^\|/, "").replace(/(^|[^\\])\|$/, "$1");
+    var result = [];
+    var cell = "";
+    for (var i = 0; i < row.length; i++) {
+        if (row.charAt(i) === "\\" && row.charAt(i + 1) === "|") {
+            cell += "|";
+            i++;
+        } else if (row.charAt(i) === "|") {
+            result.push(cell.trim());
+            cell = "";
+        } else {
+            cell += row.charAt(i);
+        }
+    }
+    result.push(cell.trim());
+    return result;
+}
+
+/**
+ * Inline content of a block: emphasis, code, links, images, line breaks.
+ * @return {Array} storage nodes
+ */
+function inline(text, context){
+    var nodes = [];
+    var buffer = "";
+    var flush = function(){
+        if (buffer) {
+            nodes.push(storage.createText(buffer));
+            buffer = "";
+        }
+    };
+    var push = function(node){
+        flush();
+        nodes.push(node);
+    };
+
+    var i = 0;
+    while (i < text.length) {
+        var c = text.charAt(i);
+        var rest = text.slice(i);
+        var match;
+
+        if (c === "\\" && /[!-\/:-@\[-`{-~]/.test(text.charAt(i + 1))) {
+            buffer += text.charAt(i + 1);
+            i += 2;
+        } else if (c === "\\" && text.charAt(i + 1) === "\n") {
+            push(storage.createElement("br"));
+            i += 2;
+        } else if (c === "\n") {
+            if (/ {2,}$/.test(buffer)) {
+                buffer = buffer.replace(/ +$/, "");
+                push(storage.createElement("br"));
+            } else {
+                buffer = buffer.replace(/ +$/, "") + "\n";
+            }
+            i++;
+        } else if (c === "`") {
+            var span = codeSpan(text, i);
+            if (span) {
+                push(storage.createElement("code", {}, [span.code]));
+                i = span.end;
+            } else {
+                var ticks = /^`+/.exec(rest)[0];
+                buffer += ticks;
+                i += ticks.length;
+            }
+        } else if (c === "!" && text.charAt(i + 1) === "[" && (match = link(text, i + 1, context))) {
+            push(image(match, context));
+            i = match.end;
+        } else if (c === "[" && (match = link(text, i, context))) {
+            push(linkNode(match, context));
+            i = match.end;
+        } else if (c === "<" && (match = /^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*)>/.exec(rest))) {
+            push(storage.createElement("a", { href: match[1] }, [match[1]]));
+            i += match[0].length;
+        } else if (c === "<" && (match = /^<([^\s@<>\\]+@[^\s@<>\\]+\.[^\s@<>\\]+)>/.exec(rest))) {
+            push(storage.createElement("a", { href: "mailto:" + match[1] }, [match[1]]));
+            i += match[0].length;
+        } else if ((c === "h" || c === "w") && !/[A-Za-z0-9]/.test(text.charAt(i - 1)) && (match = /^(?:https?:\/\/|www\.)[^\s<]+/.exec(rest))) {
+            var url = trimUrl(match[0]);
+            push(storage.createElement("a", { href: url.indexOf("www.") === 0 ? "http://" + url : url }, [url]));
+            i += url.length;
+        } else if ((c === "*" || c === "_" || c === "~") && (match = emphasis(text, i, context))) {
+            push(match.node);
+            i = match.end;
+        } else {
+            buffer += c;
+            i++;
+        }
+    }
+    flush();
+    return nodes;
+}
+
+/**
+ * A code span starting at a backtick run, closed by a run of the same length.
+ */
+function codeSpan(text, i){
+    var ticks = /^`+/.exec(text.slice(i))[0];
+    var close = new RegExp("(^|[^`])" + ticks + "(?!`)", "g");
+    close.lastIndex = i + ticks.length;
+    var match = close.exec(text);
+    if (!match) {
+        return null;
+    }
+    var end = match.index + match[1].length;
+    var code = text.slice(i + ticks.length, end).replace(/\n/g, " ");
+    if (/^ .*[^ ].* $/.test(code)) {
+        code = code.slice(1, -1);
+    }
+    return { code: code, end: end + ticks.length };
+}
+
+/**
+ * Emphasis, strong emphasis and strikethrough: *em* _em_ **strong** __strong__ ***both*** ~~del~~
+ */
+function emphasis(text, i, context){
+    var c = text.charAt(i);
+    var run = /^(\*+|_+|~+)/.exec(text.slice(i))[0].length;
+    var size = c === "~" ? 2 : Math.min(run, 3);
+    if ((c === "~" && run !== 2) || /\s/.test(text.charAt(i + size)) || i + size >= text.length ||
+            (c === "_" && /[A-Za-z0-9]/.test(text.charAt(i - 1)))) {
+        return null;
+    }
+    var j = i + size;
+    while (j < text.length) {
+        var ch = text.charAt(j);
+        if (ch === "\\") {
+            j += 2;
+            continue;
+        }
+        if (ch === "`") {
+            var span = codeSpan(text, j);
+            j = span ? span.end : j + 1;
+            continue;
+        }
+        if (ch === c) {
+            var closing = /^(\*+|_+|~+)/.exec(text.slice(j))[0].length;
+            if (closing === size && !/\s/.test(text.charAt(j - 1)) && !(c === "_" && /[A-Za-z0-9]/.test(text.charAt(j + size)))) {
+                var inner = inline(text.slice(i + size, j), context);
+                var node = c === "~" ? storage.createElement("del", {}, inner) :
+                    size === 1 ? storage.createElement("em", {}, inner) :
+                    size === 2 ? storage.createElement("strong", {}, inner) :
+                    storage.createElement("strong", {}, [storage.createElement("em", {}, inner)]);
+                return { node: node, end: j + size };
+            }
+            j += closing;
+            continue;
+        }
+        j++;
+    }
+    return null;
+}
+
+/**
+ * A link at an opening bracket: [text](href "title"), [text][ref], [text][] or [ref].
+ * @return {Object} {label, href, title, end}, null when the bracket does not open a link
+ */
+function link(text, i, context){
+    var depth = 0;
+    var close = -1;
+    for (var j = i; j < text.length; j++) {
+        var c = text.charAt(j);
+        if (c === "\\") {
+            j++;
+        } else if (c === "`") {
+            var span = codeSpan(text, j);
+            j = span ? span.end - 1 : j;
+        } else if (c === "[") {
+            depth++;
+        } else if (c === "]" && --depth === 0) {
+            close = j;
+            break;
+        }
+    }
+    if (close < 0) {
+        return null;
+    }
+    var label = text.slice(i + 1, close);
+    var rest = text.slice(close + 1);
+    var inlineLink = /^\(\s*(?:<([^>\n]*)>|((?:[^\s()\\]|\\.|\((?:[^\s()\\]|\\.)*\))*))(?:\s+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?\s*\)/.exec(rest);
+    if (inlineLink) {
+        return {
+            label: label,
+            href: (inlineLink[1] !== undefined ? inlineLink[1] : inlineLink[2]).replace(/\\([!-\/:-@\[-`{-~])/g, "$1"),
+            title: inlineLink[3] || inlineLink[4] || inlineLink[5],
+            end: close + 1 + inlineLink[0].length
+        };
+    }
+    var reference = /^\[([^\]]*)\]/.exec(rest);
+    var key = normalizeLabel(reference && reference[1] ? reference[1] : label);
+    var definition = context.definitions.hasOwnProperty(key) ? context.definitions[key] : null;
+    if (!definition) {
+        return null;
+    }
+    return { label: label, href: definition.href, title: definition.title, end: close + 1 + (reference ? reference[0].length : 0) };
+}
+
+/**
+ * A link: anchors of the page and relative files become ac:link to pages or attachments, others stay <a>.
+ */
+function linkNode(match, context){
+    var label = inline(match.label, context);
+    var href = match.href;
+    if (href.charAt(0) === "#") {
+        return confluenceLink({ "ac:anchor": decode(href.slice(1)) }, null, label);
+    }
+    if (SCHEME.test(href) || href.charAt(0) === "/" || !href) {
+        return storage.createElement("a", match.title ? { href: href, title: match.title } : { href: href }, label);
+    }
+
+    var hash = href.indexOf("#");
+    var file = decode(hash < 0 ? href : href.slice(0, hash));
+    var attributes = hash < 0 ? {} : { "ac:anchor": decode(href.slice(hash + 1)) };
+    if (!/\.(md|markdown)$/i.test(file)) {
+        return confluenceLink(attributes, storage.createElement("ri:attachment", { "ri:filename": attachmentName(file, context) }), label);
+    }
+    var target = context.options.pageTitle ? context.options.pageTitle(file) : path.posix.basename(file).replace(/\.(md|markdown)$/i, "");
+    if (!target) {
+        return storage.createElement("a", { href: href }, label);
+    }
+    if (typeof target === 'string') {
+        target = { title: target };
+    }
+    var page = { "ri:content-title": target.title };
+    if (target.spaceKey) {
+        page["ri:space-key"] = target.spaceKey;
+    }
+    return confluenceLink(attributes, storage.createElement("ri:page", page), label);
+}
+
+function confluenceLink(attributes, resource, label){
+    var children = resource ? [resource] : [];
+    if (label.length && label.every(function(node){ return node.type === "text"; })) {
+        children.push(storage.createElement("ac:plain-text-link-body", {}, [storage.createCData(storage.textContent({ children: label }))]));
+    } else if (label.length) {
+        children.push(storage.createElement("ac:link-body", {}, label));
+    }
+    return storage.createElement("ac:link", attributes, children);
+}
+
+/**
+ * An image: relative ones are attachments of the page, others are shown from their url.
+ */
+function image(match, context){
+    var attributes = {};
+    var alt = storage.textContent({ children: inline(match.label, context) });
+    if (alt) {
+        attributes["ac:alt"] = alt;
+    }
+    if (match.title) {
+        attributes["ac:title"] = match.title;
+    }
+    var src = match.href;
+    var resource = SCHEME.test(src) || src.charAt(0) === "/"
+        ? storage.createElement("ri:url", { "ri:value": src })
+        : storage.createElement("ri:attachment", { "ri:filename": attachmentName(decode(src.replace(/[?#].*$/, "")), context) });
+    return storage.createElement("ac:image", attributes, [resource]);
+}
+
+function attachmentName(file, context){
+    return context.options.attachmentName ? context.options.attachmentName(file) : path.posix.basename(file);
+}
+
+/**
+ * Trailing punctuation and unbalanced closing parentheses are not part of a bare url.
+ */
+function trimUrl(url){
+    for (;;) {
+        var last = url.charAt(url.length - 1);
+        if (/[.,:;!?"'*_~]/.test(last)) {
+            url = url.slice(0, -1);
+        } else if (last === ")" && (url.match(/\)/g) || []).length > (url.match(/\(/g) || []).length) {
+            url = url.slice(0, -1);
+        } else {
+            return url;
+        }
+    }
+}
+
+function normalizeLabel(label){
+    return label.trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+function decode(text){
+    try {
+        return decodeURIComponent(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+function isBlank(line){
+    return /^[ \t]*$/.test(line);
+}
+
+/**
+ * Width of the indentation of a line, tabs stopping every 4 columns.
+ */
+function columns(line){
+    var width = 0;
+    for (var i = 0; i < line.length; i++) {
+        if (line.charAt(i) === " ") {
+            width++;
+        } else if (line.charAt(i) === "\t") {
+            width += 4 - width % 4;
+        } else {
+            break;
+        }
+    }
+    return width;
+}
+
+/**
+ * Remove up to a width of indentation from a line.
+ */
+function stripColumns(line, width){
+    var removed = 0;
+    var i = 0;
+    while (i < line.length && removed < width) {
+        var c = line.charAt(i);
+        if (c === " ") {
+            removed++;
+        } else if (c === "\t") {
+            var tab = 4 - removed % 4;
+            if (removed + tab > width) {
+                return new Array(removed + tab - width + 1).join(" ") + line.slice(i + 1);
+            }
+            removed += tab;
+        } else {
+            break;
+        }
+        i++;
+    }
+    return line.slice(i);
+}
+
+/**
+ * Convert storage format to Markdown (CommonMark with the GitHub extensions):
+ *  - the code and noformat macros to fenced code, the info, tip, note and warning macros to `> [!NOTE]` alerts
+ *  - the expand macro to <details>, the toc macro to a list of links to the headings
+ *  - links to pages to relative links to their files, attachments of the page to relative links and images
+ *  - tables to tables, their first row being the header, and tasks to task lists
+ * Other macros are left out, but for their rich text body.
+ * @param {string|Object} body storage format, or a tree of storage.parse
+ * @param {object} options
+ *  - {function} pagePath, function({title, spaceKey}) giving the path of the file of a page a link points to,
+ *    or nothing to keep the text of the link only. spaceKey is only given when the link names the space.
+ *    Default: the title with the .md extension
+ *  - {function} attachmentPath, function(filename) giving the path of an attachment of the page. Default: the file name
+ * @return {Object} {markdown, attachments, pages}, the file names of the attachments of the page the body refers to
+ *   and the {title, spaceKey} of the pages it links to
+ */
+function toMarkdown(body, options){
+    var tree = body && typeof body === 'object' ? body : storage.parse(body || "");
+    var context = { options: options || {}, attachments: [], pages: [], headings: headings(tree) };
+    var markdown = renderBlocks(tree.children, context);
+    return { markdown: markdown ? markdown + "\n" : "", attachments: context.attachments, pages: context.pages };
+}
+
+/**
+ * The headings of a body with the anchors GitHub gives them.
+ */
+function headings(tree){
+    var seen = {};
+    return storage.findAll(tree, function(node){
+        return node.type === "element" && /^h[1-6]$/.test(node.name);
+    }).map(function(heading){
+        var text = storage.textContent(heading).replace(/\s+/g, " ").trim();
+        var slug = text.toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, "").replace(/\s/g, "-");
+        var count = seen[slug] || 0;
+        seen[slug] = count + 1;
+        return { level: Number(heading.name.charAt(1)), text: text, slug: count ? slug + "-" + count : slug };
+    });
+}
+
+function isBlock(node){
+    if (node.type !== "element") {
+        return false;
+    }
+    if (node.name === "ac:structured-macro") {
+        return INLINE_MACROS.indexOf(node.attributes["ac:name"]) < 0;
+    }
+    return BLOCKS.indexOf(node.name) >= 0;
+}
+
+/**
+ * Markdown of some nodes, the runs of inline nodes between blocks being paragraphs.
+ * @param {boolean} tight, a list right after a paragraph goes on the next line, as in list items
+ */
+function renderBlocks(nodes, context, tight){
+    var markdown = "";
+    var run = [];
+    var add = function(block, list){
+        if (block) {
+            markdown += (!markdown ? "" : tight && list ? "\n" : "\n\n") + block;
+        }
+    };
+    var flush = function(){
+        add(renderParagraph(renderInline(run, context)), false);
+        run = [];
+    };
+    nodes.forEach(function(node){
+        if (isBlock(node)) {
+            flush();
+            add(renderBlock(node, context), node.name === "ul" || node.name === "ol" || node.name === "ac:task-list");
+        } else {
+            run.push(node);
+        }
+    });
+    flush();
+    return markdown;
+}
+
+function renderBlock(node, context){
+    switch (node.name) {
+    case "h1": case "h2": case "h3": case "h4": case "h5": case "h6":
+        var text = renderInline(node.children, context).split(BREAK).join(" ").replace(/\s+/g, " ").trim();
+        return text ? new Array(Number(node.name.charAt(1)) + 1).join("#") + " " + text : "";
+    case "hr":
+        return "---";
+    case "pre":
+        return fence(storage.textContent(node), null);
+    case "blockquote":
+        return quoteLines(renderBlocks(node.children, context));
+    case "ul":
+    case "ol":
+        return renderList(node, context);
+    case "ac:task-list":
+        return renderTasks(node, context);
+    case "table":
+        return renderTable(node, context);
+    case "ac:structured-macro":
+        return renderMacro(node, context);
+    default:
+        return renderBlocks(node.children, context);
+    }
+}
+
+function renderList(node, context){
+    var start = node.name === "ol" ? parseInt(node.attributes.start, 10) || 1 : null;
+    return elements(node, "li").map(function(item, index){
+        return listItem(start === null ? "- " : (start + index) + ". ", renderBlocks(item.children, context, true));
+    }).join("\n");
+}
+
+function renderTasks(node, context){
+    return elements(node, "ac:task").map(function(task){
+        var status = elements(task, "ac:task-status")[0];
+        var body = elements(task, "ac:task-body")[0];
+        var done = !!status && storage.textContent(status).trim() === "complete";
+        return listItem(done ? "- [x] " : "- [ ] ", body ? renderBlocks(body.children, context, true) : "");
+    }).join("\n");
+}
+
+/**
+ * An item of a list, its lines after the first indented as far as its content.
+ */
+function listItem(marker, content){
+    var indent = new Array(marker.length + 1).join(" ");
+    return marker + content.split("\n").map(function(line, index){
+        return index === 0 || !line ? line : indent + line;
+    }).join("\n");
+}
+
+function renderTable(node, context){
+    var rows = [];
+    storage.walk(node, function(child){
+        if (child.type === "element" && child.name === "tr") {
+            rows.push(elements(child, function(cell){
+                return cell.name === "th" || cell.name === "td";
+            }));
+            return false;
+        }
+        return child === node || (child.type === "element" && /^(thead|tbody|tfoot)$/.test(child.name));
+    });
+    if (!rows.length) {
+        return "";
+    }
+    var width = Math.max.apply(null, rows.map(function(cells){
+        return cells.length;
+    }));
+    var alignments = [];
+    rows.slice(0, 2).forEach(function(cells){
+        cells.forEach(function(cell, index){
+            var align = /text-align:\s*(left|center|right)/.exec(cell.attributes.style || "");
+            alignments[index] = alignments[index] || (align && align[1]);
+        });
+    });
+    var line = function(values){
+        return "| " + values.join(" | ") + " |";
+    };
+    var lines = rows.map(function(cells){
+        var values = [];
+        for (var i = 0; i < width; i++) {
+            values.push(cells[i] ? renderBlocks(cells[i].children, context).replace(/\\\n|\n+/g, " ").replace(/\|/g, "\\|") : "");
+        }
+        return line(values);
+    });
+    var delimiter = line(alignments.concat(new Array(width - alignments.length)).map(function(align){
+        return align === "center" ? ":---:" : align === "right" ? "---:" : align === "left" ? ":---" : "---";
+    }));
+    return [lines[0], delimiter].concat(lines.slice(1)).join("\n");
+}
+
+function renderMacro(node, context){
+    var name = node.attributes["ac:name"];
+    var parameters = storage.macroParameters(node);
+    var body = storage.macroBody(node);
+    var content = body && body.name === "ac:rich-text-body" ? renderBlocks(body.children, context) : "";
+    var title = parameters.title ? "**" + escapeText(parameters.title) + "**" : "";
+    switch (name) {
+    case "code":
+    case "noformat":
+        return fence(body ? storage.textContent(body) : "", parameters.language);
+    case "info":
+    case "tip":
+    case "note":
+    case "warning":
+        return quoteLines("[!" + ALERTS[name] + "]\n" + [title, content].filter(Boolean).join("\n\n"));
+    case "panel":
+        return quoteLines([title, content].filter(Boolean).join("\n\n"));
+    case "expand":
+        return "<details>\n<summary>" + escapeHtml(parameters.title || "Click here to expand...") + "</summary>\n\n" +
+            (content ? content + "\n\n" : "") + "</details>";
+    case "toc":
+        return renderToc(parameters, context);
+    default:
+        if (body && body.name === "ac:plain-text-body") {
+            return fence(storage.textContent(body), null);
+        }
+        return content;
+    }
+}
+
+/**
+ * The toc macro, as links to the headings between its minLevel and maxLevel.
+ */
+function renderToc(parameters, context){
+    var min = parseInt(parameters.minLevel, 10) || 1;
+    var max = parseInt(parameters.maxLevel, 10) || 6;
+    var shown = context.headings.filter(function(heading){
+        return heading.level >= min && heading.level <= max;
+    });
+    var top = Math.min.apply(null, shown.map(function(heading){
+        return heading.level;
+    }));
+    return shown.map(function(heading){
+        return new Array(heading.level - top + 1).join("  ") + "- [" + escapeText(heading.text) + "](#" + heading.slug + ")";
+    }).join("\n");
+}
+
+function renderInline(nodes, context){
+    return nodes.map(function(node){
+        return renderInlineNode(node, context);
+    }).join("");
+}
+
+function renderInlineNode(node, context){
+    if (node.type === "text" || node.type === "cdata") {
+        return escapeText(node.value.replace(/\s+/g, " "));
+    }
+    if (node.type !== "element") {
+        return "";
+    }
+    switch (node.name) {
+    case "strong":
+    case "b":
+        return wrap("**", renderInline(node.children, context));
+    case "em":
+    case "i":
+        return wrap("*", renderInline(node.children, context));
+    case "del":
+    case "s":
+        return wrap("~~", renderInline(node.children, context));
+    case "code":
+        return renderCode(storage.textContent(node));
+    case "br":
+        return BREAK;
+    case "a":
+        return markdownLink(renderInline(node.children, context), node.attributes.href, node.attributes.title);
+    case "img":
+        return "![" + escapeText(node.attributes.alt || "") + "](" + destination(node.attributes.src || "") + ")";
+    case "ac:link":
+        return renderLink(node, context);
+    case "ac:image":
+        return renderImage(node, context);
+    case "ac:emoticon":
+        return node.attributes["ac:emoji-fallback"] || "";
+    case "time":
+        return escapeText(node.attributes.datetime || "");
+    case "ac:placeholder":
+        return "";
+    case "ac:structured-macro":
+        var parameters = storage.macroParameters(node);
+        return escapeText(parameters.title || parameters.key || "");
+    default:
+        return renderInline(node.children, context);
+    }
+}
+
+/**
+ * A link to a page, an attachment, a user, a space or an anchor of the page.
+ */
+function renderLink(node, context){
+    var resource = elements(node, function(child){
+        return child.name.indexOf("ri:") === 0;
+    })[0];
+    var body = elements(node, function(child){
+        return child.name === "ac:link-body" || child.name === "ac:plain-text-link-body";
+    })[0];
+    var text = !body ? "" : body.name === "ac:plain-text-link-body" ? escapeText(storage.textContent(body)) : renderInline(body.children, context);
+    var anchor = node.attributes["ac:anchor"];
+    var hash = anchor ? "#" + anchor : "";
+
+    if (!resource) {
+        return markdownLink(text || escapeText(anchor || ""), hash);
+    }
+    var attributes = resource.attributes;
+    switch (resource.name) {
+    case "ri:page":
+    case "ri:blog-post":
+        var page = pageTarget(resource, context);
+        return markdownLink(text || escapeText(page.title), page.path && page.path + hash);
+    case "ri:attachment":
+        var filename = attributes["ri:filename"] || "";
+        var owner = elements(resource, function(child){
+            return child.name === "ri:page" || child.name === "ri:blog-post";
+        })[0];
+        if (owner) {
+            return markdownLink(text || escapeText(filename), pageTarget(owner, context).path);
+        }
+        return markdownLink(text || escapeText(filename), attachmentPath(filename, context));
+    case "ri:user":
+        return text || "@" + escapeText(attributes["ri:username"] || attributes["ri:userkey"] || attributes["ri:account-id"] || "");
+    case "ri:space":
+        return text || escapeText(attributes["ri:space-key"] || "");
+    case "ri:url":
+        return markdownLink(text, attributes["ri:value"]);
+    default:
+        return text;
+    }
+}
+
+/**
+ * The page a ri:page points to, listed in the pages of the body, and the path of its file.
+ */
+function pageTarget(resource, context){
+    var target = { title: resource.attributes["ri:content-title"] || "" };
+    if (resource.attributes["ri:space-key"]) {
+        target.spaceKey = resource.attributes["ri:space-key"];
+    }
+    var listed = context.pages.some(function(page){
+        return page.title === target.title && page.spaceKey === target.spaceKey;
+    });
+    if (!listed) {
+        context.pages.push(target);
+    }
+    var pagePath = context.options.pagePath || function(page){
+        return page.title.replace(/[\/\\]/g, "-") + ".md";
+    };
+    return { title: target.title, path: pagePath(Object.assign({}, target)) };
+}
+
+/**
+ * The path of an attachment of the page, listed in the attachments of the body.
+ */
+function attachmentPath(filename, context){
+    if (context.attachments.indexOf(filename) < 0) {
+        context.attachments.push(filename);
+    }
+    return context.options.attachmentPath ? context.options.attachmentPath(filename) : filename;
+}
+
+function renderImage(node, context){
+    var resource = elements(node, function(child){
+        return child.name === "ri:attachment" || child.name === "ri:url";
+    })[0];
+    if (!resource) {
+        return "";
+    }
+    var src = resource.name === "ri:url" ? resource.attributes["ri:value"] || "" : attachmentPath(resource.attributes["ri:filename"] || "", context);
+    var title = node.attributes["ac:title"] ? " \"" + node.attributes["ac:title"].replace(/"/g, "'") + "\"" : "";
+    return "![" + escapeText(node.attributes["ac:alt"] || "") + "](" + destination(src) + title + ")";
+}
+
+function markdownLink(text, href, title){
+    if (!href) {
+        return text;
+    }
+    if (text === escapeText(href) && /^(https?|mailto):/.test(href)) {
+        return "<" + href.replace(/^mailto:/, "") + ">";
+    }
+    return "[" + (text || escapeText(href)) + "](" + destination(href) + (title ? " \"" + title.replace(/"/g, "'") + "\"" : "") + ")";
+}
+
+/**
+ * A link destination, between <> when it has spaces or parentheses.
+ */
+function destination(url){
+    return /[\s()<>]/.test(url) ? "<" + url.replace(/</g, "%3C").replace(/>/g, "%3E") + ">" : url;
+}
+
+/**
+ * Emphasis around some Markdown, with the spaces at its ends left outside.
+ */
+function wrap(delimiter, markdown){
+    var match = /^(\s*)([\s\S]*?)(\s*)$/.exec(markdown);
+    return match[2] ? match[1] + delimiter + match[2] + delimiter + match[3] : markdown;
+}
+
+function renderCode(code){
+    code = code.replace(/\s*\n\s*/g, " ");
+    var longest = Math.max.apply(null, (code.match(/`+/g) || [""]).map(function(ticks){
+        return ticks.length;
+    }));
+    var ticks = new Array(longest + 2).join("`");
+    return /^`|`$/.test(code) ? ticks + " " + code + " " + ticks : ticks + code + ticks;
+}
+
+function fence(code, language){
+    var longest = Math.max.apply(null, (code.match(/^`+/gm) || [""]).map(function(ticks){
+        return ticks.length;
+    }));
+    var ticks = new Array(Math.max(3, longest + 1) + 1).join("`");
+    code = code.replace(/^\n+|\s+$/g, "");
+    return ticks + (language || "") + "\n" + (code ? code + "\n" : "") + ticks;
+}
+
+function quoteLines(markdown){
+    return markdown.split("\n").map(function(line){
+        return line ? "> " + line : ">";
+    }).join("\n");
+}
+
+/**
+ * The lines of a paragraph, with the characters starting a block at their beginning escaped.
+ */
+function renderParagraph(markdown){
+    return markdown.replace(/^[\s\u0000]+|[\s\u0000]+$/g, "").split(BREAK).map(function(line){
+        return line.trim()
+            .replace(/^(#{1,6}(?=\s|$)|>|[-+](?=\s|$)|(?:-\s*){3,}$|=+\s*$)/, "\\$1")
+            .replace(/^(\d+)([.)])(?=\s|$)/, "$1\\$2");
+    }).join("\\\n");
+}
+
+/**
+ * Text with the characters Markdown would take for formatting escaped.
+ */
+function escapeText(text){
+    return text
+        .replace(/\\(?=[!-\/:-@\[-`{-~])/g, "\\\\")
+        .replace(/_/g, function(underscore, index, escaped){
+            // snake_case words are left alone
+            return /[A-Za-z0-9]/.test(escaped.charAt(index - 1)) && /[A-Za-z0-9]/.test(escaped.charAt(index + 1)) ? "_" : "\\_";
+        })
+        .replace(/[`*\[\]]/g, "\\$&")
+        .replace(/~~/g, "\\~\\~")
+        .replace(/<(?=[A-Za-z\/!?])/g, "\\<");
+}
+
+function escapeHtml(text){
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * The child elements of a node, of one name or matching a function.
+ */
+function elements(node, name){
+    return (node.children || []).filter(function(child){
+        return child.type === "element" && (typeof name === 'function' ? name(child) : child.name === name);
+    });
+}
+
+exports.fromMarkdown = fromMarkdown;
+exports.toMarkdown = toMarkdown;
+exports.ADMONITIONS = ADMONITIONS;
+exports.ALERTS = ALERTS;
+exports.LANGUAGES = LANGUAGES;
@@ -6,6 +6,9 @@
  * This design is intentional to speed execution of the full suite.
  * So, running these tests using mocha's -g or -f options may cause tests to
  * fail or to leave test data in the test confluence space.
+ *
+ * The suites run against the fake Confluence server started by test/setup.js,
+ * which fills in the baseUrl once it listens.
  */
 
 'use strict';
@@ -13,7 +16,7 @@
 var Config = {
     user: "sam.li@grr.la",
     password: "pass1234",
-    baseUrl:  "https://confluenceapi.atlassian.net/wiki/rest/api"
+    baseUrl: null
 }
 
-module.exports = Config;
\ No newline at end of file
+module.exports = Config;
@@ -0,0 +1,38 @@
+/**
+ * Seeds of the fake Confluence shared by the suites, refer to FakeConfluence#seed.
+ */
+
+'use strict';
+
+/**
+ * The Operations space: Runbook with a label, a content property, an attachment and a comment, Deploys below
+ * it with a content property, Rollback below Deploys, and a blog post.
+ * @param {object} bodies storage bodies of the pages, each with a plain paragraph by default
+ *  - {string} runbook
+ *  - {string} deploys
+ */
+exports.operations = function(bodies){
+    bodies = bodies || {};
+    return {
+        key: "OPS",
+        name: "Operations",
+        properties: { owner: { team: "sre" } },
+        pages: [{
+            id: "5001",
+            title: "Runbook",
+            body: bodies.runbook || "<p>Restart it.</p>",
+            labels: ["ops"],
+            properties: { reviewed: { by: "admin" } },
+            attachments: [{ id: "5002", title: "diagram.png", data: "PNG data", mediaType: "image/png" }],
+            comments: [{ id: "5003", body: "<p>Which service?</p>" }],
+            children: [{
+                id: "5004",
+                title: "Deploys",
+                body: bodies.deploys || "<p>Roll out.</p>",
+                properties: { owner: { team: "sre" } },
+                children: [{ id: "5006", title: "Rollback", body: "<p>Undo.</p>" }]
+            }]
+        }],
+        blogposts: [{ id: "5005", title: "Release notes", body: "<p>Shipped.</p>" }]
+    };
+};
@@ -0,0 +1,72 @@
+/**
+ * Start the fake Confluence server the test suites talk to, refer to lib/fake.
+ * Loaded before the suites with mocha's --file option, see test/mocha.opts.
+ */
+
+'use strict';
+
+var FakeConfluence = require('../lib/fake');
+var config = require('./config');
+
+var fake = new FakeConfluence({
+    users: [{
+        username: "admin",
+        displayName: "Sam Li",
+        email: config.user,
+        password: config.password,
+        groups: ["site-admins", "confluence-users"]
+    }, {
+        username: "sam2.li",
+        displayName: "Sam Li 2",
+        email: "sam2.li@grr.la",
+        password: "pass1234",
+        groups: ["confluence-users"]
+    }]
+});
+
+fake.seed({
+    spaces: [{
+        key: "TES",
+        name: "Test Space",
+        description: "Space used by the test suites",
+        id: "196609",
+        homepageId: "196610",
+        pages: [{
+            id: "262146",
+            title: "Watched page",
+            body: "<p>Page used by the watch tests.</p>",
+            labels: ["ios"]
+        }, {
+            id: "1802243",
+            title: "Parent page",
+            body: "<p>Parent of the pages created by the tests.</p>",
+            attachments: [{
+                title: "readme.txt",
+                data: "This attachment is part of the test data",
+                mediaType: "text/plain"
+            }],
+            comments: [{
+                body: "<p>A comment</p>"
+            }],
+            children: [{
+                title: "test child one",
+                body: "<p>First child</p>"
+            }, {
+                title: "test child two",
+                body: "<p>Second child</p>"
+            }]
+        }]
+    }]
+});
+
+before(function(){
+    return fake.listen().then(function(){
+        config.baseUrl = fake.baseUrl;
+    });
+});
+
+after(function(){
+    return fake.close();
+});
+
+module.exports = fake;
@@ -0,0 +1,178 @@
+/**
+ * Tests for ConfluenceAPI.js
+ *
+ * Note that there are dependencies between some of these tests.
+ * For instance, the export tests read the records created in post tests.
+ * This design is intentional to speed execution of the full suite.
+ * So, running these tests using mocha's -g or -f options may cause tests to
+ * fail or to leave test data in the test confluence space.
+ */
+
+var expect = require('chai').expect;
+var ConfluenceAPI = require("../lib/ConfluenceAPI");
+var BinaryResponse = require("../lib/BinaryResponse");
+var Transport = require("../lib/Transport");
+var config = require('./config') || {};
+var fake = require('./setup');
+
+describe('ConfluenceAPI: Audit Module', function () {
+    this.timeout(15000);
+
+    describe('#createAuditRecord', function(){
+        it('should create an audit record', function (done) {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            var request = {
+                remoteAddress: "10.0.0.1",
+                summary: "Exported, with a comma",
+                category: "Test",
+                affectedObject: { name: "TES", objectType: "Space" }
+            };
+
+            confluenceAPI.audit.createAuditRecord(request, function(err, data) {
+                expect(err).to.be.null;
+                expect(data).to.be.an('object');
+                expect(data.summary).to.be.eq(request.summary);
+                expect(data.author.username).to.be.eq("admin");
+                done();
+            });
+        });
+    });
+
+    describe('#getAuditRecords', function(){
+        it('should get the audit records', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.audit.getAuditRecords({ searchString: "comma" }).then(function(data){
+                expect(data.size).to.be.eq(1);
+                expect(data.results[0].category).to.be.eq("Test");
+            });
+        });
+    });
+
+    describe('#exportAuditRecords', function(){
+        it('should stream the CSV export with its filename', function (done) {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            confluenceAPI.audit.exportAuditRecords({ format: "csv" }, function(err, data) {
+                expect(err).to.be.null;
+                expect(data.pipe).to.be.a('function');
+                expect(data.contentType).to.be.eq("text/csv");
+                expect(data.filename).to.be.eq("audit-export.csv");
+                expect(data.statusCode).to.be.eq(200);
+                Transport.read(data, function(err, buffer){
+                    expect(err).to.be.null;
+                    var lines = buffer.toString("utf8").trim().split("\r\n");
+                    expect(lines.length).to.be.eq(2);
+                    expect(lines[1]).to.contain("\"Exported, with a comma\"");
+                    done();
+                });
+            });
+        });
+
+        it('should hand the ZIP export over in a Buffer on demand', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.audit.exportAuditRecords({ format: "zip" }, { responseType: "buffer" }).then(function(data){
+                expect(Buffer.isBuffer(data)).to.be.true;
+                expect(data.contentType).to.be.eq("application/zip");
+                expect(data.filename).to.be.eq("audit-export.zip");
+                expect(data.size).to.be.eq(data.length);
+                // bytes that are not valid UTF-8 come through untouched
+                expect(data.readUInt32LE(0)).to.be.eq(0x04034b50);
+                expect(data.readUInt32LE(data.length - 22)).to.be.eq(0x06054b50);
+            });
+        });
+
+        it('should follow a redirect of the export', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+            fake.fail({ method: "GET", path: "/audit/export", status: 302, headers: { "Location": "export?format=zip" } });
+
+            return confluenceAPI.audit.exportAuditRecords({ format: "csv" }, { responseType: "buffer" }).then(function(data){
+                expect(data.filename).to.be.eq("audit-export.zip");
+                expect(data.readUInt32LE(0)).to.be.eq(0x04034b50);
+            });
+        });
+
+        it('should report a redirect as a ConfluenceError when redirects are not followed', function () {
+            var options = Object.assign({ requestConfig: { followRedirects: false } }, config);
+            var confluenceAPI = ConfluenceAPI.create(options);
+            fake.fail({ method: "GET", path: "/audit/export", status: 302, headers: { "Location": "export?format=zip" } });
+
+            return confluenceAPI.audit.exportAuditRecords({ format: "csv" }, { responseType: "buffer" }).then(function(){
+                throw new Error("the export should fail");
+            }, function(err){
+                expect(err).to.be.instanceof(ConfluenceAPI.errors.ConfluenceError);
+                expect(err.statusCode).to.be.eq(302);
+            });
+        });
+
+        it('should report an unsupported format as a ConfluenceError', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.audit.exportAuditRecords({ format: "pdf" }).then(function(){
+                throw new Error("the export should fail");
+            }, function(err){
+                expect(err).to.be.instanceof(ConfluenceAPI.errors.ValidationError);
+                expect(err.message).to.contain("pdf");
+            });
+        });
+    });
+
+    describe('#setRetentionPeriod', function(){
+        it('should set the retention period', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.audit.setRetentionPeriod({ number: 6, units: "MONTHS" }).then(function(){
+                return confluenceAPI.audit.getRetentionPeriod();
+            }).then(function(data){
+                expect(data).to.be.deep.eq({ number: 6, units: "MONTHS" });
+            });
+        });
+    });
+
+    describe('#getAuditRecordsForPeriod', function(){
+        it('should get the recent audit records', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.audit.getAuditRecordsForPeriod({ number: 1, units: "DAYS" }).then(function(data){
+                expect(data.size).to.be.gt(0);
+            });
+        });
+    });
+
+    describe('#request', function(){
+        it('should hand any response over as a stream with responseType', function (done) {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            confluenceAPI.request({ method: "GET", path: "/audit/retention", responseType: "stream" }, function(err, data) {
+                expect(err).to.be.null;
+                expect(data.contentType).to.be.eq("application/json");
+                Transport.read(data, function(err, buffer){
+                    expect(JSON.parse(buffer.toString("utf8")).units).to.be.a('string');
+                    done();
+                });
+            });
+        });
+
+        it('should refuse an unknown responseType', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.request({ method: "GET", path: "/audit", responseType: "text" }).then(function(){
+                throw new Error("the call should fail");
+            }, function(err){
+                expect(err.message).to.contain("responseType text");
+            });
+        });
+    });
+
+    describe('BinaryResponse#parseFilename', function(){
+        it('should read the filename of a Content-Disposition header', function () {
+            expect(BinaryResponse.parseFilename('attachment; filename="a \\"b\\".csv"')).to.be.eq('a "b".csv');
+            expect(BinaryResponse.parseFilename('attachment; filename=plain.zip')).to.be.eq("plain.zip");
+            expect(BinaryResponse.parseFilename("attachment; filename=\"fallback.csv\"; filename*=UTF-8''r%C3%A9sum%C3%A9.csv")).to.be.eq("résumé.csv");
+            expect(BinaryResponse.parseFilename("inline")).to.be.null;
+            expect(BinaryResponse.parseFilename(undefined)).to.be.null;
+        });
+    });
+});
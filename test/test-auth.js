@@ -0,0 +1,212 @@
+/**
+ * Tests for lib/auth
+ */
+
+var http = require('http');
+var crypto = require('crypto');
+var expect = require('chai').expect;
+var ConfluenceAPI = require("../lib/ConfluenceAPI");
+var auth = ConfluenceAPI.auth;
+
+function request(method, url, params){
+    return { method: method, url: url, params: params || {}, headers: {} };
+}
+
+describe('ConfluenceAPI: Auth', function () {
+    this.timeout(5000);
+
+    describe('Constructor: #ConfluenceAPI', function(){
+
+        it('should accept an auth provider instead of user and password', function(){
+            var confluenceAPI = ConfluenceAPI.create({
+                baseUrl: "https://example.atlassian.net/wiki/rest/api",
+                auth: { type: "bearer", token: "pat" }
+            });
+            expect(confluenceAPI.auth).to.be.an.instanceof(auth.BearerAuth);
+        });
+
+        it('should reject an unknown auth type', function(){
+            expect(function(){
+                ConfluenceAPI.create({ baseUrl: "https://example.atlassian.net/wiki/rest/api", auth: { type: "kerberos" } });
+            }).to.throw("does not support the auth type kerberos");
+        });
+
+    });
+
+    describe('#BasicAuth', function(){
+
+        it('should send an email and API token as basic auth', function(done){
+            var req = request("GET", "https://example.atlassian.net/wiki/rest/api/space");
+            new auth.BasicAuth({ email: "me@example.com", apiToken: "token" }).authorize(req, function(err){
+                expect(err).to.be.null;
+                expect(req.headers.Authorization).to.be.eq("Basic " + Buffer.from("me@example.com:token").toString("base64"));
+                done();
+            });
+        });
+
+    });
+
+    describe('#BearerAuth', function(){
+
+        it('should send a personal access token', function(done){
+            var req = request("GET", "https://confluence.example.com/rest/api/space");
+            new auth.BearerAuth({ token: "pat" }).authorize(req, function(err){
+                expect(req.headers.Authorization).to.be.eq("Bearer pat");
+                done();
+            });
+        });
+
+    });
+
+    describe('#ConnectJwtAuth', function(){
+
+        it('should hash the canonical request relative to the product context path', function(){
+            var req = request("GET", "https://example.atlassian.net/wiki/rest/api/content", { spaceKey: "TES", expand: "version,body.storage" });
+            var expected = crypto.createHash("sha256")
+                .update("GET&/rest/api/content&expand=version%2Cbody.storage&spaceKey=TES")
+                .digest("hex");
+            expect(auth.ConnectJwtAuth.queryStringHash(req)).to.be.eq(expected);
+        });
+
+        it('should sign a JWT with the shared secret', function(done){
+            var req = request("POST", "https://example.atlassian.net/wiki/rest/api/content");
+            new auth.ConnectJwtAuth({ issuer: "my-app", sharedSecret: "secret" }).authorize(req, function(){
+                var parts = req.headers.Authorization.replace("JWT ", "").split(".");
+                var claims = JSON.parse(Buffer.from(parts[1], "base64").toString());
+                var signature = crypto.createHmac("sha256", "secret").update(parts[0] + "." + parts[1]).digest("base64")
+                    .replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+                expect(claims.iss).to.be.eq("my-app");
+                expect(claims.qsh).to.be.eq(auth.ConnectJwtAuth.queryStringHash(req));
+                expect(parts[2]).to.be.eq(signature);
+                done();
+            });
+        });
+
+    });
+
+    describe('#OAuth2Auth', function(){
+
+        it('should refresh an expired access token once for concurrent requests', function(done){
+            var refreshes = 0;
+            var server = http.createServer(function(req, res){
+                refreshes++;
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ access_token: "new-access", refresh_token: "new-refresh", expires_in: 3600 }));
+            }).listen(0, function(){
+                var persisted = null;
+                var provider = new auth.OAuth2Auth({
+                    clientId: "id",
+                    clientSecret: "secret",
+                    accessToken: "old-access",
+                    refreshToken: "old-refresh",
+                    expiresAt: Date.now() - 1000,
+                    tokenUrl: "http://localhost:" + server.address().port + "/oauth/token",
+                    onRefresh: function(tokens){ persisted = tokens; }
+                });
+                var first = request("GET", "https://api.atlassian.com/ex/confluence/1/wiki/rest/api/space");
+                var second = request("GET", "https://api.atlassian.com/ex/confluence/1/wiki/rest/api/space");
+
+                provider.authorize(first, function(err){
+                    expect(err).to.be.null;
+                });
+                provider.authorize(second, function(err){
+                    expect(err).to.be.null;
+                    expect(refreshes).to.be.eq(1);
+                    expect(first.headers.Authorization).to.be.eq("Bearer new-access");
+                    expect(second.headers.Authorization).to.be.eq("Bearer new-access");
+                    expect(persisted.refreshToken).to.be.eq("new-refresh");
+                    server.close(done);
+                });
+            });
+        });
+
+        it('should refresh the token through the proxy of the client', function(){
+            var calls = [];
+            var proxy = http.createServer(function(req, res){
+                calls.push(req.method + " " + req.url);
+                res.writeHead(200, { "Content-Type": "application/json" });
+                if (req.url === "http://auth.example.com/oauth/token") {
+                    return res.end(JSON.stringify({ access_token: "new-access", expires_in: 3600 }));
+                }
+                res.end(JSON.stringify({ results: [], size: 0 }));
+            });
+            return new Promise(function(resolve){
+                proxy.listen(0, resolve);
+            }).then(function(){
+                var confluenceAPI = ConfluenceAPI.create({
+                    baseUrl: "http://confluence.example.com/rest/api",
+                    proxy: { host: "localhost", port: proxy.address().port },
+                    auth: {
+                        type: "oauth2",
+                        clientId: "id",
+                        clientSecret: "secret",
+                        refreshToken: "old-refresh",
+                        tokenUrl: "http://auth.example.com/oauth/token"
+                    }
+                });
+                return confluenceAPI.space.getSpaces({});
+            }).then(function(){
+                expect(calls).to.be.deep.eq([
+                    "POST http://auth.example.com/oauth/token",
+                    "GET http://confluence.example.com/rest/api/space"
+                ]);
+            }).then(function(){
+                proxy.close();
+            }, function(err){
+                proxy.close();
+                throw err;
+            });
+        });
+
+        it('should send a request again on 401 only when the token can be refreshed', function(done){
+            var calls = [];
+            var server = http.createServer(function(req, res){
+                calls.push(req.url + " " + req.headers.authorization);
+                if (req.url === "/oauth/token") {
+                    res.writeHead(200, { "Content-Type": "application/json" });
+                    return res.end(JSON.stringify({ access_token: "new-access", refresh_token: "new-refresh", expires_in: 3600 }));
+                }
+                res.writeHead(401, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ statusCode: 401, message: "Unauthorized" }));
+            }).listen(0, function(){
+                var origin = "http://localhost:" + server.address().port;
+                var fixed = ConfluenceAPI.create({
+                    baseUrl: origin + "/rest/api",
+                    retry: false,
+                    auth: { type: "oauth2", accessToken: "static" }
+                });
+                var refreshing = ConfluenceAPI.create({
+                    baseUrl: origin + "/rest/api",
+                    retry: false,
+                    auth: { type: "oauth2", accessToken: "old-access", refreshToken: "old-refresh", clientId: "id", clientSecret: "secret", tokenUrl: origin + "/oauth/token" }
+                });
+
+                fixed.space.getSpaces({}).then(function(){
+                    throw new Error("expected a 401");
+                }, function(err){
+                    expect(err.status).to.be.eq(401);
+                    expect(calls).to.be.deep.eq(["/rest/api/space Bearer static"]);
+                    calls = [];
+                    return refreshing.space.getSpaces({});
+                }).then(function(){
+                    throw new Error("expected a 401");
+                }, function(err){
+                    expect(err.status).to.be.eq(401);
+                    expect(calls).to.be.deep.eq([
+                        "/rest/api/space Bearer old-access",
+                        "/oauth/token undefined",
+                        "/rest/api/space Bearer new-access"
+                    ]);
+                }).then(function(){
+                    server.close(done);
+                }, function(err){
+                    server.close(function(){
+                        done(err);
+                    });
+                });
+            });
+        });
+
+    });
+
+});
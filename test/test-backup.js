@@ -0,0 +1,127 @@
+/**
+ * Tests for lib/SpaceBackup.js and Space#backup
+ */
+
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var expect = require('chai').expect;
+var ConfluenceAPI = require("../lib/ConfluenceAPI");
+var FakeConfluence = require("../lib/fake");
+var fixtures = require("./fixtures");
+
+describe('ConfluenceAPI: SpaceBackup', function () {
+    var fake;
+    var dir;
+
+    function read(file){
+        return JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    }
+
+    beforeEach(function(){
+        dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "backup-")), "OPS");
+        fake = new FakeConfluence({ users: [{ username: "admin", password: "s3cret" }] });
+        fake.seed({ spaces: [fixtures.operations()] });
+        return fake.listen();
+    });
+
+    afterEach(function(){
+        fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+        return fake.close();
+    });
+
+    describe('#backup', function(){
+        it('should write the space and every page and blog post with their parts', function(done){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+
+            confluenceAPI.space.backup("OPS", dir, function(err, result){
+                expect(err).to.be.null;
+                expect(result.format).to.be.eq("confluence-restapi-backup");
+                expect(result.counts).to.be.deep.eq({ pages: 4, blogposts: 1, attachments: 1 });
+                expect(result.resumed).to.be.eq(0);
+                expect(result.finishedAt).to.be.a("string");
+                expect(read("manifest.json").finishedAt).to.be.eq(result.finishedAt);
+
+                expect(read("space.json").name).to.be.eq("Operations");
+                expect(read("space-properties.json").map(function(property){ return property.key; })).to.be.deep.eq(["owner"]);
+                expect(read("space-settings.json")).to.be.an("object");
+                expect(read("space-theme.json")).to.be.null;
+
+                var runbook = read("content/5001/content.json");
+                expect(runbook.body.storage.value).to.be.eq("<p>Restart it.</p>");
+                expect(runbook.ancestors.map(function(ancestor){ return ancestor.title; })).to.be.deep.eq(["Operations Home"]);
+                expect(read("content/5001/labels.json").map(function(label){ return label.name; })).to.be.deep.eq(["ops"]);
+                expect(read("content/5001/properties.json")[0].value).to.be.deep.eq({ by: "admin" });
+                expect(read("content/5001/restrictions.json")).to.be.an("object");
+                expect(read("content/5001/comments.json").map(function(comment){
+                    return [comment.body.storage.value, comment.replies];
+                })).to.be.deep.eq([["<p>Which service?</p>", []]]);
+                expect(read("content/5001/attachments.json")[0].title).to.be.eq("diagram.png");
+                expect(fs.readFileSync(path.join(dir, "content/5001/attachments/5002"), "utf8")).to.be.eq("PNG data");
+                expect(read("content/5004/content.json").ancestors).to.have.lengthOf(2);
+                expect(read("content/5005/content.json").type).to.be.eq("blogpost");
+                expect(fs.existsSync(path.join(dir, "content/5001/versions"))).to.be.false;
+                done();
+            });
+        });
+
+        it('should keep the earlier versions with the versions option', function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+
+            return confluenceAPI.content.updateContent("5004", {}, {
+                type: "page",
+                title: "Deploys",
+                body: { storage: { value: "<p>Roll out slowly.</p>", representation: "storage" } },
+                version: { number: 2 }
+            }).then(function(){
+                return confluenceAPI.space.backup("OPS", dir, { versions: true });
+            }).then(function(result){
+                expect(result.versions).to.be.true;
+                expect(read("content/5004/content.json").body.storage.value).to.be.eq("<p>Roll out slowly.</p>");
+                var first = read("content/5004/versions/1.json");
+                expect(first.version.number).to.be.eq(1);
+                expect(first.body.storage.value).to.be.eq("<p>Roll out.</p>");
+                expect(fs.readdirSync(path.join(dir, "content/5001/versions"))).to.be.empty;
+            });
+        });
+
+        it('should pick up an interrupted backup where it stopped', function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+            var startedAt;
+
+            return confluenceAPI.space.backup("OPS", dir).then(function(result){
+                startedAt = result.startedAt;
+                // as left by a run stopped in the middle of the download
+                fs.unlinkSync(path.join(dir, "content/5001/content.json"));
+                fs.unlinkSync(path.join(dir, "content/5001/attachments.json"));
+                fs.writeFileSync(path.join(dir, "content/5001/attachments/5002"), "PNG");
+                fake.requests = [];
+                return confluenceAPI.space.backup("OPS", dir);
+            }).then(function(result){
+                expect(result.resumed).to.be.eq(4);
+                expect(result.startedAt).to.be.eq(startedAt);
+                expect(result.counts).to.be.deep.eq({ pages: 4, blogposts: 1, attachments: 1 });
+                expect(fs.readFileSync(path.join(dir, "content/5001/attachments/5002"), "utf8")).to.be.eq("PNG data");
+                expect(read("content/5001/content.json").title).to.be.eq("Runbook");
+                var fetched = fake.requests.filter(function(request){
+                    return /^\/rest\/api\/content\/\d+$/.test(request.path);
+                }).map(function(request){
+                    return request.path;
+                });
+                expect(fetched).to.be.deep.eq(["/rest/api/content/5001", "/rest/api/content/5002"]);
+            });
+        });
+
+        it('should refuse a directory holding the backup of another space', function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, "manifest.json"), JSON.stringify({ format: "confluence-restapi-backup", spaceKey: "DOC" }));
+
+            return confluenceAPI.space.backup("OPS", dir).then(function(){
+                throw new Error("the backup should fail");
+            }, function(err){
+                expect(err.code).to.be.eq("EBACKUPMISMATCH");
+            });
+        });
+    });
+});
@@ -53,5 +53,46 @@ describe('ConfluenceAPI:Create Instance', function () {
 
     });
 
-});
+    describe('#buildRequest', function(){
 
+        it('should replace and encode path placeholders', function(){
+            var confluenceAPI = ConfluenceAPI.create(config);
+            var req = confluenceAPI.buildRequest({
+                method: "GET",
+                path: "/content/${id}/child/${type}",
+                pathParams: { id: "12 34", type: "page" }
+            });
+            expect(req.url).to.be.eq(config.baseUrl + "/content/12%2034/child/page");
+            expect(req.headers.Accept).to.be.eq("application/json");
+        });
+
+        it('should drop undefined parameters and join multi-value ones', function(){
+            var confluenceAPI = ConfluenceAPI.create(config);
+            var req = confluenceAPI.buildRequest({
+                method: "GET",
+                path: "/content",
+                params: { spaceKey: undefined, expand: ["body.storage", "version"] }
+            });
+            expect(req.params).to.be.deep.eq({ expand: "body.storage,version" });
+        });
+
+        it('should send a JSON content type only with a body', function(){
+            var confluenceAPI = ConfluenceAPI.create(config);
+            var req = confluenceAPI.buildRequest({
+                method: "POST",
+                path: "/content",
+                data: { title: "test" }
+            });
+            expect(req.headers["Content-Type"]).to.be.eq("application/json");
+        });
+
+        it('should throw if a path placeholder has no value', function(){
+            var confluenceAPI = ConfluenceAPI.create(config);
+            expect(function(){
+                confluenceAPI.buildRequest({ method: "GET", path: "/content/${id}" });
+            }).to.throw("expects a value for id");
+        });
+
+    });
+
+});
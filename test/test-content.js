@@ -9,9 +9,14 @@
  */
 
 var fs = require("fs");
+var http = require("http");
+var os = require("os");
+var path = require("path");
+var stream = require("stream");
 var expect = require('chai').expect;
 var ConfluenceAPI = require("../lib/ConfluenceAPI");
 var config = require('./config') || {};
+var fake = require('./setup');
 
 var tempContentId = '';
 var versionNum = 0;
@@ -263,4 +268,616 @@ describe('ConfluenceAPI: Content Module', function () {
         });
     });
 
+    describe('#upsertPage', function(){
+        var page = {
+            spaceKey: "TES",
+            parentPath: "Engineering/Runbooks",
+            title: "Upserted runbook",
+            body: "<p>Restart the service.</p>"
+        };
+
+        it('should create the page and its missing parents', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.content.upsertPage(page).then(function(result){
+                expect(result.action).to.be.eq("created");
+                expect(result.createdParents.map(function(parent){ return parent.title; })).to.be.deep.eq(["Engineering", "Runbooks"]);
+                expect(result.page.ancestors.map(function(ancestor){ return ancestor.title; })).to.be.deep.eq(["Engineering", "Runbooks"]);
+            });
+        });
+
+        it('should leave the page alone when the body is unchanged', function (done) {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            var same = Object.assign({}, page, { body: "<p>Restart the service.</p>\n" });
+            confluenceAPI.content.upsertPage(same, function(err, result) {
+                expect(err).to.be.null;
+                expect(result.action).to.be.eq("unchanged");
+                expect(result.createdParents).to.be.empty;
+                expect(result.page.version.number).to.be.eq(1);
+                done();
+            });
+        });
+
+        it('should update the page when the body changed', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            var changed = Object.assign({}, page, { body: "<p>Restart the service twice.</p>", versionMessage: "Regenerated" });
+            return confluenceAPI.content.upsertPage(changed).then(function(result){
+                expect(result.action).to.be.eq("updated");
+                expect(result.page.version.number).to.be.eq(2);
+                expect(result.page.version.message).to.be.eq("Regenerated");
+                expect(result.page.body.storage.value).to.be.eq(changed.body);
+            });
+        });
+
+        it('should compare bodies in other representations once converted', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.content.upsertPage(page).then(function(result){
+                var runbooks = result.page.ancestors[1];
+                return confluenceAPI.content.upsertPage({
+                    spaceKey: "TES",
+                    parentId: runbooks.id,
+                    title: page.title,
+                    body: page.body,
+                    representation: "editor"
+                });
+            }).then(function(result){
+                expect(result.action).to.be.eq("unchanged");
+            });
+        });
+
+        it('should convert a markdown body to storage format', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+            var markdown = Object.assign({}, page, {
+                title: "Markdown runbook",
+                body: "Restart the **service**, see [the runbook](runbooks/restart.md).",
+                representation: "markdown",
+                markdown: {
+                    pageTitle: function(path){
+                        return path === "runbooks/restart.md" ? page.title : null;
+                    }
+                }
+            });
+
+            return confluenceAPI.content.upsertPage(markdown).then(function(result){
+                expect(result.action).to.be.eq("created");
+                expect(result.page.body.storage.value).to.be.eq("<p>Restart the <strong>service</strong>, see <ac:link>" +
+                    "<ri:page ri:content-title=\"Upserted runbook\" /><ac:plain-text-link-body><![CDATA[the runbook]]>" +
+                    "</ac:plain-text-link-body></ac:link>.</p>");
+                return confluenceAPI.content.upsertPage(markdown);
+            }).then(function(result){
+                expect(result.action).to.be.eq("unchanged");
+            });
+        });
+
+        it('should refuse a title taken under another parent', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.content.upsertPage({ spaceKey: "TES", parentPath: "Engineering", title: "test child one", body: "" }).then(function(){
+                throw new Error("the upsert should fail");
+            }, function(err){
+                expect(err.code).to.be.eq("EPARENTMISMATCH");
+                expect(err.page.title).to.be.eq("test child one");
+            });
+        });
+    });
+
+    describe('#archivePages', function(){
+        it('should archive pages in a long task', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+            var pageId;
+
+            return confluenceAPI.content.createContent({}, {
+                type: "page",
+                title: "Archived page",
+                space: { key: "TES" },
+                ancestors: [{ id: "1802243" }],
+                body: { storage: { value: "<p>Old news.</p>", representation: "storage" } }
+            }).then(function(page){
+                pageId = page.id;
+                return confluenceAPI.content.archivePages([{ id: pageId }]);
+            }).then(function(task){
+                expect(task.id).to.be.ok;
+                expect(task.links.status).to.be.eq("/rest/api/longtask/" + task.id);
+                return confluenceAPI.content.getContentById(pageId, { status: "archived" });
+            }).then(function(page){
+                expect(page.status).to.be.eq("archived");
+                return confluenceAPI.content.allContentChildren("1802243", "page");
+            }).then(function(children){
+                expect(children.map(function(child){ return child.id; })).not.to.contain(pageId);
+                return confluenceAPI.content.archivePages([]);
+            }).then(function(){
+                throw new Error("archiving no page should fail");
+            }, function(err){
+                expect(err).to.be.instanceOf(ConfluenceAPI.errors.ValidationError);
+            });
+        });
+    });
+
+    describe('#exportMarkdown', function(){
+        it('should get a page with its body as Markdown', function (done) {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            confluenceAPI.content.createContent({}, {
+                type: "page",
+                title: "Exported page",
+                space: { key: "TES" },
+                body: { storage: { value: "<h1>Exported</h1><p>See <ac:link><ri:page ri:content-title=\"Watched page\" /></ac:link>" +
+                    " and <ac:image><ri:attachment ri:filename=\"chart.png\" /></ac:image>.</p>", representation: "storage" } }
+            }).then(function(page){
+                confluenceAPI.content.exportMarkdown(page.id, { attachmentPath: function(filename){ return "assets/" + filename; } }, function(err, result){
+                    expect(err).to.be.null;
+                    expect(result.page.id).to.be.eq(page.id);
+                    expect(result.markdown).to.be.eq("# Exported\n\nSee [Watched page](<Watched page.md>) and ![](assets/chart.png).\n");
+                    expect(result.attachments).to.be.deep.eq(["chart.png"]);
+                    expect(result.pages).to.be.deep.eq([{ title: "Watched page" }]);
+                    done();
+                });
+            }, done);
+        });
+    });
+
+    describe('#editContent', function(){
+        var pageId;
+
+        before(function(){
+            return ConfluenceAPI.create(config).content.createContent({}, {
+                type: "page",
+                title: "Edited page",
+                space: { key: "TES" },
+                body: { storage: { value: "<ul><li>one</li></ul>", representation: "storage" } }
+            }).then(function(page){
+                pageId = page.id;
+            });
+        });
+
+        // saves another version, as a concurrent editor would, the first times the mutation runs
+        function concurrentEdits(confluenceAPI, times, mutate){
+            var calls = 0;
+            return function(content){
+                calls++;
+                if (calls > times) {
+                    return mutate(content);
+                }
+                return confluenceAPI.content.updateContent(pageId, {}, {
+                    type: "page",
+                    title: content.title,
+                    body: { storage: { value: content.body.storage.value + "<p>edit " + calls + "</p>", representation: "storage" } },
+                    version: { number: content.version.number + 1 }
+                }).then(function(){
+                    return mutate(content);
+                });
+            };
+        }
+
+        it('should save the changes as the next version without a version number', function (done) {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            confluenceAPI.content.updateContent(pageId, {}, function(content){
+                return { body: content.body.storage.value.replace("</ul>", "<li>two</li></ul>"), version: { message: "two" } };
+            }, function(err, data) {
+                expect(err).to.be.null;
+                expect(data.version.number).to.be.eq(2);
+                expect(data.title).to.be.eq("Edited page");
+                expect(data.body.storage.value).to.be.eq("<ul><li>one</li><li>two</li></ul>");
+                done();
+            });
+        });
+
+        it('should apply the mutation again to the latest version on conflict', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+            var seen = [];
+
+            return confluenceAPI.content.editContent(pageId, concurrentEdits(confluenceAPI, 1, function(content){
+                seen.push(content.version.number);
+                return { body: content.body.storage.value + "<p>rebased</p>" };
+            })).then(function(data){
+                expect(seen).to.be.deep.eq([2, 3]);
+                expect(data.version.number).to.be.eq(4);
+                expect(data.body.storage.value).to.be.eq("<ul><li>one</li><li>two</li></ul><p>edit 1</p><p>rebased</p>");
+            });
+        });
+
+        it('should overwrite the concurrent edit with the overwrite policy', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+            var calls = 0;
+
+            return confluenceAPI.content.editContent(pageId, concurrentEdits(confluenceAPI, 1, function(){
+                calls++;
+                return { body: "<p>overwritten</p>" };
+            }), { conflictPolicy: "overwrite" }).then(function(data){
+                expect(calls).to.be.eq(1);
+                expect(data.version.number).to.be.eq(6);
+                expect(data.body.storage.value).to.be.eq("<p>overwritten</p>");
+            });
+        });
+
+        it('should fail on conflict with the abort policy', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.content.editContent(pageId, concurrentEdits(confluenceAPI, 1, function(){
+                return { title: "Aborted" };
+            }), { conflictPolicy: "abort" }).then(function(){
+                throw new Error("the edit should fail");
+            }, function(err){
+                expect(err).to.be.an.instanceof(ConfluenceAPI.errors.VersionConflictError);
+                return confluenceAPI.content.getContentById(pageId);
+            }).then(function(page){
+                expect(page.title).to.be.eq("Edited page");
+            });
+        });
+
+        it('should give up after maxRetries conflicts', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.content.editContent(pageId, concurrentEdits(confluenceAPI, 3, function(){
+                return { title: "Never saved" };
+            }), { maxRetries: 2 }).then(function(){
+                throw new Error("the edit should fail");
+            }, function(err){
+                expect(err).to.be.an.instanceof(ConfluenceAPI.errors.VersionConflictError);
+            });
+        });
+
+        it('should not save anything when the mutation returns nothing', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.content.getContentById(pageId).then(function(before){
+                return confluenceAPI.content.editContent(pageId, function(){}).then(function(data){
+                    expect(data.version.number).to.be.eq(before.version.number);
+                });
+            });
+        });
+    });
+
+    describe('#movePage', function(){
+        var pages = {};
+
+        function create(title, parentId){
+            return ConfluenceAPI.create(config).content.createContent({}, {
+                type: "page",
+                title: title,
+                space: { key: "TES" },
+                ancestors: [{ id: parentId }],
+                body: { storage: { value: "<p>" + title + "</p>", representation: "storage" } }
+            }).then(function(page){
+                pages[title] = page.id;
+            });
+        }
+
+        function childTitles(confluenceAPI, id){
+            return confluenceAPI.content.getContentChildrenByType(id, "page", {}).then(function(children){
+                return children.results.map(function(child){ return child.title; });
+            });
+        }
+
+        before(function(){
+            return create("Shelf", "1802243").then(function(){
+                return create("Drawer", "1802243");
+            }).then(function(){
+                return ["Charlie", "Alpha", "Bravo"].reduce(function(previous, title){
+                    return previous.then(function(){
+                        return create(title, pages["Shelf"]);
+                    });
+                }, Promise.resolve());
+            }).then(function(){
+                return create("Alpha detail", pages["Alpha"]);
+            });
+        });
+
+        it('should move a page before a sibling', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.content.movePage(pages["Bravo"], { targetId: pages["Charlie"], position: "before" }).then(function(data){
+                expect(data.pageId).to.be.eq(pages["Bravo"]);
+                return childTitles(confluenceAPI, pages["Shelf"]);
+            }).then(function(titles){
+                expect(titles).to.be.deep.eq(["Bravo", "Charlie", "Alpha"]);
+            });
+        });
+
+        it('should append a page with its children to a new parent', function (done) {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            confluenceAPI.content.movePage(pages["Alpha"], { targetId: pages["Drawer"] }, function(err) {
+                expect(err).to.be.null;
+                confluenceAPI.content.getContentById(pages["Alpha detail"], { expand: "ancestors" }).then(function(page){
+                    expect(page.ancestors.slice(-2).map(function(ancestor){ return ancestor.title; })).to.be.deep.eq(["Drawer", "Alpha"]);
+                    return childTitles(confluenceAPI, pages["Shelf"]);
+                }).then(function(titles){
+                    expect(titles).to.be.deep.eq(["Bravo", "Charlie"]);
+                    done();
+                }).catch(done);
+            });
+        });
+
+        it('should move a page with its children into another space', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.space.createSpace({ key: "MOV", name: "Moved pages" }).then(function(space){
+                return confluenceAPI.content.movePage(pages["Alpha"], { targetId: space.homepage.id, position: "append" });
+            }).then(function(){
+                return confluenceAPI.content.getContentById(pages["Alpha detail"], { expand: "space" });
+            }).then(function(page){
+                expect(page.space.key).to.be.eq("MOV");
+            });
+        });
+
+        it('should not move a page below itself', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.content.movePage(pages["Shelf"], { targetId: pages["Bravo"] }).then(function(){
+                throw new Error("the move should fail");
+            }, function(err){
+                expect(err).to.be.an.instanceof(ConfluenceAPI.errors.ValidationError);
+                expect(err.status).to.be.eq(400);
+            });
+        });
+    });
+
+    describe('#reorderChildren', function(){
+        var parentId;
+
+        before(function(){
+            var confluenceAPI = ConfluenceAPI.create(config);
+            return confluenceAPI.content.createContent({}, {
+                type: "page",
+                title: "Sorted shelf",
+                space: { key: "TES" },
+                ancestors: [{ id: "1802243" }]
+            }).then(function(parent){
+                parentId = parent.id;
+                return ["Mike", "alpha", "Zulu", "Kilo"].reduce(function(previous, title, index){
+                    return previous.then(function(){
+                        return confluenceAPI.content.createContent({}, {
+                            type: "page",
+                            title: title,
+                            space: { key: "TES" },
+                            ancestors: [{ id: parentId }]
+                        });
+                    }).then(function(page){
+                        return confluenceAPI.content.createContentProperty(page.id, { key: "rank", value: { rank: index } });
+                    });
+                }, Promise.resolve());
+            });
+        });
+
+        it('should sort the children by title, moving only the pages out of place', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.content.reorderChildren(parentId).then(function(result){
+                expect(result.children.map(function(child){ return child.title; })).to.be.deep.eq(["alpha", "Kilo", "Mike", "Zulu"]);
+                expect(result.moved.length).to.be.eq(2);
+                return confluenceAPI.content.getContentChildrenByType(parentId, "page", {});
+            }).then(function(children){
+                expect(children.results.map(function(child){ return child.title; })).to.be.deep.eq(["alpha", "Kilo", "Mike", "Zulu"]);
+                return confluenceAPI.content.reorderChildren(parentId);
+            }).then(function(result){
+                expect(result.moved).to.be.empty;
+            });
+        });
+
+        it('should sort the children by a content property', function (done) {
+            var confluenceAPI = ConfluenceAPI.create(config);
+            var rank = function(page){
+                return page.metadata.properties.rank.value.rank;
+            };
+
+            confluenceAPI.content.reorderChildren(parentId, function(a, b){
+                return rank(b) - rank(a);
+            }, { expand: "metadata.properties.rank" }, function(err, result) {
+                expect(err).to.be.null;
+                expect(result.children.map(function(child){ return child.title; })).to.be.deep.eq(["Kilo", "Zulu", "alpha", "Mike"]);
+                done();
+            });
+        });
+    });
+
+    describe('#downloadAttachment', function(){
+        var contentId = "1802243";
+        var attachmentId;
+        var first = "This attachment is part of the test data";
+        var second = "The second version of the attachment, a little longer than the first";
+        var dir;
+
+        before(function(){
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "confluence-download-"));
+            var confluenceAPI = ConfluenceAPI.create(config);
+            return confluenceAPI.content.getAttachments(contentId, { filename: "readme.txt" }).then(function(data){
+                attachmentId = data.results[0].id;
+                return confluenceAPI.content.updateAttachmentData(contentId, attachmentId, {
+                    file: { value: Buffer.from(second), options: { filename: "readme.txt", contentType: "text/plain" } },
+                    minorEdit: "true"
+                });
+            });
+        });
+
+        after(function(){
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        function read(stream){
+            return new Promise(function(resolve, reject){
+                var chunks = [];
+                stream.on('data', function(chunk){ chunks.push(chunk); });
+                stream.on('end', function(){ resolve(Buffer.concat(chunks).toString("utf8")); });
+                stream.on('error', reject);
+            });
+        }
+
+        it('should stream the latest version of an attachment', function (done) {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            confluenceAPI.content.downloadAttachment(contentId, attachmentId, function(err, data) {
+                expect(err).to.be.null;
+                expect(data.filename).to.be.eq("readme.txt");
+                expect(data.contentType).to.be.eq("text/plain");
+                expect(data.version).to.be.eq(2);
+                read(data).then(function(text){
+                    expect(text).to.be.eq(second);
+                    done();
+                }, done);
+            });
+        });
+
+        it('should stream an older version from a start byte', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.content.downloadAttachment(contentId, attachmentId, { version: 1, start: 5 }).then(function(data){
+                expect(data.version).to.be.eq(1);
+                expect(data.size).to.be.eq(first.length - 5);
+                return read(data);
+            }).then(function(text){
+                expect(text).to.be.eq(first.substring(5));
+            });
+        });
+
+        it('should write to a path and resume a partial file', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+            var target = path.join(dir, "resumed.txt");
+            fs.writeFileSync(target, second.substring(0, 10));
+
+            return confluenceAPI.content.downloadAttachment(contentId, attachmentId, { path: target, resume: true }).then(function(result){
+                expect(result.path).to.be.eq(target);
+                expect(result.resumedFrom).to.be.eq(10);
+                expect(result.size).to.be.eq(second.length);
+                expect(fs.readFileSync(target, "utf8")).to.be.eq(second);
+                // already complete, the server answers 416
+                return confluenceAPI.content.downloadAttachment(contentId, attachmentId, { path: target, resume: true });
+            }).then(function(result){
+                expect(result.resumedFrom).to.be.eq(second.length);
+                expect(fs.readFileSync(target, "utf8")).to.be.eq(second);
+            });
+        });
+
+        it('should continue a transfer cut in the middle', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+            var target = path.join(dir, "cut.txt");
+            var ranges = [];
+            confluenceAPI.use(function(req, next, done){
+                if (req.url.indexOf("/download/attachments/") < 0) {
+                    return next();
+                }
+                ranges.push(req.headers["Range"]);
+                next(function(err, data, res){
+                    if (ranges.length > 1) {
+                        return done(err, data, res);
+                    }
+                    var cut = new stream.PassThrough();
+                    data.once('data', function(chunk){
+                        data.destroy();
+                        cut.write(chunk.slice(0, 7));
+                        // the connection drops once the first bytes are on disk
+                        (function drop(){
+                            if (!fs.existsSync(target) || fs.statSync(target).size < 7) {
+                                return setTimeout(drop, 5);
+                            }
+                            var reset = new Error("socket hang up");
+                            reset.code = "ECONNRESET";
+                            cut.destroy(reset);
+                        })();
+                    });
+                    done(err, cut, res);
+                });
+            });
+
+            return confluenceAPI.content.downloadAttachment(contentId, attachmentId, { path: target, retry: { baseDelay: 1 } }).then(function(result){
+                expect(ranges).to.be.deep.eq([undefined, "bytes=7-"]);
+                expect(result.resumedFrom).to.be.eq(0);
+                expect(fs.readFileSync(target, "utf8")).to.be.eq(second);
+            });
+        });
+
+        it('should fail when the file does not have the size of the attachment', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+            confluenceAPI.use(function(req, next, done){
+                next(function(err, data, res){
+                    if (req.url.indexOf("/download/attachments/") < 0) {
+                        return done(err, data, res);
+                    }
+                    var truncated = new stream.PassThrough();
+                    truncated.end(Buffer.from("truncated"));
+                    done(err, truncated, res);
+                });
+            });
+
+            return confluenceAPI.content.downloadAttachment(contentId, attachmentId).then(read).then(function(){
+                throw new Error("the download should fail");
+            }, function(err){
+                expect(err.code).to.be.eq("ESIZEMISMATCH");
+                expect(err.expected).to.be.eq(second.length);
+            });
+        });
+
+        it('should follow a redirect to another host without the credentials', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+            var seen = [];
+            var media = http.createServer(function(req, res){
+                seen.push({ url: req.url, authorization: req.headers["authorization"] });
+                res.writeHead(200, { "Content-Type": "text/plain" });
+                res.end(second);
+            });
+
+            return new Promise(function(resolve){
+                media.listen(0, "127.0.0.1", resolve);
+            }).then(function(){
+                fake.fail({
+                    method: "GET",
+                    path: "/download/attachments/",
+                    status: 302,
+                    headers: { "Location": "http://127.0.0.1:" + media.address().port + "/file/42/binary?token=media" }
+                });
+                return confluenceAPI.content.downloadAttachment(contentId, attachmentId);
+            }).then(read).then(function(text){
+                expect(text).to.be.eq(second);
+                expect(seen).to.be.deep.eq([{ url: "/file/42/binary?token=media", authorization: undefined }]);
+            }).then(function(){
+                media.close();
+            }, function(err){
+                media.close();
+                throw err;
+            });
+        });
+
+        it('should keep the credentials on a redirect to the same host', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+            var download = "/wiki/download/attachments/" + contentId + "/readme.txt";
+            fake.fail({ method: "GET", path: "/download/attachments/", status: 302, headers: { "Location": download + "?api=v2" } });
+            var since = fake.requests.length;
+
+            return confluenceAPI.content.downloadAttachment(contentId, attachmentId).then(read).then(function(text){
+                expect(text).to.be.eq(second);
+                var downloads = fake.requests.slice(since).filter(function(request){
+                    return request.path.indexOf("/download/attachments/") === 0;
+                });
+                expect(downloads.length).to.be.eq(2);
+                expect(downloads[1].query.api).to.be.eq("v2");
+                expect(downloads[1].headers["authorization"]).to.be.eq(downloads[0].headers["authorization"]);
+            });
+        });
+
+        it('should give up after too many redirects', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+            fake.fail({ method: "GET", path: "/download/attachments/", status: 302, times: 6, headers: { "Location": "/wiki/download/attachments/" + contentId + "/readme.txt" } });
+
+            return confluenceAPI.content.downloadAttachment(contentId, attachmentId).then(function(){
+                throw new Error("the download should fail");
+            }, function(err){
+                expect(err.code).to.be.eq("EREDIRECTS");
+            });
+        });
+
+        it('should not download an attachment of other content', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.content.downloadAttachment("262146", attachmentId).then(function(){
+                throw new Error("the download should fail");
+            }, function(err){
+                expect(err).to.be.instanceof(ConfluenceAPI.errors.NotFoundError);
+            });
+        });
+    });
+
 });
\ No newline at end of file
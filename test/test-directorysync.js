@@ -0,0 +1,210 @@
+/**
+ * Tests for lib/DirectorySync.js and Space#syncDirectory
+ */
+
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var expect = require('chai').expect;
+var ConfluenceAPI = require("../lib/ConfluenceAPI");
+var FakeConfluence = require("../lib/fake");
+
+describe('ConfluenceAPI: DirectorySync', function () {
+    var fake;
+    var dir;
+
+    function write(file, text){
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), text);
+    }
+
+    function lines(result){
+        return result.plan.split("\n");
+    }
+
+    function page(confluenceAPI, title, expand){
+        return confluenceAPI.content.getContent({ spaceKey: "DOC", title: title, expand: expand }).then(function(result){
+            return result.results[0];
+        });
+    }
+
+    beforeEach(function(){
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "directorysync-"));
+        write("index.md", "# Docs\n\nStart with the [guide](guide/README.md).\n");
+        write("guide/README.md", "# Guide\n\nRead [the install](install.md#steps) first.\n");
+        write("guide/install.md", "# Install\n\n![Diagram](img/diagram.png)\n\n```sh\nnpm install\n```\n");
+        write("guide/img/diagram.png", "PNG");
+        write("guide/faq.md", "Ask in the channel.\n");
+        write(".drafts/later.md", "# Later\n");
+
+        fake = new FakeConfluence({ users: [{ username: "admin", password: "s3cret" }] });
+        fake.seed({ spaces: [{ key: "DOC", name: "Docs", pages: [] }] });
+        return fake.listen();
+    });
+
+    afterEach(function(){
+        fs.rmSync(dir, { recursive: true, force: true });
+        return fake.close();
+    });
+
+    describe('#syncDirectory', function(){
+        it('should plan the changes without making them on a dry run', function(done){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+
+            confluenceAPI.space.syncDirectory("DOC", dir, { dryRun: true }, function(err, result){
+                expect(err).to.be.null;
+                expect(result.dryRun).to.be.true;
+                expect(lines(result)).to.be.deep.eq([
+                    "update    ./ \"Docs\" (title, body)",
+                    "create    guide/ \"Guide\"",
+                    "create    guide/faq.md \"faq\"",
+                    "create    guide/install.md \"Install\""
+                ]);
+                expect(result.actions[3]).to.be.deep.eq({
+                    type: "create",
+                    path: "guide/install.md",
+                    title: "Install",
+                    pageId: null,
+                    parentPath: "guide/",
+                    changes: [],
+                    attachments: ["diagram.png"]
+                });
+                page(confluenceAPI, "Guide").then(function(guide){
+                    expect(guide).to.be.undefined;
+                    done();
+                }).catch(done);
+            });
+        });
+
+        it('should create the pages with their links, attachments and source hash', function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+
+            return confluenceAPI.space.syncDirectory("DOC", dir).then(function(result){
+                expect(result.dryRun).to.be.false;
+                expect(result.actions.every(function(action){
+                    return action.pageId;
+                })).to.be.true;
+                return page(confluenceAPI, "Install", "ancestors,body.storage,children.attachment,metadata.properties.docs-sync");
+            }).then(function(install){
+                expect(install.ancestors.map(function(ancestor){ return ancestor.title; })).to.be.deep.eq(["Docs", "Guide"]);
+                expect(install.body.storage.value).to.contain("<ri:attachment ri:filename=\"diagram.png\" />");
+                expect(install.children.attachment.results.map(function(attachment){ return attachment.title; })).to.be.deep.eq(["diagram.png"]);
+                expect(install.metadata.properties["docs-sync"].value.path).to.be.eq("guide/install.md");
+                expect(install.metadata.properties["docs-sync"].value.hash).to.match(/^[0-9a-f]{64}$/);
+                return page(confluenceAPI, "Guide", "body.storage");
+            }).then(function(guide){
+                expect(guide.body.storage.value).to.be.eq("<p>Read <ac:link ac:anchor=\"steps\"><ri:page ri:content-title=\"Install\" />" +
+                    "<ac:plain-text-link-body><![CDATA[the install]]></ac:plain-text-link-body></ac:link> first.</p>");
+            });
+        });
+
+        it('should only update the pages whose source changed or moved', function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+
+            return confluenceAPI.space.syncDirectory("DOC", dir).then(function(){
+                return confluenceAPI.space.syncDirectory("DOC", dir);
+            }).then(function(result){
+                expect(result.actions.map(function(action){ return action.type; })).to.be.deep.eq(["unchanged", "unchanged", "unchanged", "unchanged"]);
+
+                write("guide/img/diagram.png", "PNG, redrawn");
+                fs.renameSync(path.join(dir, "guide/faq.md"), path.join(dir, "faq.md"));
+                return confluenceAPI.space.syncDirectory("DOC", dir, { versionMessage: "Synced" });
+            }).then(function(result){
+                expect(lines(result)).to.be.deep.eq([
+                    "unchanged ./ \"Docs\"",
+                    "update    faq.md \"faq\" (parent)",
+                    "unchanged guide/ \"Guide\"",
+                    "update    guide/install.md \"Install\" (body)"
+                ]);
+                return page(confluenceAPI, "faq", "ancestors,version");
+            }).then(function(faq){
+                expect(faq.ancestors.map(function(ancestor){ return ancestor.title; })).to.be.deep.eq(["Docs"]);
+                expect(faq.version.number).to.be.eq(1);
+                return page(confluenceAPI, "Install", "version,children.attachment.version");
+            }).then(function(install){
+                expect(install.version.number).to.be.eq(2);
+                expect(install.version.message).to.be.eq("Synced");
+                expect(install.children.attachment.results[0].version.number).to.be.eq(2);
+            });
+        });
+
+        it('should archive or trash the pages whose file is gone', function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+            var faqId;
+
+            return confluenceAPI.space.syncDirectory("DOC", dir).then(function(result){
+                faqId = result.actions[2].pageId;
+                fs.unlinkSync(path.join(dir, "guide/faq.md"));
+                return confluenceAPI.space.syncDirectory("DOC", dir);
+            }).then(function(result){
+                expect(lines(result)).to.contain("archive   guide/faq.md \"faq\"");
+                return confluenceAPI.content.getContentById(faqId, { status: "archived" });
+            }).then(function(faq){
+                expect(faq.status).to.be.eq("archived");
+
+                fs.unlinkSync(path.join(dir, "guide/install.md"));
+                return confluenceAPI.space.syncDirectory("DOC", dir, { orphans: "trash" });
+            }).then(function(result){
+                expect(lines(result)).to.contain("trash     guide/install.md \"Install\"");
+                return confluenceAPI.content.getContent({ spaceKey: "DOC", title: "Install", status: "trashed" });
+            }).then(function(result){
+                expect(result.results).to.have.lengthOf(1);
+            });
+        });
+
+        it('should sync the index of the directory into the root page', function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+            var homepageId;
+            fs.unlinkSync(path.join(dir, "index.md"));
+            write("README.md", "Start with the [guide](guide/README.md).\n");
+
+            return confluenceAPI.space.getSpace("DOC", { expand: "homepage" }).then(function(space){
+                homepageId = space.homepage.id;
+                return confluenceAPI.space.syncDirectory("DOC", dir);
+            }).then(function(result){
+                expect(lines(result)[0]).to.be.eq("update    ./ \"Docs Home\" (body)");
+                expect(result.actions[0].pageId).to.be.eq(homepageId);
+                return confluenceAPI.content.getContentById(homepageId, { expand: "ancestors,body.storage,version" });
+            }).then(function(homepage){
+                expect(homepage.title).to.be.eq("Docs Home");
+                expect(homepage.ancestors).to.be.empty;
+                expect(homepage.version.number).to.be.eq(2);
+                expect(homepage.body.storage.value).to.be.eq("<p>Start with the <ac:link><ri:page ri:content-title=\"Guide\" />" +
+                    "<ac:plain-text-link-body><![CDATA[guide]]></ac:plain-text-link-body></ac:link>.</p>");
+                return page(confluenceAPI, "README");
+            }).then(function(readme){
+                expect(readme).to.be.undefined;
+            });
+        });
+
+        it('should refuse to take over a page outside of the root holding the title of a file', function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+            fake.seed({ spaces: [{ key: "OPS", name: "Operations", pages: [{ id: "9001", title: "Handbook" }, { id: "9002", title: "Install", body: "<p>Ours.</p>" }] }] });
+
+            return confluenceAPI.space.syncDirectory("OPS", dir, { parentId: "9001" }).then(function(){
+                throw new Error("the sync should fail");
+            }, function(err){
+                expect(err.code).to.be.eq("ETITLECONFLICT");
+                expect(err.message).to.contain("\"Install\"");
+                expect(err.message).to.contain("guide/install.md");
+                return confluenceAPI.content.getContentById("9002", { expand: "ancestors,body.storage,version" });
+            }).then(function(install){
+                expect(install.ancestors.map(function(ancestor){ return ancestor.title; })).to.be.deep.eq(["Operations Home"]);
+                expect(install.body.storage.value).to.be.eq("<p>Ours.</p>");
+                expect(install.version.number).to.be.eq(1);
+            });
+        });
+
+        it('should refuse pages with the same title', function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+            write("guide/setup.md", "# Install\n");
+
+            return confluenceAPI.space.syncDirectory("DOC", dir, { dryRun: true }).then(function(){
+                throw new Error("the sync should fail");
+            }, function(err){
+                expect(err.code).to.be.eq("EDUPLICATETITLE");
+                expect(err.message).to.contain("guide/install.md and guide/setup.md");
+            });
+        });
+    });
+});
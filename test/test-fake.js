@@ -0,0 +1,211 @@
+/**
+ * Tests for lib/fake, the fake Confluence server.
+ */
+
+var http = require('http');
+var expect = require('chai').expect;
+var ConfluenceAPI = require("../lib/ConfluenceAPI");
+var FakeConfluence = require("../lib/fake");
+
+describe('ConfluenceAPI: Fake Server', function () {
+    var fake;
+
+    beforeEach(function(){
+        fake = new FakeConfluence({
+            users: [
+                { username: "admin", password: "admin", groups: ["confluence-administrators"] },
+                { username: "guest", password: "guest", groups: ["confluence-users"] }
+            ],
+            longTaskSteps: 2
+        });
+        fake.seed({
+            spaces: [{
+                key: "DOC",
+                name: "Documentation",
+                pages: [{
+                    title: "Guide",
+                    body: "<p>Install the client</p>",
+                    labels: ["howto"],
+                    children: [{ title: "Setup", body: "<p>Setup steps</p>", labels: ["howto"] }]
+                }, {
+                    title: "Release notes",
+                    body: "<p>What changed</p>",
+                    attachments: [{ title: "notes.txt", data: "0123456789", mediaType: "text/plain" }]
+                }]
+            }]
+        });
+        return fake.listen();
+    });
+
+    afterEach(function(){
+        return fake.close();
+    });
+
+    function client(username){
+        return ConfluenceAPI.create(fake.config(username)).withOptions({ retry: false });
+    }
+
+    describe('#authenticate', function(){
+        it('should answer 401 for wrong credentials', function(){
+            var confluenceAPI = ConfluenceAPI.create({ user: "admin", password: "wrong", baseUrl: fake.baseUrl, retry: false });
+            return confluenceAPI.user.getCurrentUser({}).then(function(){
+                throw new Error("expected a 401");
+            }, function(err){
+                expect(err).to.be.an.instanceof(ConfluenceAPI.errors.UnauthorizedError);
+            });
+        });
+    });
+
+    describe('#pagination', function(){
+        it('should link the next page relative to the context path', function(){
+            return client().content.getContent({ spaceKey: "DOC", limit: 2 }).then(function(page){
+                expect(page.size).to.be.eq(2);
+                expect(page._links.next).to.match(/^\/rest\/api\/content\?/);
+                expect(page._links.next).to.contain("start=2");
+                return client().content.allContent({ spaceKey: "DOC", limit: 1 });
+            }).then(function(pages){
+                expect(pages.map(function(page){
+                    return page.title;
+                })).to.be.deep.eq(["Documentation Home", "Guide", "Setup", "Release notes"]);
+            });
+        });
+    });
+
+    describe('#content', function(){
+        it('should reject an update that does not increment the version', function(){
+            var confluenceAPI = client();
+            return confluenceAPI.content.createContent({}, {
+                type: "page",
+                title: "Draft",
+                space: { key: "DOC" },
+                body: { storage: { value: "<p>v1</p>", representation: "storage" } }
+            }).then(function(page){
+                return confluenceAPI.content.updateContent(page.id, {}, {
+                    type: "page",
+                    title: "Draft",
+                    version: { number: 1 }
+                });
+            }).then(function(){
+                throw new Error("expected a version conflict");
+            }, function(err){
+                expect(err).to.be.an.instanceof(ConfluenceAPI.errors.VersionConflictError);
+                expect(err.message).to.contain("Current version is: 1");
+            });
+        });
+
+        it('should keep the previous versions', function(){
+            var confluenceAPI = client();
+            var id;
+            return confluenceAPI.content.getContent({ title: "Guide", spaceKey: "DOC" }).then(function(page){
+                id = page.results[0].id;
+                return confluenceAPI.content.updateContent(id, {}, {
+                    type: "page",
+                    title: "Guide",
+                    version: { number: 2 },
+                    body: { storage: { value: "<p>v2</p>", representation: "storage" } }
+                });
+            }).then(function(){
+                return confluenceAPI.content.getContentById(id, { status: "historical", version: 1, expand: "body.storage" });
+            }).then(function(old){
+                expect(old.body.storage.value).to.be.eq("<p>Install the client</p>");
+                expect(old.version.number).to.be.eq(1);
+            });
+        });
+
+        it('should hide read restricted pages from other users', function(){
+            var admin = client("admin");
+            var id;
+            return admin.content.getContent({ title: "Guide", spaceKey: "DOC" }).then(function(page){
+                id = page.results[0].id;
+                return admin.content.updateRestriction(id, {}, [{
+                    operation: "read",
+                    restrictions: { user: [{ type: "known", username: "admin" }] }
+                }]);
+            }).then(function(){
+                return client("guest").content.getContentById(id, {});
+            }).then(function(){
+                throw new Error("expected a 404");
+            }, function(err){
+                expect(err).to.be.an.instanceof(ConfluenceAPI.errors.NotFoundError);
+            });
+        });
+    });
+
+    describe('#search', function(){
+        it('should filter and order with CQL', function(){
+            var params = { cql: "space = DOC and label = howto order by title desc" };
+            return client().search.search(params).then(function(data){
+                expect(data.totalSize).to.be.eq(2);
+                expect(data.results.map(function(result){
+                    return result.title;
+                })).to.be.deep.eq(["Setup", "Guide"]);
+            });
+        });
+
+        it('should answer 400 to a query it cannot parse', function(){
+            return client().search.search({ cql: "title = " }).then(function(){
+                throw new Error("expected a 400");
+            }, function(err){
+                expect(err).to.be.an.instanceof(ConfluenceAPI.errors.ValidationError);
+                expect(err.message).to.contain("Could not parse cql");
+            });
+        });
+    });
+
+    describe('#longtask', function(){
+        it('should complete after being polled', function(){
+            var confluenceAPI = client();
+            var taskId;
+            return confluenceAPI.space.deleteSpace("DOC").then(function(task){
+                taskId = task.id;
+                return confluenceAPI.longtask.getLongRuningTask(taskId);
+            }).then(function(status){
+                expect(status.percentageComplete).to.be.eq(50);
+                expect(status.finished).to.be.false;
+                return confluenceAPI.longtask.getLongRuningTask(taskId);
+            }).then(function(status){
+                expect(status.percentageComplete).to.be.eq(100);
+                expect(status.successful).to.be.true;
+            });
+        });
+    });
+
+    describe('#download', function(){
+        it('should serve attachment data with ranges', function(done){
+            client().content.getContent({ title: "Release notes", spaceKey: "DOC", expand: "children.attachment" }).then(function(page){
+                var attachment = page.results[0].children.attachment.results[0];
+                var url = fake.origin + "/wiki" + attachment._links.download;
+                http.get(url, {
+                    headers: {
+                        "Authorization": "Basic " + Buffer.from("admin:admin").toString("base64"),
+                        "Range": "bytes=4-"
+                    }
+                }, function(res){
+                    var chunks = [];
+                    res.on('data', function(chunk){
+                        chunks.push(chunk);
+                    });
+                    res.on('end', function(){
+                        expect(res.statusCode).to.be.eq(206);
+                        expect(res.headers["content-range"]).to.be.eq("bytes 4-9/10");
+                        expect(Buffer.concat(chunks).toString()).to.be.eq("456789");
+                        done();
+                    });
+                });
+            }).catch(done);
+        });
+    });
+
+    describe('#fail', function(){
+        it('should inject faults the client retries', function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+            fake.fail({ method: "GET", path: "/space", status: 503, headers: { "Retry-After": "0" }, times: 2 });
+            return confluenceAPI.space.getSpaces({}).then(function(data){
+                expect(data.size).to.be.eq(1);
+                expect(fake.requests.filter(function(req){
+                    return req.path === "/rest/api/space";
+                }).length).to.be.eq(3);
+            });
+        });
+    });
+});
@@ -0,0 +1,256 @@
+/**
+ * Tests for lib/storage/markdown, the conversions between Markdown and storage format
+ */
+
+var expect = require('chai').expect;
+var ConfluenceAPI = require("../lib/ConfluenceAPI");
+var storage = ConfluenceAPI.storage;
+
+describe('ConfluenceAPI: Markdown', function () {
+
+    describe('#fromMarkdown', function(){
+        it('should convert the blocks and inline formatting', function(){
+            var markdown = [
+                "# Runbook *fast*",
+                "",
+                "Restart the **billing** service with `restart <name>`,",
+                "not ~~stop~~ then start.  ",
+                "See https://example.com/status.",
+                "",
+                "Setext heading",
+                "--------------",
+                "",
+                "> quoted",
+                "lazily",
+                "",
+                "***"
+            ].join("\n");
+            expect(storage.fromMarkdown(markdown)).to.be.eq(
+                "<h1>Runbook <em>fast</em></h1>" +
+                "<p>Restart the <strong>billing</strong> service with <code>restart &lt;name&gt;</code>,\n" +
+                "not <del>stop</del> then start.<br />See <a href=\"https://example.com/status\">https://example.com/status</a>.</p>" +
+                "<h2>Setext heading</h2>" +
+                "<blockquote><p>quoted\nlazily</p></blockquote>" +
+                "<hr />");
+            expect(storage.fromMarkdown("")).to.be.eq("");
+        });
+
+        it('should keep the hard break ending the first line of a paragraph or list item', function(){
+            expect(storage.fromMarkdown("a  \nb")).to.be.eq("<p>a<br />b</p>");
+            expect(storage.fromMarkdown("- item one  \n  continued")).to.be.eq("<ul><li>item one<br />continued</li></ul>");
+            expect(storage.fromMarkdown("last  ")).to.be.eq("<p>last</p>");
+        });
+
+        it('should convert code blocks to the code macro', function(){
+            var markdown = [
+                "```sh",
+                "systemctl restart billing && echo \"<done>\"",
+                "```",
+                "",
+                "    plain",
+                "    code"
+            ].join("\n");
+            var tree = storage.parse(storage.fromMarkdown(markdown));
+            var macros = storage.macros(tree, "code");
+            expect(macros.map(storage.macroParameters)).to.be.deep.eq([{ language: "bash" }, {}]);
+            expect(macros.map(function(macro){
+                return storage.textContent(storage.macroBody(macro));
+            })).to.be.deep.eq(["systemctl restart billing && echo \"<done>\"", "plain\ncode"]);
+        });
+
+        it('should convert admonitions to the info, tip, note and warning macros', function(){
+            var markdown = [
+                "> [!NOTE]",
+                "> Read **this**.",
+                "",
+                ":::caution Before you start",
+                "Back up the database.",
+                ":::",
+                "",
+                "> [!TIP]",
+                "> Use staging."
+            ].join("\n");
+            expect(storage.fromMarkdown(markdown)).to.be.eq(
+                "<ac:structured-macro ac:name=\"info\"><ac:rich-text-body><p>Read <strong>this</strong>.</p></ac:rich-text-body></ac:structured-macro>" +
+                "<ac:structured-macro ac:name=\"warning\"><ac:parameter ac:name=\"title\">Before you start</ac:parameter>" +
+                "<ac:rich-text-body><p>Back up the database.</p></ac:rich-text-body></ac:structured-macro>" +
+                "<ac:structured-macro ac:name=\"tip\"><ac:rich-text-body><p>Use staging.</p></ac:rich-text-body></ac:structured-macro>");
+        });
+
+        it('should convert tables, lists and task lists', function(){
+            var markdown = [
+                "| Step | Who |",
+                "|:----:|----:|",
+                "| 1 \\| 2 | *ops* |",
+                "",
+                "1. one",
+                "2. two",
+                "   - nested",
+                "",
+                "- [x] backup",
+                "- [ ] restart"
+            ].join("\n");
+            expect(storage.fromMarkdown(markdown)).to.be.eq(
+                "<table><tbody><tr><th style=\"text-align: center;\">Step</th><th style=\"text-align: right;\">Who</th></tr>" +
+                "<tr><td style=\"text-align: center;\">1 | 2</td><td style=\"text-align: right;\"><em>ops</em></td></tr></tbody></table>" +
+                "<ol><li>one</li><li>two<ul><li>nested</li></ul></li></ol>" +
+                "<ac:task-list><ac:task><ac:task-id>1</ac:task-id><ac:task-status>complete</ac:task-status><ac:task-body>backup</ac:task-body></ac:task>" +
+                "<ac:task><ac:task-id>2</ac:task-id><ac:task-status>incomplete</ac:task-status><ac:task-body>restart</ac:task-body></ac:task></ac:task-list>");
+        });
+
+        it('should link relative files to pages and attachments', function(){
+            var markdown = [
+                "See [Deploys](../ops/Deploys.md#rollback), [**the guide**][guide], [the log](logs/run%201.txt),",
+                "[top](#overview) and [the site](https://example.com \"Site\").",
+                "",
+                "![Diagram](img/diagram.png) ![Logo](https://example.com/logo.png)",
+                "",
+                "[guide]: guide/index.md"
+            ].join("\n");
+            var options = {
+                pageTitle: function(path){
+                    return path === "guide/index.md" ? { title: "Guide", spaceKey: "DOC" } : undefined;
+                }
+            };
+            var references = storage.references(storage.parse(storage.fromMarkdown(markdown, options)));
+            expect(references.map(function(reference){
+                return [reference.type, reference.attributes];
+            })).to.be.deep.eq([
+                ["page", { "content-title": "Guide", "space-key": "DOC" }],
+                ["attachment", { filename: "run 1.txt" }],
+                ["attachment", { filename: "diagram.png" }],
+                ["url", { value: "https://example.com/logo.png" }]
+            ]);
+
+            var xml = storage.fromMarkdown(markdown);
+            expect(xml).to.contain("<ac:link ac:anchor=\"rollback\"><ri:page ri:content-title=\"Deploys\" />" +
+                "<ac:plain-text-link-body><![CDATA[Deploys]]></ac:plain-text-link-body></ac:link>");
+            expect(xml).to.contain("<ac:link><ri:page ri:content-title=\"index\" /><ac:link-body><strong>the guide</strong></ac:link-body></ac:link>");
+            expect(xml).to.contain("<ac:link ac:anchor=\"overview\"><ac:plain-text-link-body><![CDATA[top]]></ac:plain-text-link-body></ac:link>");
+            expect(xml).to.contain("<a href=\"https://example.com\" title=\"Site\">the site</a>");
+            expect(xml).to.contain("<ac:image ac:alt=\"Diagram\"><ri:attachment ri:filename=\"diagram.png\" /></ac:image>");
+        });
+    });
+
+    describe('#toMarkdown', function(){
+        var BODY = [
+            "<ac:structured-macro ac:name=\"toc\"><ac:parameter ac:name=\"maxLevel\">2</ac:parameter></ac:structured-macro>",
+            "<h1>Runbook &amp; checklist</h1>",
+            "<p>Restart&nbsp;the <strong>billing </strong>service, not *all* of snake_case, see",
+            "<ac:link ac:anchor=\"rollback\"><ri:page ri:content-title=\"Deploys\" ri:space-key=\"OPS\" /></ac:link>",
+            "and <a href=\"https://example.com/?a=1&amp;b=2\">the docs</a>.<br/>Owner: <ac:link><ri:user ri:username=\"sam\" /></ac:link></p>",
+            "<p>1. not a list</p>",
+            "<h2>Steps</h2>",
+            "<ac:structured-macro ac:name=\"code\"><ac:parameter ac:name=\"language\">bash</ac:parameter>",
+            "<ac:plain-text-body><![CDATA[systemctl restart billing && echo \"<done>\"]]></ac:plain-text-body></ac:structured-macro>",
+            "<ac:structured-macro ac:name=\"note\"><ac:parameter ac:name=\"title\">Careful</ac:parameter>",
+            "<ac:rich-text-body><p>Ask <em>ops</em> first.</p><ul><li>twice</li></ul></ac:rich-text-body></ac:structured-macro>",
+            "<ac:structured-macro ac:name=\"expand\"><ac:parameter ac:name=\"title\">Logs</ac:parameter>",
+            "<ac:rich-text-body><p>See <code>journalctl</code>.</p></ac:rich-text-body></ac:structured-macro>",
+            "<h3>Deep</h3>"
+        ].join("\n");
+
+        it('should convert the blocks, inline formatting and macros', function(){
+            expect(storage.toMarkdown(BODY).markdown).to.be.eq([
+                "- [Runbook & checklist](#runbook--checklist)",
+                "  - [Steps](#steps)",
+                "",
+                "# Runbook & checklist",
+                "",
+                "Restart the **billing** service, not \\*all\\* of snake_case, see [Deploys](Deploys.md#rollback) " +
+                    "and [the docs](https://example.com/?a=1&b=2).\\",
+                "Owner: @sam",
+                "",
+                "1\\. not a list",
+                "",
+                "## Steps",
+                "",
+                "```bash",
+                "systemctl restart billing && echo \"<done>\"",
+                "```",
+                "",
+                "> [!WARNING]",
+                "> **Careful**",
+                ">",
+                "> Ask *ops* first.",
+                ">",
+                "> - twice",
+                "",
+                "<details>",
+                "<summary>Logs</summary>",
+                "",
+                "See `journalctl`.",
+                "",
+                "</details>",
+                "",
+                "### Deep",
+                ""
+            ].join("\n"));
+            expect(storage.toMarkdown("").markdown).to.be.eq("");
+        });
+
+        it('should convert tables, lists and task lists', function(){
+            var body = "<table><tbody><tr><th style=\"text-align: center;\">Step</th><th>Who</th></tr>" +
+                "<tr><td><p>1 | 2</p></td><td><strong>ops</strong></td></tr><tr><td>3</td></tr></tbody></table>" +
+                "<ol start=\"3\"><li>three<ul><li>nested</li></ul></li><li><p>four</p><p>more</p></li></ol>" +
+                "<ac:task-list><ac:task><ac:task-id>1</ac:task-id><ac:task-status>complete</ac:task-status>" +
+                "<ac:task-body>backup</ac:task-body></ac:task><ac:task><ac:task-id>2</ac:task-id>" +
+                "<ac:task-status>incomplete</ac:task-status><ac:task-body>restart</ac:task-body></ac:task></ac:task-list>";
+            expect(storage.toMarkdown(body).markdown).to.be.eq([
+                "| Step | Who |",
+                "| :---: | --- |",
+                "| 1 \\| 2 | **ops** |",
+                "| 3 |  |",
+                "",
+                "3. three",
+                "   - nested",
+                "4. four",
+                "",
+                "   more",
+                "",
+                "- [x] backup",
+                "- [ ] restart",
+                ""
+            ].join("\n"));
+        });
+
+        it('should list the attachments and pages the links point to', function(){
+            var body = "<p><ac:image ac:alt=\"Diagram\"><ri:attachment ri:filename=\"diagram 1.png\" /></ac:image>" +
+                "<ac:link><ri:attachment ri:filename=\"run.txt\" /><ac:plain-text-link-body><![CDATA[the log]]></ac:plain-text-link-body></ac:link>" +
+                " <ac:link><ri:page ri:content-title=\"Deploys\" /><ac:link-body><em>deploys</em></ac:link-body></ac:link>" +
+                " <ac:link><ri:page ri:content-title=\"Billing\" ri:space-key=\"FIN\" /></ac:link>" +
+                " <ac:link><ri:page ri:content-title=\"Deploys\" /></ac:link></p>";
+            var result = storage.toMarkdown(body, {
+                pagePath: function(page){
+                    return page.spaceKey ? null : "../runbooks/" + page.title.toLowerCase() + ".md";
+                },
+                attachmentPath: function(filename){
+                    return "assets/" + filename;
+                }
+            });
+            expect(result.markdown).to.be.eq("![Diagram](<assets/diagram 1.png>)[the log](assets/run.txt) " +
+                "[*deploys*](../runbooks/deploys.md) Billing [Deploys](../runbooks/deploys.md)\n");
+            expect(result.attachments).to.be.deep.eq(["diagram 1.png", "run.txt"]);
+            expect(result.pages).to.be.deep.eq([{ title: "Deploys" }, { title: "Billing", spaceKey: "FIN" }]);
+        });
+
+        it('should give back the same body once converted back from Markdown', function(){
+            var markdown = [
+                "# Runbook",
+                "",
+                "Restart the **billing** service, see [Deploys](Deploys.md) and ![Diagram](diagram.png).",
+                "",
+                "> [!CAUTION]",
+                "> Back up first.",
+                "",
+                "| Step | Who |",
+                "| --- | ---: |",
+                "| 1 | *ops* |",
+                "",
+                "- [ ] restart",
+                ""
+            ].join("\n");
+            expect(storage.toMarkdown(storage.fromMarkdown(markdown)).markdown).to.be.eq(markdown);
+        });
+    });
+});
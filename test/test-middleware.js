@@ -0,0 +1,108 @@
+/**
+ * Tests for ConfluenceAPI#use
+ */
+
+var expect = require('chai').expect;
+var ConfluenceAPI = require("../lib/ConfluenceAPI");
+var config = require('./config') || {};
+
+/**
+ * Client whose transport answers locally with the request it got.
+ */
+function createClient(){
+    var confluenceAPI = ConfluenceAPI.create(config);
+    confluenceAPI.dispatch = function(req, done){
+        done(null, { url: req.url, headers: req.headers }, { statusCode: 200, headers: {} });
+    };
+    return confluenceAPI;
+}
+
+describe('ConfluenceAPI: Middleware', function () {
+
+    describe('#use', function(){
+
+        it('should run middlewares in order around the transport', function(){
+            var confluenceAPI = createClient();
+            var calls = [];
+
+            confluenceAPI.use(function(req, next, done){
+                calls.push("first:request");
+                req.headers["X-Correlation-Id"] = "abc";
+                next(function(err, data, res){
+                    calls.push("first:response");
+                    done(err, data, res);
+                });
+            });
+            confluenceAPI.use(function(req, next){
+                calls.push("second:request");
+                req.url = req.url.replace(config.baseUrl, "https://proxy.internal/wiki/rest/api");
+                next();
+            });
+
+            return confluenceAPI.content.getContentById("42", {}).then(function(data){
+                expect(calls).to.be.deep.eq(["first:request", "second:request", "first:response"]);
+                expect(data.headers["X-Correlation-Id"]).to.be.eq("abc");
+                expect(data.url).to.be.eq("https://proxy.internal/wiki/rest/api/content/42");
+            });
+        });
+
+        it('should let a middleware change the response', function(){
+            var confluenceAPI = createClient();
+            confluenceAPI.use(function(req, next, done){
+                next(function(err, data, res){
+                    data.tagged = true;
+                    done(err, data, res);
+                });
+            });
+
+            return confluenceAPI.space.getSpaces({}).then(function(data){
+                expect(data.tagged).to.be.true;
+            });
+        });
+
+        it('should let a middleware answer without calling the transport', function(){
+            var confluenceAPI = createClient();
+            confluenceAPI.dispatch = function(){
+                throw new Error("transport should not be called");
+            };
+            confluenceAPI.use(function(req, next, done){
+                done(null, { statusCode: 404 }, { statusCode: 404, headers: {} });
+            });
+
+            return confluenceAPI.space.getSpace("NOPE", {}).then(function(){
+                throw new Error("expected a rejection");
+            }, function(err){
+                expect(err).to.be.an.instanceof(ConfluenceAPI.errors.NotFoundError);
+            });
+        });
+
+        it('should report errors thrown by a middleware', function(){
+            var confluenceAPI = createClient();
+            confluenceAPI.use(function(){
+                throw new Error("middleware failed");
+            });
+
+            return confluenceAPI.space.getSpaces({}).then(function(){
+                throw new Error("expected a rejection");
+            }, function(err){
+                expect(err.message).to.be.eq("middleware failed");
+            });
+        });
+
+        it('should see multipart uploads', function(){
+            var confluenceAPI = createClient();
+            var seen = null;
+            confluenceAPI.use(function(req, next){
+                seen = req;
+                next();
+            });
+
+            return confluenceAPI.content.createAttachment("42", {}, { file: Buffer.from("hello"), minorEdit: "true" }).then(function(){
+                expect(seen.method).to.be.eq("POST");
+                expect(seen.form.minorEdit).to.be.eq("true");
+            });
+        });
+
+    });
+
+});
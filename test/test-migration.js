@@ -0,0 +1,154 @@
+/**
+ * Tests for lib/PageMigration.js and Content#migratePageHierarchy
+ */
+
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var expect = require('chai').expect;
+var ConfluenceAPI = require("../lib/ConfluenceAPI");
+var FakeConfluence = require("../lib/fake");
+var fixtures = require("./fixtures");
+
+describe('ConfluenceAPI: PageMigration', function () {
+    var from;
+    var to;
+    var dir;
+
+    function page(confluenceAPI, title, expand){
+        return confluenceAPI.content.getContent({ spaceKey: "NEWOPS", title: title, expand: expand }).then(function(result){
+            return result.results[0];
+        });
+    }
+
+    beforeEach(function(){
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "migration-"));
+        from = new FakeConfluence({ users: [{ username: "admin", password: "s3cret" }] });
+        to = new FakeConfluence({ users: [{ username: "admin", password: "s3cret" }] });
+        return Promise.all([from.listen(), to.listen()]).then(function(){
+            from.seed({
+                users: [{ username: "sam", email: "sam@example.com", accountId: "557058:sam" }],
+                spaces: [fixtures.operations({
+                    runbook: "<p>Ask <ac:link><ri:user ri:account-id=\"557058:sam\" /></ac:link> or <ac:link><ri:user ri:username=\"ghost\" /></ac:link>, " +
+                        "see <ac:link><ri:page ri:content-id=\"5004\" ri:space-key=\"OPS\" ri:content-title=\"Deploys\" /></ac:link> " +
+                        "and <a href=\"" + from.baseUrl.replace("/rest/api", "") + "/pages/viewpage.action?pageId=5004\">the deploys</a>.</p>",
+                    deploys: "<p>Back to <ac:link><ri:page ri:content-id=\"5001\" /></ac:link>.</p>"
+                })]
+            });
+            to.seed({
+                users: [{ username: "sam.li", email: "sam@example.com" }],
+                spaces: [{ key: "NEWOPS", name: "New operations", pages: [] }]
+            });
+        });
+    });
+
+    afterEach(function(){
+        fs.rmSync(dir, { recursive: true, force: true });
+        return Promise.all([from.close(), to.close()]);
+    });
+
+    describe('#migratePageHierarchy', function(){
+        it('should copy the page tree to the other site remapping spaces, users and links', function(done){
+            var source = ConfluenceAPI.create(from.config());
+            var target = ConfluenceAPI.create(to.config());
+
+            source.content.migratePageHierarchy("5001", target, { spaceKey: "NEWOPS" }, function(err, report){
+                expect(err).to.be.null;
+                expect(report.spaceKey).to.be.eq("NEWOPS");
+                expect(report.counts).to.be.deep.eq({ pages: 3, attachments: 1 });
+                expect(report.users["557058:sam"].username).to.be.eq("sam.li");
+                expect(report.users.ghost).to.be.null;
+                expect(report.problems.map(function(problem){ return [problem.part, problem.id]; })).to.be.deep.eq([["user", "5001"]]);
+                var ids = report.ids;
+
+                Promise.all([
+                    page(target, "Runbook", "ancestors,body.storage,version,metadata.labels,metadata.properties.reviewed,children.attachment"),
+                    page(target, "Rollback", "ancestors")
+                ]).then(function(pages){
+                    var runbook = pages[0];
+                    var sam = report.users["557058:sam"];
+                    expect(runbook.ancestors.map(function(ancestor){ return ancestor.title; })).to.be.deep.eq(["New operations Home"]);
+                    expect(runbook.body.storage.value).to.be.eq("<p>Ask <ac:link><ri:user ri:account-id=\"" + sam.accountId + "\" /></ac:link> " +
+                        "or <ac:link><ri:user ri:username=\"ghost\" /></ac:link>, " +
+                        "see <ac:link><ri:page ri:content-id=\"" + ids["5004"] + "\" ri:space-key=\"NEWOPS\" ri:content-title=\"Deploys\" /></ac:link> " +
+                        "and <a href=\"" + to.baseUrl.replace("/rest/api", "") + "/pages/viewpage.action?pageId=" + ids["5004"] + "\">the deploys</a>.</p>");
+                    expect(runbook.version.number).to.be.eq(2);
+                    expect(runbook.metadata.labels.results.map(function(label){ return label.name; })).to.be.deep.eq(["ops"]);
+                    expect(runbook.metadata.properties.reviewed.value).to.be.deep.eq({ by: "admin" });
+                    expect(runbook.children.attachment.results.map(function(attachment){ return attachment.id; })).to.be.deep.eq([ids["5002"]]);
+                    expect(pages[1].ancestors.map(function(ancestor){ return ancestor.title; })).to.be.deep.eq(["New operations Home", "Runbook", "Deploys"]);
+                    return target.content.downloadAttachment(ids["5001"], ids["5002"], { path: path.join(dir, "diagram.png") });
+                }).then(function(){
+                    expect(fs.readFileSync(path.join(dir, "diagram.png"), "utf8")).to.be.eq("PNG data");
+                    done();
+                }).catch(done);
+            });
+        });
+
+        it('should report a mention whose target user has no ID', function(){
+            var source = ConfluenceAPI.create(from.config());
+            var target = ConfluenceAPI.create(to.config());
+
+            return source.content.migratePageHierarchy("5001", target, {
+                spaceKey: "NEWOPS",
+                users: { "557058:sam": { displayName: "Sam" } }
+            }).then(function(report){
+                expect(report.counts.pages).to.be.eq(3);
+                expect(report.users["557058:sam"]).to.be.null;
+                expect(report.problems.map(function(problem){ return [problem.part, problem.id]; })).to.be.deep.eq([["user", "5001"], ["user", "5001"]]);
+                expect(report.problems[0].message).to.be.eq("The target user of 557058:sam has no accountId, userKey or username.");
+                return page(target, "Runbook", "body.storage");
+            }).then(function(runbook){
+                expect(runbook.body.storage.value).to.contain("<ri:user ri:account-id=\"557058:sam\" />");
+            });
+        });
+
+        it('should resume from the checkpoint of an interrupted migration', function(){
+            var source = ConfluenceAPI.create(from.config());
+            var target = ConfluenceAPI.create(to.config());
+            var checkpoint = path.join(dir, "checkpoint.json");
+            var rollbackId;
+
+            return source.content.migratePageHierarchy("5001", target, { spaceKey: "NEWOPS", checkpoint: checkpoint }).then(function(report){
+                var state = JSON.parse(fs.readFileSync(checkpoint, "utf8"));
+                expect(state.finishedAt).to.be.a("string");
+                expect(state.ids).to.be.deep.eq(report.ids);
+                expect(state.done).to.be.deep.eq(["5001", "5004", "5006"]);
+                expect(state.pending).to.be.empty;
+
+                // as left by a run stopped while copying Deploys, after creating Rollback but before saving its ID
+                rollbackId = report.ids["5006"];
+                state.finishedAt = null;
+                state.done = ["5001"];
+                delete state.ids["5006"];
+                fs.writeFileSync(checkpoint, JSON.stringify(state));
+                return source.content.migratePageHierarchy("5001", target, { spaceKey: "NEWOPS", checkpoint: checkpoint });
+            }).then(function(report){
+                expect(report.resumed).to.be.eq(1);
+                expect(report.counts).to.be.deep.eq({ pages: 2, attachments: 0 });
+                expect(report.problems).to.be.empty;
+                expect(report.ids["5006"]).to.be.eq(rollbackId);
+                return target.content.getContentProperty(report.ids["5004"], "owner", {});
+            }).then(function(property){
+                // created by the first run, saved again by the second
+                expect(property.version.number).to.be.eq(2);
+                return target.content.getContent({ spaceKey: "NEWOPS", type: "page", limit: 50 });
+            }).then(function(result){
+                expect(result.results.map(function(content){ return content.title; }).sort()).to.be.deep.eq(["Deploys", "New operations Home", "Rollback", "Runbook"]);
+            });
+        });
+
+        it('should refuse the checkpoint of another migration', function(){
+            var source = ConfluenceAPI.create(from.config());
+            var target = ConfluenceAPI.create(to.config());
+            var checkpoint = path.join(dir, "checkpoint.json");
+            fs.writeFileSync(checkpoint, JSON.stringify({ rootId: "9999", ids: {}, done: [], pending: [], users: {} }));
+
+            return source.content.migratePageHierarchy("5001", target, { spaceKey: "NEWOPS", checkpoint: checkpoint }).then(function(){
+                throw new Error("the migration should fail");
+            }, function(err){
+                expect(err.code).to.be.eq("ECHECKPOINTMISMATCH");
+            });
+        });
+    });
+});
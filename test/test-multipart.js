@@ -0,0 +1,283 @@
+/**
+ * Tests for lib/Multipart.js and the uploads sent through lib/Transport.js
+ */
+
+var fs = require("fs");
+var os = require("os");
+var net = require("net");
+var http = require("http");
+var path = require("path");
+var stream = require("stream");
+var expect = require('chai').expect;
+var ConfluenceAPI = require("../lib/ConfluenceAPI");
+var FakeConfluence = require("../lib/fake");
+var Multipart = require("../lib/Multipart");
+var fakeMultipart = require("../lib/fake/multipart");
+
+describe('ConfluenceAPI: Multipart', function () {
+    var fake;
+    var pageId;
+    var dir;
+
+    beforeEach(function(){
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "confluence-multipart-"));
+        fake = new FakeConfluence({ users: [{ username: "admin", password: "s3cret" }] });
+        fake.seed({ spaces: [{ key: "TES", name: "Test", pages: [{ title: "Uploads" }] }] });
+        return fake.listen().then(function(){
+            return ConfluenceAPI.create(fake.config()).content.getContent({ title: "Uploads", spaceKey: "TES" });
+        }).then(function(page){
+            pageId = page.results[0].id;
+        });
+    });
+
+    afterEach(function(){
+        fs.rmSync(dir, { recursive: true, force: true });
+        return fake.close();
+    });
+
+    function body(multipart){
+        return new Promise(function(resolve, reject){
+            ConfluenceAPI.Transport.read(multipart.stream(), function(err, buffer){
+                return err ? reject(err) : resolve(buffer);
+            });
+        });
+    }
+
+    function download(confluenceAPI, title){
+        return confluenceAPI.content.getAttachments(pageId, { filename: title }).then(function(attachments){
+            return confluenceAPI.content.downloadAttachment(pageId, attachments.results[0].id);
+        }).then(function(data){
+            return new Promise(function(resolve, reject){
+                ConfluenceAPI.Transport.read(data, function(err, buffer){
+                    return err ? reject(err) : resolve({ data: buffer, contentType: data.contentType });
+                });
+            });
+        });
+    }
+
+    describe('#stream', function(){
+        it('should encode text fields, Buffers, streams and paths', function(){
+            var file = path.join(dir, "notes.txt");
+            fs.writeFileSync(file, "from disk");
+            var piped = new stream.PassThrough();
+            piped.end("from a stream");
+            var multipart = new Multipart({
+                comment: "a \"quoted\" comment",
+                minorEdit: true,
+                file: [
+                    Buffer.from([0, 1, 2, 255]),
+                    { path: file },
+                    { value: piped, options: { filename: "piped.csv" } }
+                ]
+            });
+            expect(multipart.contentType()).to.contain("boundary=" + multipart.boundary);
+
+            return body(multipart).then(function(buffer){
+                var parsed = fakeMultipart.parse(buffer, multipart.contentType());
+                expect(parsed.fields).to.be.deep.eq({ comment: "a \"quoted\" comment", minorEdit: "true" });
+                expect(parsed.files.map(function(file){ return file.filename; })).to.be.deep.eq(["file", "notes.txt", "piped.csv"]);
+                expect(parsed.files[0].data).to.be.deep.eq(Buffer.from([0, 1, 2, 255]));
+                expect(parsed.files[1].contentType).to.be.eq("text/plain");
+                expect(parsed.files[1].data.toString()).to.be.eq("from disk");
+                expect(parsed.files[2].contentType).to.be.eq("text/csv");
+                expect(parsed.files[2].data.toString()).to.be.eq("from a stream");
+            });
+        });
+    });
+
+    describe('#length', function(){
+        it('should measure the body unless a stream has no known length', function(done){
+            var file = path.join(dir, "notes.txt");
+            fs.writeFileSync(file, "from disk");
+            var multipart = new Multipart({ comment: "size", file: { path: file } });
+            multipart.length(function(err, length){
+                expect(err).to.be.null;
+                body(multipart).then(function(buffer){
+                    expect(length).to.be.eq(buffer.length);
+                    new Multipart({ file: new stream.PassThrough() }).length(function(err, length){
+                        expect(length).to.be.null;
+                        done();
+                    });
+                }).catch(done);
+            });
+        });
+    });
+
+    describe('#upload', function(){
+        it('should upload a file given by path and report the progress', function(){
+            var file = path.join(dir, "large.bin");
+            var content = Buffer.alloc(256 * 1024, 7);
+            fs.writeFileSync(file, content);
+            var events = [];
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+            confluenceAPI.on('uploadProgress', function(progress){
+                events.push(progress);
+            });
+
+            return confluenceAPI.content.createAttachment(pageId, {}, { file: { path: file }, minorEdit: "true" }).then(function(data){
+                expect(data.results[0].title).to.be.eq("large.bin");
+                expect(events.length).to.be.above(1);
+                var last = events[events.length - 1];
+                expect(last.loaded).to.be.eq(last.total);
+                expect(last.total).to.be.above(content.length);
+                expect(last.method).to.be.eq("POST");
+                return download(confluenceAPI, "large.bin");
+            }).then(function(downloaded){
+                expect(downloaded.contentType).to.be.eq("application/octet-stream");
+                expect(downloaded.data.equals(content)).to.be.true;
+            });
+        });
+
+        it('should upload a stream of unknown size chunked', function(){
+            var piped = new stream.PassThrough();
+            var progress = [];
+            var confluenceAPI = ConfluenceAPI.create(fake.config()).withOptions({
+                onUploadProgress: function(event){
+                    progress.push(event);
+                }
+            });
+            var upload = confluenceAPI.content.createAttachment(pageId, {}, {
+                file: { value: piped, options: { filename: "stream.txt" } }
+            });
+            piped.write("first line\n");
+            piped.end("second line\n");
+
+            return upload.then(function(){
+                expect(progress[progress.length - 1].total).to.be.null;
+                return download(confluenceAPI, "stream.txt");
+            }).then(function(downloaded){
+                expect(downloaded.data.toString()).to.be.eq("first line\nsecond line\n");
+            });
+        });
+
+        it('should send a file given by path again on retry', function(){
+            var file = path.join(dir, "retried.txt");
+            fs.writeFileSync(file, "sent twice");
+            fake.fail({ method: "POST", path: /attachment/, status: 503 });
+            // POST is only retried when the call opts in
+            var confluenceAPI = ConfluenceAPI.create(fake.config()).withOptions({ retry: { baseDelay: 1, methods: null } });
+
+            return confluenceAPI.content.createAttachment(pageId, {}, { file: { path: file } }).then(function(data){
+                expect(data.results[0].title).to.be.eq("retried.txt");
+                return download(confluenceAPI, "retried.txt");
+            }).then(function(downloaded){
+                expect(downloaded.data.toString()).to.be.eq("sent twice");
+            });
+        });
+
+        it('should go through the proxy', function(){
+            var proxied = [];
+            var proxy = http.createServer(function(req, res){
+                proxied.push({ url: req.url, authorization: req.headers["proxy-authorization"] });
+                var target = new URL(req.url);
+                var forward = http.request({
+                    hostname: target.hostname,
+                    port: target.port,
+                    path: target.pathname + target.search,
+                    method: req.method,
+                    headers: req.headers
+                }, function(answer){
+                    res.writeHead(answer.statusCode, answer.headers);
+                    answer.pipe(res);
+                });
+                req.pipe(forward);
+            });
+
+            return new Promise(function(resolve){
+                proxy.listen(0, "127.0.0.1", resolve);
+            }).then(function(){
+                var config = fake.config();
+                config.proxy = { host: "127.0.0.1", port: proxy.address().port, user: "proxy", password: "pass" };
+                return ConfluenceAPI.create(config).content.createAttachment(pageId, {}, { file: Buffer.from("via proxy") });
+            }).then(function(data){
+                expect(data.results[0].title).to.be.eq("file");
+                expect(proxied.length).to.be.eq(1);
+                expect(proxied[0].url).to.match(/^http:\/\/127\.0\.0\.1:\d+\/wiki\/rest\/api\/content\/\d+\/child\/attachment$/);
+                expect(proxied[0].authorization).to.be.eq("Basic " + Buffer.from("proxy:pass").toString("base64"));
+            }).then(function(){
+                proxy.close();
+            }, function(err){
+                proxy.close();
+                throw err;
+            });
+        });
+
+        it('should report network failures with their error', function(){
+            var server = net.createServer();
+            return new Promise(function(resolve){
+                server.listen(0, "127.0.0.1", resolve);
+            }).then(function(){
+                var port = server.address().port;
+                return new Promise(function(resolve){
+                    server.close(function(){
+                        resolve(port);
+                    });
+                });
+            }).then(function(port){
+                var config = fake.config();
+                config.baseUrl = "http://127.0.0.1:" + port + "/wiki/rest/api";
+                config.retry = false;
+                return ConfluenceAPI.create(config).content.createAttachment(pageId, {}, { file: Buffer.from("lost") });
+            }).then(function(){
+                throw new Error("the upload should fail");
+            }, function(err){
+                expect(err).to.be.instanceof(Error);
+                expect(err.code).to.be.eq("ECONNREFUSED");
+            });
+        });
+
+        it('should honor the request timeout', function(){
+            var sockets = [];
+            var server = http.createServer(function(){
+                // never answers
+            });
+            server.on('connection', function(socket){
+                sockets.push(socket);
+            });
+            return new Promise(function(resolve){
+                server.listen(0, "127.0.0.1", resolve);
+            }).then(function(){
+                var config = fake.config();
+                config.baseUrl = "http://127.0.0.1:" + server.address().port + "/wiki/rest/api";
+                config.retry = false;
+                config.requestConfig = { timeout: 100 };
+                return ConfluenceAPI.create(config).content.createAttachment(pageId, {}, { file: Buffer.from("slow") });
+            }).then(function(){
+                throw new Error("the upload should time out");
+            }, function(err){
+                expect(err.code).to.be.eq("ETIMEDOUT");
+            }).then(function(){
+                sockets.forEach(function(socket){
+                    socket.destroy();
+                });
+                server.close();
+            });
+        });
+
+        it('should not parse an HTML error page', function(){
+            var server = http.createServer(function(req, res){
+                req.resume();
+                req.on('end', function(){
+                    res.writeHead(502, { "Content-Type": "text/html" });
+                    res.end("<html><body>Bad Gateway</body></html>");
+                });
+            });
+            return new Promise(function(resolve){
+                server.listen(0, "127.0.0.1", resolve);
+            }).then(function(){
+                var config = fake.config();
+                config.baseUrl = "http://127.0.0.1:" + server.address().port + "/wiki/rest/api";
+                config.retry = false;
+                return ConfluenceAPI.create(config).content.createAttachment(pageId, {}, { file: Buffer.from("gateway") });
+            }).then(function(){
+                throw new Error("the upload should fail");
+            }, function(err){
+                expect(err).to.be.instanceof(ConfluenceAPI.errors.ServerError);
+                expect(err.status).to.be.eq(502);
+                expect(String(err.body)).to.contain("Bad Gateway");
+            }).then(function(){
+                server.close();
+            });
+        });
+    });
+});
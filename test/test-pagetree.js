@@ -0,0 +1,160 @@
+/**
+ * Tests for lib/PageTree.js and the page tree methods of the content resource
+ */
+
+var expect = require('chai').expect;
+var ConfluenceAPI = require("../lib/ConfluenceAPI");
+var FakeConfluence = require("../lib/fake");
+
+describe('ConfluenceAPI: PageTree', function () {
+    var fake;
+    var rootId;
+
+    before(function(){
+        fake = new FakeConfluence({ users: [{ username: "admin", password: "s3cret" }] });
+        fake.seed({ spaces: [{ key: "TES", name: "Test", pages: [{
+            title: "Home",
+            children: [{
+                title: "Root",
+                children: [{
+                    title: "A",
+                    body: "<p>Section A</p>",
+                    children: [{ title: "A1", children: [{ title: "A1a" }] }, { title: "A2" }]
+                }, {
+                    title: "B"
+                }, {
+                    title: "C",
+                    children: [{ title: "C1" }]
+                }]
+            }]
+        }] }] });
+        return fake.listen().then(function(){
+            return ConfluenceAPI.create(fake.config()).content.getContent({ title: "Root", spaceKey: "TES" });
+        }).then(function(page){
+            rootId = page.results[0].id;
+        });
+    });
+
+    after(function(){
+        return fake.close();
+    });
+
+    function titles(nodes){
+        return nodes.map(function(node){
+            return node.page.title;
+        });
+    }
+
+    describe('#iteratePageTree', function(){
+        it('should walk the subtree depth-first with the place of every page', function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+
+            return confluenceAPI.content.iteratePageTree(rootId).all().then(function(nodes){
+                expect(titles(nodes)).to.be.deep.eq(["Root", "A", "A1", "A1a", "A2", "B", "C", "C1"]);
+                expect(nodes[0].depth).to.be.eq(0);
+                expect(nodes[0].position).to.be.null;
+                expect(nodes[0].parentId).to.be.null;
+                expect(nodes[0].ancestors.map(function(ancestor){ return ancestor.title; })).to.be.deep.eq(["Test Home", "Home"]);
+                expect(nodes[0].childCount).to.be.eq(3);
+
+                var a1a = nodes[3];
+                expect(a1a.depth).to.be.eq(3);
+                expect(a1a.parentId).to.be.eq(nodes[2].page.id);
+                expect(a1a.ancestors.map(function(ancestor){ return ancestor.title; })).to.be.deep.eq(["Test Home", "Home", "Root", "A", "A1"]);
+                expect(a1a.childCount).to.be.eq(0);
+                expect(nodes[4].position).to.be.eq(1);
+                expect(nodes[6].position).to.be.eq(2);
+            });
+        });
+
+        it('should walk the subtree breadth-first', function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+
+            return confluenceAPI.content.iteratePageTree(rootId, { order: "breadth" }).all().then(function(nodes){
+                expect(titles(nodes)).to.be.deep.eq(["Root", "A", "B", "C", "A1", "A2", "C1", "A1a"]);
+            });
+        });
+
+        it('should stop at maxDepth without listing the children there', function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+            var listed = [];
+            confluenceAPI.use(function(req, next){
+                if (/\/child\/page/.test(req.url)) {
+                    listed.push(req.url);
+                }
+                next();
+            });
+
+            return confluenceAPI.content.iteratePageTree(rootId, { maxDepth: 1 }).all().then(function(nodes){
+                expect(titles(nodes)).to.be.deep.eq(["Root", "A", "B", "C"]);
+                expect(nodes[1].childCount).to.be.null;
+                expect(listed.length).to.be.eq(1);
+            });
+        });
+
+        it('should list at most concurrency children at once', function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+            var running = 0;
+            var most = 0;
+            confluenceAPI.use(function(req, next, done){
+                running++;
+                most = Math.max(most, running);
+                setTimeout(function(){
+                    next(function(err, data, res){
+                        running--;
+                        done(err, data, res);
+                    });
+                }, 5);
+            });
+
+            return confluenceAPI.content.iteratePageTree(rootId, { concurrency: 2 }).all().then(function(nodes){
+                expect(nodes.length).to.be.eq(8);
+                expect(most).to.be.eq(2);
+            });
+        });
+
+        it('should stop listing when the loop breaks', function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+            var seen = [];
+            var walk = async function(){
+                for await (var node of confluenceAPI.content.iteratePageTree(rootId, { concurrency: 1 })) {
+                    seen.push(node.page.title);
+                    if (seen.length === 2) {
+                        break;
+                    }
+                }
+            };
+
+            return walk().then(function(){
+                expect(seen).to.be.deep.eq(["Root", "A"]);
+            });
+        });
+
+        it('should fail with the error of the root page', function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+
+            return confluenceAPI.content.iteratePageTree("999999").next().then(function(){
+                throw new Error("the walk should fail");
+            }, function(err){
+                expect(err).to.be.an.instanceof(ConfluenceAPI.errors.NotFoundError);
+            });
+        });
+    });
+
+    describe('#getPageTree', function(){
+        it('should materialize the nested tree with the expanded properties', function(done){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+
+            confluenceAPI.content.getPageTree(rootId, { expand: "body.storage" }, function(err, tree){
+                expect(err).to.be.null;
+                expect(tree.page.title).to.be.eq("Root");
+                expect(titles(tree.children)).to.be.deep.eq(["A", "B", "C"]);
+                expect(titles(tree.children[0].children)).to.be.deep.eq(["A1", "A2"]);
+                expect(titles(tree.children[0].children[0].children)).to.be.deep.eq(["A1a"]);
+                expect(tree.children[0].page.body.storage.value).to.be.eq("<p>Section A</p>");
+                expect(tree.children[2].childCount).to.be.eq(tree.children[2].children.length);
+                done();
+            });
+        });
+    });
+});
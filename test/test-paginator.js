@@ -0,0 +1,152 @@
+/**
+ * Tests for Paginator.js and the iterate/all resource methods
+ */
+
+var url = require('url');
+var expect = require('chai').expect;
+var ConfluenceAPI = require("../lib/ConfluenceAPI");
+var config = require('./config') || {};
+
+/**
+ * Client whose transport pages through `total` items locally.
+ * @param {integer} total
+ * @param {string} style, "links" (start/limit in _links.next), "cursor" (like /search) or "none" (no _links)
+ */
+function createClient(total, style){
+    var confluenceAPI = ConfluenceAPI.create(config);
+    confluenceAPI.requests = [];
+    confluenceAPI.dispatch = function(req, done){
+        confluenceAPI.requests.push(req);
+        var limit = Number(req.params.limit) || 3;
+        var start = style === "cursor" ? Number(req.params.cursor || 0) : Number(req.params.start || 0);
+        var results = [];
+        for (var i = start; i < Math.min(total, start + limit); i++) {
+            results.push({ id: String(i) });
+        }
+
+        var page = { results: results, start: start, limit: limit, size: results.length };
+        if (style !== "none") {
+            page._links = { base: "https://confluenceapi.atlassian.net/wiki", context: "/wiki" };
+            if (start + limit < total) {
+                var next = style === "cursor"
+                    ? { next: "true", cursor: String(start + limit), limit: limit, cql: req.params.cql }
+                    : { limit: limit, start: start + limit };
+                page._links.next = url.format({ pathname: url.parse(req.url).pathname.replace(/.*\/wiki/, ""), query: next });
+            }
+        }
+        done(null, page, { statusCode: 200, headers: {} });
+    };
+    return confluenceAPI;
+}
+
+describe('ConfluenceAPI: Pagination', function () {
+
+    describe('#iterateContent', function(){
+
+        it('should follow _links.next across pages', function(){
+            var confluenceAPI = createClient(7, "links");
+            var ids = [];
+            var iterator = confluenceAPI.content.iterateContent({ spaceKey: "TES", limit: 3 });
+
+            return (function loop(){
+                return iterator.next().then(function(item){
+                    if (item.done) {
+                        return;
+                    }
+                    ids.push(item.value.id);
+                    return loop();
+                });
+            })().then(function(){
+                expect(ids).to.be.deep.eq(["0", "1", "2", "3", "4", "5", "6"]);
+                expect(confluenceAPI.requests).to.have.lengthOf(3);
+                expect(confluenceAPI.requests[2].params).to.include({ spaceKey: "TES", start: "6" });
+            });
+        });
+
+        it('should stop fetching when maxItems is reached', function(){
+            var confluenceAPI = createClient(100, "links");
+            return confluenceAPI.content.allContent({ limit: 3 }, { maxItems: 4 }).then(function(results){
+                expect(results).to.have.lengthOf(4);
+                expect(confluenceAPI.requests).to.have.lengthOf(2);
+            });
+        });
+
+    });
+
+    describe('#allSearch', function(){
+
+        it('should follow the search cursor', function(done){
+            var confluenceAPI = createClient(5, "cursor");
+            confluenceAPI.search.allSearch({ cql: "type=page", limit: 2 }, {}, function(err, results){
+                expect(err).to.be.null;
+                expect(results).to.have.lengthOf(5);
+                expect(confluenceAPI.requests[1].params).to.include({ cursor: "2", cql: "type=page" });
+                done();
+            });
+        });
+
+        it('should throw what the callback throws, not reject with it', function(done){
+            var confluenceAPI = createClient(3, "cursor");
+            var listeners = process.listeners("uncaughtException");
+            var rejected = null;
+            var onRejection = function(reason){
+                rejected = reason;
+            };
+            process.removeAllListeners("uncaughtException");
+            process.on("unhandledRejection", onRejection);
+            process.once("uncaughtException", function(err){
+                listeners.forEach(function(listener){
+                    process.on("uncaughtException", listener);
+                });
+                setImmediate(function(){
+                    process.removeListener("unhandledRejection", onRejection);
+                    expect(err.message).to.be.eq("thrown by the callback");
+                    expect(rejected).to.be.null;
+                    done();
+                });
+            });
+            confluenceAPI.search.allSearch({ cql: "type=page" }, function(){
+                throw new Error("thrown by the callback");
+            });
+        });
+
+        it('should take the callback in place of the options', function(done){
+            var confluenceAPI = createClient(3, "cursor");
+            confluenceAPI.search.allSearch({ cql: "type=page", limit: 2 }, function(err, results){
+                expect(err).to.be.null;
+                expect(results).to.have.lengthOf(3);
+                done();
+            });
+        });
+
+    });
+
+    describe('#allGroupMembers', function(){
+
+        it('should move start forward when the response has no links', function(){
+            var confluenceAPI = createClient(5, "none");
+            return confluenceAPI.group.allGroupMembers("developers", { limit: 2 }).then(function(results){
+                expect(results.map(function(user){ return user.id; })).to.be.deep.eq(["0", "1", "2", "3", "4"]);
+                expect(confluenceAPI.requests[0].url).to.match(/\/group\/developers\/member$/);
+            });
+        });
+
+    });
+
+    describe('#iterateContentChildren', function(){
+
+        it('should report the error of a failing page', function(){
+            var confluenceAPI = createClient(5, "links");
+            confluenceAPI.dispatch = function(req, done){
+                done(null, { message: "No content found" }, { statusCode: 404, headers: {} });
+            };
+            return confluenceAPI.content.allContentChildren("42", "page", {}).then(function(){
+                throw new Error("expected a rejection");
+            }, function(err){
+                expect(err).to.be.an.instanceof(ConfluenceAPI.errors.NotFoundError);
+            });
+        });
+
+    });
+
+});
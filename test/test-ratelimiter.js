@@ -0,0 +1,129 @@
+/**
+ * Tests for RateLimiter.js
+ */
+
+var expect = require('chai').expect;
+var ConfluenceAPI = require("../lib/ConfluenceAPI");
+var RateLimiter = require("../lib/RateLimiter");
+var Transport = require("../lib/Transport");
+var config = require('./config') || {};
+
+describe('ConfluenceAPI: Rate Limiter', function () {
+    this.timeout(5000);
+
+    describe('#schedule', function(){
+
+        it('should cap the requests in flight', function(done){
+            var limiter = new RateLimiter({ concurrency: 2 });
+            var active = 0, max = 0, finished = 0;
+
+            for (var i = 0; i < 6; i++) {
+                limiter.schedule({ method: "GET" }, function(release){
+                    active++;
+                    max = Math.max(max, active);
+                    setTimeout(function(){
+                        active--;
+                        release();
+                        if (++finished === 6) {
+                            expect(max).to.be.eq(2);
+                            done();
+                        }
+                    }, 5);
+                });
+            }
+            expect(limiter.stats().read).to.include({ queued: 4, active: 2 });
+        });
+
+        it('should keep reads and writes in separate buckets', function(){
+            var limiter = new RateLimiter({ concurrency: 1 });
+            limiter.schedule({ method: "GET" }, function(){});
+            limiter.schedule({ method: "POST" }, function(){});
+            limiter.schedule({ method: "DELETE" }, function(){});
+
+            var stats = limiter.stats();
+            expect(stats.read).to.include({ queued: 0, active: 1 });
+            expect(stats.write).to.include({ queued: 1, active: 1 });
+        });
+
+        it('should space requests to the configured rate', function(done){
+            var limiter = new RateLimiter({ requestsPerSecond: 20, burst: 1 });
+            var started = [];
+
+            for (var i = 0; i < 3; i++) {
+                limiter.schedule({ method: "GET" }, function(release){
+                    started.push(Date.now());
+                    release();
+                    if (started.length === 3) {
+                        expect(started[2] - started[0]).to.be.at.least(90);
+                        done();
+                    }
+                });
+            }
+        });
+
+    });
+
+    describe('#adapt', function(){
+
+        it('should hold the queues on Retry-After', function(){
+            var limiter = new RateLimiter({ adaptive: true });
+            limiter.adapt({ statusCode: 429, headers: { "retry-after": "2" } });
+
+            var stats = limiter.stats();
+            expect(stats.read.pausedUntil).to.be.an.instanceof(Date);
+            expect(stats.write.pausedUntil.getTime()).to.be.above(Date.now() + 1000);
+        });
+
+        it('should hold the queues until X-RateLimit-Reset when nothing remains', function(){
+            var limiter = new RateLimiter({ adaptive: true });
+            var reset = new Date(Date.now() + 60000);
+            limiter.adapt({ statusCode: 200, headers: { "x-ratelimit-remaining": "0", "x-ratelimit-reset": reset.toISOString() } });
+            expect(limiter.stats().read.pausedUntil.getTime()).to.be.eq(reset.getTime());
+
+            limiter = new RateLimiter({ adaptive: true });
+            limiter.adapt({ statusCode: 200, headers: { "x-ratelimit-remaining": "10", "x-ratelimit-reset": reset.toISOString() } });
+            expect(limiter.stats().read.pausedUntil).to.be.null;
+        });
+
+    });
+
+    describe('#queueStats', function(){
+
+        it('should expose the limiter queues on the client', function(){
+            var confluenceAPI = ConfluenceAPI.create(config);
+            expect(confluenceAPI.queueStats()).to.have.all.keys("read", "write");
+        });
+
+        it('should count a streamed response in flight until its stream is read', function(done){
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            confluenceAPI.request({ method: "GET", path: "/audit/retention", responseType: "stream" }, function(err, data){
+                expect(err).to.be.null;
+                expect(confluenceAPI.queueStats().read.active).to.be.eq(1);
+                Transport.read(data, function(err){
+                    expect(err).to.be.null;
+                    setImmediate(function(){
+                        expect(confluenceAPI.queueStats().read.active).to.be.eq(0);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should free the slot of a streamed response that fails', function(done){
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            confluenceAPI.request({ method: "GET", path: "/audit/retention", responseType: "stream" }, function(err, data){
+                expect(err).to.be.null;
+                data.on('error', function(){});
+                data.destroy(new Error("cut"));
+                setImmediate(function(){
+                    expect(confluenceAPI.queueStats().read.active).to.be.eq(0);
+                    done();
+                });
+            });
+        });
+
+    });
+
+});
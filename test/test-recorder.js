@@ -0,0 +1,156 @@
+/**
+ * Tests for lib/Recorder.js
+ */
+
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var expect = require('chai').expect;
+var ConfluenceAPI = require("../lib/ConfluenceAPI");
+var FakeConfluence = require("../lib/fake");
+var Transport = require("../lib/Transport");
+
+describe('ConfluenceAPI: Recorder', function () {
+    var fake;
+    var cassette;
+
+    beforeEach(function(){
+        cassette = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "confluence-recorder-")), "cassette.json");
+        fake = new FakeConfluence({ users: [{ username: "admin", password: "s3cret" }] });
+        fake.seed({ spaces: [{ key: "TES", name: "Test", pages: [{ title: "Recorded page" }] }] });
+        return fake.listen();
+    });
+
+    afterEach(function(){
+        fs.rmSync(path.dirname(cassette), { recursive: true, force: true });
+        return fake.close();
+    });
+
+    function client(mode){
+        var config = fake.config();
+        config.recorder = { mode: mode, cassette: cassette };
+        return ConfluenceAPI.create(config);
+    }
+
+    function record(){
+        var confluenceAPI = client("record");
+        var pageId;
+        return confluenceAPI.content.getContent({ title: "Recorded page", spaceKey: "TES" }).then(function(page){
+            pageId = page.results[0].id;
+            return confluenceAPI.content.createAttachment(pageId, {}, {
+                file: {
+                    value: Buffer.from([0, 1, 2, 255]),
+                    options: { filename: "bytes.bin", contentType: "application/octet-stream" }
+                },
+                comment: "binary"
+            });
+        }).then(function(){
+            return confluenceAPI.space.getSpace("NOPE", {}).catch(function(){});
+        }).then(function(){
+            return pageId;
+        });
+    }
+
+    describe('#record', function(){
+        it('should write the interactions with credentials scrubbed', function(){
+            return record().then(function(){
+                var text = fs.readFileSync(cassette, "utf8");
+                var content = JSON.parse(text);
+                expect(content.interactions.length).to.be.eq(3);
+                expect(text).not.to.contain("s3cret");
+                expect(text).not.to.contain(Buffer.from("admin:s3cret").toString("base64"));
+
+                var upload = content.interactions[1].request;
+                expect(upload.path).to.match(/^\/content\/\d+\/child\/attachment$/);
+                expect(upload.headers.Authorization).to.be.eq("***");
+                expect(upload.form.file.filename).to.be.eq("bytes.bin");
+                expect(Buffer.from(upload.form.file.data, "base64")).to.be.deep.eq(Buffer.from([0, 1, 2, 255]));
+                expect(content.interactions[2].response.status).to.be.eq(404);
+            });
+        });
+
+        it('should keep binary responses in base64', function(){
+            var confluenceAPI = client("record");
+            confluenceAPI.dispatch = function(req, done){
+                done(null, Buffer.from([137, 80, 78, 71]), { statusCode: 200, headers: { "content-type": "image/png" } });
+            };
+            return confluenceAPI.content.getContentById("1", {}).then(function(){
+                var response = JSON.parse(fs.readFileSync(cassette, "utf8")).interactions[0].response;
+                expect(response.encoding).to.be.eq("base64");
+                return client("replay").content.getContentById("1", {});
+            }).then(function(data){
+                expect(Buffer.isBuffer(data)).to.be.true;
+                expect(data).to.be.deep.eq(Buffer.from([137, 80, 78, 71]));
+            });
+        });
+
+        it('should record streamed responses and replay them as streams', function(){
+            var confluenceAPI = client("record");
+            return confluenceAPI.audit.createAuditRecord({ remoteAddress: "10.0.0.1", summary: "Recorded" }).then(function(){
+                return confluenceAPI.audit.exportAuditRecords({ format: "zip" });
+            }).then(function(data){
+                expect(data.filename).to.be.eq("audit-export.zip");
+                return client("replay").audit.exportAuditRecords({ format: "zip" });
+            }).then(function(data){
+                expect(data.pipe).to.be.a('function');
+                expect(data.contentType).to.be.eq("application/zip");
+                expect(data.filename).to.be.eq("audit-export.zip");
+                return new Promise(function(resolve, reject){
+                    Transport.read(data, function(err, buffer){
+                        return err ? reject(err) : resolve(buffer);
+                    });
+                });
+            }).then(function(buffer){
+                expect(buffer.readUInt32LE(0)).to.be.eq(0x04034b50);
+            });
+        });
+    });
+
+    describe('#replay', function(){
+        it('should answer from the cassette without the server', function(){
+            var pageId;
+            return record().then(function(id){
+                pageId = id;
+                return fake.close();
+            }).then(function(){
+                var confluenceAPI = client("replay");
+                return confluenceAPI.content.getContent({ title: "Recorded page", spaceKey: "TES" }).then(function(page){
+                    expect(page.results[0].id).to.be.eq(pageId);
+                    return confluenceAPI.content.createAttachment(pageId, {}, {
+                        file: { value: Buffer.from("other bytes"), options: { filename: "bytes.bin" } },
+                        comment: "binary"
+                    });
+                }).then(function(attachments){
+                    expect(attachments.results[0].title).to.be.eq("bytes.bin");
+                    return confluenceAPI.space.getSpace("NOPE", {});
+                }).then(function(){
+                    throw new Error("expected the recorded 404");
+                }, function(err){
+                    expect(err).to.be.an.instanceof(ConfluenceAPI.errors.NotFoundError);
+                    expect(confluenceAPI.recorder.pending()).to.be.empty;
+                });
+            }).then(function(){
+                return fake.listen();
+            });
+        });
+
+        it('should fail requests that were not recorded', function(){
+            return record().then(function(){
+                return client("replay").content.getContent({ title: "Another page" });
+            }).then(function(){
+                throw new Error("expected the replay to fail");
+            }, function(err){
+                expect(err.code).to.be.eq("ERECORDERMISS");
+                expect(err.message).to.contain("GET /content?title=Another%20page");
+            });
+        });
+
+        it('should record in auto mode when the cassette is missing, then replay', function(){
+            var confluenceAPI = client("auto");
+            expect(confluenceAPI.recorder.mode).to.be.eq("record");
+            return confluenceAPI.space.getSpaces({}).then(function(){
+                expect(client("auto").recorder.mode).to.be.eq("replay");
+            });
+        });
+    });
+});
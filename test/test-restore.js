@@ -0,0 +1,148 @@
+/**
+ * Tests for lib/SpaceRestore.js and Space#restore
+ */
+
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var expect = require('chai').expect;
+var ConfluenceAPI = require("../lib/ConfluenceAPI");
+var FakeConfluence = require("../lib/fake");
+var fixtures = require("./fixtures");
+
+describe('ConfluenceAPI: SpaceRestore', function () {
+    var fake;
+    var dir;
+
+    function page(confluenceAPI, spaceKey, title, expand){
+        return confluenceAPI.content.getContent({ spaceKey: spaceKey, title: title, expand: expand }).then(function(result){
+            return result.results[0];
+        });
+    }
+
+    beforeEach(function(){
+        dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "restore-")), "OPS");
+        fake = new FakeConfluence({ users: [{ username: "admin", password: "s3cret" }] });
+        fake.seed({ spaces: [fixtures.operations({
+            runbook: "<p>See <ac:link><ri:page ri:content-id=\"5004\" ri:space-key=\"OPS\" ri:content-title=\"Deploys\" /></ac:link> " +
+                "and <ac:image><ri:attachment ri:filename=\"diagram.png\" /></ac:image>.</p>",
+            deploys: "<p>Back to <ac:link><ri:page ri:content-id=\"5001\" /></ac:link>.</p>"
+        }), {
+            key: "LAB",
+            name: "Lab",
+            pages: [{ title: "Deploys", body: "<p>Ours.</p>" }]
+        }] });
+        return fake.listen().then(function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+            return confluenceAPI.content.createContent({}, {
+                type: "comment",
+                container: { id: "5001", type: "page" },
+                ancestors: [{ id: "5003" }],
+                body: { storage: { value: "<p>Billing.</p>", representation: "storage" } }
+            }).then(function(){
+                return confluenceAPI.content.updateRestriction("5004", {}, [{
+                    operation: "update",
+                    restrictions: { user: [{ type: "known", username: "admin" }] }
+                }]);
+            }).then(function(){
+                return confluenceAPI.space.backup("OPS", dir);
+            });
+        });
+    });
+
+    afterEach(function(){
+        fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+        return fake.close();
+    });
+
+    describe('#restore', function(){
+        it('should recreate the space with the links pointing to the restored content', function(done){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+
+            confluenceAPI.space.restore(dir, { spaceKey: "OPS2" }, function(err, report){
+                expect(err).to.be.null;
+                expect(report.spaceKey).to.be.eq("OPS2");
+                expect(report.createdSpace).to.be.true;
+                expect(report.counts).to.be.deep.eq({ pages: 4, blogposts: 1, attachments: 1, comments: 2 });
+                expect(report.problems).to.be.empty;
+                var ids = report.ids;
+
+                Promise.all([
+                    page(confluenceAPI, "OPS2", "Runbook", "ancestors,body.storage,version,metadata.labels,metadata.properties.reviewed,children.attachment"),
+                    page(confluenceAPI, "OPS2", "Deploys", "ancestors,body.storage,version"),
+                    confluenceAPI.space.getSpaceProperty("OPS2", "owner"),
+                    confluenceAPI.content.getContentById(ids["5005"])
+                ]).then(function(results){
+                    var runbook = results[0];
+                    var deploys = results[1];
+                    expect(runbook.id).to.be.eq(ids["5001"]);
+                    expect(runbook.ancestors.map(function(ancestor){ return ancestor.title; })).to.be.deep.eq(["Operations Home"]);
+                    expect(runbook.body.storage.value).to.contain("<ri:page ri:content-id=\"" + ids["5004"] + "\" ri:space-key=\"OPS2\" ri:content-title=\"Deploys\" />");
+                    expect(runbook.body.storage.value).to.contain("<ri:attachment ri:filename=\"diagram.png\" />");
+                    // saved again once Deploys existed
+                    expect(runbook.version.number).to.be.eq(2);
+                    expect(runbook.metadata.labels.results.map(function(label){ return label.name; })).to.be.deep.eq(["ops"]);
+                    expect(runbook.metadata.properties.reviewed.value).to.be.deep.eq({ by: "admin" });
+                    expect(runbook.children.attachment.results[0].id).to.be.eq(ids["5002"]);
+                    expect(deploys.ancestors.map(function(ancestor){ return ancestor.title; })).to.be.deep.eq(["Operations Home", "Runbook"]);
+                    expect(deploys.body.storage.value).to.be.eq("<p>Back to <ac:link><ri:page ri:content-id=\"" + ids["5001"] + "\" /></ac:link>.</p>");
+                    expect(deploys.version.number).to.be.eq(1);
+                    expect(results[2].value).to.be.deep.eq({ team: "sre" });
+                    expect(results[3].type).to.be.eq("blogpost");
+                    return Promise.all([
+                        confluenceAPI.content.downloadAttachment(ids["5001"], ids["5002"]),
+                        confluenceAPI.content.allContentComments(ids["5001"], { expand: "body.storage" }),
+                        confluenceAPI.content.allContentComments(ids["5003"], { expand: "body.storage" }),
+                        confluenceAPI.content.getRestrictionsForOperation(ids["5004"], "update", {})
+                    ]);
+                }).then(function(results){
+                    var chunks = [];
+                    results[0].on("data", function(chunk){
+                        chunks.push(chunk);
+                    });
+                    expect(results[1].map(function(comment){ return comment.body.storage.value; })).to.be.deep.eq(["<p>Which service?</p>"]);
+                    expect(results[2].map(function(comment){ return comment.body.storage.value; })).to.be.deep.eq(["<p>Billing.</p>"]);
+                    expect(results[3].restrictions.user.results.map(function(user){ return user.username; })).to.be.deep.eq(["admin"]);
+                    results[0].on("end", function(){
+                        expect(Buffer.concat(chunks).toString()).to.be.eq("PNG data");
+                        done();
+                    });
+                }).catch(done);
+            });
+        });
+
+        it('should restore into an existing space and report what it could not restore', function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+
+            return confluenceAPI.space.restore(dir, { spaceKey: "LAB" }).then(function(report){
+                expect(report.createdSpace).to.be.false;
+                expect(report.counts).to.be.deep.eq({ pages: 3, blogposts: 1, attachments: 1, comments: 2 });
+                expect(report.ids["5004"]).to.be.undefined;
+                expect(report.problems).to.have.lengthOf(1);
+                expect(report.problems[0].part).to.be.eq("content");
+                expect(report.problems[0].id).to.be.eq("5004");
+                expect(report.problems[0].title).to.be.eq("Deploys");
+                expect(report.problems[0].message).to.contain("already exists");
+                return page(confluenceAPI, "LAB", "Runbook", "ancestors");
+            }).then(function(runbook){
+                expect(runbook.ancestors.map(function(ancestor){ return ancestor.title; })).to.be.deep.eq(["Lab Home", "Operations Home"]);
+                return page(confluenceAPI, "LAB", "Deploys", "body.storage");
+            }).then(function(deploys){
+                expect(deploys.body.storage.value).to.be.eq("<p>Ours.</p>");
+            });
+        });
+
+        it('should refuse a backup that did not finish', function(){
+            var confluenceAPI = ConfluenceAPI.create(fake.config());
+            var manifest = JSON.parse(fs.readFileSync(path.join(dir, "manifest.json"), "utf8"));
+            manifest.finishedAt = null;
+            fs.writeFileSync(path.join(dir, "manifest.json"), JSON.stringify(manifest));
+
+            return confluenceAPI.space.restore(dir).then(function(){
+                throw new Error("the restore should fail");
+            }, function(err){
+                expect(err.code).to.be.eq("EBACKUPINCOMPLETE");
+            });
+        });
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for RetryPolicy.js
+ */
+
+var http = require('http');
+var expect = require('chai').expect;
+var ConfluenceAPI = require("../lib/ConfluenceAPI");
+var RetryPolicy = require("../lib/RetryPolicy");
+var config = require('./config') || {};
+
+function response(statusCode, headers){
+    return { statusCode: statusCode, headers: headers || {} };
+}
+
+describe('ConfluenceAPI: Retry Policy', function () {
+
+    describe('#shouldRetry', function(){
+
+        it('should retry idempotent methods on 429 and transient 5xx', function(){
+            var policy = new RetryPolicy();
+            [429, 502, 503, 504].forEach(function(status){
+                expect(policy.shouldRetry({ method: "GET" }, 1, null, response(status))).to.be.true;
+            });
+            expect(policy.shouldRetry({ method: "PUT" }, 1, null, response(503))).to.be.true;
+            expect(policy.shouldRetry({ method: "GET" }, 1, null, response(500))).to.be.false;
+            expect(policy.shouldRetry({ method: "GET" }, 1, null, response(404))).to.be.false;
+        });
+
+        it('should not retry POST unless the call overrides it', function(){
+            var policy = new RetryPolicy();
+            expect(policy.shouldRetry({ method: "POST" }, 1, null, response(503))).to.be.false;
+            expect(policy.forCall(true).shouldRetry({ method: "POST" }, 1, null, response(503))).to.be.true;
+            expect(policy.forCall({ methods: ["POST"] }).shouldRetry({ method: "POST" }, 1, null, response(503))).to.be.true;
+            expect(policy.forCall(false).shouldRetry({ method: "GET" }, 1, null, response(503))).to.be.false;
+        });
+
+        it('should retry transient network errors only', function(){
+            var policy = new RetryPolicy();
+            var reset = new Error("socket hang up");
+            reset.code = "ECONNRESET";
+            expect(policy.shouldRetry({ method: "GET" }, 1, reset)).to.be.true;
+            expect(policy.shouldRetry({ method: "GET" }, 1, new Error("boom"))).to.be.false;
+        });
+
+        it('should retry a response timing out in the transport', function(){
+            var attempts = 0;
+            var server = http.createServer(function(req, res){
+                attempts++;
+                if (attempts === 1) {
+                    // the body of the failure never comes
+                    res.writeHead(404, { "Content-Type": "application/json" });
+                    return res.write("{");
+                }
+                res.writeHead(200, { "Content-Type": "text/csv" });
+                res.end("id,author");
+            });
+            return new Promise(function(resolve){
+                server.listen(0, resolve);
+            }).then(function(){
+                var confluenceAPI = ConfluenceAPI.create({
+                    baseUrl: "http://localhost:" + server.address().port + "/rest/api",
+                    auth: { type: "bearer", token: "pat" },
+                    responseConfig: { timeout: 50 },
+                    retry: { baseDelay: 1, jitter: false }
+                });
+                return confluenceAPI.request({ path: "/audit/export", responseType: "buffer" });
+            }).then(function(result){
+                expect(attempts).to.be.eq(2);
+                expect(result.toString()).to.be.eq("id,author");
+            }).then(function(){
+                server.close();
+            }, function(err){
+                server.close();
+                throw err;
+            });
+        });
+
+        it('should stop after maxAttempts', function(){
+            var policy = new RetryPolicy({ maxAttempts: 2 });
+            expect(policy.shouldRetry({ method: "GET" }, 1, null, response(503))).to.be.true;
+            expect(policy.shouldRetry({ method: "GET" }, 2, null, response(503))).to.be.false;
+            expect(new RetryPolicy(false).shouldRetry({ method: "GET" }, 1, null, response(503))).to.be.false;
+        });
+
+    });
+
+    describe('#delay', function(){
+
+        it('should grow exponentially up to maxDelay', function(){
+            var policy = new RetryPolicy({ baseDelay: 100, maxDelay: 350, jitter: false });
+            expect(policy.delay(1)).to.be.eq(100);
+            expect(policy.delay(2)).to.be.eq(200);
+            expect(policy.delay(3)).to.be.eq(350);
+        });
+
+        it('should keep jittered delays within the upper half', function(){
+            var policy = new RetryPolicy({ baseDelay: 100 });
+            for (var i = 0; i < 20; i++) {
+                expect(policy.delay(2)).to.be.within(100, 200);
+            }
+        });
+
+        it('should honor Retry-After', function(){
+            var policy = new RetryPolicy({ baseDelay: 100 });
+            expect(policy.delay(1, response(429, { "retry-after": "3" }))).to.be.eq(3000);
+        });
+
+    });
+
+    describe('#withOptions', function(){
+
+        it('should scope per-call options without touching the client', function(){
+            var confluenceAPI = ConfluenceAPI.create(config);
+            var scoped = confluenceAPI.withOptions({ retry: false });
+            expect(scoped.callOptions.retry).to.be.false;
+            expect(confluenceAPI.callOptions.retry).to.be.undefined;
+            expect(scoped.content.client).to.be.eq(scoped);
+            expect(scoped.baseUrl).to.be.eq(confluenceAPI.baseUrl);
+        });
+
+    });
+
+});
@@ -34,4 +34,33 @@ describe('ConfluenceAPI: Space Module', function () {
         });
     });
 
+    describe('#getSpaces (promise)', function(){
+        it('should return a promise when no callback is passed', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            var params = {
+                start: 0,
+                limit : 5
+            };
+
+            return confluenceAPI.space.getSpaces(params).then(function(data) {
+                expect(data).not.to.be.null;
+                expect(data).to.be.an('object');
+                expect(data.size).to.be.gt(0);
+            });
+        });
+
+        it('should reject with the status code when the space is missing', function () {
+            var confluenceAPI = ConfluenceAPI.create(config);
+
+            return confluenceAPI.space.getSpace("NOSUCHSPACE", {}).then(function() {
+                throw new Error("expected getSpace to be rejected");
+            }, function(err) {
+                expect(err).to.be.an.instanceof(ConfluenceAPI.errors.ConfluenceError);
+                expect(err).to.be.an.instanceof(Error);
+                expect(err.statusCode).to.be.eq(404);
+            });
+        });
+    });
+
 });
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * Tests for lib/storage, the storage format parser and serializer
+ */
+
+var expect = require('chai').expect;
+var ConfluenceAPI = require("../lib/ConfluenceAPI");
+var storage = ConfluenceAPI.storage;
+
+var BODY = [
+    "<h1>Runbook &amp; checklist</h1>",
+    "<p class='intro'>Restart&nbsp;the service&#8230; see <ac:link><ri:page ri:content-title=\"Deploys\" ri:space-key=\"OPS\" /></ac:link>",
+    " or <a href=\"https://example.com/?a=1&amp;b=2\">the docs</a>.<br/>Owner: <ac:link><ri:user ri:account-id=\"5b10a2844c20165700ede21g\" /></ac:link></p>",
+    "<!-- generated -->",
+    "<ac:structured-macro ac:name=\"code\" ac:schema-version=\"1\" ac:macro-id=\"d0b2\">",
+    "  <ac:parameter ac:name=\"language\">bash</ac:parameter>",
+    "  <ac:plain-text-body><![CDATA[systemctl restart billing && echo \"<done>\"]]></ac:plain-text-body>",
+    "</ac:structured-macro>",
+    "<ac:structured-macro ac:name=\"info\"><ac:rich-text-body><p>Ask <strong>#ops</strong> first.</p></ac:rich-text-body></ac:structured-macro>",
+    "<table><tbody><tr><th>Step</th><th>Who</th></tr><tr><td>1</td><td><ac:image ac:height=\"250\"><ri:attachment ri:filename=\"diagram.png\" /></ac:image></td></tr></tbody></table>"
+].join("\n");
+
+describe('ConfluenceAPI: Storage format', function () {
+
+    describe('#parse', function(){
+        it('should give back the body unchanged', function(){
+            expect(storage.serialize(storage.parse(BODY))).to.be.eq(BODY);
+            expect(storage.serialize(storage.parse(""))).to.be.eq("");
+        });
+
+        it('should build a tree of elements with the entities decoded', function(){
+            var tree = storage.parse(BODY);
+            var heading = storage.find(tree, "h1");
+            expect(heading).to.be.deep.eq({ type: "element", name: "h1", attributes: {}, children: [{ type: "text", value: "Runbook & checklist" }] });
+            expect(storage.find(tree, "p").attributes).to.be.deep.eq({ "class": "intro" });
+            expect(storage.find(tree, "a").attributes.href).to.be.eq("https://example.com/?a=1&b=2");
+            expect(storage.textContent(storage.find(tree, "p"))).to.contain("Restart the service… see");
+            expect(storage.findAll(tree, "td").length).to.be.eq(2);
+            expect(storage.findAll(tree, function(node){ return node.type === "comment"; })[0].value).to.be.eq(" generated ");
+        });
+
+        it('should expose macros with their parameters and bodies', function(){
+            var tree = storage.parse(BODY);
+            expect(storage.macros(tree).length).to.be.eq(2);
+
+            var code = storage.macros(tree, "code")[0];
+            expect(storage.macroParameters(code)).to.be.deep.eq({ language: "bash" });
+            var body = storage.macroBody(code);
+            expect(body.name).to.be.eq("ac:plain-text-body");
+            expect(storage.textContent(body)).to.be.eq("systemctl restart billing && echo \"<done>\"");
+
+            var info = storage.macros(tree, "info")[0];
+            expect(storage.macroBody(info).name).to.be.eq("ac:rich-text-body");
+            expect(storage.find(storage.macroBody(info), "strong").children[0].value).to.be.eq("#ops");
+        });
+
+        it('should list the resource identifiers', function(){
+            var references = storage.references(storage.parse(BODY));
+            expect(references.map(function(reference){ return reference.type; })).to.be.deep.eq(["page", "user", "attachment"]);
+            expect(references[0].attributes).to.be.deep.eq({ "content-title": "Deploys", "space-key": "OPS" });
+            expect(references[0].parent.name).to.be.eq("ac:link");
+            expect(references[2].parent.name).to.be.eq("ac:image");
+        });
+
+        it('should report where the body is not well formed', function(){
+            var bodies = {
+                "<p>one</p>\n<p>two <strong>bold</p>": "Closing tag </p> does not match <strong> at line 2, column 20.",
+                "<p>open": "Element <p> is not closed at line 1, column 1.",
+                "<p class=intro>text</p>": "Malformed tag <p> at line 1, column 1.",
+                "</p>": "Closing tag </p> without opening tag at line 1, column 1.",
+                "<p><![CDATA[never closed</p>": "Unterminated CDATA section at line 1, column 13."
+            };
+            Object.keys(bodies).forEach(function(body){
+                expect(function(){
+                    storage.parse(body);
+                }).to.throw(bodies[body]).with.property("code", "ESTORAGEPARSE");
+            });
+        });
+    });
+
+    describe('#serialize', function(){
+        it('should only rewrite the nodes that changed', function(){
+            var tree = storage.parse(BODY);
+            var code = storage.macros(tree, "code")[0];
+            storage.setMacroParameter(code, "language", "shell");
+            storage.setMacroParameter(code, "title", "Restart <billing>");
+            storage.find(tree, "h1").children[0].value = "Runbook & steps";
+            storage.references(tree)[0].node.attributes["ri:space-key"] = "NEWOPS";
+
+            var xml = storage.serialize(tree);
+            expect(xml).to.contain("<h1>Runbook &amp; steps</h1>");
+            expect(xml).to.contain("<p class='intro'>Restart&nbsp;the service&#8230; see ");
+            expect(xml).to.contain("<ri:page ri:content-title=\"Deploys\" ri:space-key=\"NEWOPS\" />");
+            expect(xml).to.contain("<ac:parameter ac:name=\"language\">shell</ac:parameter>\n" +
+                "  <ac:parameter ac:name=\"title\">Restart &lt;billing&gt;</ac:parameter><ac:plain-text-body>");
+            expect(storage.macroParameters(storage.macros(storage.parse(xml), "code")[0])).to.be.deep.eq({ language: "shell", title: "Restart <billing>" });
+
+            storage.setMacroParameter(code, "title", null);
+            expect(storage.macroParameters(code)).to.be.deep.eq({ language: "shell" });
+        });
+
+        it('should write new nodes as storage format', function(){
+            var macro = storage.createElement("ac:structured-macro", { "ac:name": "code" }, [
+                storage.createElement("ac:parameter", { "ac:name": "title" }, ["Say \"hi\""]),
+                storage.createElement("ac:plain-text-body", {}, [storage.createCData("if (a]]>b) {}")])
+            ]);
+            var tree = storage.parse("<table><tbody><tr><td/></tr></tbody></table>");
+            tree.children.push(macro, storage.createElement("p"), storage.createElement("ri:page", { "ri:content-title": "A & B" }));
+            storage.find(tree, "td").children.push(storage.createText("filled"));
+
+            var xml = storage.serialize(tree);
+            expect(xml).to.be.eq("<table><tbody><tr><td>filled</td></tr></tbody></table>" +
+                "<ac:structured-macro ac:name=\"code\"><ac:parameter ac:name=\"title\">Say \"hi\"</ac:parameter>" +
+                "<ac:plain-text-body><![CDATA[if (a]]]]><![CDATA[>b) {}]]></ac:plain-text-body></ac:structured-macro>" +
+                "<p></p><ri:page ri:content-title=\"A &amp; B\" />");
+            expect(storage.textContent(storage.macroBody(storage.macros(storage.parse(xml), "code")[0]))).to.be.eq("if (a]]>b) {}");
+        });
+    });
+
+    describe('#walk', function(){
+        it('should visit parents before children and skip the children on false', function(){
+            var visited = [];
+            storage.walk(storage.parse(BODY), function(node){
+                if (node.type === "element") {
+                    visited.push(node.name);
+                }
+                return node.name !== "ac:structured-macro" && node.name !== "p" && node.name !== "table";
+            });
+            expect(visited).to.be.deep.eq(["h1", "p", "ac:structured-macro", "ac:structured-macro", "table"]);
+        });
+    });
+});
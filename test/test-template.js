@@ -0,0 +1,50 @@
+/**
+ * Tests for lib/resources/template.js
+ */
+
+var http = require('http');
+var expect = require('chai').expect;
+var ConfluenceAPI = require("../lib/ConfluenceAPI");
+
+describe('ConfluenceAPI: Template', function () {
+    var server;
+    var paths;
+    var confluenceAPI;
+
+    beforeEach(function(done){
+        paths = [];
+        server = http.createServer(function(req, res){
+            paths.push(req.url);
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(req.url.indexOf("/template/page") >= 0 ? { results: [], size: 0 } : { templateId: "42" }));
+        }).listen(0, function(){
+            confluenceAPI = ConfluenceAPI.create({
+                baseUrl: "http://localhost:" + server.address().port + "/rest/api",
+                auth: { type: "bearer", token: "pat" }
+            });
+            done();
+        });
+    });
+
+    afterEach(function(done){
+        server.close(done);
+    });
+
+    describe('#getContentTemplate', function(){
+        it('should get a content template by its ID', function(){
+            return confluenceAPI.template.getContentTemplate("42").then(function(template){
+                expect(template.templateId).to.be.eq("42");
+                expect(paths).to.be.deep.eq(["/rest/api/template/42"]);
+            });
+        });
+
+        it('should still list the content templates when given query parameters', function(done){
+            confluenceAPI.template.getContentTemplate({ spaceKey: "TES" }, function(err, data){
+                expect(err).to.be.null;
+                expect(data.results).to.be.deep.eq([]);
+                expect(paths).to.be.deep.eq(["/rest/api/template/page?spaceKey=TES"]);
+                done();
+            });
+        });
+    });
+});
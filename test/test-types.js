@@ -0,0 +1,35 @@
+/**
+ * Tests for index.d.ts, the TypeScript declarations.
+ *
+ * The declarations are compiled against test/types with `npm run test:types`,
+ * these tests only check that they keep up with the resources.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var expect = require('chai').expect;
+var resources = require("../lib/resources");
+
+describe('ConfluenceAPI: Type definitions', function () {
+    var declarations = fs.readFileSync(path.join(__dirname, "..", "index.d.ts"), "utf8");
+
+    function declaredClass(name){
+        var start = declarations.indexOf("    class " + name + " ");
+        expect(start, name + " is declared").to.be.above(-1);
+        return declarations.substring(start, declarations.indexOf("\n    }\n", start));
+    }
+
+    Object.keys(resources).forEach(function(property){
+        var clazz = resources[property];
+        var className = clazz.name + "Resource";
+
+        it('should declare every method of ' + property, function(){
+            var body = declaredClass(className);
+            var missing = Object.keys(clazz.prototype).filter(function(method){
+                return typeof clazz.prototype[method] === 'function' && body.indexOf("        " + method + "(") < 0;
+            });
+            expect(missing).to.be.empty;
+            expect(declarations).to.contain("    " + property + ": ConfluenceAPI." + className + ";");
+        });
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Type checks of index.d.ts: the client, its options and the extension points.
+ * Compiled with `npm run test:types`, never run.
+ */
+
+import ConfluenceAPI = require("../..");
+
+const confluenceAPI: ConfluenceAPI = new ConfluenceAPI({
+    baseUrl: "https://example.atlassian.net/wiki/rest/api",
+    user: "admin",
+    password: "secret",
+    proxy: { host: "proxy.example.com", port: 8080 },
+    requestConfig: { timeout: 1000, keepAlive: true },
+    responseConfig: { timeout: 1000 },
+    retry: { maxAttempts: 5, statusCodes: [429, 503] },
+    rateLimit: { concurrency: 4, write: { concurrency: 1 }, adaptive: true },
+    recorder: { mode: "auto", cassette: "test/fixtures/content.json" }
+});
+
+ConfluenceAPI.create({ baseUrl: "https://example.atlassian.net/wiki/rest/api", retry: false, auth: { type: "bearer", token: "pat" } });
+ConfluenceAPI.create({ baseUrl: "", auth: { type: "basic", email: "admin@example.com", apiToken: "token" } });
+ConfluenceAPI.create({
+    baseUrl: "",
+    auth: {
+        type: "oauth2",
+        clientId: "id",
+        clientSecret: "secret",
+        refreshToken: "refresh",
+        onRefresh: (tokens) => {
+            const accessToken: string = tokens.accessToken;
+        }
+    }
+});
+ConfluenceAPI.create({ baseUrl: "", auth: { type: "jwt", issuer: "app", sharedSecret: "shh" } });
+ConfluenceAPI.create({ baseUrl: "", auth: new ConfluenceAPI.auth.BearerAuth({ token: (cb) => cb(null, "pat") }) });
+ConfluenceAPI.create({
+    baseUrl: "",
+    auth: {
+        authorize(req, cb) {
+            req.headers["Authorization"] = "Custom";
+            cb(null);
+        }
+    }
+});
+
+// @ts-expect-error the base url is required
+ConfluenceAPI.create({ user: "admin", password: "secret" });
+// @ts-expect-error unknown auth type
+ConfluenceAPI.create({ baseUrl: "", auth: { type: "kerberos" } });
+// @ts-expect-error retry can only be disabled at the client level
+ConfluenceAPI.create({ baseUrl: "", retry: true });
+
+// requests and per-call options
+confluenceAPI.request<ConfluenceAPI.Content>({ method: "GET", path: "/content/${id}", pathParams: { id: 1 } }).then((content) => {
+    const title: string = content.title;
+});
+confluenceAPI.request({ path: "/space", params: { expand: ["homepage", "description.plain"] } }, (err, data) => {});
+// @ts-expect-error unknown method
+confluenceAPI.request({ method: "FETCH", path: "/space" });
+confluenceAPI.request<ConfluenceAPI.BinaryStream>({ path: "/audit/export", responseType: "stream" }).then(data => data.contentType);
+// @ts-expect-error unknown response type
+confluenceAPI.request({ path: "/audit/export", responseType: "text" });
+confluenceAPI.withOptions({ retry: true }).content.getContent({ spaceKey: "TES" });
+confluenceAPI.withOptions({ retry: { maxAttempts: 2 } });
+confluenceAPI.on("uploadProgress", progress => {
+    const total: number | null = progress.total;
+});
+
+// middlewares
+confluenceAPI.use((req, next, done) => {
+    req.headers["X-Request-Id"] = "1";
+    next((err, data, res) => {
+        const status: number | undefined = res && res.statusCode;
+        done(err, data, res);
+    });
+}).use((req, next) => next());
+
+confluenceAPI.on("retry", (info) => {
+    const attempt: number = info.attempt;
+    const delay: number = info.delay;
+});
+
+const stats: ConfluenceAPI.QueueStats = confluenceAPI.queueStats();
+const queued: number = stats.write.queued;
+const built: ConfluenceAPI.BuiltRequest = confluenceAPI.buildRequest({ path: "/content" });
+
+// errors
+confluenceAPI.space.getSpace("NOPE").catch((err: unknown) => {
+    if (err instanceof ConfluenceAPI.errors.NotFoundError) {
+        const status: number = err.status;
+        const messages: string[] = err.messages;
+    }
+    if (err instanceof ConfluenceAPI.errors.RateLimitedError) {
+        const retryAfter: number | undefined = err.retryAfter;
+    }
+    if (err instanceof ConfluenceAPI.errors.VersionConflictError) {
+        const conflict: ConfluenceAPI.errors.ConflictError = err;
+    }
+});
+const redacted: string = ConfluenceAPI.errors.redactUrl("https://example.com/?token=1");
+
+// recorder
+const recorder = new ConfluenceAPI.Recorder({
+    cassette: "cassette.json",
+    match: (request, recorded) => request.method === recorded.method && request.path === recorded.path,
+    scrub: (interaction) => interaction
+});
+const pending: ConfluenceAPI.Interaction[] = recorder.pending();
+ConfluenceAPI.create({ baseUrl: "", user: "a", password: "b", recorder: recorder });
+// @ts-expect-error unknown mode
+new ConfluenceAPI.Recorder({ cassette: "cassette.json", mode: "rewind" });
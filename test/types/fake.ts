@@ -0,0 +1,41 @@
+/**
+ * Type checks of lib/fake/index.d.ts.
+ * Compiled with `npm run test:types`, never run.
+ */
+
+import ConfluenceAPI = require("../..");
+import FakeConfluence = require("../../lib/fake");
+
+async function fakeServer() {
+    const fake = new FakeConfluence({
+        users: [{ username: "admin", password: "admin", groups: ["confluence-administrators"] }],
+        tokens: { "my-pat": "admin" },
+        longTaskSteps: 2
+    });
+    fake.seed({
+        spaces: [{
+            key: "DOC",
+            name: "Documentation",
+            pages: [{
+                title: "Guide",
+                body: "<p>Install</p>",
+                labels: ["howto"],
+                attachments: [{ title: "notes.txt", data: "0123456789", mediaType: "text/plain" }],
+                children: [{ title: "Setup" }]
+            }]
+        }]
+    }).fail({ method: "GET", path: /^\/space/, status: 503, headers: { "Retry-After": "0" }, times: 2 });
+
+    await fake.listen();
+    const confluenceAPI = ConfluenceAPI.create(fake.config("admin"));
+    const baseUrl: string | null = fake.baseUrl;
+    const paths: string[] = fake.requests.map((req) => req.path);
+    fake.reset();
+    await fake.close();
+
+    fake.listen(0, (err, listening) => {
+        listening.close(() => {});
+    });
+    // @ts-expect-error pages need a title
+    fake.seed({ spaces: [{ key: "X", pages: [{ body: "<p>x</p>" }] }] });
+}
@@ -0,0 +1,240 @@
+/**
+ * Type checks of index.d.ts: the resources, their callback and Promise forms and payloads.
+ * Compiled with `npm run test:types`, never run.
+ */
+
+import * as fs from "fs";
+import ConfluenceAPI = require("../..");
+
+declare const confluenceAPI: ConfluenceAPI;
+
+async function content() {
+    const page: ConfluenceAPI.PageResult<ConfluenceAPI.Content> = await confluenceAPI.content.getContent({ spaceKey: "TES", title: "Home", expand: "body.storage" });
+    const first = page.results[0];
+    const storage: string | undefined = first.body && first.body.storage && first.body.storage.value;
+    const next: string | undefined = page._links.next;
+
+    const created = await confluenceAPI.content.createContent({}, {
+        type: "page",
+        title: "New page",
+        space: { key: "TES" },
+        ancestors: [{ id: first.id }],
+        body: { storage: { value: "<p>Hello</p>", representation: "storage" } }
+    });
+    const version: number | undefined = created.version && created.version.number;
+
+    await confluenceAPI.content.updateContent(created.id, undefined, {
+        type: "page",
+        title: "New page",
+        version: { number: 2, message: "second" }
+    });
+    // @ts-expect-error the version is required on update
+    await confluenceAPI.content.updateContent(created.id, {}, { type: "page", title: "New page" });
+    await confluenceAPI.content.updateContent(created.id, { conflictPolicy: "retry" }, (content) => ({ title: content.title + "!" }));
+    const edited: ConfluenceAPI.Content = await confluenceAPI.content.editContent(created.id, async (content) => {
+        return { body: "<p>Edited</p>", version: { message: "edited", minorEdit: true } };
+    }, { maxRetries: 5, expand: ["space"] });
+    // @ts-expect-error merge is not a conflict policy
+    await confluenceAPI.content.editContent(created.id, () => undefined, { conflictPolicy: "merge" });
+
+    const deleted: ConfluenceAPI.EmptyResponse = await confluenceAPI.content.deleteContent(created.id);
+    const code: number = deleted.code;
+
+    confluenceAPI.content.getContentById("1", { status: "historical", version: 1 }, (err, content) => {
+        if (err) {
+            return;
+        }
+        const title: string = content.title;
+    });
+    // @ts-expect-error the callback comes after the params
+    confluenceAPI.content.getContentById("1", (err: Error, content: ConfluenceAPI.Content) => {});
+
+    const children = await confluenceAPI.content.getContentChildren(1, { expand: ["page", "attachment"] });
+    const childPages: ConfluenceAPI.Content[] = children.page ? children.page.results : [];
+    await confluenceAPI.content.getContentDescendantsByType(1, "page", { limit: 10 });
+    await confluenceAPI.content.getContentHistory(1, { expand: "lastUpdated" });
+    const macro = await confluenceAPI.content.getMacroBodyById(1, 2, "macro-id");
+    const macroBody: string = macro.body;
+}
+
+async function upsert() {
+    const result = await confluenceAPI.content.upsertPage({ spaceKey: "TES", parentPath: "Engineering/Runbooks", title: "Deploy", body: "<p>Deploy</p>" });
+    const action: "created" | "updated" | "unchanged" = result.action;
+    const version: number = result.page.version!.number;
+    // @ts-expect-error the title is required
+    await confluenceAPI.content.upsertPage({ spaceKey: "TES" });
+}
+
+async function attachments() {
+    const uploaded = await confluenceAPI.content.createAttachment("1", {}, {
+        file: fs.createReadStream("readme.txt"),
+        comment: "upload",
+        minorEdit: "true"
+    });
+    const attachment = uploaded.results[0];
+    const mediaType: string | undefined = attachment.metadata && attachment.metadata.mediaType;
+    await confluenceAPI.content.createOrUpdateAttachment("1", undefined, {
+        file: { value: Buffer.from("data"), options: { filename: "data.bin", contentType: "application/octet-stream" } }
+    });
+    await confluenceAPI.content.updateAttachmentData("1", attachment.id, { file: Buffer.from("data") });
+    await confluenceAPI.withOptions({ onUploadProgress: progress => console.log(progress.loaded, progress.total) })
+        .content.updateAttachmentData("1", attachment.id, { file: { path: "./report.pdf" }, minorEdit: "true" });
+    await confluenceAPI.content.updateAttachProperties("1", attachment.id, { title: "renamed", version: { number: 1 } });
+    // @ts-expect-error the file is required
+    await confluenceAPI.content.createAttachment("1", {}, { comment: "no file" });
+}
+
+async function labelsPropertiesRestrictions() {
+    const labels = await confluenceAPI.content.addLabelToContent("1", [{ prefix: "global", name: "docs" }]);
+    const name: string = labels.results[0].name;
+    await confluenceAPI.content.removeLabelFromContent("1", "docs");
+    await confluenceAPI.content.removeLabelFromContentWithParam("1", { name: "docs" });
+
+    const property = await confluenceAPI.content.createContentProperty("1", { key: "source", value: { hash: "abc" } });
+    await confluenceAPI.content.updateContentProperty("1", property.key, { value: {}, version: { number: 2 } });
+    await confluenceAPI.content.deleteContentProperty("1", property.key);
+
+    await confluenceAPI.content.updateRestriction("1", {}, [{
+        operation: "read",
+        restrictions: { user: [{ type: "known", username: "admin" }], group: [{ type: "group", name: "confluence-users" }] }
+    }]);
+    const restrictions = await confluenceAPI.content.getRestrictionsByOperation("1");
+    const read: ConfluenceAPI.ContentRestriction | undefined = restrictions.read;
+    await confluenceAPI.content.addUserToRestriction("1", "update", { accountId: "557058:1" });
+    // @ts-expect-error administer can not be given through this endpoint
+    await confluenceAPI.content.addGroupToRestriction("1", "administer", "confluence-users");
+
+    const versions = await confluenceAPI.content.allContentVersions("1");
+    const when: string | undefined = versions[0].when;
+    await confluenceAPI.content.restoreContentVersion("1", {}, { operationKey: "restore", params: { versionNumber: 1, message: "back" } });
+
+    const task = await confluenceAPI.content.copyPageHierarchy("1", { destinationPageId: "2", copyAttachments: true });
+    const status = await confluenceAPI.longtask.getLongRuningTask(task.id);
+    const done: boolean = status.finished && status.percentageComplete === 100;
+}
+
+async function pagination() {
+    for await (const page of confluenceAPI.content.iterateContent({ spaceKey: "TES" }, { maxItems: 100 })) {
+        const id: string = page.id;
+    }
+    const spaces: ConfluenceAPI.Space[] = await confluenceAPI.space.allSpaces({ type: "global" });
+    confluenceAPI.group.allGroupMembers("confluence-users", {}, undefined, (err, users) => {
+        const names = users.map((user) => user.displayName);
+    });
+    const results: ConfluenceAPI.SearchResult[] = await confluenceAPI.search.iterateSearch({ cql: "type = page" }).all();
+    const records: ConfluenceAPI.AuditRecord[] = await confluenceAPI.audit.allAuditRecords({ searchString: "login" });
+    const comments = confluenceAPI.content.iterateContentComments("1");
+    const item = await comments.next();
+    if (!item.done) {
+        const comment: ConfluenceAPI.Content = item.value;
+    }
+    // @ts-expect-error search expects a cql
+    confluenceAPI.search.iterateSearch({});
+}
+
+async function pageTree() {
+    for await (const node of confluenceAPI.content.iteratePageTree("1", { order: "breadth", maxDepth: 2, concurrency: 8 })) {
+        const depth: number = node.depth;
+        const count: number | null = node.childCount;
+        const path: string = node.ancestors.map((ancestor) => ancestor.title).join("/");
+    }
+    const tree = await confluenceAPI.content.getPageTree("1", { expand: ["body.storage"] });
+    const grandchildren: ConfluenceAPI.PageTreeBranch[] = tree.children[0].children;
+    await confluenceAPI.content.movePage("2", { targetId: "1", position: "before" });
+    const reordered: ConfluenceAPI.ReorderResult = await confluenceAPI.content.reorderChildren("1", (a, b) => a.title.localeCompare(b.title));
+    confluenceAPI.content.reorderChildren("1", undefined, (err, result) => {
+        const moved: string[] = result.moved;
+    });
+    // @ts-expect-error the position is append, before or after
+    confluenceAPI.content.movePage("2", { targetId: "1", position: "first" });
+    // @ts-expect-error the order is depth or breadth
+    confluenceAPI.content.iteratePageTree("1", { order: "post" });
+}
+
+async function spaces() {
+    const space = await confluenceAPI.space.createSpace({
+        key: "NEW",
+        name: "New space",
+        description: { plain: { value: "A space", representation: "plain" } }
+    });
+    const key: string = space.key;
+    const home = await confluenceAPI.space.getSpace(space.key, { expand: "homepage" });
+    const homeId: string | undefined = home.homepage && home.homepage.id;
+    const task: ConfluenceAPI.LongTaskSubmission = await confluenceAPI.space.deleteSpace("NEW");
+    await confluenceAPI.space.getContentForSpaceByType("TES", "page", { depth: "root" });
+    // @ts-expect-error spaces only hold pages and blog posts
+    await confluenceAPI.space.getContentForSpaceByType("TES", "comment");
+    await confluenceAPI.space.createSpaceProperty("TES", { key: "config", value: { a: 1 } });
+    await confluenceAPI.space.setSpaceTheme("TES", { themeKey: "documentation" });
+}
+
+async function others() {
+    const user: ConfluenceAPI.User = await confluenceAPI.user.getCurrentUser();
+    const groups = await confluenceAPI.user.getMemberships({ username: "admin" });
+    const groupName: string = groups.results[0].name;
+    const watching: boolean = (await confluenceAPI.user.getSpaceWatchStatus("TES")).watching;
+    const group: ConfluenceAPI.Group = await confluenceAPI.group.getGroup("confluence-users");
+
+    const converted = await confluenceAPI.contentbody.convertTo("view", { value: "<p>x</p>", representation: "storage" });
+    const html: string = converted.value;
+    // @ts-expect-error unknown representation
+    await confluenceAPI.contentbody.convertTo("markdown", { value: "x", representation: "storage" });
+
+    const template: ConfluenceAPI.ContentTemplate = await confluenceAPI.template.createContentTemplate({
+        name: "Meeting notes",
+        templateType: "page",
+        body: { storage: { value: "<p>Notes</p>", representation: "storage" } }
+    });
+    await confluenceAPI.template.getContentTemplates({ spaceKey: "TES" });
+
+    const lookAndFeel: ConfluenceAPI.LookAndFeelSettings = await confluenceAPI.settings.getLookAndFeelSettings("TES");
+    const color: string = lookAndFeel.custom.headings.color;
+    await confluenceAPI.settings.setLookAndFeelSettings(undefined, { lookAndFeelType: "global" });
+    const info: ConfluenceAPI.SystemInfo = await confluenceAPI.settings.getSystemInfo();
+
+    const related = await confluenceAPI.relation.findRelatedEntitiesS2T("favourite", "current", "user", "content");
+    const relation: ConfluenceAPI.Relation = related.results[0];
+    // @ts-expect-error unknown entity type
+    await confluenceAPI.relation.createRelationship("like", "current", "group", "content", "1");
+
+    const retention: ConfluenceAPI.RetentionPeriod = await confluenceAPI.audit.getRetentionPeriod();
+    await confluenceAPI.audit.setRetentionPeriod({ number: 6, units: "MONTHS" });
+    const file: ConfluenceAPI.DownloadedFile = await confluenceAPI.content.downloadAttachment("1", "att2", { path: "/tmp/file.bin", resume: true });
+    const resumedFrom: number = file.resumedFrom;
+    const download: ConfluenceAPI.DownloadStream = await confluenceAPI.content.downloadAttachment("1", "att2", { version: 1 });
+    download.pipe(process.stdout);
+    const exported: ConfluenceAPI.BinaryStream = await confluenceAPI.audit.exportAuditRecords({ format: "csv" });
+    exported.pipe(process.stdout);
+    const archive: ConfluenceAPI.BinaryBuffer = await confluenceAPI.audit.exportAuditRecords({ format: "zip" }, { responseType: "buffer" });
+    const filename: string | null = archive.filename;
+    const bytes: number = archive.length;
+    const tasks = await confluenceAPI.longtask.getLongRuningTasks({ limit: 10 });
+    const elapsed: number = tasks.results[0].elapsedTime;
+
+    const archived: ConfluenceAPI.LongTaskSubmission = await confluenceAPI.content.archivePages([{ id: "123" }]);
+    const sync: ConfluenceAPI.SyncResult = await confluenceAPI.space.syncDirectory("DOC", "docs", {
+        dryRun: true,
+        orphans: "trash",
+        ignore: (path) => path.startsWith("drafts/")
+    });
+    const changed: string[] = sync.actions.filter((action) => action.type === "update").map((action) => action.path);
+    // @ts-expect-error unknown orphans policy
+    await confluenceAPI.space.syncDirectory("DOC", "docs", { orphans: "delete" });
+
+    const backup: ConfluenceAPI.BackupResult = await confluenceAPI.space.backup("DOC", "backups/DOC", { versions: true });
+    const finished: string | null = backup.finishedAt;
+    const backedUp: number = backup.counts.pages + backup.counts.blogposts - backup.resumed;
+    confluenceAPI.space.backup("DOC", "backups/DOC", (err, result) => result.counts.attachments);
+    const report: ConfluenceAPI.RestoreReport = await confluenceAPI.space.restore("backups/DOC", { spaceKey: "DOC2" });
+    const failed: string[] = report.problems.filter((problem) => problem.part === "content").map((problem) => problem.message);
+    const restoredId: string = report.ids["123"];
+
+    const cloud = ConfluenceAPI.create({ baseUrl: "https://example.atlassian.net/wiki/rest/api", auth: { type: "bearer", token: "pat" } });
+    const migration: ConfluenceAPI.MigrationReport = await confluenceAPI.content.migratePageHierarchy("123", cloud, {
+        spaceKey: "DOC",
+        spaceKeys: { OPS: "CLOUDOPS" },
+        users: { jdoe: { accountId: "557058:abc" } },
+        checkpoint: "migration.json"
+    });
+    const unmapped: string[] = Object.keys(migration.users).filter((id) => migration.users[id] === null);
+}
@@ -0,0 +1,51 @@
+/**
+ * Type checks of the storage namespace of index.d.ts.
+ * Compiled with `npm run test:types`, never run.
+ */
+
+import ConfluenceAPI = require("../..");
+
+declare const confluenceAPI: ConfluenceAPI;
+
+const storage = ConfluenceAPI.storage;
+
+async function editBody(pageId: string) {
+    await confluenceAPI.content.editContent(pageId, (page) => {
+        const tree = storage.parse(page.body && page.body.storage ? page.body.storage.value : "");
+        storage.macros(tree, "code").forEach((macro) => {
+            const language: string | undefined = storage.macroParameters(macro).language;
+            storage.setMacroParameter(macro, "language", language || "text");
+        });
+        const headings = storage.findAll(tree, (node) => node.type === "element" && /^h[1-6]$/.test(node.name));
+        const table: ConfluenceAPI.storage.Element | null = storage.find(tree, "table");
+        storage.references(tree).filter((reference) => reference.type === "page").forEach((reference) => {
+            reference.node.attributes["ri:space-key"] = "NEW";
+        });
+        tree.children.push(storage.createElement("p", {}, ["Updated ", storage.createElement("strong", {}, ["today"])]));
+        return { body: storage.serialize(tree) };
+    });
+
+    try {
+        storage.parse("<p>");
+    } catch (e) {
+        const line: number = (e as ConfluenceAPI.storage.ParseError).line;
+    }
+    storage.walk(storage.parse("<p>text</p>"), (node, parent, index) => {
+        if (node.type === "text") {
+            const text: string = node.value;
+        }
+    });
+    const markdown: string = storage.fromMarkdown("See [deploys](deploys.md)", {
+        pageTitle: (path) => path === "deploys.md" ? { title: "Deploys", spaceKey: "OPS" } : null
+    });
+    confluenceAPI.content.upsertPage({ spaceKey: "OPS", title: "Runbook", body: markdown, representation: "markdown" });
+    const exported: string[] = storage.toMarkdown(storage.parse("<p/>"), {
+        pagePath: (page) => page.spaceKey ? null : page.title + ".md"
+    }).attachments;
+    confluenceAPI.content.exportMarkdown("123", { attachmentPath: (filename) => "assets/" + filename }).then((result) => {
+        const lines: string[] = result.markdown.split("\n");
+        const version: number = result.page.version!.number;
+    });
+    // @ts-expect-error nodes are serialized, not strings
+    storage.serialize("<p/>");
+}